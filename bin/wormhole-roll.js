@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// EVE Online wormhole rolling from the terminal
+// wormhole-roll --type B274 --state destab, then one command per line: "out rbs hot", "back rbs cold", "apply crit"
+
+const readline = require('readline');
+const {
+  CLI_USAGE,
+  CLI_COMMANDS_HELP,
+  parseCliArgs,
+  createCliSession,
+  parseCliCommand,
+  runCliCommand,
+  getCliStep,
+  formatCliStep
+} = require('../src/roll-cli');
+
+const parsed = parseCliArgs(process.argv.slice(2));
+if (parsed.error) {
+  console.error(parsed.error);
+  console.error(CLI_USAGE);
+  process.exit(1);
+}
+if (parsed.options.help) {
+  // Asked-for help is normal output, so it can be piped or paged
+  console.log(parsed.options.json ? JSON.stringify({ help: CLI_USAGE.split('\n') }) : CLI_USAGE);
+  process.exit(0);
+}
+
+const created = createCliSession(parsed.options);
+if (created.error) {
+  console.error(created.error);
+  process.exit(1);
+}
+
+const session = created.session;
+const json = parsed.options.json;
+const interactive = process.stdin.isTTY && !json;
+
+function print(input, result) {
+  const step = getCliStep(session, input, result);
+  console.log(json ? JSON.stringify(step) : formatCliStep(step));
+  // Scripts piping commands in get a failing exit code when any of them was refused
+  if (step.error && !interactive) process.exitCode = 1;
+}
+
+print(null, {});
+if (interactive) console.log('Type "help" for commands.');
+
+const lines = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: interactive, prompt: '> ' });
+if (interactive) lines.prompt();
+
+lines.on('line', line => {
+  const command = parseCliCommand(line);
+  if (command && command.name === 'quit') {
+    lines.close();
+    return;
+  }
+  if (command && command.name === 'help') {
+    // Keep --json output one JSON object per line, help included
+    console.log(json ? JSON.stringify({ input: line.trim(), help: CLI_COMMANDS_HELP.split('\n') }) : CLI_COMMANDS_HELP);
+  } else if (command) {
+    print(line.trim(), command.error ? { error: command.error } : runCliCommand(session, command));
+  }
+  if (interactive) lines.prompt();
+});
@@ -8,7 +8,7 @@ class GameModeBase {
   
   // Abstract methods to be implemented by subclasses
   setupActionInterface() { throw new Error('Must implement setupActionInterface'); }
-  handleAddAction(direction, ship) { throw new Error('Must implement handleAddAction'); }
+  handleAddAction(direction, ship, pilotId = null) { throw new Error('Must implement handleAddAction'); }
   getModeName() { throw new Error('Must implement getModeName'); }
   getDescription() { throw new Error('Must implement getDescription'); }
 }
@@ -34,13 +34,50 @@ class TrackerMode extends GameModeBase {
     
     // Hide game mode section
     document.getElementById('game-mode-section').style.display = 'none';
+    
+    // Roll planner works off the same ranges the tracker shows
+    document.getElementById('planner-section').style.display = 'block';
+    
+    // Undo / redo for misclicked log entries
+    document.getElementById('history-section').style.display = 'flex';
+    
+    // Share links for fleet chat
+    document.getElementById('share-section').style.display = 'flex';
+    document.getElementById('game-seed-display').style.display = 'none';
+    
+    // Shared read-only rolls only show the log
+    if (this.ui.readOnly) {
+      this.ui.showReadOnlyView();
+    }
   }
   
-  handleAddAction(direction, ship) {
+  handleAddAction(direction, ship, pilotId = null) {
     // For tracker mode, add to staging (this is called from stageAction)
-    const action = new Action(ship, direction);
-    this.ui.stagedActions.push(action);
-    this.ui.renderStagedActions();
+    const result = this.ui.session.stage(direction, ship, pilotId);
+    if (result.error) {
+      this.ui.showApplyMessage(result.error);
+      return;
+    }
+    
+    // Warn straight away if this jump could strand someone on the far side or the ship is still polarized
+    const warnings = [...result.warnings];
+    const risks = this.ui.assessStagedActions();
+    const risk = risks[risks.length - 1];
+    if (risk.verdict === 'red') {
+      warnings.push(`⚠️ ${(risk.roundTripStrandChance * 100).toFixed(1)}% chance the hole collapses with someone still on the far side before everyone is back`);
+    }
+    const polarized = getPolarizedActions(this.ui.stagedActions, this.ui.getPolarization())
+      .find(item => item.index === this.ui.stagedActions.length - 1);
+    if (polarized) {
+      warnings.push(`⏱ ${this.ui.getPolarizationName(polarized.key)} is polarized for another ${formatCountdown(polarized.msLeft)}`);
+    }
+    const holeWarning = direction === 'B' && !pilotId ? getShipHoleWarning(ship.type, this.ui.sessionId, this.ui.getOpenHoles()) : null;
+    if (holeWarning) {
+      warnings.push(holeWarning);
+    }
+    if (warnings.length > 0) {
+      this.ui.showApplyMessage(warnings.join('<br>'));
+    }
   }
 }
 
@@ -51,7 +88,14 @@ class GameMode extends GameModeBase {
     this.actualWormholeMass = null; // Hidden actual mass
     this.initialActualMass = null;  // Starting mass for reference
     this.remainingMass = null;      // Current remaining mass
-    this.randomEventOccurred = false; // Track if a random event has already happened this game
+    this.eventHistory = createEventHistory(); // Random events fired this game, for caps and cooldowns
+    this.interference = createInterferenceState(); // Hostile camps and tackles on the far side
+    this.startingRemainingMass = null; // Hidden mass when the game started, for the replay
+    this.gameRecorded = false;        // Finished game already scored and saved
+    this.seed = null;                 // Scenario seed shown to the player
+    this.random = null;               // Seeded streams for mass, jumps and events
+    this.lifetimeMinutes = null;      // Hidden game minutes the hole had left at the start
+    this.startedAt = null;            // Real time the game started, the clock runs while the player thinks
   }
   
   getModeName() {
@@ -67,14 +111,42 @@ class GameMode extends GameModeBase {
     document.getElementById('staging-section').style.display = 'none';
     document.querySelector('.apply-section').style.display = 'none';
     document.getElementById('game-mode-section').style.display = 'none';
+    document.getElementById('planner-section').style.display = 'none';
+    document.getElementById('history-section').style.display = 'none';
+    document.getElementById('share-section').style.display = 'none';
+    
+    // The seed lets someone else play the exact same scenario (a daily one once its day is over)
+    const seedDisplay = document.getElementById('game-seed-display');
+    seedDisplay.textContent = this.seed ? `Seed: ${this.seed}` : '';
+    seedDisplay.style.display = this.seed ? 'block' : 'none';
     
     // In game mode, incoming/outgoing buttons act as immediate send buttons
     // No additional UI needed - the ship selection and direction buttons are sufficient
   }
   
-  handleAddAction(direction, ship) {
+  handleAddAction(direction, ship, pilotId = null) {
+    // Took too long - the hole died of age before this ship could jump
+    if (this.checkLifetime()) return;
+    
+    // A hostile camp or tackle can keep a ship from jumping back
+    if (direction === 'A') {
+      const blocked = getBlockedReturnReason(this.interference, { jumps: this.getPlayerJumpCount(), gameTime: this.getGameClock() }, ship.type, this.ui.shipsOnFarSide);
+      if (blocked) {
+        this.ui.showGameResult(blocked, 'error');
+        return;
+      }
+    }
+    
+    // A polarized ship sits out its timer while the hole keeps ageing
+    const gameTime = this.getGameClock();
+    const polarizationKey = getPolarizationKey({ ship: ship, pilotId: pilotId });
+    const polarizedFor = getPolarizationLeft(this.ui.getPolarization(), polarizationKey, gameTime);
+    if (polarizedFor > 0) {
+      this.ui.showGameResult(`⏱ ${this.ui.getPolarizationName(polarizationKey)} is polarized for another ${formatCountdown(polarizedFor)}`, 'error');
+      return;
+    }
+    
     // Apply action against hidden actual mass immediately
-    const action = new Action(ship, direction);
     const shipMass = ship.getMass();
     
     // For hidden mass calculation: use exact value if available, otherwise randomly select
@@ -83,86 +155,41 @@ class GameMode extends GameModeBase {
       actualMassUsed = shipMass.min;
     } else {
       // For unknown mode, randomly select hot or cold for actual calculation
-      actualMassUsed = Math.random() < 0.5 ? shipMass.min : shipMass.max;
+      actualMassUsed = this.random.jumps.random() < 0.5 ? shipMass.min : shipMass.max;
     }
     
-    // Apply mass reduction to hidden mass
-    this.remainingMass -= actualMassUsed;
+    // Jumping with the prop on can put the ship over the hole's jump limit - the hole just refuses it
+    if (actualMassUsed > checkJumpMass(ship, this.ui.getMaxJumpMass()).limit) {
+      this.ui.showGameResult(`⛔ The hole refused ${ship.getDisplayName()} - it was over the jump limit with the prop on`, 'error');
+      return;
+    }
     
-    // Track ships on far side for win/loss determination
-    if (direction === 'B' && ship.type) {
-      // Ship going to far side (outgoing)
-      const shipKey = ship.type;
-      this.ui.shipsOnFarSide[shipKey] = (this.ui.shipsOnFarSide[shipKey] || 0) + 1;
-    } else if (direction === 'A' && ship.type) {
-      // Ship coming back from far side (incoming)
-      const shipKey = ship.type; 
-      if (this.ui.shipsOnFarSide[shipKey] && this.ui.shipsOnFarSide[shipKey] > 0) {
-        this.ui.shipsOnFarSide[shipKey]--;
-        if (this.ui.shipsOnFarSide[shipKey] === 0) {
-          delete this.ui.shipsOnFarSide[shipKey];
-        }
-      }
+    // The jump goes through the session like a tracker jump, only applied straight away
+    const staged = this.ui.session.stage(direction, ship, pilotId);
+    if (staged.error) {
+      this.ui.showGameResult(staged.error, 'error');
+      return;
     }
     
-    // Determine outcome based on hidden remaining mass first
+    // Apply mass reduction to hidden mass, then let the hidden mass decide the state change
+    this.remainingMass -= actualMassUsed;
     const outcome = this.determineOutcome();
+    const stateChanged = outcome.newState !== 'no-change';
     
-    // Check if state actually changed to avoid duplicate messages
-    const previousState = this.ui.currentWhState;
-    const stateChanged = outcome.newState !== 'no-change' && outcome.newState !== previousState;
-    
-    // Update current state if it changed (do this BEFORE calculating displayed mass)
-    if (outcome.newState !== 'no-change') {
-      this.ui.currentWhState = outcome.newState;
-    }
-    
-    // For display purposes: calculate what the player should see (tracker-style ranges)
-    let displayedResultMass;
-    if (outcome.newState === 'gone') {
-      // If wormhole collapsed, show that it's gone
-      displayedResultMass = { min: 0, max: 0 };
-    } else {
-      // Normal case: Start with current displayed mass range and apply action like tracker mode
-      const currentDisplayedMass = this.ui.calculateCurrentMass();
-      displayedResultMass = action.applyToMass(currentDisplayedMass);
-      
-      // Apply state boundaries to displayed mass (what player sees) - now using updated state
-      const currentWormhole = this.ui.getCurrentWormhole();
-      const stateBoundaries = currentWormhole.getStateBoundaries();
-      displayedResultMass.min = Math.max(displayedResultMass.min, stateBoundaries.min);
-      displayedResultMass.max = Math.min(displayedResultMass.max, stateBoundaries.max);
-      displayedResultMass.min = Math.min(displayedResultMass.min, displayedResultMass.max);
+    // Show result to player ONLY if state changed or wormhole collapsed
+    if (stateChanged) {
+      this.ui.showGameResult(outcome.message, outcome.type);
     }
     
-    // Create snapshot of ships on far side for display
-    const farSideSnapshot = { ...this.ui.shipsOnFarSide };
-    
-    // Add to committed actions log (using displayed mass for player, hidden mass for game logic)
-    this.ui.committedActions.push({
-      actions: [action],
+    // The session works out what the player sees (tracker-style ranges) and who is on the far side;
+    // the hidden mass rides along on the entry. A collapse ends the game through the session's 'complete'.
+    const { entry } = this.ui.session.apply(outcome.newState, Date.now(), {
       actualMassUsed: actualMassUsed, // Hidden from player in normal display
       remainingMass: this.remainingMass, // Hidden actual remaining mass
       outcome: outcome,
-      stateChange: outcome.newState,
-      currentState: this.ui.currentWhState, // Current state after this action
-      finalMass: displayedResultMass, // What player sees (ranges)
-      shipsOnFarSide: farSideSnapshot, // For display and win/loss logic
-      timestamp: Date.now()
+      gameTime: gameTime // Game clock when the ship jumped, for polarization
     });
-    
-    // Show result to player ONLY if state changed or wormhole collapsed
-    if (stateChanged || outcome.newState === 'gone') {
-      this.ui.showGameResult(outcome.message, outcome.type);
-    }
-    
-    // Update displays
-    this.ui.renderActionsList();
-    
-    // Handle game over
-    if (outcome.newState === 'gone') {
-      this.ui.handleWormholeCompletion();
-    }
+    const displayedResultMass = entry.finalMass;
     
     console.log(`🎮 Game Action: ${ship.getDisplayName()} ${direction === 'A' ? 'incoming' : 'outgoing'}`);
     console.log(`  Actual mass used: ${actualMassUsed} Gg (for tracking, exact value known)`);
@@ -192,13 +219,61 @@ class GameMode extends GameModeBase {
     this.ui.processRandomEventsAfterAction();
   }
   
-  determineOutcome() {
-    const wormhole = this.ui.getCurrentWormhole();
-    const originalRange = new Wormhole(this.ui.initialWhSize, this.ui.initialWhState).getCurrentMassRange();
+  // Jumps the player made, which is what camps and event cooldowns count in
+  getPlayerJumpCount() {
+    return this.ui.committedActions.filter(entry => entry.type !== 'event').length;
+  }
+  
+  // Game minutes the hole has left: every jump and every real second spent thinking uses some up
+  getMinutesLeft(now = Date.now()) {
+    return this.lifetimeMinutes - getGameMinutesElapsed(this.getPlayerJumpCount(), now - this.startedAt);
+  }
+  
+  // Time on the game clock in ms, which polarization timers run on
+  getGameClock(now = Date.now()) {
+    return getGameMinutesElapsed(this.getPlayerJumpCount(), now - this.startedAt) * MINUTE_MS;
+  }
+  
+  isEndOfLife() {
+    return this.lifetimeMinutes !== null && this.getMinutesLeft() <= WORMHOLE_EOL_HOURS * 60;
+  }
+  
+  // Ends the game if the hole ran out of time; returns true when it did
+  checkLifetime() {
+    if (!this.ui.isTracking || this.lifetimeMinutes === null || this.ui.currentWhState === 'gone') return false;
+    if (this.getMinutesLeft() > 0) return false;
+    
+    this.expireHole();
+    return true;
+  }
+  
+  expireHole() {
+    console.log(`⌛ Wormhole expired with ${this.remainingMass} Gg still left (hidden)`);
+    this.ui.showGameResult('⌛ The wormhole died of age while the fleet was still rolling it.', 'collapse');
     
+    // Logging the gone entry ends the game through the session's 'complete'
+    this.ui.session.addEntry({
+      type: 'event',
+      eventData: { name: 'lifetime_expired', displayName: '⌛ Wormhole Died of Age', actions: [] },
+      expired: true,
+      actions: [],
+      actualMassUsed: 0,
+      remainingMass: this.remainingMass, // Mass was never the problem
+      stateChange: 'gone',
+      currentState: 'gone',
+      finalMass: { min: 0, max: 0 },
+      shipsOnFarSide: { ...this.ui.shipsOnFarSide },
+      actionsProcessed: 0,
+      totalActions: 0,
+      effects: [],
+      timestamp: Date.now()
+    });
+  }
+  
+  // currentState is the state the player last saw, which a random event moves along jump by jump
+  determineOutcome(currentState = this.ui.currentWhState) {
     // Calculate percentage of original mass remaining
     const percentRemaining = (this.remainingMass / this.initialActualMass) * 100;
-    const currentState = this.ui.currentWhState;
     
     // Determine what state the wormhole should be in based on mass remaining
     let targetState;
@@ -261,19 +336,31 @@ class GameMode extends GameModeBase {
     }
   }
   
-  initializeGame() {
-    // Reset random event flag for new game
-    this.randomEventOccurred = false;
-    console.log('🎮 New game initialized - random events are now possible (max 1 per game)');
+  initializeGame(seed = createSeed()) {
+    // Every random draw in this game comes from the seed
+    this.seed = seed;
+    this.random = createScenarioRandom(seed);
+    
+    // Reset random event caps, cooldowns and hostile interference for new game
+    this.eventHistory = createEventHistory();
+    this.interference = createInterferenceState();
+    
+    // The hole's hidden age: some games start End of Life and leave little time to think
+    const whInfo = getWormholeInfo(this.ui.selectedWormholeType);
+    this.lifetimeMinutes = rollGameLifetime(this.random.lifetime, (whInfo && whInfo.lifetime) || DEFAULT_WORMHOLE_LIFETIME);
+    this.startedAt = Date.now();
+    console.log(`🎮 New game initialized - random events are now possible (max ${MAX_RANDOM_EVENTS_PER_GAME} per game)`);
     
     // Step 1: Determine the original wormhole's full capacity (100% with variance)
-    const baseSize = this.ui.initialWhSize;
+    // A K162 union first rolls which candidate it really is (one-size holes skip the draw, so their seeds replay)
+    const sizes = getWormholeSizes(this.ui.initialWhSize);
+    const baseSize = sizes.length === 1 ? sizes[0] : sizes[Math.floor(this.random.mass.random() * sizes.length)];
     const variance = 0.1;
     const minOriginal = Math.round(baseSize * (1 - variance));
     const maxOriginal = Math.round(baseSize * (1 + variance));
     
     // Randomly select the original full capacity
-    this.originalWormholeMass = Math.floor(Math.random() * (maxOriginal - minOriginal + 1)) + minOriginal;
+    this.originalWormholeMass = Math.floor(this.random.mass.random() * (maxOriginal - minOriginal + 1)) + minOriginal;
     
     // Step 2: Based on current state, determine how much mass remains
     // This simulates unknown ships having already passed through
@@ -285,13 +372,13 @@ class GameMode extends GameModeBase {
         remainingPercent = 1.0; // 100% remaining (no ships have passed)
         break;
       case 'stable':
-        remainingPercent = 0.5 + Math.random() * 0.5; // 50-100% remaining  
+        remainingPercent = 0.5 + this.random.mass.random() * 0.5; // 50-100% remaining  
         break;
       case 'destab':
-        remainingPercent = 0.1 + Math.random() * 0.4; // 10-50% remaining
+        remainingPercent = 0.1 + this.random.mass.random() * 0.4; // 10-50% remaining
         break;
       case 'critical':
-        remainingPercent = Math.random() * 0.1; // 0-10% remaining
+        remainingPercent = this.random.mass.random() * 0.1; // 0-10% remaining
         break;
       default:
         remainingPercent = 1.0; // Default to fresh
@@ -299,6 +386,8 @@ class GameMode extends GameModeBase {
     
     // Calculate current remaining mass
     this.remainingMass = Math.floor(this.originalWormholeMass * remainingPercent);
+    this.startingRemainingMass = this.remainingMass;
+    this.gameRecorded = false;
     
     // Display information for current state (what player can see)
     const currentWormhole = this.ui.getCurrentWormhole();
@@ -309,14 +398,15 @@ class GameMode extends GameModeBase {
     const stableThreshold = Math.floor(this.originalWormholeMass * 0.5);   // 50%
     const destabThreshold = Math.floor(this.originalWormholeMass * 0.1);   // 10%
     
-    console.log(`🎮 Game Mode Initialized:`);
-    console.log(`  Wormhole Type: ${baseSize} Gg (${currentState} state)`);
+    console.log(`🎮 Game Mode Initialized (seed ${seed}):`);
+    console.log(`  Wormhole Type: ${baseSize} Gg of ${getWormholeSizeText(this.ui.initialWhSize)} (${currentState} state)`);
     console.log(`  Ship Restrictions: Up to ${this.initialWhRestriction ? WORMHOLE_RESTRICTIONS[this.initialWhRestriction] : 'Not Set'}`);
     console.log(`  Original Full Capacity: ${this.originalWormholeMass} Gg (hidden)`);
     console.log(`  Current Remaining: ${this.remainingMass} Gg (hidden)`);
     console.log(`  State Boundaries 100/50/10% = ${freshThreshold} Gg / ${stableThreshold} Gg / ${destabThreshold} Gg`);
     console.log(`  Player Sees Range: ${Math.floor(visibleRange.min)} - ${Math.floor(visibleRange.max)} Gg`);
     console.log(`  Remaining Percentage: ${Math.round(remainingPercent * 100)}% of original`);
+    console.log(`  Lifetime Left: ${this.lifetimeMinutes} game minutes (hidden)`);
     
     // Store initial values for game tracking
     this.initialActualMass = this.originalWormholeMass; // Use original for percentage calculations
@@ -343,24 +433,63 @@ function renderOptionButtons(containerId, options, formatter, defaultValue) {
   return () => selected;
 }
 
+// Optional tracker timer: how the hole looked when it was scanned
+const LIFETIME_TIMER_OPTIONS = {
+  'off': 'No Timer',
+  'fresh': 'Not EOL',
+  'eol': 'End of Life'
+};
+const TIMER_REFRESH_MS = 1000; // Lifetime and polarization countdowns
+
 // UI Controller class
 class WormholeRollingUI {
   constructor() {
-    this.committedActions = [];  // Actions that have been applied and logged
-    this.stagedActions = [];     // Actions waiting to be applied
+    // The roll itself: log, staging, state and far side fleet. This class only draws it.
+    this.session = new RollSession();
+    this.session.on('change', () => this.renderSession());
+    this.session.on('applied', entry => this.logAppliedEntry(entry));
+    this.session.on('complete', () => this.handleWormholeCompletion());
+    this.session.on('reopened', () => this.clearWormholeCompletion());
     this.getShipType = null;
     this.getShipMode = null;
     this.getWhSize = null;
     this.getWhState = null;
     this.getWhRestriction = null;
-    this.initialWhSize = null;
-    this.initialWhState = null;
-    this.initialWhRestriction = null;
-    this.initialFarSideFleet = {};  // Ships initially on far side at setup
-    this.currentWhState = null;
     this.isTracking = false;
-    this.shipsOnFarSide = {};    // Track ships that have gone to the other side
-    this.selectedWormholeType = null; // Track selected wormhole type
+    this.plannerFleet = {};      // Ships available on the home side for roll planning
+    this.sessionId = null;       // Id of the saved tracker session
+    this.holes = [];                 // Open tracker holes; the one on screen lives in the session
+    
+    // Chain map: systems and holes, each hole linked to the roll that is rolling it
+    this.chainMap = new ChainMap(typeof localStorage !== 'undefined' ? localStorage : null);
+    this.pendingChainConnection = null; // Hole picked on the map, linked once its roll starts
+    this.editingEntryIndex = null;   // Log entry currently open for editing
+    this.sessionStore = new SessionStore(typeof localStorage !== 'undefined' ? localStorage : null);
+    this.readOnly = false; // Shared roll opened from a read-only link
+    this.getWhLifetime = null;
+    this.lifetime = null;         // Lifetime timer of the hole being tracked, null when off
+    this.timerInterval = null;    // Refreshes the lifetime and polarization countdowns
+    
+    // User-defined ships are merged into SHIP_TYPES before any ship list is built
+    this.shipCatalogue = new ShipCatalogue(typeof localStorage !== 'undefined' ? localStorage : null);
+    this.shipCatalogue.apply();
+    this.editingShipKey = null;
+    
+    // Named pilots; the roll keeps its own copy so stranded pilots can still be named later
+    this.pilotRoster = new PilotRoster(typeof localStorage !== 'undefined' ? localStorage : null);
+    this.pilots = [];
+    this.editingPilotId = null;
+    
+    // Finished games: scores per scenario and replays of the hidden mass
+    this.gameHistory = new GameHistory(typeof localStorage !== 'undefined' ? localStorage : null);
+    this.replaySteps = null;
+    this.replayGame = null;
+    this.replayIndex = 0;
+    
+    // Daily challenge: the tab runs a game mode scenario rolled from today's UTC date
+    this.dailyChallenge = new DailyChallenge(typeof localStorage !== 'undefined' ? localStorage : null);
+    this.isDailyTab = false;
+    this.dailyDate = null; // Date of the daily game in progress
     
     // Mode system
     this.currentMode = null;
@@ -371,6 +500,7 @@ class WormholeRollingUI {
   init() {
     // Initialize with tracker mode by default
     this.currentMode = this.trackerMode;
+    this.session.followRegeneration = true;
     
     // Setup wormhole type dropdown first
     this.setupWormholeTypeSelection();
@@ -394,8 +524,16 @@ class WormholeRollingUI {
     // Wormhole size restrictions
     this.getWhRestriction = renderOptionButtons('wh-restriction-options', WORMHOLE_RESTRICTIONS, null, '3');
     
+    // Optional countdown from when the hole was scanned (tracker mode)
+    this.getWhLifetime = renderOptionButtons('wh-lifetime-options', LIFETIME_TIMER_OPTIONS, null, 'off');
+    
     // Far side fleet setup
     this.setupFarSideFleet();
+    this.setupShipCatalogue();
+    this.setupPilotRoster();
+    this.setupGameHistory();
+    this.setupDailyChallenge();
+    this.setupChainMap();
     
     // Add listener to restriction changes to update far side fleet and auto-select wormhole
     document.getElementById('wh-restriction-options').addEventListener('click', (e) => {
@@ -417,6 +555,11 @@ class WormholeRollingUI {
     
     this.setupEventListeners();
     this.setupModeHandlers();
+    this.renderSavedSessions();
+    
+    // Open a roll shared through the URL hash (also when a new link is pasted into this tab)
+    this.loadSharedRoll();
+    window.addEventListener('hashchange', () => this.loadSharedRoll());
     
     // Initialize mode display (hide random button for tracker mode by default)
     const randomButton = document.getElementById('random-setup');
@@ -490,6 +633,251 @@ class WormholeRollingUI {
     this.renderFarSideFleetUI();
   }
   
+  // SHIP CATALOGUE - Custom hulls with their own cold/hot mass
+  setupShipCatalogue() {
+    const sizeSelect = document.getElementById('custom-ship-size');
+    sizeSelect.innerHTML = Object.entries(WORMHOLE_RESTRICTIONS)
+      .map(([size, label]) => `<option value="${size}">Size ${size} - ${label}</option>`)
+      .join('');
+    sizeSelect.value = '3';
+    
+    document.getElementById('save-custom-ship').addEventListener('click', () => this.saveCustomShip());
+    document.getElementById('cancel-custom-ship').addEventListener('click', () => this.resetShipForm());
+    document.getElementById('custom-ship-list').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-ship]');
+      if (!button) return;
+      if (button.dataset.action === 'edit') {
+        this.editCustomShip(button.dataset.ship);
+      } else {
+        this.deleteCustomShip(button.dataset.ship);
+      }
+    });
+    
+    this.renderShipCatalogue();
+  }
+  
+  renderShipCatalogue() {
+    const list = document.getElementById('custom-ship-list');
+    const ships = this.shipCatalogue.listCustomShips();
+    
+    if (ships.length === 0) {
+      list.innerHTML = `<div class="far-side-instructions">No custom ships yet</div>`;
+      return;
+    }
+    
+    list.innerHTML = ships.map(ship => `<div class="custom-ship">`
+      + `<span class="custom-ship-info">${ship.name} • ${ship.cold} / ${ship.hot} Gg • size ${ship.size}</span>`
+      + `<button type="button" class="option-btn" data-action="edit" data-ship="${ship.key}">Edit</button>`
+      + `<button type="button" class="far-side-btn" data-action="delete" data-ship="${ship.key}" title="Delete ship">×</button>`
+      + `</div>`).join('');
+  }
+  
+  saveCustomShip() {
+    const result = this.shipCatalogue.saveShip({
+      name: document.getElementById('custom-ship-name').value,
+      cold: parseFloat(document.getElementById('custom-ship-cold').value),
+      hot: parseFloat(document.getElementById('custom-ship-hot').value),
+      size: document.getElementById('custom-ship-size').value
+    }, this.editingShipKey);
+    
+    if (result.error) {
+      document.getElementById('custom-ship-message').textContent = result.error;
+      return;
+    }
+    
+    this.resetShipForm();
+    this.refreshShipLists();
+  }
+  
+  editCustomShip(shipKey) {
+    const ship = SHIP_TYPES[shipKey];
+    if (!ship) return;
+    
+    this.editingShipKey = shipKey;
+    document.getElementById('custom-ship-name').value = ship.name;
+    document.getElementById('custom-ship-cold').value = ship.cold;
+    document.getElementById('custom-ship-hot').value = ship.hot;
+    document.getElementById('custom-ship-size').value = String(ship.size);
+    document.getElementById('save-custom-ship').textContent = 'Save Ship';
+    document.getElementById('cancel-custom-ship').style.display = 'inline-block';
+  }
+  
+  deleteCustomShip(shipKey) {
+    if (!this.shipCatalogue.deleteShip(shipKey)) return;
+    if (this.editingShipKey === shipKey) {
+      this.resetShipForm();
+    }
+    this.refreshShipLists();
+  }
+  
+  resetShipForm() {
+    this.editingShipKey = null;
+    ['custom-ship-name', 'custom-ship-cold', 'custom-ship-hot'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    document.getElementById('custom-ship-message').textContent = '';
+    document.getElementById('save-custom-ship').textContent = 'Add Ship';
+    document.getElementById('cancel-custom-ship').style.display = 'none';
+  }
+  
+  // Keep the far side fleet in step with the catalogue (new ships at 0, deleted ships dropped)
+  refreshShipLists() {
+    Object.keys(this.initialFarSideFleet).forEach(shipKey => {
+      if (!SHIP_TYPES[shipKey]) delete this.initialFarSideFleet[shipKey];
+    });
+    Object.keys(SHIP_TYPES).forEach(shipKey => {
+      if (this.initialFarSideFleet[shipKey] === undefined) this.initialFarSideFleet[shipKey] = 0;
+    });
+    
+    this.renderShipCatalogue();
+    this.renderFarSideFleetUI();
+    this.renderPilotRoster();
+    if (this.isTracking) {
+      // Mid-roll the ship buttons follow the catalogue; jumps already staged or logged keep their mass
+      this.setupShipSelection();
+      this.updatePolarizationDisplay();
+      this.renderStagedActions();
+      this.updateDisplay();
+    }
+  }
+  
+  // PILOT ROSTER - Who flies what, so jumps can be tied to a person
+  setupPilotRoster() {
+    document.getElementById('save-pilot').addEventListener('click', () => this.savePilot());
+    document.getElementById('cancel-pilot').addEventListener('click', () => this.resetPilotForm());
+    document.getElementById('pilot-list').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-pilot]');
+      if (!button) return;
+      if (button.dataset.action === 'edit') {
+        this.editPilot(button.dataset.pilot);
+      } else {
+        this.deletePilot(button.dataset.pilot);
+      }
+    });
+    document.getElementById('pilot-select').addEventListener('change', () => this.selectPilotShip());
+    
+    this.renderPilotRoster();
+  }
+  
+  renderPilotRoster() {
+    const list = document.getElementById('pilot-list');
+    const pilots = this.pilotRoster.listPilots();
+    
+    if (pilots.length === 0) {
+      list.innerHTML = `<div class="far-side-instructions">No pilots yet</div>`;
+    } else {
+      list.innerHTML = pilots.map(pilot => `<div class="custom-ship">`
+        + `<span class="custom-ship-info">${pilot.name} • ${pilot.ships.map(getRosterShipName).join(', ')}</span>`
+        + `<button type="button" class="option-btn" data-action="edit" data-pilot="${pilot.id}">Edit</button>`
+        + `<button type="button" class="far-side-btn" data-action="delete" data-pilot="${pilot.id}" title="Remove pilot">×</button>`
+        + `</div>`).join('');
+    }
+    
+    // Keep the ticked ships when the ship list is rebuilt
+    const container = document.getElementById('pilot-ship-options');
+    const checked = Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+    container.innerHTML = Object.entries(SHIP_TYPES)
+      .map(([shipKey, ship]) => `<label><input type="checkbox" value="${shipKey}" ${checked.includes(shipKey) ? 'checked' : ''}>${ship.name}</label>`)
+      .join('');
+  }
+  
+  savePilot() {
+    const ships = Array.from(document.querySelectorAll('#pilot-ship-options input:checked')).map(input => input.value);
+    const result = this.pilotRoster.savePilot({
+      name: document.getElementById('pilot-name').value,
+      ships: ships
+    }, this.editingPilotId);
+    
+    if (result.error) {
+      document.getElementById('pilot-message').textContent = result.error;
+      return;
+    }
+    
+    this.resetPilotForm();
+  }
+  
+  editPilot(pilotId) {
+    const pilot = this.pilotRoster.getPilot(pilotId);
+    if (!pilot) return;
+    
+    this.editingPilotId = pilotId;
+    document.getElementById('pilot-name').value = pilot.name;
+    document.querySelectorAll('#pilot-ship-options input').forEach(input => {
+      input.checked = pilot.ships.includes(input.value);
+    });
+    document.getElementById('save-pilot').textContent = 'Save Pilot';
+    document.getElementById('cancel-pilot').style.display = 'inline-block';
+  }
+  
+  deletePilot(pilotId) {
+    if (!this.pilotRoster.deletePilot(pilotId)) return;
+    if (this.editingPilotId === pilotId) {
+      this.resetPilotForm();
+    } else {
+      this.renderPilotRoster();
+    }
+  }
+  
+  resetPilotForm() {
+    this.editingPilotId = null;
+    document.getElementById('pilot-name').value = '';
+    document.querySelectorAll('#pilot-ship-options input').forEach(input => {
+      input.checked = false;
+    });
+    document.getElementById('pilot-message').textContent = '';
+    document.getElementById('save-pilot').textContent = 'Add Pilot';
+    document.getElementById('cancel-pilot').style.display = 'none';
+    this.renderPilotRoster();
+  }
+  
+  getCurrentPilotPositions() {
+    return getPilotPositions(this.pilots, this.committedActions, this.stagedActions);
+  }
+  
+  // Pilot picker in the action row, showing which side each pilot is on
+  renderPilotSelect() {
+    const row = document.getElementById('pilot-select-row');
+    const select = document.getElementById('pilot-select');
+    row.style.display = this.pilots.length > 0 ? 'flex' : 'none';
+    if (this.pilots.length === 0) return;
+    
+    const positions = this.getCurrentPilotPositions();
+    const pilotHoles = getPilotHoles(this.getOpenHoles().filter(hole => hole.sessionId !== this.sessionId));
+    const current = select.value;
+    select.innerHTML = `<option value="">No pilot</option>`
+      + this.pilots.map(pilot => {
+        const position = positions[pilot.id];
+        let side = position.side === 'far'
+          ? `far side${position.ship ? ` in ${SHIP_TYPES[position.ship] ? SHIP_TYPES[position.ship].name : position.ship}` : ''}`
+          : 'home';
+        if (position.side === 'home' && pilotHoles[pilot.id]) {
+          side = `beyond ${pilotHoles[pilot.id].label}`;
+        }
+        const label = `${pilot.name} (${side})`;
+        return `<option value="${pilot.id}" data-label="${label}">${label}</option>`;
+      }).join('');
+    select.value = this.pilots.some(pilot => pilot.id === current) ? current : '';
+    this.updatePolarizationDisplay();
+  }
+  
+  // Picking a pilot selects the ship they are in, or one they fly
+  selectPilotShip() {
+    const pilot = this.pilots.find(p => p.id === document.getElementById('pilot-select').value);
+    if (!pilot) return;
+    
+    const position = this.getCurrentPilotPositions()[pilot.id];
+    const shipKey = position.ship || (pilot.ships.includes(this.getShipType()) ? this.getShipType() : pilot.ships[0]);
+    const button = document.querySelector(`#ship-type-options [data-value="${shipKey}"]`);
+    if (button && !button.disabled) {
+      button.click();
+    }
+  }
+  
+  getPilotText(action) {
+    const pilot = action.pilotId ? this.pilots.find(p => p.id === action.pilotId) : null;
+    return pilot ? ` <span class="action-pilot">• ${pilot.name}</span>` : '';
+  }
+  
   setupWormholeTypeSelection() {
     const select = document.getElementById('wormhole-type-select');
     const info = document.getElementById('wormhole-info');
@@ -500,15 +888,16 @@ class WormholeRollingUI {
     // Get all wormhole codes and sort them
     const allCodes = getAllWormholeCodes();
     
-    // Add regular wormholes
+    // Add regular wormholes, and K162 which is worked out from the classes on both sides
     allCodes.forEach(code => {
-      if (code !== 'K162' && code !== '⛮') { // Skip special wormholes for selection
+      if (code !== '⛮') { // Skip the Drifter hole for selection
         const option = document.createElement('option');
         option.value = code;
-        option.textContent = code;
+        option.textContent = code === 'K162' ? 'K162 (work out origin)' : code;
         select.appendChild(option);
       }
     });
+    this.setupK162Resolver();
     
     // Add event listener for selection changes
     select.addEventListener('change', (e) => {
@@ -520,6 +909,15 @@ class WormholeRollingUI {
   onWormholeTypeSelected(whCode) {
     this.selectedWormholeType = whCode;
     const info = document.getElementById('wormhole-info');
+    document.getElementById('k162-group').style.display = whCode === 'K162' ? 'block' : 'none';
+    
+    if (whCode === 'K162') {
+      // Rolled as one of its possible origins once the classes are in
+      this.selectedWormholeType = null;
+      info.textContent = 'Pick the class the K162 is in and the class on its far side';
+      this.renderK162Candidates();
+      return;
+    }
     
     if (!whCode) {
       info.textContent = '';
@@ -553,7 +951,7 @@ class WormholeRollingUI {
     });
     
     // Update the getter function
-    this.getWhSize = () => mass.toString();
+    this.getWhSize = () => formatWormholeSize(mass);
   }
   
   setRestrictionSelection(restriction) {
@@ -566,7 +964,83 @@ class WormholeRollingUI {
     this.getWhRestriction = () => restriction.toString();
   }
   
+  // K162 RESOLUTION - Narrow a K162 down to the holes that could have opened it
+  setupK162Resolver() {
+    const classOptions = '<option value="">Pick class...</option>'
+      + CHAIN_SYSTEM_CLASSES.map(systemClass => `<option value="${systemClass}">${systemClass}</option>`).join('');
+    ['k162-class', 'k162-far-class'].forEach(id => {
+      const select = document.getElementById(id);
+      select.innerHTML = classOptions;
+      select.addEventListener('change', () => this.renderK162Candidates());
+    });
+    
+    document.getElementById('k162-candidates').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-k162-mass]');
+      if (!button) return;
+      this.applyK162Combo(parseWormholeSize(button.dataset.k162Mass), parseInt(button.dataset.k162Restriction), button.dataset.k162Codes.split(','));
+      document.querySelectorAll('#k162-candidates button').forEach(btn => btn.classList.toggle('selected', btn === button));
+    });
+  }
+  
+  setK162Classes(k162Class, farSideClass) {
+    document.getElementById('k162-class').value = k162Class;
+    document.getElementById('k162-far-class').value = farSideClass;
+    this.renderK162Candidates();
+  }
+  
+  renderK162Candidates() {
+    const container = document.getElementById('k162-candidates');
+    const k162Class = document.getElementById('k162-class').value;
+    const farSideClass = document.getElementById('k162-far-class').value;
+    if (!k162Class || !farSideClass) {
+      container.innerHTML = '';
+      return;
+    }
+    
+    const result = resolveK162(k162Class, farSideClass);
+    if (result.candidates.length === 0) {
+      container.innerHTML = `<div class="k162-note">No wormhole type leads from ${farSideClass} into ${k162Class} - check both classes</div>`;
+      return;
+    }
+    
+    const comboButton = (label, mass, restriction, codes) => `<button type="button" class="option-btn" data-k162-mass="${formatWormholeSize(mass)}" `
+      + `data-k162-restriction="${restriction}" data-k162-codes="${codes.join(',')}">${label}</button>`;
+    
+    // The union rolls every candidate at once: its range spans them all and game mode draws which one it is
+    const union = result.union;
+    const conservative = result.conservative;
+    
+    let html = `<div class="k162-note">${result.candidates.length} possible origin${result.candidates.length === 1 ? '' : 's'}: `
+      + `${union.min}-${union.max} Gg, ships ${WORMHOLE_RESTRICTIONS[union.restriction]}</div>`;
+    html += '<div class="option-row">';
+    html += comboButton(`Most Conservative (${conservative.code})`, conservative.totalMass, conservative.restriction, [conservative.code]);
+    html += comboButton(`Union (${union.min}-${union.max} Gg)`, union.totalMass, union.restriction, union.codes);
+    html += '</div><div class="option-row">';
+    result.combos.forEach(combo => {
+      html += comboButton(`${combo.totalMass} Gg • ${combo.restrictionText} (${combo.codes.join(', ')})`, combo.totalMass, combo.restriction, combo.codes);
+    });
+    html += '</div>';
+    container.innerHTML = html;
+  }
+  
+  // Roll the K162 as the picked origin size, or every candidate size for the union; the type is only kept when there is a single candidate
+  applyK162Combo(totalMass, restriction, codes) {
+    this.setMassSelection(totalMass);
+    this.setRestrictionSelection(restriction);
+    this.selectedWormholeType = codes.length === 1 ? codes[0] : null;
+    
+    document.getElementById('wormhole-info').innerHTML = `
+      <span>K162 from ${codes.join(' / ')}</span>
+      <span>•</span>
+      <span>${getWormholeSizeText(totalMass)}</span>
+      <span>•</span>
+      <span>${WORMHOLE_RESTRICTIONS[restriction]}</span>
+    `;
+    this.renderFarSideFleetUI();
+  }
+  
   autoSelectWormholeType() {
+    document.getElementById('k162-group').style.display = 'none';
     const currentMass = parseInt(this.getWhSize());
     const currentRestriction = parseInt(this.getWhRestriction());
     
@@ -615,23 +1089,45 @@ class WormholeRollingUI {
     document.getElementById('game-mode-btn').addEventListener('click', () => {
       this.switchToMode(this.gameMode);
     });
+    
+    document.getElementById('daily-mode-btn').addEventListener('click', () => {
+      this.switchToMode(this.gameMode, true);
+    });
   }
   
-  switchToMode(newMode) {
+  switchToMode(newMode, daily = false) {
     // Always reset when switching modes (since tabs act as mode selectors)
     if (this.isTracking) {
       this.resetAll();
     }
     
     this.currentMode = newMode;
+    this.session.followRegeneration = newMode === this.trackerMode;
+    this.isDailyTab = daily;
     
     // Update tab states
     document.getElementById('tracker-mode-btn').classList.toggle('active', newMode === this.trackerMode);
-    document.getElementById('game-mode-btn').classList.toggle('active', newMode === this.gameMode);
+    document.getElementById('game-mode-btn').classList.toggle('active', newMode === this.gameMode && !daily);
+    document.getElementById('daily-mode-btn').classList.toggle('active', daily);
     
     // Update instruction content
     document.getElementById('tracker-instructions').classList.toggle('active', newMode === this.trackerMode);
-    document.getElementById('game-instructions').classList.toggle('active', newMode === this.gameMode);
+    document.getElementById('game-instructions').classList.toggle('active', newMode === this.gameMode && !daily);
+    document.getElementById('daily-instructions').classList.toggle('active', daily);
+    
+    // The daily tab replaces the setup form with today's fixed scenario
+    document.getElementById('initial-setup').classList.toggle('daily-active', daily);
+    if (daily) {
+      this.renderDailyChallenge();
+    }
+    
+    // Scores, replays and seeds only exist for games
+    document.getElementById('game-history').style.display = newMode === this.gameMode ? 'block' : 'none';
+    document.getElementById('seed-row').style.display = newMode === this.gameMode ? 'flex' : 'none';
+    document.getElementById('chain-map').style.display = newMode === this.trackerMode ? 'block' : 'none';
+    
+    // Game mode keeps the hole's age hidden
+    document.getElementById('lifetime-group').style.display = newMode === this.trackerMode ? 'block' : 'none';
     
     // Show/hide random button based on mode (only for game mode)
     const randomButton = document.getElementById('random-setup');
@@ -667,86 +1163,73 @@ class WormholeRollingUI {
     }, 4000);
   }
   
-  randomizeSetup() {
-    // Randomly select a wormhole type from the database
-    const allCodes = Object.keys(WORMHOLE_DATA);
-    const randomCode = allCodes[Math.floor(Math.random() * allCodes.length)];
-    const whInfo = getWormholeInfo(randomCode);
-    
-    // Randomly select initial state (exclude 'gone' as that's not valid for starting)
-    const initialStates = ['fresh', 'stable', 'destab', 'critical'];
-    const randomState = initialStates[Math.floor(Math.random() * initialStates.length)];
+  // Seed typed into the setup form, or null (with a message) when it is empty or invalid
+  readSeedInput() {
+    const input = document.getElementById('game-seed');
+    const message = document.getElementById('seed-message');
+    if (!input.value.trim()) {
+      message.textContent = '';
+      return null;
+    }
     
+    const seed = normalizeSeed(input.value);
+    if (seed && !isSeedOpen(seed)) {
+      message.textContent = `The ${seed.slice('daily:'.length)} daily challenge can be replayed once that day is over`;
+      return null;
+    }
+    message.textContent = seed ? '' : 'Seeds are up to 32 letters, digits or dashes, or daily:YYYY-MM-DD';
+    return seed;
+  }
+  
+  randomizeSetup(seed = createSeed()) {
+    // The seed box keeps the seed so the game started from this setup uses it too
+    document.getElementById('game-seed').value = seed;
+    document.getElementById('seed-message').textContent = '';
+    const scenario = rollScenarioSetup(createScenarioRandom(seed).setup);
+    this.applyScenarioSetup(scenario);
+    
+    const whInfo = getWormholeInfo(scenario.wormholeCode);
+    console.log(`Random setup (seed ${seed}): ${scenario.wormholeCode} (${whInfo.totalMass} Gg, ${whInfo.restrictionText}, → ${whInfo.destination}) in ${scenario.initialWhState} state`);
+  }
+  
+  // Fill the setup form from a rolled scenario: wormhole type, starting state and far side fleet
+  applyScenarioSetup(scenario) {
     // Update wormhole type dropdown
     const select = document.getElementById('wormhole-type-select');
-    select.value = randomCode;
-    this.onWormholeTypeSelected(randomCode);
+    select.value = scenario.wormholeCode;
+    this.onWormholeTypeSelected(scenario.wormholeCode);
     
     // Update state selection
     const stateButtons = document.querySelectorAll('#wh-state-options .option-btn');
     stateButtons.forEach(btn => btn.classList.remove('selected'));
     
     stateButtons.forEach(btn => {
-      if (btn.dataset.value === randomState) {
+      if (btn.dataset.value === scenario.initialWhState) {
         btn.click();
       }
     });
     
-    // Randomize far side fleet based on the wormhole's restriction
-    this.randomizeFarSideFleet(whInfo.restriction);
-    
-    console.log(`Random setup: ${randomCode} (${whInfo.totalMass} Gg, ${whInfo.restrictionText}, → ${whInfo.destination}) in ${randomState} state`);
-  }
-  
-  randomizeFarSideFleet(restrictionLevel) {
-    // Reset all ships to 0
     Object.keys(SHIP_TYPES).forEach(shipKey => {
-      this.initialFarSideFleet[shipKey] = 0;
-    });
-    
-    // For each valid ship type (respecting size restrictions)
-    Object.entries(SHIP_TYPES).forEach(([shipKey, ship]) => {
-      if (ship.size <= restrictionLevel) {
-        // 75% chance of 0, 25% chance of 1-5
-        const roll = Math.random();
-        if (roll > 0.75) { // 25% chance of non-zero
-          this.initialFarSideFleet[shipKey] = Math.floor(Math.random() * 5) + 1; // 1-5
-        }
-      }
+      this.initialFarSideFleet[shipKey] = scenario.farSideFleet[shipKey] || 0;
     });
     
-    // Update the UI to reflect random far side fleet
+    // Update the UI to reflect the far side fleet
     this.renderFarSideFleetUI();
     
-    // Log the random fleet for debugging
     const fleetSummary = this.getShipsOnFarSideDescription(this.initialFarSideFleet);
-    if (fleetSummary) {
-      console.log(`Random far side fleet: ${fleetSummary}`);
-    } else {
-      console.log('Random far side fleet: None');
-    }
+    console.log(`Far side fleet: ${fleetSummary || 'None'}`);
   }
   
   // Random Events System for Game Mode
-  checkForRandomEvents() {
-    if (!RANDOM_EVENTS || this.currentMode !== this.gameMode) {
-      return [];
-    }
-    
-    // Only allow one random event per game
-    if (this.gameMode.randomEventOccurred) {
-      console.log('🎲 Random event check: Blocked - one event already occurred this game');
-      return [];
-    }
-    
-    const triggeredEvents = [];
-    RANDOM_EVENTS.forEach(event => {
-      if (Math.random() < event.probability) {
-        triggeredEvents.push(event);
-      }
-    });
-    
-    return triggeredEvents;
+  // Game state the event conditions are checked against, right after a player jump
+  getRandomEventContext() {
+    return {
+      state: this.currentWhState,
+      restriction: this.initialWhRestriction,
+      jumps: this.gameMode.getPlayerJumpCount(),
+      massPercent: (this.gameMode.remainingMass / this.gameMode.initialActualMass) * 100,
+      shipsOnFarSide: Object.values(this.shipsOnFarSide).reduce((sum, count) => sum + count, 0)
+    };
   }
   
   processRandomEventsAfterAction() {
@@ -754,34 +1237,19 @@ class WormholeRollingUI {
     if (this.currentMode !== this.gameMode || this.gameMode.remainingMass <= 0) {
       return;
     }
-
-    const randomEvents = this.checkForRandomEvents();
-    
-    if (randomEvents.length > 0) {
-      // Filter out events that have ships exceeding wormhole restrictions
-      const currentRestriction = this.initialWhRestriction;
-      const validEvents = randomEvents.filter(event => {
-        // Check if all actions in the event have ships that fit through the wormhole
-        return event.actions.every(action => {
-          const shipData = SHIP_TYPES[action.shipType];
-          return shipData && shipData.size <= currentRestriction;
-        });
-      });
-      
-      if (validEvents.length > 0) {
-        // Randomly select one of the valid events (instead of taking the first)
-        const randomIndex = Math.floor(Math.random() * validEvents.length);
-        this.processRandomEventAsAction(validEvents[randomIndex]);
-      } else {
-        console.log('🎲 Random events triggered but all ships too large for wormhole restrictions');
-      }
+    
+    const event = pickRandomEvent(RANDOM_EVENTS, this.getRandomEventContext(), this.gameMode.eventHistory, this.gameMode.random.events);
+    if (event) {
+      this.processRandomEventAsAction(event);
     }
-  }  processRandomEventAsAction(event) {
+  }
+  
+  processRandomEventAsAction(event) {
     console.log(`\n🎲 Random Event Triggered: ${event.displayName}`);
     
-    // Mark that a random event has occurred this game
-    this.gameMode.randomEventOccurred = true;
-    console.log('🎲 Random event limit: This was the one allowed event for this game');
+    // Count it against the event's cap and start its cooldown
+    const context = this.getRandomEventContext();
+    this.gameMode.eventHistory = recordRandomEvent(this.gameMode.eventHistory, event.name, context.jumps);
     
     const processedActions = [];
     let totalMassImpact = 0;
@@ -789,19 +1257,19 @@ class WormholeRollingUI {
     let eventCompleted = false;
     let eventStateChange = 'no-change'; // Track the overall state change for the event
     let eventStateChangeMessage = '';
-    const initialState = this.currentWhState; // Remember initial state
+    let eventState = this.currentWhState; // State the player sees as the event's jumps go through
     
     // Process each action in the event sequentially
     for (let i = 0; i < event.actions.length; i++) {
       const eventAction = event.actions[i];
       
       // Check if wormhole is still open before processing this action
-      if (this.currentWhState === 'gone') {
+      if (eventState === 'gone') {
         console.log(`  Action ${i + 1} skipped: Wormhole already collapsed`);
         break;
       }
       
-      console.log(`  Processing action ${i + 1}/${event.actions.length}: ${SHIP_TYPES[eventAction.shipType]?.name || eventAction.shipType} ${eventAction.direction}`);
+      console.log(`  Processing action ${i + 1}/${event.actions.length}: ${SHIP_TYPES[eventAction.ship]?.name || eventAction.ship} ${eventAction.direction}`);
       
       // Create ship for this specific action
       const eventShip = this.createEventShip(eventAction);
@@ -809,7 +1277,7 @@ class WormholeRollingUI {
       
       // Create action and get mass impact
       const action = new Action(eventShip, direction);
-      const massImpact = eventAction.getMassImpact();
+      const massImpact = rollEventMass(eventAction, this.gameMode.random.events);
       totalMassImpact += massImpact;
       
       // Apply mass reduction to hidden mass
@@ -819,8 +1287,7 @@ class WormholeRollingUI {
       const displayedResultMass = action.applyToMass(currentDisplayedMass);
       
       // Apply state boundaries to displayed mass (same as normal actions)
-      const currentWormhole = this.getCurrentWormhole();
-      const stateBoundaries = currentWormhole.getStateBoundaries();
+      const stateBoundaries = new Wormhole(this.initialWhSize, eventState).getStateBoundaries();
       displayedResultMass.min = Math.max(displayedResultMass.min, stateBoundaries.min);
       displayedResultMass.max = Math.min(displayedResultMass.max, stateBoundaries.max);
       displayedResultMass.min = Math.min(displayedResultMass.min, displayedResultMass.max);
@@ -829,11 +1296,11 @@ class WormholeRollingUI {
       currentDisplayedMass = displayedResultMass;
       
       // Determine outcome using same logic as normal actions (after each action)
-      const outcome = this.gameMode.determineOutcome();
+      const outcome = this.gameMode.determineOutcome(eventState);
       
       // Update current state if it changed
       if (outcome.newState !== 'no-change') {
-        this.currentWhState = outcome.newState;
+        eventState = outcome.newState;
         console.log(`    Action ${i + 1} outcome: ${outcome.message}`);
         
         // Track the most significant state change for the overall event
@@ -862,25 +1329,38 @@ class WormholeRollingUI {
       }
     }
     
-    // Add to committed actions (visible to player like normal action)
-    const farSideSnapshot = { ...this.shipsOnFarSide };
-    const finalOutcome = processedActions.length > 0 ? processedActions[processedActions.length - 1].outcome : { newState: 'no-change', message: 'No change' };
-    
-    this.committedActions.push({
-      type: 'event',
-      actions: processedActions.map(pa => pa.action),
-      eventData: event,
-      actualMassUsed: totalMassImpact,
-      remainingMass: this.gameMode.remainingMass,
-      outcome: finalOutcome,
-      stateChange: eventStateChange, // Use the tracked overall state change
-      currentState: this.currentWhState,
-      finalMass: currentDisplayedMass, // Player sees this final progressive mass
-      shipsOnFarSide: farSideSnapshot,
-      timestamp: Date.now(),
-      actionsProcessed: processedActions.length,
-      totalActions: event.actions.length
-    });
+    // Hostile interference once the event's jumps are through
+    const effectResults = [];
+    if (eventState !== 'gone' && event.effects) {
+      event.effects.forEach(effect => {
+        const applied = applyEventEffect(effect, {
+          jumps: context.jumps,
+          gameTime: this.gameMode.getGameClock(),
+          remainingMass: this.gameMode.remainingMass,
+          initialActualMass: this.gameMode.initialActualMass,
+          shipsOnFarSide: this.shipsOnFarSide,
+          interference: this.gameMode.interference
+        }, this.gameMode.random.events);
+        this.gameMode.remainingMass = applied.remainingMass;
+        this.gameMode.interference = applied.interference;
+        effectResults.push(applied.result);
+        console.log(`  Effect: ${describeEventEffect(applied.result)}`);
+      });
+      
+      // A crit shows as a state change, but the player only learns the mass is somewhere in the critical range
+      const outcome = this.gameMode.determineOutcome(eventState);
+      if (outcome.newState !== 'no-change') {
+        eventState = outcome.newState;
+        if (eventStateChange === 'no-change') {
+          eventStateChange = outcome.newState;
+        }
+        const stateBoundaries = new Wormhole(this.initialWhSize, eventState).getStateBoundaries();
+        currentDisplayedMass = {
+          min: stateBoundaries.min,
+          max: Math.max(stateBoundaries.min, Math.min(currentDisplayedMass.max, stateBoundaries.max))
+        };
+      }
+    }
     
     // Show final result to player
     console.log(`  Total event mass impact: ${totalMassImpact} Gg`);
@@ -896,44 +1376,42 @@ class WormholeRollingUI {
       console.log(`  Ships on Far Side: Unable to determine (method missing)`);
     }
     
-    // Handle wormhole collapse from event
-    if (this.currentWhState === 'gone') {
+    if (eventState === 'gone') {
       console.log(`  🚨 Random event caused wormhole collapse - triggering completion`);
-      // Update UI to show the event BEFORE triggering completion
-      this.renderActionsList();
-      this.handleWormholeCompletion();
-      return; // Don't update UI after completion
     }
     
-    // Update the UI to show the new mass ranges
-    this.renderActionsList();
+    // Add to the log (visible to player like normal action). Event ships never count as ours on the far side,
+    // and a collapse ends the game through the session's 'complete' once the event shows in the log.
+    const farSideSnapshot = { ...this.shipsOnFarSide };
+    const finalOutcome = processedActions.length > 0 ? processedActions[processedActions.length - 1].outcome : { newState: 'no-change', message: 'No change' };
+    
+    this.session.addEntry({
+      type: 'event',
+      actions: processedActions.map(pa => pa.action),
+      eventData: event,
+      actualMassUsed: totalMassImpact,
+      remainingMass: this.gameMode.remainingMass,
+      outcome: finalOutcome,
+      stateChange: eventStateChange, // Use the tracked overall state change
+      currentState: eventState,
+      finalMass: currentDisplayedMass, // Player sees this final progressive mass
+      shipsOnFarSide: farSideSnapshot,
+      timestamp: Date.now(),
+      actionsProcessed: processedActions.length,
+      totalActions: event.actions.length,
+      effects: effectResults
+    });
   }
   
   createEventShip(eventAction) {
-    // Extract ship type from individual action
-    const shipType = eventAction.shipType;
-    const shipData = SHIP_TYPES[shipType];
-    
-    if (!shipData) {
-      // Fallback for unknown ship types
-      return {
-        type: 'cruiser',
-        mode: 'unknown',
-        getMass: () => ({
-          min: SHIP_TYPES.cruiser.cold,
-          max: SHIP_TYPES.cruiser.hot
-        }),
-        getDisplayName: () => 'Event Ship (Hidden)'
-      };
-    }
+    // The player only sees the range the event mass is drawn from
+    const shipData = SHIP_TYPES[eventAction.ship];
+    const massRange = getEventMassRange(eventAction);
     
     return {
-      type: shipType,
+      type: eventAction.ship,
       mode: 'unknown', // Unknown mass like player actions
-      getMass: () => ({
-        min: shipData.cold,
-        max: shipData.hot
-      }),
+      getMass: () => ({ ...massRange }),
       getDisplayName: () => `Event ${shipData.name} (Hidden)`
     };
   }  logAction(actionData) {
@@ -960,6 +1438,12 @@ class WormholeRollingUI {
       this.randomizeSetup();
     });
     
+    // Rebuild the setup someone else shared by seed
+    document.getElementById('load-seed').addEventListener('click', () => {
+      const seed = this.readSeedInput();
+      if (seed) this.randomizeSetup(seed);
+    });
+    
     // Reset button
     document.getElementById('reset-all').addEventListener('click', () => {
       this.resetCurrentMode();
@@ -988,7 +1472,71 @@ class WormholeRollingUI {
     });
     
     // Game mode uses incoming/outgoing buttons directly - no separate send button needed
-  }
+    
+    // Share links
+    document.getElementById('copy-share-link').addEventListener('click', () => {
+      if (this.isTracking) this.copyShareLink(false);
+    });
+    document.getElementById('copy-readonly-link').addEventListener('click', () => {
+      if (this.isTracking) this.copyShareLink(true);
+    });
+    document.getElementById('edit-shared-copy').addEventListener('click', () => {
+      this.editSharedCopy();
+    });
+    
+    // Log export / import
+    document.getElementById('export-text').addEventListener('click', () => {
+      if (this.isTracking) this.copyLogAsText();
+    });
+    document.getElementById('export-csv').addEventListener('click', () => {
+      if (this.isTracking) this.downloadExport('csv', exportRollCsv(this), 'text/csv');
+    });
+    document.getElementById('export-json').addEventListener('click', () => {
+      if (this.isTracking) this.downloadExport('json', exportRollJson(this), 'application/json');
+    });
+    document.getElementById('import-log').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => this.importLog(reader.result);
+      reader.readAsText(file);
+      e.target.value = '';
+    });
+    
+    // Undo / redo and log entry editing (tracker mode)
+    document.getElementById('undo-entry').addEventListener('click', () => {
+      if (this.isTracking) this.undoLogChange();
+    });
+    document.getElementById('redo-entry').addEventListener('click', () => {
+      if (this.isTracking) this.redoLogChange();
+    });
+    document.getElementById('hole-tabs').addEventListener('click', (e) => {
+      const tab = e.target.closest('.hole-tab');
+      if (!tab) return;
+      if (tab.dataset.holeAction === 'add') {
+        if (this.isTracking) this.addHole();
+      } else {
+        this.switchHole(tab.dataset.hole);
+      }
+    });
+    document.getElementById('lifetime-display').addEventListener('click', (e) => {
+      if (e.target.classList.contains('mark-eol-btn') && this.isTracking) this.markHoleEol();
+    });
+    document.getElementById('actions-list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-log-action]');
+      if (button && this.isTracking) this.handleLogTool(button);
+    });
+    document.getElementById('actions-list').addEventListener('change', (e) => {
+      if (e.target.classList.contains('log-state-select') && this.isTracking) {
+        this.updateLogEntry(parseInt(e.target.dataset.entry), { stateChange: e.target.value });
+      }
+    });
+    
+    // Roll planner (tracker mode)
+    document.getElementById('plan-roll').addEventListener('click', () => {
+      if (this.isTracking) this.renderRollPlan();
+    });
+  }
   
   // ACTION PROCESSING - Different behavior for Tracker vs Game mode
   stageAction(direction) {
@@ -1013,39 +1561,96 @@ class WormholeRollingUI {
         return;
       }
     } else {
-      ship = new Ship(this.getShipType(), shipMode);
+      ship = new Ship(this.getShipType(), shipMode, this.getShipModifiers());
+    }
+    
+    // The game refuses a jump over the hole's mass limit, prop and Higgs included
+    const jumpCheck = this.session.checkJump(ship);
+    if (jumpCheck.verdict === 'reject') {
+      if (this.currentMode === this.gameMode) {
+        this.showGameResult(jumpCheck.message, 'error');
+      } else {
+        this.showApplyMessage(jumpCheck.message);
+      }
+      return;
+    }
+    
+    // Jumps flown by a roster pilot must be possible from where that pilot is
+    const pilotId = this.pilots.length > 0 ? document.getElementById('pilot-select').value || null : null;
+    if (pilotId) {
+      const pilot = this.pilots.find(p => p.id === pilotId);
+      const moveError = validatePilotMove(pilot, this.getCurrentPilotPositions()[pilotId], direction, ship)
+        || validatePilotHole(pilot, this.sessionId, this.getOpenHoles());
+      if (moveError) {
+        if (this.currentMode === this.gameMode) {
+          this.showGameResult(moveError, 'error');
+        } else {
+          this.showApplyMessage(moveError);
+        }
+        return;
+      }
     }
     
     // Delegate to current mode - tracker stages, game processes immediately
-    this.currentMode.handleAddAction(direction, ship);
+    this.currentMode.handleAddAction(direction, ship, pilotId);
   }
   
   renderStagedActions() {
+    this.renderPilotSelect();
+    
     const list = document.getElementById('staged-actions-list');
     if (this.stagedActions.length === 0) {
       list.innerHTML = '<em>No actions staged</em>';
       return;
     }
     
+    const risks = this.assessStagedActions();
+    const now = Date.now();
+    const polarized = getPolarizedActions(this.stagedActions, this.getPolarization(), now);
+    
     let html = '';
     this.stagedActions.forEach((action, index) => {
+      const risk = risks[index];
+      const polarizedItem = polarized.find(item => item.index === index);
+      const critText = this.currentWhState === 'critical' ? 'already crit' : `crit ${this.formatRiskPercent(risk.critChance)}`;
       html += `<div class="staged-action">`
         + `${index + 1}. ${action.getDirectionText()} - `
         + `${action.ship.getDisplayName()} ${action.ship.getMassText()}`
+        + this.getPilotText(action)
+        + `<span class="risk-badge risk-${risk.verdict}" title="Round trip verdict - ${risk.shipsOnFarSide} ship(s) on far side after this jump, stranding ${this.formatRiskPercent(risk.roundTripStrandChance)} until everyone is back${risk.returnImplied ? ' (return not staged yet, assumed at the same mass)' : ''}">`
+        + `${RISK_VERDICTS[risk.verdict]}: collapse ${this.formatRiskPercent(risk.collapseChance)}, ${critText}`
+        + `</span>`
+        + (polarizedItem ? `<span class="polarized-badge" data-until="${now + polarizedItem.msLeft}" title="This ship is still polarized">⏱ polarized ${formatCountdown(polarizedItem.msLeft)}</span>` : '')
         + `</div>`;
     });
     list.innerHTML = html;
   }
   
+  assessStagedActions() {
+    // Collapse/crit chances for the staged jumps, assuming a uniform spread over the current range
+    const calculator = new JumpRiskCalculator(this.initialWhSize, this.currentWhState);
+    const farSideCount = Object.values(this.shipsOnFarSide).reduce((sum, count) => sum + count, 0);
+    return calculator.assessSequence(this.calculateCurrentMass(), this.stagedActions, farSideCount);
+  }
+  
+  formatRiskPercent(chance) {
+    if (chance > 0 && chance < 0.001) return '<0.1%';
+    return `${(chance * 100).toFixed(1)}%`;
+  }
+  
+  getMaxJumpMass() {
+    return this.session.getMaxJumpMass();
+  }
+  
   getCurrentWormhole() {
-    return new Wormhole(this.initialWhSize, this.currentWhState);
+    return new Wormhole(this.initialWhSize, this.currentWhState, 'fresh', this.isHoleEndOfLife());
   }
   
   getShipsOnFarSideDescription(shipsObj) {
     const shipCounts = [];
     Object.entries(shipsObj).forEach(([shipKey, count]) => {
       if (count > 0) {
-        const shipName = SHIP_TYPES[shipKey].name;
+        const shipName = getRosterShipName(shipKey);
         shipCounts.push(count === 1 ? shipName : `${count}x ${shipName}`);
       }
     });
@@ -1054,75 +1659,31 @@ class WormholeRollingUI {
   
   // APPLY FUNCTIONS - Process staged actions and update state
   applyStaging(stateChange) {
-    if (this.stagedActions.length === 0) {
-      this.showApplyMessage('No actions to apply');
+    const result = this.session.apply(stateChange);
+    if (result.error) {
+      this.showApplyMessage(result.error);
       return;
     }
     
-    // Calculate current mass before applying staged actions
-    let currentMass = this.calculateCurrentMass();
-    
-    // Apply all staged actions without state boundaries (raw calculation)
-    const appliedActions = [...this.stagedActions];
-    
-    appliedActions.forEach(action => {
-      // Apply action without state boundaries - just raw mass subtraction
-      currentMass = action.applyToMass(currentMass, null);
-    });
-    
-    // Determine final state after all actions
-    let finalState = this.currentWhState;
-    if (stateChange !== 'no-change') {
-      finalState = stateChange;
-      this.currentWhState = stateChange;
-    }
-    
-    // Apply final state boundaries to the result
-    const finalWormhole = new Wormhole(this.initialWhSize, finalState);
-    const stateBoundaries = finalWormhole.getStateBoundaries();
-    currentMass.min = Math.max(currentMass.min, stateBoundaries.min);
-    currentMass.max = Math.min(currentMass.max, stateBoundaries.max);
-    currentMass.min = Math.min(currentMass.min, currentMass.max);
-    
-    // Create log entry with all the staged actions and final result
-    this.commitStagingToLog(appliedActions, stateChange, currentMass);
-    
-    // Clear staging
-    this.stagedActions = [];
-    this.renderStagedActions();
-    this.renderActionsList();
-    this.updateApplyButtonStates();
-    
-    const actionCount = appliedActions.length;
     const stateText = stateChange === 'no-change' ? 'no state change' : 
                      stateChange === 'destab' ? 'destabilized' : 
                      stateChange === 'critical' ? 'critical' : 
                      stateChange === 'gone' ? 'wormhole gone' : stateChange;
-    this.showApplyMessage(`✓ Applied ${actionCount} action(s) with ${stateText}`);
-    
-    // Handle wormhole completion
-    if (stateChange === 'gone') {
-      this.handleWormholeCompletion();
-    }
+    this.showApplyMessage(`✓ Applied ${result.entry.actions.length} action(s) with ${stateText}`);
   }
   
-  calculateCurrentMass() {
-    let currentState = this.initialWhState;
-    let currentMass = new Wormhole(this.initialWhSize, currentState).getCurrentMassRange();
-    
-    // Apply all committed actions with proper state tracking
-    this.committedActions.forEach(entry => {
-      // For each entry, we should use the final mass from that entry
-      // instead of recalculating, since we already stored the correct result
-      if (entry.finalMass) {
-        currentMass = entry.finalMass;
-      }
-      if (entry.stateChange && entry.stateChange !== 'no-change') {
-        currentState = entry.stateChange;
-      }
-    });
-    
-    return currentMass;
+  // Remaining range now, regeneration since the last entry included
+  calculateCurrentMass(now = Date.now()) {
+    return this.session.getMassRange(now);
+  }
+  
+  // Gg per hour the hole regains; only the tracker follows real time
+  getMassRegeneration() {
+    return this.session.getMassRegeneration();
+  }
+  
+  getLoggedMass() {
+    return this.session.getLoggedMass();
   }
   
   applyStateChange(currentMass, newState) {
@@ -1137,71 +1698,95 @@ class WormholeRollingUI {
     };
   }
   
-  commitStagingToLog(actions, stateChange, finalMass) {
-    // Calculate total passed mass for this entry and track ships on far side
-    let entryPassedMass = 0;
-    actions.forEach(action => {
-      const shipMass = action.ship.getMass();
-      // For unknown mode, use the average of min/max for passed mass calculation
-      if (shipMass.min === shipMass.max) {
-        entryPassedMass += shipMass.min;
-      } else {
-        entryPassedMass += (shipMass.min + shipMass.max) / 2;
-      }
-      
-      // Track ships going to the far side (outgoing direction 'B')
-      if (action.direction === 'B' && action.ship.type) {
-        const shipKey = action.ship.type;
-        this.shipsOnFarSide[shipKey] = (this.shipsOnFarSide[shipKey] || 0) + 1;
-      }
-      // Track ships coming back from far side (incoming direction 'A')
-      else if (action.direction === 'A' && action.ship.type) {
-        const shipKey = action.ship.type;
-        if (this.shipsOnFarSide[shipKey] && this.shipsOnFarSide[shipKey] > 0) {
-          this.shipsOnFarSide[shipKey]--;
-          if (this.shipsOnFarSide[shipKey] === 0) {
-            delete this.shipsOnFarSide[shipKey];
-          }
-        }
-      }
-    });
-    
-    // Calculate total passed mass so far
-    const previousTotal = this.committedActions.reduce((total, entry) => total + (entry.passedMass || 0), 0);
-    const totalPassedMass = previousTotal + entryPassedMass;
-    
-    // Create a snapshot of current ships on far side
-    const farSideSnapshot = { ...this.shipsOnFarSide };
+  logAppliedEntry(entry) {
+    // Console logging for tracker mode - game mode logs its jumps itself, with the hidden mass
+    if (this.currentMode !== this.trackerMode) return;
     
-    const entry = {
-      actions: actions,
-      stateChange: stateChange,
-      currentState: this.currentWhState, // Current state after this entry
-      finalMass: finalMass,
-      passedMass: entryPassedMass,
-      totalPassedMass: totalPassedMass,
-      shipsOnFarSide: farSideSnapshot,
-      timestamp: Date.now()
-    };
-    
-    // Console logging for tracker mode
-    const actionDescriptions = actions.map(action => 
+    const actionDescriptions = entry.actions.map(action => 
       `${action.ship.getDisplayName()} ${action.direction === 'A' ? 'incoming' : 'outgoing'}`
     ).join(', ');
+    const stateChange = entry.stateChange;
     const stateText = stateChange === 'no-change' ? 'no state change' : 
                      stateChange === 'destab' ? 'destabilized' : 
                      stateChange === 'critical' ? 'critical' : 
                      stateChange === 'gone' ? 'wormhole gone' : stateChange;
     console.log(`📊 Tracker Actions Applied: ${actionDescriptions}`);
-    console.log(`  Result: ${Math.round(finalMass.min)} - ${Math.round(finalMass.max)} Gg, ${stateText}`);
-    console.log(`  Passed mass this batch: ${Math.round(entryPassedMass)} Gg`);
-    console.log(`  Total passed mass: ${Math.round(totalPassedMass)} Gg`);
+    console.log(`  Result: ${Math.round(entry.finalMass.min)} - ${Math.round(entry.finalMass.max)} Gg, ${stateText}`);
+    console.log(`  Passed mass this batch: ${Math.round(entry.passedMass)} Gg`);
+    console.log(`  Total passed mass: ${Math.round(entry.totalPassedMass)} Gg`);
     
     // Log ships on far side after tracker batch
-    const trackerFarSideDescription = this.getShipsOnFarSideDescription(farSideSnapshot);
+    const trackerFarSideDescription = this.getShipsOnFarSideDescription(entry.shipsOnFarSide);
     console.log(`  Ships on Far Side: ${trackerFarSideDescription || 'None'}`);
-    
-    this.committedActions.push(entry);
+  }
+  
+  // LOG EDITING - Undo/redo, edit and delete committed entries
+  handleLogTool(button) {
+    const entryIndex = parseInt(button.dataset.entry);
+    switch (button.dataset.logAction) {
+      case 'edit':
+        this.editingEntryIndex = entryIndex;
+        this.renderActionsList();
+        break;
+      case 'done':
+        this.editingEntryIndex = null;
+        this.renderActionsList();
+        break;
+      case 'delete':
+        this.deleteLogEntry(entryIndex);
+        break;
+      case 'remove-action': {
+        const actions = this.committedActions[entryIndex].actions.filter((action, index) => index !== parseInt(button.dataset.actionIndex));
+        if (actions.length === 0) {
+          this.deleteLogEntry(entryIndex);
+        } else {
+          this.updateLogEntry(entryIndex, { actions: actions });
+        }
+        break;
+      }
+    }
+  }
+  
+  updateLogEntry(entryIndex, changes) {
+    this.session.updateEntry(entryIndex, changes);
+  }
+  
+  deleteLogEntry(entryIndex) {
+    this.editingEntryIndex = null;
+    this.session.deleteEntry(entryIndex);
+  }
+  
+  undoLogChange() {
+    if (!this.history.canUndo()) return;
+    this.editingEntryIndex = null;
+    this.session.undo();
+    this.showApplyMessage('↶ Undone');
+  }
+  
+  redoLogChange() {
+    if (!this.history.canRedo()) return;
+    this.editingEntryIndex = null;
+    this.session.redo();
+    this.showApplyMessage('↷ Redone');
+  }
+  
+  // Recompute every entry from the initial setup; the session's events bring the UI in line
+  replayCommittedActions() {
+    this.session.replay();
+  }
+  
+  // Redraw everything that shows the session after it changed
+  renderSession() {
+    this.renderStagedActions();
+    this.renderActionsList();
+    this.updateApplyButtonStates();
+    this.updateHistoryButtons();
+    this.saveSession();
+  }
+  
+  updateHistoryButtons() {
+    document.getElementById('undo-entry').disabled = !this.history.canUndo();
+    document.getElementById('redo-entry').disabled = !this.history.canRedo();
   }
   
   showApplyMessage(message) {
@@ -1220,10 +1805,13 @@ class WormholeRollingUI {
     const criticalBtn = document.getElementById('apply-critical');
     const goneBtn = document.getElementById('apply-gone');
     
-    // Reset all buttons to enabled
+    // Reset all buttons to enabled (undo can move the state backwards)
     destabBtn.disabled = false;
     criticalBtn.disabled = false;
     goneBtn.disabled = false;
+    destabBtn.style.opacity = '1';
+    criticalBtn.style.opacity = '1';
+    goneBtn.style.opacity = '1';
     
     // Disable buttons based on current state progression
     if (currentState === 'destab') {
@@ -1241,11 +1829,6 @@ class WormholeRollingUI {
       destabBtn.style.opacity = '0.5';
       criticalBtn.style.opacity = '0.5';
       goneBtn.style.opacity = '0.5';
-    } else {
-      // Reset opacity for enabled buttons
-      destabBtn.style.opacity = '1';
-      criticalBtn.style.opacity = '1';
-      goneBtn.style.opacity = '1';
     }
   }
   
@@ -1253,6 +1836,9 @@ class WormholeRollingUI {
   renderActionsList() {
     if (!this.isTracking) return;
     
+    // Game mode jumps skip staging, so refresh where the pilots are here too
+    this.renderPilotSelect();
+    
     const list = document.getElementById('actions-list');
     let html = '';
     
@@ -1260,13 +1846,12 @@ class WormholeRollingUI {
     const stateText = WORMHOLE_STATES[this.initialWhState];
     const restrictionText = WORMHOLE_RESTRICTIONS[this.initialWhRestriction];
     html += `<div class="log-header">`;
-    html += `<div><strong>Initial Setup:</strong> ${this.initialWhSize} Gg wormhole in ${stateText} state, ${restrictionText}</div>`;
+    html += `<div><strong>Initial Setup:</strong> ${getWormholeSizeText(this.initialWhSize)} wormhole in ${stateText} state, ${restrictionText}</div>`;
     
     // Show the range boundaries for different states
-    const baseMass = this.initialWhSize;
-    const variance = 0.1;
-    const freshMin = Math.round(baseMass * (1 - variance));
-    const freshMax = Math.round(baseMass * (1 + variance));
+    const freshWormhole = new Wormhole(this.initialWhSize, 'fresh');
+    const freshMin = freshWormhole.getMinMass();
+    const freshMax = freshWormhole.getMaxMass();
     const destabMin = Math.round(freshMin * 0.5);
     const destabMax = Math.round(freshMax * 0.5);
     const critMin = Math.round(freshMin * 0.1);
@@ -1289,6 +1874,12 @@ class WormholeRollingUI {
     
     html += `</div>`;
     
+    // Distribution-based estimate after each entry (uses states that did not change too)
+    const estimates = estimateMassLog({
+      initialWhSize: this.initialWhSize,
+      initialWhState: this.initialWhState
+    }, this.committedActions);
+    
     this.committedActions.forEach((entry, entryIndex) => {
       // Handle different entry types
       if (entry.type === 'event') {
@@ -1298,7 +1889,7 @@ class WormholeRollingUI {
         // Top section - event message and state changes
         html += `<div class="log-entry-top">`;
         html += `<div class="log-entry-left">`;
-        html += `<div class="log-entry-header" style="color: #FFA500;"><strong>Random Event:</strong></div>`;
+        html += `<div class="log-entry-header" style="color: #FFA500;"><strong>${entry.expired ? 'Lifetime:' : 'Random Event:'}</strong></div>`;
         html += `<div class="log-action" style="color: #FFA500;">${entry.eventData.displayName}</div>`;
         
         // Show state change if any
@@ -1320,7 +1911,7 @@ class WormholeRollingUI {
         html += `</div>`; // Close log-entry-top
         
         // Show actions processed in this event
-        if (entry.eventData && entry.eventData.actions) {
+        if (entry.eventData && entry.eventData.actions && entry.eventData.actions.length > 0) {
           html += `<div class="log-event-actions">`;
           html += `<div class="log-event-actions-header"><strong>Actions:</strong></div>`;
           
@@ -1328,7 +1919,7 @@ class WormholeRollingUI {
             const action = entry.eventData.actions[i];
             const actionNum = i + 1;
             const directionText = action.direction === 'outgoing' ? 'jumps out' : 'jumps back';
-            const shipName = SHIP_TYPES[action.shipType]?.name || action.shipType;
+            const shipName = SHIP_TYPES[action.ship]?.name || action.ship;
             html += `<div class="log-event-action">• ${shipName} ${directionText}</div>`;
           }
           
@@ -1340,25 +1931,29 @@ class WormholeRollingUI {
           html += `</div>`; // Close log-event-actions
         }
         
+        // Hostile interference left behind by the event
+        if (entry.effects && entry.effects.length > 0) {
+          html += `<div class="log-event-actions log-event-effects">`;
+          html += `<div class="log-event-actions-header"><strong>Effects:</strong></div>`;
+          entry.effects.forEach(effect => {
+            html += `<div class="log-event-action log-event-effect-${effect.type}">• ${describeEventEffect(effect)}</div>`;
+          });
+          html += `</div>`; // Close log-event-effects
+        }
+        
         // Bottom section - mass calculations (like normal actions)
         html += `<div class="log-entry-bottom">`;
         const minMassText = Math.round(entry.finalMass.min);
         const maxMassText = Math.round(entry.finalMass.max);
         html += `<div class="log-result"><strong>Remaining After Event:</strong><br>${minMassText} - ${maxMassText} Gg</div>`;
         
-        // Show total mass range for the event (sum of all possible action masses)
-        if (entry.eventData && entry.eventData.name === 'neutral_cruiser_jump') {
-          const singleMin = 13, singleMax = 63;
-          const totalMin = singleMin * 2; // Two cruiser jumps minimum
-          const totalMax = singleMax * 2; // Two cruiser jumps maximum
-          html += `<div class="log-passed-mass"><strong>Event Mass:</strong><br>${totalMin}-${totalMax} Gg (Unknown)</div>`;
-        } else if (entry.eventData && entry.eventData.name === 'neutral_carrier_jump') {
-          const singleMin = 1250, singleMax = 1750;
-          const totalMin = singleMin * 2; // Two carrier jumps minimum
-          const totalMax = singleMax * 2; // Two carrier jumps maximum
-          html += `<div class="log-passed-mass"><strong>Event Mass:</strong><br>${totalMin}-${totalMax} Gg (Unknown)</div>`;
+        // Show total mass range for the event (sum of the ranges its jumps were drawn from)
+        if (entry.eventData && entry.eventData.actions && entry.eventData.actions.length > 0) {
+          const eventMass = getEventMassTotal(entry.eventData, entry.actionsProcessed);
+          html += `<div class="log-passed-mass"><strong>Event Mass:</strong><br>${eventMass.min}-${eventMass.max} Gg (Unknown)</div>`;
         }
         
+        html += this.renderMassEstimate(estimates[entryIndex]);
         html += `</div>`; // Close log-entry-bottom
         html += `</div>`; // Close log-entry
         return; // Skip normal action processing
@@ -1372,20 +1967,41 @@ class WormholeRollingUI {
       
       // Left side - actions and state changes
       html += `<div class="log-entry-left">`;
-      html += `<div class="log-entry-header"><strong>Applied Actions ${entryIndex + 1}:</strong></div>`;
+      const isEditing = this.editingEntryIndex === entryIndex;
+      html += `<div class="log-entry-header"><strong>Applied Actions ${entryIndex + 1}:</strong>`;
+      if (this.currentMode === this.trackerMode && !this.readOnly) {
+        html += `<span class="log-entry-tools">`
+          + `<button type="button" class="log-tool-btn" data-log-action="${isEditing ? 'done' : 'edit'}" data-entry="${entryIndex}">${isEditing ? 'Done' : 'Edit'}</button>`
+          + `<button type="button" class="log-tool-btn" data-log-action="delete" data-entry="${entryIndex}">Delete</button>`
+          + `</span>`;
+      }
+      html += `</div>`;
+      
+      // Mass the hole got back between the previous entry and this one
+      if (entry.regenerated > 0) {
+        html += `<div class="log-regeneration">♻️ +${entry.regenerated} Gg regenerated since the previous entry</div>`;
+      }
       
       // Show actions in this entry
       if (entry.actions && entry.actions.length > 0) {
-        entry.actions.forEach(action => {
+        entry.actions.forEach((action, actionIndex) => {
           html += `<div class="log-action">`
             + `• ${action.getDirectionText()} - `
             + `${action.ship.getDisplayName()} ${action.ship.getMassText()}`
+            + this.getPilotText(action)
+            + (isEditing ? ` <button type="button" class="log-tool-btn" data-log-action="remove-action" data-entry="${entryIndex}" data-action-index="${actionIndex}" title="Remove this jump">×</button>` : '')
             + `</div>`;
         });
       }
       
-      // Show state change if any
-      if (entry.stateChange && entry.stateChange !== 'no-change') {
+      // While editing, the observed state change can be corrected
+      if (isEditing) {
+        html += `<div class="log-action">State after this entry: <select class="log-state-select" data-entry="${entryIndex}">`;
+        Object.entries(LOG_STATE_CHANGES).forEach(([value, label]) => {
+          html += `<option value="${value}" ${entry.stateChange === value ? 'selected' : ''}>${label}</option>`;
+        });
+        html += `</select></div>`;
+      } else if (entry.stateChange && entry.stateChange !== 'no-change') {
         const stateChangeText = entry.stateChange === 'destab' ? 'Destabilized' : 
                                entry.stateChange === 'critical' ? 'Critical' :
                                entry.stateChange === 'gone' ? 'Gone' : entry.stateChange;
@@ -1407,6 +2023,7 @@ class WormholeRollingUI {
       const minMassText = Math.round(entry.finalMass.min);
       const maxMassText = Math.round(entry.finalMass.max);
       html += `<div class="log-result"><strong>Possible Remaining:</strong><br>${minMassText} - ${maxMassText} Gg</div>`;
+      html += this.renderMassEstimate(estimates[entryIndex]);
       
       if (entry.passedMass !== undefined) {
         html += `<div class="log-passed-mass"><strong>This Entry:</strong><br>~${Math.round(entry.passedMass)} Gg passed</div>`;
@@ -1420,7 +2037,7 @@ class WormholeRollingUI {
       if (entry.shipsOnFarSide && Object.keys(entry.shipsOnFarSide).length > 0) {
         const shipList = Object.entries(entry.shipsOnFarSide)
           .filter(([shipType, count]) => count > 0) // Only show ships with count > 0
-          .map(([shipType, count]) => `${SHIP_TYPES[shipType].name} x${count}`)
+          .map(([shipType, count]) => `${getRosterShipName(shipType)} x${count}`)
           .join(', ');
         
         if (shipList.length > 0) {
@@ -1449,6 +2066,25 @@ class WormholeRollingUI {
     }
   }
   
+  renderMassEstimate(estimate) {
+    if (!estimate || !estimate.remaining) return '';
+    
+    const remaining = estimate.remaining;
+    const confidenceText = Math.round(estimate.confidence * 100);
+    let html = `<div class="log-estimate"><strong>Estimated Remaining:</strong><br>`;
+    html += `${Math.round(remaining.min)} - ${Math.round(remaining.max)} Gg, most likely ~${Math.round(remaining.mostLikely)} Gg`;
+    html += `<br><span class="log-estimate-detail">${confidenceText}%: ${Math.round(remaining.band.low)} - ${Math.round(remaining.band.high)} Gg`;
+    if (estimate.original) {
+      html += ` · original ~${Math.round(estimate.original.mostLikely)} Gg (${Math.round(estimate.original.min)} - ${Math.round(estimate.original.max)})`;
+    }
+    html += `</span>`;
+    if (!estimate.consistent) {
+      html += `<br><span class="log-estimate-conflict">⚠️ Logged states contradict the jump masses - check the log</span>`;
+    }
+    html += `</div>`;
+    return html;
+  }
+  
   updateMassRangeDisplay() {
     document.getElementById('mass-range-display').innerHTML = '';
   }
@@ -1486,6 +2122,7 @@ class WormholeRollingUI {
           Array.from(container.children).forEach(b => b.classList.remove('selected'));
           btn.classList.add('selected');
           selected = key;
+          this.syncShipModifiers();
         });
       }
       
@@ -1504,58 +2141,689 @@ class WormholeRollingUI {
     this.getShipType = () => selected;
   }
   
-  startTracking() {
-    // Store initial values
-    this.initialWhSize = parseInt(this.getWhSize());
-    this.initialWhState = this.getWhState();
-    this.initialWhRestriction = parseInt(this.getWhRestriction());
+  // Higgs rig / cargo toggles next to the prop mode
+  setupShipModifiers() {
+    const container = document.getElementById('ship-modifier-options');
+    container.innerHTML = '';
+    container.style.display = 'flex';
     
-    // Convert "fresh" to "stable" - fresh is just a UI concept for stable with no known transits
-    this.currentWhState = this.initialWhState === 'fresh' ? 'stable' : this.initialWhState;
+    Object.entries(SHIP_MODIFIERS).forEach(([key, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'option-btn modifier-btn';
+      btn.dataset.modifier = key;
+      btn.textContent = label;
+      btn.addEventListener('click', () => btn.classList.toggle('selected'));
+      container.appendChild(btn);
+    });
+    
+    this.syncShipModifiers();
+  }
+  
+  // A newly picked ship starts with its usual fit and an empty hold
+  syncShipModifiers() {
+    const container = document.getElementById('ship-modifier-options');
+    const shipData = SHIP_TYPES[this.getShipType ? this.getShipType() : null];
+    const higgsBtn = container.querySelector('[data-modifier="higgs"]');
+    const cargoBtn = container.querySelector('[data-modifier="cargo"]');
+    if (!higgsBtn || !cargoBtn) return;
+    
+    higgsBtn.classList.toggle('selected', !!(shipData && shipData.higgs));
+    cargoBtn.classList.remove('selected');
+  }
+  
+  // Only the toggles that differ from the ship's usual fit are recorded
+  getShipModifiers() {
+    const container = document.getElementById('ship-modifier-options');
+    const shipData = SHIP_TYPES[this.getShipType()];
+    const modifiers = {};
+    const higgs = container.querySelector('[data-modifier="higgs"]').classList.contains('selected');
+    if (higgs !== !!shipData.higgs) {
+      modifiers.higgs = higgs;
+    }
+    if (container.querySelector('[data-modifier="cargo"]').classList.contains('selected')) {
+      modifiers.cargo = true;
+    }
+    return modifiers;
+  }
+  
+  startTracking(seed = null) {
+    // A typed seed must be valid before a game starts; an empty box gets a new seed
+    if (!seed && this.currentMode === this.gameMode) {
+      seed = this.readSeedInput();
+      if (!seed && document.getElementById('game-seed').value.trim()) return;
+    }
+    
+    // A new roll from the setup form (fresh is just a UI concept for stable with no known transits)
+    this.session.start({
+      selectedWormholeType: this.selectedWormholeType,
+      initialWhSize: parseWormholeSize(this.getWhSize()),
+      initialWhState: this.getWhState(),
+      initialWhRestriction: parseInt(this.getWhRestriction()),
+      initialFarSideFleet: this.initialFarSideFleet
+    });
     this.isTracking = true;
+    this.pilots = this.pilotRoster.listPilots();
     
-    // Initialize far side fleet from initial setup
-    this.shipsOnFarSide = { ...this.initialFarSideFleet };
+    // Only tracker rolls are saved - game mode keeps its hidden mass to itself
+    this.sessionId = this.currentMode === this.trackerMode ? createSessionId() : null;
+    this.lifetime = this.currentMode === this.trackerMode ? this.readLifetimeSetup() : null;
+    this.editingEntryIndex = null;
     
+    // Initialize mode-specific logic (before the interface, which shows the game's seed)
+    if (this.currentMode === this.gameMode) {
+      this.currentMode.initializeGame(seed || createSeed());
+    }
+    
+    this.showTrackingInterface();
+    
+    // Initialize displays
+    this.renderStagedActions();
+    this.updateDisplay();
+    this.updateApplyButtonStates();
+    
+    // Started from a hole on the chain map
+    if (this.pendingChainConnection && this.sessionId) {
+      this.chainMap.linkSession(this.pendingChainConnection, this.sessionId);
+      this.pendingChainConnection = null;
+    }
+    this.saveSession();
+  }
+  
+  showTrackingInterface() {
     // Setup ship selection after tracking starts with size restrictions
     this.setupShipSelection();
     this.getShipMode = renderOptionButtons('ship-mode-options', SHIP_MODES, null, 'unknown');
+    this.setupShipModifiers();
     
     // Add event listener to show/hide custom mass input
     this.setupCustomMassToggle();
     
+    // Home side fleet for the roll planner
+    this.setupPlannerFleet();
+    
     // Hide initial setup, show tracking interface
     document.getElementById('initial-setup').style.display = 'none';
     document.getElementById('tracking-interface').style.display = 'block';
     
     // Setup mode-specific interface
     this.currentMode.setupActionInterface();
+    this.updateHistoryButtons();
+    this.startTimers();
+    this.renderHoleTabs();
+    this.renderChainMap();
+  }
+  
+  // HOLE LIFETIME - Countdown until the hole dies of age
+  readLifetimeSetup() {
+    const option = this.getWhLifetime();
+    if (option === 'off') return null;
+    
+    const whInfo = getWormholeInfo(this.selectedWormholeType);
+    const minutesAgo = Math.max(0, parseInt(document.getElementById('scanned-minutes-ago').value, 10) || 0);
+    return createLifetimeTimer((whInfo && whInfo.lifetime) || DEFAULT_WORMHOLE_LIFETIME, Date.now() - minutesAgo * MINUTE_MS, option === 'eol');
+  }
+  
+  isHoleEndOfLife() {
+    if (this.currentMode === this.gameMode) return this.gameMode.isEndOfLife();
+    return this.lifetime ? getTimeLeft(this.lifetime).endOfLife : false;
+  }
+  
+  startTimers() {
+    this.stopTimers();
+    this.updateTimers();
+    this.timerInterval = setInterval(() => this.updateTimers(), TIMER_REFRESH_MS);
+  }
+  
+  stopTimers() {
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+  }
+  
+  updateTimers() {
+    this.updateLifetimeDisplay();
+    this.updatePolarizationDisplay();
+    this.updateRegenerationDisplay();
+  }
+  
+  // Range right now for holes that regenerate - it widens upward the longer the log sits idle
+  updateRegenerationDisplay() {
+    const display = document.getElementById('regeneration-display');
+    const rate = this.getMassRegeneration();
+    if (rate <= 0 || this.currentWhState === 'gone') {
+      display.style.display = 'none';
+      return;
+    }
     
-    // Initialize mode-specific logic
+    const mass = this.calculateCurrentMass();
+    display.textContent = this.committedActions.length === 0
+      ? `♻️ Regenerates ${rate} Gg per hour - counted from the first logged jump`
+      : `♻️ Regenerates ${rate} Gg per hour - now ${Math.round(mass.min)} - ${Math.round(mass.max)} Gg possible`;
+    display.style.display = 'flex';
+  }
+  
+  updateLifetimeDisplay() {
+    const display = document.getElementById('lifetime-display');
+    
+    // Game mode only shows what a pilot would see on the hole: End of Life or not
     if (this.currentMode === this.gameMode) {
-      this.currentMode.initializeGame();
+      if (this.gameMode.checkLifetime()) return;
+      display.textContent = this.gameMode.isEndOfLife() ? '⌛ End of Life - this hole will die of age soon' : '⏳ Not End of Life';
+      display.classList.toggle('eol', this.gameMode.isEndOfLife());
+      display.style.display = 'flex';
+      return;
     }
     
-    // Initialize displays
+    if (!this.lifetime) {
+      display.style.display = 'none';
+      return;
+    }
+    
+    const timeLeft = getTimeLeft(this.lifetime);
+    let text;
+    if (timeLeft.expired) {
+      text = '⌛ Lifetime up - the hole should have died of age';
+    } else {
+      const range = timeLeft.min === timeLeft.max ? formatDuration(timeLeft.max) : `${formatDuration(timeLeft.min)} - ${formatDuration(timeLeft.max)}`;
+      text = `${timeLeft.endOfLife ? '⌛' : '⏳'} ${range} left${timeLeft.endOfLife ? ' (End of Life)' : ''}`;
+    }
+    
+    const canMark = this.lifetime.eolAt === null && !this.readOnly && this.currentWhState !== 'gone';
+    display.innerHTML = `<span>${text}</span>${canMark ? '<button type="button" class="option-btn mark-eol-btn">Mark EOL</button>' : ''}`;
+    display.classList.toggle('eol', timeLeft.endOfLife);
+    display.style.display = 'flex';
+  }
+  
+  // POLARIZATION - Who can jump again, worked out from the log
+  getPolarization() {
+    return getPolarizationTimers(this.committedActions, this.currentMode === this.gameMode ? 'gameTime' : 'timestamp');
+  }
+  
+  getPolarizationNow() {
+    return this.currentMode === this.gameMode ? this.gameMode.getGameClock() : Date.now();
+  }
+  
+  getPolarizationName(key) {
+    const [kind, id] = key.split(':');
+    if (kind === 'pilot') {
+      const pilot = this.pilots.find(p => p.id === id);
+      return pilot ? pilot.name : 'Pilot';
+    }
+    return SHIP_TYPES[id] ? SHIP_TYPES[id].name : id;
+  }
+  
+  // Countdowns on the ship buttons, pilot list and staged jumps
+  updatePolarizationDisplay() {
+    if (!this.isTracking) return;
+    const polarization = this.getPolarization();
+    const now = this.getPolarizationNow();
+    
+    document.querySelectorAll('#ship-type-options .option-btn').forEach(btn => {
+      const shipKey = btn.dataset.value;
+      const msLeft = getPolarizationLeft(polarization, `ship:${shipKey}`, now);
+      btn.textContent = msLeft > 0 ? `${SHIP_TYPES[shipKey].name} ⏱ ${formatCountdown(msLeft)}` : SHIP_TYPES[shipKey].name;
+      btn.classList.toggle('polarized', msLeft > 0);
+    });
+    
+    document.querySelectorAll('#pilot-select option[data-label]').forEach(option => {
+      const msLeft = getPolarizationLeft(polarization, `pilot:${option.value}`, now);
+      option.textContent = msLeft > 0 ? `${option.dataset.label} ⏱ ${formatCountdown(msLeft)}` : option.dataset.label;
+    });
+    
+    document.querySelectorAll('.polarized-badge').forEach(badge => {
+      const msLeft = Math.max(0, parseInt(badge.dataset.until, 10) - now);
+      badge.textContent = msLeft > 0 ? `⏱ polarized ${formatCountdown(msLeft)}` : '⏱ ready';
+    });
+  }
+  
+  // A scout reports the hole has just gone End of Life
+  markHoleEol() {
+    if (!this.lifetime) return;
+    this.lifetime = markEndOfLife(this.lifetime);
+    this.saveSession();
+    this.updateLifetimeDisplay();
+  }
+  
+  // SESSION PERSISTENCE - Survive a tab reload mid-roll
+  saveSession() {
+    if (!this.sessionId || !this.isTracking || this.currentMode !== this.trackerMode) return;
+    this.sessionStore.saveSession(serializeSession(this));
+    this.registerActiveHole();
+    this.renderChainMap();
+  }
+  
+  // MULTI-HOLE TRACKING - Several holes open side by side, one on screen at a time
+  registerActiveHole() {
+    if (!this.sessionId || this.readOnly || this.currentMode !== this.trackerMode) return;
+    const hole = captureHoleSession(this);
+    const index = this.holes.findIndex(existing => existing.sessionId === this.sessionId);
+    if (index >= 0) {
+      this.holes[index] = hole;
+    } else {
+      this.holes.push(hole);
+    }
+    this.renderHoleTabs();
+  }
+  
+  // Open holes with the one on screen as it is right now
+  getOpenHoles() {
+    return this.holes.map(hole => (hole.sessionId === this.sessionId && this.isTracking ? captureHoleSession(this) : hole));
+  }
+  
+  // Put the hole on screen away so another one can be shown; its undo history goes with it
+  stashActiveHole() {
+    if (!this.isTracking || !this.sessionId || this.readOnly) return;
+    this.registerActiveHole();
+    this.history = new LogHistory();
+  }
+  
+  switchHole(sessionId) {
+    if (sessionId === this.sessionId && this.isTracking) return;
+    const hole = this.holes.find(existing => existing.sessionId === sessionId);
+    if (!hole) return;
+    
+    // Opening the hole puts the one on screen away, undo history included
+    this.openRestoredRoll(hole);
+    this.sessionStore.setActiveSessionId(sessionId);
+  }
+  
+  // Back to the setup form for another hole; the open ones stay in the tabs
+  addHole() {
+    this.stashActiveHole();
+    const holes = this.holes;
+    this.resetAll();
+    this.holes = holes;
+    this.renderHoleTabs();
+  }
+  
+  // CHAIN MAP - Systems in the chain and the holes between them
+  setupChainMap() {
+    document.getElementById('chain-system-class').innerHTML = CHAIN_SYSTEM_CLASSES
+      .map(systemClass => `<option value="${systemClass}">${systemClass}</option>`).join('');
+    document.getElementById('chain-code').innerHTML = `<option value="${K162_CODE}">${K162_CODE} (type unknown)</option>`
+      + getAllWormholeCodes()
+        .filter(code => WORMHOLE_DATA[code])
+        .map(code => `<option value="${code}">${code} → ${WORMHOLE_DATA[code].destination}</option>`).join('');
+    
+    document.getElementById('add-chain-system').addEventListener('click', () => this.addChainSystem());
+    document.getElementById('add-chain-connection').addEventListener('click', () => this.addChainConnection());
+    document.getElementById('chain-map-svg').addEventListener('click', (e) => {
+      const link = e.target.closest('[data-connection]');
+      if (link) this.rollChainConnection(link.dataset.connection);
+    });
+    document.getElementById('chain-list').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-chain-action]');
+      if (!button) return;
+      if (button.dataset.chainAction === 'roll') {
+        this.rollChainConnection(button.dataset.id);
+        return;
+      }
+      if (button.dataset.chainAction === 'delete-system') {
+        this.chainMap.deleteSystem(button.dataset.id);
+      } else {
+        this.chainMap.deleteConnection(button.dataset.id);
+      }
+      this.renderChainMap();
+    });
+    
+    this.renderChainMap();
+  }
+  
+  // Hole state of every saved roll and open hole, for colouring the map
+  getChainSessionStates() {
+    const states = {};
+    this.sessionStore.listSessions().forEach(session => {
+      states[session.id] = session.currentWhState;
+    });
+    this.getOpenHoles().forEach(hole => {
+      states[hole.sessionId] = hole.currentWhState;
+    });
+    return states;
+  }
+  
+  renderChainMap() {
+    const map = this.chainMap.readMap();
+    const svgContainer = document.getElementById('chain-map-svg');
+    svgContainer.innerHTML = map.systems.length > 0
+      ? renderChainSvg(map, this.getChainSessionStates(), this.isTracking ? this.sessionId : null)
+      : `<div class="far-side-instructions">No systems yet - start with your home system</div>`;
+    
+    // Keep the picked systems when the lists are rebuilt
+    ['chain-from', 'chain-to'].forEach(id => {
+      const select = document.getElementById(id);
+      const current = select.value;
+      select.innerHTML = map.systems.map(system => `<option value="${system.id}">${system.name} (${system.systemClass})</option>`).join('');
+      if (map.systems.some(system => system.id === current)) select.value = current;
+    });
+    
+    const names = {};
+    map.systems.forEach(system => { names[system.id] = system.name; });
+    document.getElementById('chain-list').innerHTML = map.systems.map(system => `<div class="custom-ship">`
+      + `<span class="custom-ship-info">${system.name} • ${system.systemClass}</span>`
+      + `<button type="button" class="far-side-btn" data-chain-action="delete-system" data-id="${system.id}" title="Remove system and its holes">×</button>`
+      + `</div>`).join('')
+      + map.connections.map(connection => {
+        const info = getConnectionInfo(connection);
+        const details = info.totalMass ? ` • ${info.totalMass} Gg • ${info.restrictionText}` : '';
+        return `<div class="custom-ship">`
+          + `<span class="custom-ship-info">${names[connection.from]} → ${names[connection.to]} • ${info.fromCode} / ${info.toCode || '?'}${details}</span>`
+          + `<button type="button" class="option-btn" data-chain-action="roll" data-id="${connection.id}">${connection.sessionId ? 'Open Roll' : 'Roll'}</button>`
+          + `<button type="button" class="far-side-btn" data-chain-action="delete-connection" data-id="${connection.id}" title="Remove hole">×</button>`
+          + `</div>`;
+      }).join('');
+  }
+  
+  addChainSystem() {
+    const result = this.chainMap.addSystem({
+      name: document.getElementById('chain-system-name').value,
+      systemClass: document.getElementById('chain-system-class').value
+    });
+    document.getElementById('chain-message').textContent = result.error || '';
+    if (result.error) return;
+    
+    document.getElementById('chain-system-name').value = '';
+    this.renderChainMap();
+  }
+  
+  addChainConnection() {
+    const result = this.chainMap.addConnection({
+      from: document.getElementById('chain-from').value,
+      to: document.getElementById('chain-to').value,
+      code: document.getElementById('chain-code').value
+    });
+    document.getElementById('chain-message').textContent = result.error || '';
+    if (!result.error) this.renderChainMap();
+  }
+  
+  // Open the hole's roll, or set up a new one from its type and link it once it starts
+  rollChainConnection(connectionId) {
+    const connection = this.chainMap.getConnection(connectionId);
+    if (!connection) return;
+    
+    if (connection.sessionId && (this.holes.some(hole => hole.sessionId === connection.sessionId) || this.sessionStore.getSession(connection.sessionId))) {
+      this.resumeSession(connection.sessionId);
+      return;
+    }
+    
+    if (this.isTracking) this.addHole();
+    const message = document.getElementById('chain-message');
+    if (connection.code === K162_CODE) {
+      // The K162 sits in the `from` system and its origin in the `to` system
+      const systems = this.chainMap.readMap().systems;
+      const k162System = systems.find(system => system.id === connection.from);
+      const farSystem = systems.find(system => system.id === connection.to);
+      document.getElementById('wormhole-type-select').value = K162_CODE;
+      this.onWormholeTypeSelected(K162_CODE);
+      this.setK162Classes(k162System.systemClass, farSystem.systemClass);
+      message.textContent = 'A K162 does not tell you its type - pick one of its possible origins, then start tracking';
+    } else {
+      document.getElementById('wormhole-type-select').value = connection.code;
+      this.onWormholeTypeSelected(connection.code);
+      message.textContent = `${connection.code} is set up - start tracking to link the roll to the map`;
+    }
+    this.pendingChainConnection = connection.id;
+  }
+  
+  renderHoleTabs() {
+    const container = document.getElementById('hole-tabs');
+    if (this.currentMode !== this.trackerMode || this.holes.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+    
+    const showingSetup = !this.isTracking;
+    let html = '';
+    this.getOpenHoles().forEach(hole => {
+      const isActive = hole.sessionId === this.sessionId && !showingSetup;
+      const farSide = getHoleFarSideCount(hole);
+      html += `<button type="button" class="hole-tab ${isActive ? 'active' : ''} ${hole.currentWhState === 'gone' ? 'gone' : ''}" data-hole="${hole.sessionId}">`
+        + `<strong>${getHoleLabel(hole)}</strong> ${WORMHOLE_STATES[hole.currentWhState] || hole.currentWhState}`
+        + (farSide > 0 ? ` • ${farSide} beyond` : '')
+        + `</button>`;
+    });
+    html += `<button type="button" class="hole-tab hole-tab-add ${showingSetup ? 'active' : ''}" data-hole-action="add">+ Add Hole</button>`;
+    
+    container.innerHTML = html;
+    container.style.display = 'flex';
+  }
+  
+  resumeSession(sessionId) {
+    // Already open in a tab
+    if (this.holes.some(hole => hole.sessionId === sessionId)) {
+      this.switchHole(sessionId);
+      return;
+    }
+    
+    const restored = deserializeSession(this.sessionStore.getSession(sessionId));
+    if (!restored) {
+      this.sessionStore.deleteSession(sessionId);
+      this.renderSavedSessions();
+      return;
+    }
+    
+    this.openRestoredRoll(restored);
+    this.sessionStore.setActiveSessionId(sessionId);
+  }
+  
+  // Show a roll rebuilt from a saved session, share link or imported log in tracker mode
+  openRestoredRoll(restored, readOnly = false) {
+    if (this.currentMode !== this.trackerMode) {
+      this.switchToMode(this.trackerMode);
+    }
+    this.stashActiveHole();
+    
+    // Clear anything left over from a roll that was already open in this tab
+    const completionSection = document.getElementById('completion-section');
+    if (completionSection) {
+      completionSection.remove();
+    }
+    document.getElementById('add-action-row').style.display = 'flex';
+    
+    Object.assign(this, restored);
+    this.pilots = restored.pilots || [];
+    this.lifetime = restored.lifetime || null;
+    this.readOnly = readOnly;
+    this.isTracking = true;
+    // A hole reopened from its tab brings its undo history back; anything else starts without one
+    this.history = restored.history || new LogHistory();
+    this.editingEntryIndex = null;
+    this.registerActiveHole();
+    
+    document.getElementById('shared-roll-banner').style.display = readOnly ? 'flex' : 'none';
+    this.showTrackingInterface();
     this.renderStagedActions();
     this.updateDisplay();
     this.updateApplyButtonStates();
+    
+    if (this.currentWhState === 'gone') {
+      this.handleWormholeCompletion();
+    }
+  }
+  
+  // SHARE LINKS - Paste the roll into fleet chat so scouts see the same numbers
+  getShareLink(readOnly) {
+    const baseUrl = window.location.href.split('#')[0];
+    return baseUrl + buildShareHash(this, readOnly);
+  }
+  
+  copyShareLink(readOnly) {
+    const link = this.getShareLink(readOnly);
+    const output = document.getElementById('share-link-output');
+    const status = document.getElementById('share-status');
+    output.value = link;
+    output.style.display = 'block';
+    output.select();
+    
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject(new Error('Clipboard unavailable'));
+    copied
+      .then(() => { status.textContent = readOnly ? 'Read-only link copied' : 'Link copied'; })
+      .catch(() => { status.textContent = 'Copy the link above'; });
+  }
+  
+  loadSharedRoll() {
+    const shared = parseShareHash(window.location.hash);
+    if (!shared) return false;
+    
+    const errorBox = document.getElementById('restore-error');
+    const restored = decodeShareState(shared.payload);
+    if (!restored) {
+      console.error('Shared roll link could not be read');
+      errorBox.textContent = '⚠️ That roll link is damaged or from a newer version and could not be opened.';
+      errorBox.style.display = 'block';
+      this.clearShareHash();
+      return false;
+    }
+    errorBox.style.display = 'none';
+    
+    // Read-only views are not saved; editable links become a new saved roll
+    restored.sessionId = shared.readOnly ? null : createSessionId();
+    this.openRestoredRoll(restored, shared.readOnly);
+    if (!shared.readOnly) {
+      this.clearShareHash();
+    }
+    this.saveSession();
+    return true;
+  }
+  
+  showReadOnlyView() {
+    document.getElementById('staging-section').style.display = 'none';
+    document.getElementById('add-action-row').style.display = 'none';
+    document.querySelector('.apply-section').style.display = 'none';
+    document.getElementById('history-section').style.display = 'none';
+  }
+  
+  editSharedCopy() {
+    if (!this.readOnly) return;
+    
+    this.readOnly = false;
+    this.sessionId = createSessionId();
+    this.clearShareHash();
+    document.getElementById('shared-roll-banner').style.display = 'none';
+    
+    if (this.currentWhState !== 'gone') {
+      document.getElementById('add-action-row').style.display = 'flex';
+      this.currentMode.setupActionInterface();
+    } else {
+      document.getElementById('history-section').style.display = 'flex';
+    }
+    this.renderActionsList();
+    this.updateHistoryButtons();
+    this.saveSession();
+  }
+  
+  clearShareHash() {
+    if (!parseShareHash(window.location.hash)) return;
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+  
+  // LOG EXPORT - Archive a roll or paste it into corp chat
+  copyLogAsText() {
+    const text = exportRollText(this);
+    const output = document.getElementById('export-output');
+    const status = document.getElementById('export-status');
+    output.value = text;
+    output.style.display = 'block';
+    
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject(new Error('Clipboard unavailable'));
+    copied
+      .then(() => { status.textContent = 'Log copied'; })
+      .catch(() => { status.textContent = 'Copy the log below'; });
+  }
+  
+  downloadExport(extension, content, mimeType) {
+    const name = this.selectedWormholeType || `${formatWormholeSize(this.initialWhSize)}Gg`;
+    const date = new Date().toISOString().slice(0, 10);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    link.download = `roll-${name}-${date}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+  
+  importLog(text) {
+    const errorBox = document.getElementById('restore-error');
+    const restored = importRollJson(text);
+    if (!restored) {
+      errorBox.textContent = '⚠️ That file is not a roll log exported from this tool.';
+      errorBox.style.display = 'block';
+      return false;
+    }
+    errorBox.style.display = 'none';
+    
+    // Imported logs continue as a new saved roll
+    restored.sessionId = createSessionId();
+    this.openRestoredRoll(restored);
+    this.saveSession();
+    return true;
+  }
+  
+  renderSavedSessions() {
+    const container = document.getElementById('saved-sessions');
+    if (!container) return;
+    
+    const sessions = this.sessionStore.listSessions();
+    if (sessions.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+    
+    const activeId = this.sessionStore.getActiveSessionId();
+    let html = `<div class="option-label">Saved Rolls:</div>`;
+    sessions.forEach(session => {
+      const savedAt = new Date(session.savedAt).toLocaleString();
+      const stateText = WORMHOLE_STATES[session.currentWhState] || session.currentWhState;
+      const isActive = session.id === activeId && session.currentWhState !== 'gone';
+      html += `<div class="saved-session ${isActive ? 'active' : ''}">`
+        + `<span class="saved-session-info">${session.wormholeCode || 'Unknown type'} • ${getWormholeSizeText(session.initialWhSize)} • `
+        + `${session.committedActions.length} entr${session.committedActions.length === 1 ? 'y' : 'ies'} • ${stateText} • ${savedAt}</span>`
+        + `<button type="button" class="${isActive ? 'go-btn' : 'option-btn'}" data-action="resume" data-session="${session.id}">${isActive ? 'Resume roll' : 'Open'}</button>`
+        + `<button type="button" class="far-side-btn" data-action="delete" data-session="${session.id}" title="Delete saved roll">×</button>`
+        + `</div>`;
+    });
+    
+    container.innerHTML = html;
+    container.style.display = 'block';
+    
+    container.querySelectorAll('button').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const sessionId = e.target.dataset.session;
+        if (e.target.dataset.action === 'resume') {
+          this.resumeSession(sessionId);
+        } else {
+          this.sessionStore.deleteSession(sessionId);
+          this.renderSavedSessions();
+        }
+      });
+    });
   }
   
   handleWormholeCompletion() {
+    // The hole is gone, so its age and polarization no longer matter
+    this.stopTimers();
+    if (this.currentMode === this.trackerMode) this.updateLifetimeDisplay();
+    
     // Hide staging and apply sections
     const stagingSection = document.getElementById('staging-section');
     const addActionRow = document.getElementById('add-action-row');
     const applySection = document.querySelector('.apply-section');
     
+    const plannerSection = document.getElementById('planner-section');
+    
     if (stagingSection) stagingSection.style.display = 'none';
     if (addActionRow) addActionRow.style.display = 'none';
     if (applySection) applySection.style.display = 'none';
+    if (plannerSection) plannerSection.style.display = 'none';
     
     // Show completion message - check if we have ANY ships left on far side
     const currentFarSideCount = Object.values(this.shipsOnFarSide).reduce((sum, count) => sum + count, 0);
     const initialFarSideCount = Object.values(this.initialFarSideFleet).reduce((sum, count) => sum + count, 0);
-    const hasStrandedShips = currentFarSideCount > 0;
+    const pilotPositions = getPilotPositions(this.pilots, this.committedActions);
+    const strandedPilots = getStrandedPilots(this.pilots, pilotPositions);
+    const hasStrandedShips = currentFarSideCount > 0 || strandedPilots.length > 0;
     
     const successMessages = [
       "🎉 Rolling Complete - you successfully rolled the shit out of that wormhole",
@@ -1606,15 +2874,29 @@ class WormholeRollingUI {
     const messageArray = hasStrandedShips ? failureMessages : successMessages;
     const completionMessage = messageArray[Math.floor(Math.random() * messageArray.length)];
     
+    // A hole that died of age was not rolled by anyone
+    const expired = this.committedActions.some(entry => entry.expired);
+    const endedText = expired ? 'wormhole died of age' : 'wormhole rolled';
+    
     // Create clear summary text
     let summaryText = '';
     if (hasStrandedShips) {
       // Show total stranded ships
-      summaryText = `Failure - wormhole rolled, but ${currentFarSideCount} ship${currentFarSideCount !== 1 ? 's' : ''} left on far side`;
+      summaryText = `Failure - ${endedText}, but ${currentFarSideCount} ship${currentFarSideCount !== 1 ? 's' : ''} left on far side`;
+      if (strandedPilots.length > 0) {
+        const strandedNames = strandedPilots.map(pilot => {
+          const shipKey = pilotPositions[pilot.id].ship;
+          return shipKey && SHIP_TYPES[shipKey] ? `${pilot.name} (${SHIP_TYPES[shipKey].name})` : pilot.name;
+        });
+        summaryText += `<br>Stranded: ${strandedNames.join(', ')}`;
+      }
     } else {
-      summaryText = 'Success - wormhole rolled, and all ships ended up on the correct side';
+      summaryText = `${expired ? 'Out of time' : 'Success'} - ${endedText}, and all ships ended up on the correct side`;
     }
     
+    // Games are scored and saved for the leaderboard and replay
+    const scoreHtml = this.currentMode === this.gameMode ? this.recordFinishedGame() : '';
+    
     // Create and show completion section
     const completionSection = document.createElement('div');
     completionSection.id = 'completion-section';
@@ -1626,7 +2908,14 @@ class WormholeRollingUI {
       <div class="completion-summary">
         ${summaryText}
       </div>
+      ${scoreHtml}
     `;
+    completionSection.querySelectorAll('button[data-replay]').forEach(btn => {
+      btn.addEventListener('click', () => this.openReplay(btn.dataset.replay));
+    });
+    completionSection.querySelectorAll('button[data-copy-daily]').forEach(btn => {
+      btn.addEventListener('click', () => this.copyDailyResult(btn.closest('.daily-share')));
+    });
     
     // Insert before reset section
     const resetSection = document.querySelector('.reset-section');
@@ -1641,6 +2930,318 @@ class WormholeRollingUI {
     }
   }
   
+  // GAME SCORES - Score the finished game, rank it and keep it for replay
+  recordFinishedGame() {
+    if (this.gameMode.gameRecorded) return '';
+    this.gameMode.gameRecorded = true;
+    
+    const record = buildGameRecord(this, {
+      seed: this.gameMode.seed,
+      originalWormholeMass: this.gameMode.originalWormholeMass,
+      startingRemainingMass: this.gameMode.startingRemainingMass
+    });
+    const rank = this.gameHistory.saveGame(record);
+    const result = record.result;
+    this.renderGameHistory();
+    
+    let html = `<div class="game-score">`
+      + `<div class="game-score-total">Score: ${result.score}</div>`
+      + `<div>${result.jumps} jump${result.jumps !== 1 ? 's' : ''} (${result.hotJumps} hot), ${result.stranded} ship${result.stranded !== 1 ? 's' : ''} stranded</div>`
+      + `<div>${rank ? `#${rank} on the ${getScenarioLabel(record.scenarioKey)} leaderboard` : `Not in the ${getScenarioLabel(record.scenarioKey)} top ${LEADERBOARD_SIZE}`}</div>`;
+    
+    html += `<table class="leaderboard">`;
+    this.gameHistory.getLeaderboard(record.scenarioKey).forEach((score, index) => {
+      html += `<tr class="${score.gameId === record.id ? 'leaderboard-current' : ''}">`
+        + `<td>#${index + 1}</td><td>${score.score}</td>`
+        + `<td>${score.jumps} jumps, ${score.hotJumps} hot, ${score.stranded} stranded</td>`
+        + `<td>${new Date(score.finishedAt).toLocaleDateString()}</td>`
+        + `</tr>`;
+    });
+    html += `</table>`;
+    html += `<button type="button" class="option-btn" data-replay="${record.id}">▶ Replay with hidden mass</button>`;
+    
+    if (this.dailyDate) {
+      const shareText = buildDailyShareText(this.dailyDate, record.scenarioKey, buildDailyGrid(this.committedActions), result);
+      this.dailyChallenge.finishAttempt(this.dailyDate, result, shareText);
+      html += this.getDailyShareHtml(shareText);
+    }
+    html += `</div>`;
+    return html;
+  }
+  
+  // DAILY CHALLENGE - Same scenario for everyone on a UTC date, one attempt each
+  setupDailyChallenge() {
+    document.getElementById('daily-section').addEventListener('click', (e) => {
+      if (e.target.id === 'start-daily') {
+        this.startDailyChallenge();
+      } else if (e.target.closest('button[data-copy-daily]')) {
+        this.copyDailyResult(e.target.closest('.daily-share'));
+      }
+    });
+  }
+  
+  renderDailyChallenge() {
+    const date = getDailyDate();
+    const scenario = getDailyScenario(date);
+    const whInfo = getWormholeInfo(scenario.wormholeCode);
+    const attempt = this.dailyChallenge.getAttempt(date);
+    const fleet = this.getShipsOnFarSideDescription(scenario.farSideFleet);
+    
+    let html = `<div class="daily-date">Daily Challenge ${date} (UTC)</div>`;
+    html += `<div class="daily-scenario">${scenario.wormholeCode} - ${whInfo.totalMass} Gg, ${whInfo.restrictionText}, starting ${WORMHOLE_STATES[scenario.initialWhState] || scenario.initialWhState}</div>`;
+    html += `<div class="far-side-instructions">Far side: ${fleet || 'nobody'}</div>`;
+    
+    if (!attempt) {
+      html += `<div class="far-side-instructions">Everyone gets this hole, fleet and random events today. You get one attempt - leaving or reloading mid-game uses it up.</div>`;
+      html += `<button id="start-daily" type="button" class="go-btn">Start Today's Challenge</button>`;
+    } else if (attempt.shareText) {
+      html += `<div class="far-side-instructions">Today's attempt is done - come back tomorrow for a new hole.</div>`;
+      html += this.getDailyShareHtml(attempt.shareText);
+    } else {
+      html += `<div class="far-side-instructions">Today's attempt was abandoned before the hole collapsed - come back tomorrow for a new hole.</div>`;
+    }
+    
+    document.getElementById('daily-section').innerHTML = html;
+  }
+  
+  getDailyShareHtml(shareText) {
+    return `<div class="daily-share">`
+      + `<pre class="daily-grid">${shareText}</pre>`
+      + `<button type="button" class="option-btn" data-copy-daily>📋 Copy Result</button>`
+      + `<span class="share-status"></span>`
+      + `</div>`;
+  }
+  
+  startDailyChallenge() {
+    const date = getDailyDate();
+    if (!this.dailyChallenge.startAttempt(date)) {
+      this.renderDailyChallenge();
+      return;
+    }
+    
+    // The day's seed goes straight to the game; the seed box only takes it once the day is over
+    const scenario = getDailyScenario(date);
+    this.applyScenarioSetup(scenario);
+    this.dailyDate = date;
+    this.startTracking(scenario.seed);
+  }
+  
+  copyDailyResult(shareBox) {
+    const text = shareBox.querySelector('.daily-grid').textContent;
+    const status = shareBox.querySelector('.share-status');
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject(new Error('Clipboard unavailable'));
+    copied
+      .then(() => { status.textContent = 'Result copied'; })
+      .catch(() => { status.textContent = 'Copy the result above'; });
+  }
+  
+  setupGameHistory() {
+    document.getElementById('game-history-list').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-replay]');
+      if (button) this.openReplay(button.dataset.replay);
+    });
+    document.getElementById('replay-prev').addEventListener('click', () => this.showReplayStep(this.replayIndex - 1));
+    document.getElementById('replay-next').addEventListener('click', () => this.showReplayStep(this.replayIndex + 1));
+    document.getElementById('replay-slider').addEventListener('input', (e) => this.showReplayStep(parseInt(e.target.value)));
+    document.getElementById('replay-close').addEventListener('click', () => this.closeReplay());
+    
+    this.renderGameHistory();
+  }
+  
+  renderGameHistory() {
+    const list = document.getElementById('game-history-list');
+    const scenarios = this.gameHistory.listScenarios();
+    const games = this.gameHistory.listGames();
+    
+    if (games.length === 0 && scenarios.length === 0) {
+      list.innerHTML = `<div class="far-side-instructions">No finished games yet</div>`;
+      return;
+    }
+    
+    let html = `<div class="far-side-instructions">Best scores</div>`;
+    scenarios.forEach(({ scenarioKey, best }) => {
+      html += `<div class="custom-ship"><span class="custom-ship-info">${getScenarioLabel(scenarioKey)}: ${best.score}</span></div>`;
+    });
+    
+    html += `<div class="far-side-instructions">Recent games</div>`;
+    games.forEach(game => {
+      html += `<div class="custom-ship">`
+        + `<span class="custom-ship-info">${getScenarioLabel(game.scenarioKey)} • ${game.result.score} pts • ${new Date(game.finishedAt).toLocaleString()}</span>`
+        + `<button type="button" class="option-btn" data-replay="${game.id}">Replay</button>`
+        + `</div>`;
+    });
+    list.innerHTML = html;
+  }
+  
+  openReplay(gameId) {
+    const game = this.gameHistory.getGame(gameId);
+    const steps = game ? getReplaySteps(game) : null;
+    if (!steps) return;
+    
+    this.replaySteps = steps;
+    this.replayGame = game;
+    const seedText = game.seed ? `, seed ${game.seed}` : '';
+    document.getElementById('replay-title').textContent = `Replay: ${getScenarioLabel(game.scenarioKey)} - original mass ${game.originalWormholeMass} Gg, score ${game.result.score}${seedText}`;
+    const slider = document.getElementById('replay-slider');
+    slider.max = String(steps.length - 1);
+    document.getElementById('replay-section').style.display = 'block';
+    this.showReplayStep(0);
+  }
+  
+  showReplayStep(index) {
+    if (!this.replaySteps) return;
+    
+    this.replayIndex = Math.max(0, Math.min(index, this.replaySteps.length - 1));
+    const step = this.replaySteps[this.replayIndex];
+    document.getElementById('replay-slider').value = String(this.replayIndex);
+    document.getElementById('replay-position').textContent = `Step ${this.replayIndex} of ${this.replaySteps.length - 1}`;
+    document.getElementById('replay-prev').disabled = this.replayIndex === 0;
+    document.getElementById('replay-next').disabled = this.replayIndex === this.replaySteps.length - 1;
+    
+    let html = `<div><strong>${step.label}</strong></div>`;
+    html += `<div>State: ${WORMHOLE_STATES[step.state] || step.state} • You saw ${Math.round(step.visibleMass.min)} - ${Math.round(step.visibleMass.max)} Gg</div>`;
+    html += `<div class="replay-hidden">Hidden: ${step.remainingMass} Gg left of ${this.replayGame.originalWormholeMass} Gg (${step.percentRemaining.toFixed(1)}%)`;
+    if (step.massUsed) {
+      html += `, this step used ${step.massUsed} Gg`;
+    }
+    html += `</div>`;
+    document.getElementById('replay-step').innerHTML = html;
+  }
+  
+  closeReplay() {
+    this.replaySteps = null;
+    this.replayGame = null;
+    document.getElementById('replay-section').style.display = 'none';
+  }
+  
+  clearWormholeCompletion() {
+    // Undo of a collapse - put the action controls back
+    const completionSection = document.getElementById('completion-section');
+    if (completionSection) {
+      completionSection.remove();
+    }
+    
+    document.getElementById('add-action-row').style.display = 'flex';
+    this.currentMode.setupActionInterface();
+  }
+  
+  // ROLL PLANNER - Suggest a jump sequence for the ships on the home side
+  setupPlannerFleet() {
+    this.plannerFleet = {};
+    Object.keys(SHIP_TYPES).forEach(shipKey => {
+      this.plannerFleet[shipKey] = 0;
+    });
+    
+    document.getElementById('planner-output').innerHTML = '';
+    this.renderPlannerFleetUI();
+  }
+  
+  renderPlannerFleetUI() {
+    const container = document.getElementById('planner-fleet-list');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    Object.keys(SHIP_TYPES).forEach(shipKey => {
+      const ship = SHIP_TYPES[shipKey];
+      const quantity = this.plannerFleet[shipKey] || 0;
+      const isDisabled = ship.size > this.initialWhRestriction;
+      
+      const shipRow = document.createElement('div');
+      shipRow.className = `far-side-ship-row ${isDisabled ? 'disabled' : ''}`;
+      
+      shipRow.innerHTML = `
+        <div class="far-side-ship-name ${isDisabled ? 'disabled' : ''}">${ship.name}</div>
+        <div class="far-side-controls">
+          <button class="far-side-btn" data-action="decrease" data-ship="${shipKey}" ${isDisabled || quantity === 0 ? 'disabled' : ''}>−</button>
+          <div class="far-side-quantity">${quantity}</div>
+          <button class="far-side-btn" data-action="increase" data-ship="${shipKey}" ${isDisabled ? 'disabled' : ''}>+</button>
+        </div>
+      `;
+      
+      container.appendChild(shipRow);
+    });
+    
+    container.querySelectorAll('.far-side-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const shipKey = e.target.dataset.ship;
+        if (e.target.dataset.action === 'increase') {
+          this.plannerFleet[shipKey] = (this.plannerFleet[shipKey] || 0) + 1;
+        } else {
+          this.plannerFleet[shipKey] = Math.max(0, (this.plannerFleet[shipKey] || 0) - 1);
+        }
+        this.renderPlannerFleetUI();
+      });
+    });
+  }
+  
+  describePlanJumps(jumps) {
+    // Group consecutive identical jumps, e.g. "2x Rolling Battleship out cold"
+    const groups = [];
+    jumps.forEach(jump => {
+      const last = groups[groups.length - 1];
+      if (last && last.shipType === jump.shipType && last.mode === jump.mode && last.direction === jump.direction) {
+        last.count++;
+      } else {
+        groups.push({ ...jump, count: 1 });
+      }
+    });
+    
+    return groups.map(group => {
+      const shipName = SHIP_TYPES[group.shipType].name;
+      const directionText = group.direction === 'B' ? 'out' : 'back';
+      return `${group.count > 1 ? `${group.count}x ` : ''}${shipName} ${directionText} ${group.mode}`;
+    }).join(', ');
+  }
+  
+  renderRollPlan() {
+    const output = document.getElementById('planner-output');
+    const fleetSize = Object.values(this.plannerFleet).reduce((sum, count) => sum + count, 0);
+    if (fleetSize === 0) {
+      output.innerHTML = '<em>Add the ships you have on the home side first</em>';
+      return;
+    }
+    
+    const planner = new RollPlanner(this.initialWhSize, this.currentWhState, this.initialWhRestriction, this.getMaxJumpMass());
+    const result = planner.plan(this.calculateCurrentMass(), this.plannerFleet, this.shipsOnFarSide);
+    
+    let html = '';
+    if (result.plan) {
+      html += `<div class="planner-plan">`;
+      html += `<div class="log-entry-header"><strong>Suggested Plan:</strong> ${result.plan.label}</div>`;
+      let passNumber = 0;
+      result.plan.steps.forEach(step => {
+        const stepTitle = step.type === 'homecoming' ? 'Bring far side home' : `Pass ${++passNumber}`;
+        const statesText = step.possibleStates.map(state => WORMHOLE_STATES[state]).join(' / ');
+        html += `<div class="log-action">• ${stepTitle}: ${this.describePlanJumps(step.jumps)}`
+          + ` → ${Math.round(step.rangeAfter.min)} - ${Math.round(step.rangeAfter.max)} Gg (${statesText})</div>`;
+      });
+      html += `</div>`;
+    } else {
+      html += `<div class="planner-no-plan">No plan can guarantee both a collapse and every ship home from `
+        + `${Math.round(result.startRange.min)} - ${Math.round(result.startRange.max)} Gg. `
+        + `Roll with the best candidate and plan again after the next state change.</div>`;
+    }
+    
+    // Candidate comparison (worst case = hole lasts to its maximum mass)
+    html += `<div class="planner-candidates">`;
+    html += `<div class="planner-candidate planner-candidate-header"><span>Candidate</span><span>Jumps</span><span>Hot</span><span>Worst Case</span></div>`;
+    result.candidates.slice(0, 8).forEach(candidate => {
+      const worstCaseText = candidate.guaranteed
+        ? `collapsed by jump ${candidate.worstCase.jumps}${candidate.bestCaseJumps ? ` (maybe ${candidate.bestCaseJumps})` : ''}`
+        : `${Math.round(candidate.worstCase.remaining.min)} - ${Math.round(candidate.worstCase.remaining.max)} Gg left: ${candidate.reason}`;
+      html += `<div class="planner-candidate ${candidate.guaranteed ? 'guaranteed' : ''}">`
+        + `<span>${candidate.guaranteed ? '✓' : '✗'} ${candidate.label}</span>`
+        + `<span>${candidate.jumps}</span>`
+        + `<span>${candidate.hotJumps}</span>`
+        + `<span>${worstCaseText}</span>`
+        + `</div>`;
+    });
+    html += `</div>`;
+    
+    output.innerHTML = html;
+  }
+  
   setupCustomMassToggle() {
     const customMassContainer = document.querySelector('.custom-mass-container');
     const shipModeContainer = document.getElementById('ship-mode-options');
@@ -1658,12 +3259,24 @@ class WormholeRollingUI {
           if (customMassContainer) {
             customMassContainer.style.display = selectedMode === 'custom' ? 'flex' : 'none';
           }
+          // Fit toggles only apply to real ships
+          document.getElementById('ship-modifier-options').style.display = selectedMode === 'custom' ? 'none' : 'flex';
         }
       });
     }
   }
   
   resetCurrentMode() {
+    // Closing one of several open holes moves on to the next one
+    const otherHoles = this.holes.filter(hole => hole.sessionId !== this.sessionId);
+    if (this.currentMode === this.trackerMode && this.isTracking && otherHoles.length > 0) {
+      this.holes = otherHoles;
+      this.isTracking = false; // Nothing on screen to put away
+      this.history = new LogHistory();
+      this.switchHole(otherHoles[0].sessionId);
+      return;
+    }
+    
     // Reset to initial setup but stay in current mode
     this.resetAll();
     // Note: resetAll() already handles everything, we just renamed the public method
@@ -1671,6 +3284,15 @@ class WormholeRollingUI {
   }
   
   resetAll() {
+    // Finished with this roll - it stays in the saved list but is no longer resumed
+    this.sessionStore.setActiveSessionId(null);
+    this.sessionId = null;
+    this.readOnly = false;
+    document.getElementById('shared-roll-banner').style.display = 'none';
+    this.clearShareHash();
+    this.history.clear();
+    this.editingEntryIndex = null;
+    
     // Reset all state
     this.committedActions = [];
     this.stagedActions = [];
@@ -1680,6 +3302,15 @@ class WormholeRollingUI {
     this.initialWhRestriction = null;
     this.currentWhState = null;
     this.shipsOnFarSide = {};
+    this.pilots = [];
+    this.dailyDate = null;
+    this.lifetime = null;
+    this.stopTimers();
+    document.getElementById('lifetime-display').style.display = 'none';
+    this.holes = [];
+    this.renderHoleTabs();
+    this.pendingChainConnection = null;
+    this.renderChainMap();
     
     // Remove completion section if it exists
     const completionSection = document.getElementById('completion-section');
@@ -1698,11 +3329,25 @@ class WormholeRollingUI {
     
     // Clear any messages
     document.getElementById('apply-message').innerHTML = '';
+    document.getElementById('planner-output').innerHTML = '';
+    
+    this.renderSavedSessions();
+    if (this.isDailyTab) {
+      this.renderDailyChallenge();
+    }
   }
   
 
 }
 
+// The roll's own fields live in the session; the renderers, hole tabs and saved sessions reach them through the UI
+ROLL_SESSION_FIELDS.forEach(field => {
+  Object.defineProperty(WormholeRollingUI.prototype, field, {
+    get() { return this.session[field]; },
+    set(value) { this.session[field] = value; }
+  });
+});
+
 document.addEventListener('DOMContentLoaded', () => {
   const ui = new WormholeRollingUI();
   ui.init();
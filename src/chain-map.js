@@ -0,0 +1,242 @@
+// EVE Online wormhole chain map
+// Systems and the holes between them, each hole linked to the tracker roll that is rolling it
+
+const chainData = typeof require === 'function' ? require('./wormhole-data') : window;
+const chainJson = typeof require === 'function' ? require('./json-storage') : window;
+
+const CHAIN_MAP_KEY = 'eve-rolling.chain';
+
+// System classes match the destinations used in WORMHOLE_DATA
+const CHAIN_SYSTEM_CLASSES = ['C1', 'C2', 'C3', 'C4', 'C5', 'C6', 'C13', 'HS', 'LS', 'NS', 'Thera', 'Pochven', 'Drifter'];
+const MAX_SYSTEM_NAME_LENGTH = 24;
+
+// The far side of every typed hole is a K162
+const K162_CODE = 'K162';
+
+// SVG layout: one column per jump away from the first system
+const CHAIN_COLUMN_WIDTH = 150;
+const CHAIN_ROW_HEIGHT = 70;
+const CHAIN_NODE_WIDTH = 100;
+const CHAIN_NODE_HEIGHT = 36;
+const CHAIN_MARGIN = 20;
+
+// Returns an error message for an invalid system, or null when it can be added
+function validateChainSystem(system, systems) {
+  const name = (system.name || '').trim();
+  if (!name) return 'System name is required';
+  if (name.length > MAX_SYSTEM_NAME_LENGTH) return `System name must be ${MAX_SYSTEM_NAME_LENGTH} characters or fewer`;
+  if (/[<>&"]/.test(name)) return 'System name cannot contain < > & or "';
+  if (!CHAIN_SYSTEM_CLASSES.includes(system.systemClass)) return 'Pick a system class';
+  if (systems.some(existing => existing.name.toLowerCase() === name.toLowerCase())) return `${name} is already on the map`;
+  return null;
+}
+
+// The code is the hole's type as seen from the `from` system; K162 when only the exit side is known
+function validateChainConnection(connection, systems) {
+  const from = systems.find(system => system.id === connection.from);
+  const to = systems.find(system => system.id === connection.to);
+  if (!from || !to) return 'Pick both systems';
+  if (from.id === to.id) return 'A hole needs two different systems';
+  if (connection.code === K162_CODE) return null;
+
+  const info = chainData.WORMHOLE_DATA[connection.code];
+  if (!info) return 'Pick a wormhole type';
+  if (info.destination !== to.systemClass) return `${connection.code} leads to ${info.destination}, not ${to.systemClass}`;
+  return null;
+}
+
+// Type, mass and restriction of a connection, and the code on each side. Nothing is known about a K162 until its origin is.
+function getConnectionInfo(connection) {
+  if (connection.code === K162_CODE) {
+    return { code: K162_CODE, fromCode: K162_CODE, toCode: null, totalMass: null, restriction: null, restrictionText: null, lifetime: null };
+  }
+  const info = chainData.getWormholeInfo(connection.code);
+  return {
+    code: connection.code,
+    fromCode: connection.code,
+    toCode: K162_CODE,
+    totalMass: info.totalMass,
+    restriction: info.restriction,
+    restrictionText: info.restrictionText,
+    lifetime: info.lifetime
+  };
+}
+
+// Column and row for every system: breadth first from the first system, unlinked systems start a new tree
+function layoutChainMap(map) {
+  const positions = {};
+  const rowsPerDepth = [];
+  const place = (systemId, depth) => {
+    rowsPerDepth[depth] = (rowsPerDepth[depth] || 0) + 1;
+    positions[systemId] = { depth: depth, row: rowsPerDepth[depth] - 1 };
+  };
+
+  map.systems.forEach(root => {
+    if (positions[root.id]) return;
+    place(root.id, 0);
+    const queue = [root.id];
+    while (queue.length > 0) {
+      const systemId = queue.shift();
+      map.connections.forEach(connection => {
+        const neighbour = connection.from === systemId ? connection.to : connection.to === systemId ? connection.from : null;
+        if (neighbour && !positions[neighbour]) {
+          place(neighbour, positions[systemId].depth + 1);
+          queue.push(neighbour);
+        }
+      });
+    }
+  });
+
+  Object.values(positions).forEach(position => {
+    position.x = CHAIN_MARGIN + position.depth * CHAIN_COLUMN_WIDTH;
+    position.y = CHAIN_MARGIN + position.row * CHAIN_ROW_HEIGHT;
+  });
+  return positions;
+}
+
+// SVG markup for the map. sessionStates maps tracker session ids to the hole state; activeSessionId is the roll on screen.
+function renderChainSvg(map, sessionStates = {}, activeSessionId = null) {
+  const positions = layoutChainMap(map);
+  const placed = Object.values(positions);
+  const width = placed.reduce((max, position) => Math.max(max, position.x), 0) + CHAIN_NODE_WIDTH + CHAIN_MARGIN;
+  const height = placed.reduce((max, position) => Math.max(max, position.y), 0) + CHAIN_NODE_HEIGHT + CHAIN_MARGIN;
+
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" class="chain-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
+
+  map.connections.forEach(connection => {
+    const from = positions[connection.from];
+    const to = positions[connection.to];
+    if (!from || !to) return;
+    const x1 = from.x + CHAIN_NODE_WIDTH / 2;
+    const y1 = from.y + CHAIN_NODE_HEIGHT / 2;
+    const x2 = to.x + CHAIN_NODE_WIDTH / 2;
+    const y2 = to.y + CHAIN_NODE_HEIGHT / 2;
+    const info = getConnectionInfo(connection);
+    const state = connection.sessionId ? sessionStates[connection.sessionId] || 'untracked' : 'untracked';
+    const active = connection.sessionId && connection.sessionId === activeSessionId;
+
+    // Each side's code sits near its own end of the line
+    svg += `<g class="chain-link state-${state}${active ? ' active' : ''}" data-connection="${connection.id}">`
+      + `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"></line>`
+      + `<text x="${x1 + (x2 - x1) * 0.3}" y="${y1 + (y2 - y1) * 0.3 - 4}">${info.fromCode}</text>`
+      + `<text x="${x1 + (x2 - x1) * 0.7}" y="${y1 + (y2 - y1) * 0.7 - 4}">${info.toCode || '?'}</text>`
+      + `</g>`;
+  });
+
+  map.systems.forEach(system => {
+    const position = positions[system.id];
+    svg += `<g class="chain-system class-${system.systemClass.toLowerCase()}" data-system="${system.id}">`
+      + `<rect x="${position.x}" y="${position.y}" width="${CHAIN_NODE_WIDTH}" height="${CHAIN_NODE_HEIGHT}" rx="3"></rect>`
+      + `<text x="${position.x + CHAIN_NODE_WIDTH / 2}" y="${position.y + 15}">${system.name}</text>`
+      + `<text class="chain-system-class" x="${position.x + CHAIN_NODE_WIDTH / 2}" y="${position.y + 29}">${system.systemClass}</text>`
+      + `</g>`;
+  });
+
+  return svg + '</svg>';
+}
+
+class ChainMap {
+  constructor(storage) {
+    this.storage = storage || null;
+  }
+
+  readMap() {
+    const empty = { systems: [], connections: [] };
+    const map = chainJson.readStoredJson(this.storage, CHAIN_MAP_KEY, empty, 'chain map');
+    return map && Array.isArray(map.systems) && Array.isArray(map.connections) ? map : empty;
+  }
+
+  writeMap(map) {
+    chainJson.writeStoredJson(this.storage, CHAIN_MAP_KEY, map, 'chain map');
+  }
+
+  createId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Returns { id } or { error }
+  addSystem(definition) {
+    const map = this.readMap();
+    const system = { name: (definition.name || '').trim(), systemClass: definition.systemClass };
+    const error = validateChainSystem(system, map.systems);
+    if (error) return { error: error };
+
+    const id = this.createId('system');
+    map.systems.push({ id: id, ...system });
+    this.writeMap(map);
+    return { id: id };
+  }
+
+  // Removing a system takes its holes with it
+  deleteSystem(systemId) {
+    const map = this.readMap();
+    const systems = map.systems.filter(system => system.id !== systemId);
+    if (systems.length === map.systems.length) return false;
+    const connections = map.connections.filter(connection => connection.from !== systemId && connection.to !== systemId);
+    this.writeMap({ systems: systems, connections: connections });
+    return true;
+  }
+
+  // Returns { id } or { error }
+  addConnection(definition) {
+    const map = this.readMap();
+    const connection = { from: definition.from, to: definition.to, code: definition.code, sessionId: null };
+    const error = validateChainConnection(connection, map.systems);
+    if (error) return { error: error };
+
+    const id = this.createId('hole');
+    map.connections.push({ id: id, ...connection });
+    this.writeMap(map);
+    return { id: id };
+  }
+
+  deleteConnection(connectionId) {
+    const map = this.readMap();
+    const connections = map.connections.filter(connection => connection.id !== connectionId);
+    if (connections.length === map.connections.length) return false;
+    this.writeMap({ ...map, connections: connections });
+    return true;
+  }
+
+  getConnection(connectionId) {
+    return this.readMap().connections.find(connection => connection.id === connectionId) || null;
+  }
+
+  // Tie a hole to the tracker roll that is rolling it
+  linkSession(connectionId, sessionId) {
+    const map = this.readMap();
+    const connection = map.connections.find(existing => existing.id === connectionId);
+    if (!connection) return false;
+    connection.sessionId = sessionId;
+    this.writeMap(map);
+    return true;
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CHAIN_MAP_KEY,
+    CHAIN_SYSTEM_CLASSES,
+    K162_CODE,
+    validateChainSystem,
+    validateChainConnection,
+    getConnectionInfo,
+    layoutChainMap,
+    renderChainSvg,
+    ChainMap
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.CHAIN_MAP_KEY = CHAIN_MAP_KEY;
+  window.CHAIN_SYSTEM_CLASSES = CHAIN_SYSTEM_CLASSES;
+  window.K162_CODE = K162_CODE;
+  window.validateChainSystem = validateChainSystem;
+  window.validateChainConnection = validateChainConnection;
+  window.getConnectionInfo = getConnectionInfo;
+  window.layoutChainMap = layoutChainMap;
+  window.renderChainSvg = renderChainSvg;
+  window.ChainMap = ChainMap;
+}
@@ -0,0 +1,144 @@
+// EVE Online wormhole rolling daily challenge
+// One scenario per UTC date, the same for everyone, worked out from the date alone
+
+const dailyLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const dailyJson = typeof require === 'function' ? require('./json-storage') : window;
+const dailyRandom = typeof require === 'function' ? require('./seeded-random') : window;
+const dailyHistory = typeof require === 'function' ? require('./game-history') : window;
+
+const DAILY_CHALLENGE_KEY = 'eve-rolling.daily';
+
+// Past attempts kept in the browser, oldest dropped first
+const MAX_DAILY_ATTEMPTS = 60;
+
+// Share grid cells, one per jump, coloured by the state the jump left the hole in
+const DAILY_GRID_CELLS = {
+  'no-change': '⬜',
+  'stable': '🟩',
+  'destab': '🟨',
+  'critical': '🟥',
+  'gone': '⬛'
+};
+const DAILY_EVENT_CELL = '🎲'; // Random event that changed nothing
+const DAILY_GRID_WIDTH = 10;
+
+// UTC date as YYYY-MM-DD, so everyone moves on to the next challenge at the same moment
+function getDailyDate(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function getDailySeed(date) {
+  return `daily:${date}`;
+}
+
+// The seed box replays a daily challenge once its UTC day is over, never the one still running
+// or one ahead of time. Any other seed is always open.
+function isSeedOpen(seed, now = Date.now()) {
+  if (!seed.startsWith('daily:')) return true;
+  return seed.slice('daily:'.length) < getDailyDate(now);
+}
+
+// The day's wormhole type, starting state and far side fleet, plus the seed the game runs off
+function getDailyScenario(date, shipTypes = dailyLogic.SHIP_TYPES) {
+  const seed = getDailySeed(date);
+  const scenario = dailyRandom.rollScenarioSetup(dailyRandom.createScenarioRandom(seed).setup, shipTypes);
+  return { date: date, seed: seed, ...scenario };
+}
+
+function getDailyCell(entry) {
+  const stateChange = entry.stateChange || 'no-change';
+  if (entry.type === 'event' && stateChange === 'no-change') return DAILY_EVENT_CELL;
+  return DAILY_GRID_CELLS[stateChange] || DAILY_GRID_CELLS['no-change'];
+}
+
+// Rows of emoji cells, one per log entry
+function buildDailyGrid(committedActions) {
+  const cells = committedActions.map(getDailyCell);
+  const rows = [];
+  for (let i = 0; i < cells.length; i += DAILY_GRID_WIDTH) {
+    rows.push(cells.slice(i, i + DAILY_GRID_WIDTH).join(''));
+  }
+  return rows.join('\n');
+}
+
+// Spoiler-free result for chat: the scenario, the grid and the score, never the hidden mass
+function buildDailyShareText(date, scenarioKey, grid, result) {
+  const outcome = result.stranded === 0 ? 'nobody stranded' : `${result.stranded} stranded`;
+  return [
+    `EVE Wormhole Daily ${date}`,
+    dailyHistory.getScenarioLabel(scenarioKey),
+    grid,
+    `${result.jumps} jump${result.jumps !== 1 ? 's' : ''} (${result.hotJumps} hot) • ${outcome} • ${result.score} pts`
+  ].join('\n');
+}
+
+class DailyChallenge {
+  constructor(storage) {
+    this.storage = storage || null;
+  }
+
+  readAttempts() {
+    const attempts = dailyJson.readStoredJson(this.storage, DAILY_CHALLENGE_KEY, {}, 'daily challenge');
+    return attempts && typeof attempts === 'object' && !Array.isArray(attempts) ? attempts : {};
+  }
+
+  writeAttempts(attempts) {
+    if (!this.storage) return;
+    const kept = {};
+    Object.keys(attempts).sort().slice(-MAX_DAILY_ATTEMPTS).forEach(date => {
+      kept[date] = attempts[date];
+    });
+    dailyJson.writeStoredJson(this.storage, DAILY_CHALLENGE_KEY, kept, 'daily challenge');
+  }
+
+  getAttempt(date) {
+    return this.readAttempts()[date] || null;
+  }
+
+  // Uses up the day's attempt; returns false if it was already used
+  startAttempt(date, startedAt = Date.now()) {
+    const attempts = this.readAttempts();
+    if (attempts[date]) return false;
+    attempts[date] = { startedAt: startedAt, finishedAt: null, result: null, shareText: null };
+    this.writeAttempts(attempts);
+    return true;
+  }
+
+  finishAttempt(date, result, shareText, finishedAt = Date.now()) {
+    const attempts = this.readAttempts();
+    if (!attempts[date] || attempts[date].finishedAt) return false;
+    attempts[date] = { ...attempts[date], finishedAt: finishedAt, result: result, shareText: shareText };
+    this.writeAttempts(attempts);
+    return true;
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DAILY_CHALLENGE_KEY,
+    DAILY_GRID_CELLS,
+    DAILY_EVENT_CELL,
+    getDailyDate,
+    getDailySeed,
+    isSeedOpen,
+    getDailyScenario,
+    buildDailyGrid,
+    buildDailyShareText,
+    DailyChallenge
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.DAILY_CHALLENGE_KEY = DAILY_CHALLENGE_KEY;
+  window.DAILY_GRID_CELLS = DAILY_GRID_CELLS;
+  window.DAILY_EVENT_CELL = DAILY_EVENT_CELL;
+  window.getDailyDate = getDailyDate;
+  window.getDailySeed = getDailySeed;
+  window.isSeedOpen = isSeedOpen;
+  window.getDailyScenario = getDailyScenario;
+  window.buildDailyGrid = buildDailyGrid;
+  window.buildDailyShareText = buildDailyShareText;
+  window.DailyChallenge = DailyChallenge;
+}
@@ -0,0 +1,197 @@
+// EVE Online wormhole rolling game scores
+// Scores finished games, keeps a local leaderboard per scenario and saves games for replay
+
+const historyLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const historyJson = typeof require === 'function' ? require('./json-storage') : window;
+const historySessions = typeof require === 'function' ? require('./session-store') : window;
+
+const GAME_HISTORY_KEY = 'eve-rolling.games';
+const LEADERBOARD_KEY = 'eve-rolling.leaderboard';
+
+// Oldest replays are dropped past this; leaderboard entries are kept separately
+const MAX_SAVED_GAMES = 20;
+const LEADERBOARD_SIZE = 10;
+
+// Points for collapsing the hole, minus the cost of every jump it took
+const SCORE_COLLAPSE_BONUS = 1000;
+const SCORE_JUMP_PENALTY = 25;      // Per jump the player made
+const SCORE_HOT_JUMP_PENALTY = 15;  // Extra per jump with the prop on
+const SCORE_STRANDED_PENALTY = 300; // Per ship left on the far side
+const SCORE_CLEAN_BONUS = 250;      // Everyone ended up on the right side
+
+// Scenarios are ranked separately: same wormhole type and starting state
+function getScenarioKey(setup) {
+  const hole = setup.selectedWormholeType || `${historyLogic.formatWormholeSize(setup.initialWhSize)}Gg`;
+  return `${hole}/${setup.initialWhState}`;
+}
+
+function getScenarioLabel(scenarioKey) {
+  const [hole, state] = scenarioKey.split('/');
+  return `${hole.replace(/Gg$/, ' Gg')} ${historyLogic.WORMHOLE_STATES[state] || state}`;
+}
+
+// Random event jumps are not the player's and do not count against them.
+// A hole that died of age earns no collapse bonus.
+function scoreGame(committedActions, shipsOnFarSide) {
+  const playerActions = [];
+  committedActions
+    .filter(entry => entry.type !== 'event')
+    .forEach(entry => playerActions.push(...(entry.actions || [])));
+
+  const jumps = playerActions.length;
+  const hotJumps = playerActions.filter(action => action.ship.mode === 'hot').length;
+  const stranded = Object.values(shipsOnFarSide || {}).reduce((sum, count) => sum + count, 0);
+  const expired = committedActions.some(entry => entry.expired);
+
+  const score = (expired ? 0 : SCORE_COLLAPSE_BONUS)
+    - jumps * SCORE_JUMP_PENALTY
+    - hotJumps * SCORE_HOT_JUMP_PENALTY
+    - stranded * SCORE_STRANDED_PENALTY
+    + (stranded === 0 ? SCORE_CLEAN_BONUS : 0);
+
+  return {
+    score: Math.max(0, score),
+    jumps: jumps,
+    hotJumps: hotJumps,
+    stranded: stranded
+  };
+}
+
+// Finished game with the hidden mass trail the player never saw
+function buildGameRecord(state, hidden, finishedAt = Date.now()) {
+  return {
+    id: `game-${finishedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    finishedAt: finishedAt,
+    scenarioKey: getScenarioKey(state),
+    seed: hidden.seed || null,
+    originalWormholeMass: hidden.originalWormholeMass,
+    startingRemainingMass: hidden.startingRemainingMass,
+    result: scoreGame(state.committedActions, state.shipsOnFarSide),
+    session: historySessions.serializeSession(state)
+  };
+}
+
+function describeReplayEntry(entry) {
+  if (entry.expired) {
+    return entry.eventData.displayName;
+  }
+  if (entry.type === 'event') {
+    return `Random event: ${entry.eventData ? entry.eventData.displayName : 'unknown'}`;
+  }
+  return entry.actions.map(action => `${action.getDirectionText()} - ${action.ship.getDisplayName()}`).join(', ');
+}
+
+// One step for the start and one per log entry, with the hidden mass next to what the player saw
+function getReplaySteps(record) {
+  const session = historySessions.deserializeSession(record.session);
+  if (!session) return null;
+
+  const original = record.originalWormholeMass;
+  const steps = [{
+    label: 'Start',
+    state: session.initialWhState,
+    visibleMass: new historyLogic.Wormhole(session.initialWhSize, session.initialWhState).getCurrentMassRange(),
+    remainingMass: record.startingRemainingMass,
+    massUsed: 0,
+    percentRemaining: (record.startingRemainingMass / original) * 100
+  }];
+
+  session.committedActions.forEach(entry => {
+    steps.push({
+      label: describeReplayEntry(entry),
+      state: entry.currentState,
+      visibleMass: entry.finalMass,
+      remainingMass: entry.remainingMass,
+      massUsed: entry.actualMassUsed,
+      percentRemaining: (entry.remainingMass / original) * 100
+    });
+  });
+
+  return steps;
+}
+
+class GameHistory {
+  constructor(storage) {
+    this.storage = storage || null;
+  }
+
+  readJson(key, fallback) {
+    return historyJson.readStoredJson(this.storage, key, fallback, 'game history');
+  }
+
+  writeJson(key, value) {
+    historyJson.writeStoredJson(this.storage, key, value, 'game history');
+  }
+
+  // Most recent first
+  listGames() {
+    const games = this.readJson(GAME_HISTORY_KEY, []);
+    return Array.isArray(games) ? games.sort((a, b) => b.finishedAt - a.finishedAt) : [];
+  }
+
+  getGame(id) {
+    return this.listGames().find(game => game.id === id) || null;
+  }
+
+  getLeaderboard(scenarioKey) {
+    const boards = this.readJson(LEADERBOARD_KEY, {});
+    return boards && Array.isArray(boards[scenarioKey]) ? boards[scenarioKey] : [];
+  }
+
+  // Scenario keys with their best score, best first
+  listScenarios() {
+    const boards = this.readJson(LEADERBOARD_KEY, {}) || {};
+    return Object.keys(boards)
+      .filter(key => Array.isArray(boards[key]) && boards[key].length > 0)
+      .map(key => ({ scenarioKey: key, best: boards[key][0] }))
+      .sort((a, b) => b.best.score - a.best.score);
+  }
+
+  // Save the replay and score it; returns the leaderboard rank (1 = best) or null if it did not place
+  saveGame(record) {
+    const games = this.listGames().filter(game => game.id !== record.id);
+    games.unshift(record);
+    this.writeJson(GAME_HISTORY_KEY, games.slice(0, MAX_SAVED_GAMES));
+
+    const boards = this.readJson(LEADERBOARD_KEY, {}) || {};
+    const board = Array.isArray(boards[record.scenarioKey]) ? boards[record.scenarioKey] : [];
+    board.push({ gameId: record.id, finishedAt: record.finishedAt, ...record.result });
+    // Ties go to whoever got there first
+    board.sort((a, b) => b.score - a.score || a.finishedAt - b.finishedAt);
+    boards[record.scenarioKey] = board.slice(0, LEADERBOARD_SIZE);
+    this.writeJson(LEADERBOARD_KEY, boards);
+
+    const rank = boards[record.scenarioKey].findIndex(score => score.gameId === record.id);
+    return rank === -1 ? null : rank + 1;
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GAME_HISTORY_KEY,
+    LEADERBOARD_KEY,
+    MAX_SAVED_GAMES,
+    LEADERBOARD_SIZE,
+    getScenarioKey,
+    getScenarioLabel,
+    scoreGame,
+    buildGameRecord,
+    getReplaySteps,
+    GameHistory
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.GAME_HISTORY_KEY = GAME_HISTORY_KEY;
+  window.LEADERBOARD_KEY = LEADERBOARD_KEY;
+  window.MAX_SAVED_GAMES = MAX_SAVED_GAMES;
+  window.LEADERBOARD_SIZE = LEADERBOARD_SIZE;
+  window.getScenarioKey = getScenarioKey;
+  window.getScenarioLabel = getScenarioLabel;
+  window.scoreGame = scoreGame;
+  window.buildGameRecord = buildGameRecord;
+  window.getReplaySteps = getReplaySteps;
+  window.GameHistory = GameHistory;
+}
@@ -0,0 +1,107 @@
+// EVE Online wormhole rolling lifetime timer
+// How long a scanned hole can have left before it dies of age, and the hidden clock game mode plays against
+
+const lifetimeLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Game mode clock: every jump takes a minute to align and warp back, and time spent thinking counts too
+const GAME_MINUTES_PER_JUMP = 1;
+const GAME_MINUTES_PER_SECOND = 1; // One game minute passes per real second
+const GAME_EOL_START_CHANCE = 0.3; // Share of games that start on an End of Life hole
+const GAME_MIN_START_MINUTES = 30; // Even an EOL start leaves time for a few jumps
+
+// Tracker timer: lifetime in hours, when the hole was scanned and when it was first seen End of Life
+function createLifetimeTimer(lifetimeHours, scannedAt, endOfLife = false) {
+  return {
+    lifetime: lifetimeHours,
+    scannedAt: scannedAt,
+    eolAt: endOfLife ? scannedAt : null
+  };
+}
+
+// Someone saw the hole go End of Life; the first sighting is the one that counts
+function markEndOfLife(timer, at = Date.now()) {
+  if (timer.eolAt !== null) return timer;
+  return { ...timer, eolAt: at };
+}
+
+// Earliest and latest moment the hole can die of age. A hole that was not EOL when scanned
+// still had more than 4 hours; one that could have just spawned has its full lifetime.
+function getDeathWindow(timer) {
+  const eolMs = lifetimeLogic.WORMHOLE_EOL_HOURS * HOUR_MS;
+  let earliest = timer.eolAt === timer.scannedAt ? timer.scannedAt : timer.scannedAt + eolMs;
+  let latest = timer.scannedAt + timer.lifetime * HOUR_MS;
+
+  if (timer.eolAt !== null) {
+    earliest = Math.max(earliest, timer.eolAt);
+    latest = Math.min(latest, timer.eolAt + eolMs);
+  }
+  return { earliest: Math.min(earliest, latest), latest: latest };
+}
+
+// Time left as a range in ms, whether the hole is (or by now must be) End of Life, and whether it is past its lifetime
+function getTimeLeft(timer, now = Date.now()) {
+  const window = getDeathWindow(timer);
+  const max = Math.max(0, window.latest - now);
+
+  return {
+    min: Math.max(0, window.earliest - now),
+    max: max,
+    endOfLife: timer.eolAt !== null || max <= lifetimeLogic.WORMHOLE_EOL_HOURS * HOUR_MS,
+    expired: max === 0
+  };
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.floor(ms / MINUTE_MS);
+  const hours = Math.floor(totalMinutes / 60);
+  return hours > 0 ? `${hours}h ${totalMinutes % 60}m` : `${totalMinutes}m`;
+}
+
+// Game mode: hidden minutes the hole has left when the game starts
+function rollGameLifetime(rng, lifetimeHours = lifetimeLogic.DEFAULT_WORMHOLE_LIFETIME) {
+  const eolMinutes = lifetimeLogic.WORMHOLE_EOL_HOURS * 60;
+  if (rng.random() < GAME_EOL_START_CHANCE) {
+    return Math.round(GAME_MIN_START_MINUTES + rng.random() * (eolMinutes - GAME_MIN_START_MINUTES));
+  }
+  return Math.round(eolMinutes + rng.random() * (lifetimeHours * 60 - eolMinutes));
+}
+
+// Game minutes used up by the player's jumps and the real time since the game started
+function getGameMinutesElapsed(jumps, realMs) {
+  return jumps * GAME_MINUTES_PER_JUMP + (realMs / 1000) * GAME_MINUTES_PER_SECOND;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HOUR_MS,
+    MINUTE_MS,
+    GAME_MINUTES_PER_JUMP,
+    GAME_MINUTES_PER_SECOND,
+    createLifetimeTimer,
+    markEndOfLife,
+    getDeathWindow,
+    getTimeLeft,
+    formatDuration,
+    rollGameLifetime,
+    getGameMinutesElapsed
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.HOUR_MS = HOUR_MS;
+  window.MINUTE_MS = MINUTE_MS;
+  window.GAME_MINUTES_PER_JUMP = GAME_MINUTES_PER_JUMP;
+  window.GAME_MINUTES_PER_SECOND = GAME_MINUTES_PER_SECOND;
+  window.createLifetimeTimer = createLifetimeTimer;
+  window.markEndOfLife = markEndOfLife;
+  window.getDeathWindow = getDeathWindow;
+  window.getTimeLeft = getTimeLeft;
+  window.formatDuration = formatDuration;
+  window.rollGameLifetime = rollGameLifetime;
+  window.getGameMinutesElapsed = getGameMinutesElapsed;
+}
@@ -0,0 +1,104 @@
+// EVE Online wormhole multi-hole tracking
+// Several holes rolled in parallel, each with its own log, state and far side fleet
+
+const holeLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const holePilots = typeof require === 'function' ? require('./pilot-roster') : window;
+
+// Everything that belongs to one hole, its undo history included; the tracker shows whichever hole is open
+const HOLE_SESSION_FIELDS = [
+  'sessionId',
+  'selectedWormholeType',
+  'initialWhSize',
+  'initialWhState',
+  'initialWhRestriction',
+  'initialFarSideFleet',
+  'currentWhState',
+  'shipsOnFarSide',
+  'pilots',
+  'committedActions',
+  'stagedActions',
+  'history',
+  'lifetime'
+];
+
+// Per-hole session object taken from the tracker state (or any object with the same fields)
+function captureHoleSession(state) {
+  const hole = {};
+  HOLE_SESSION_FIELDS.forEach(field => {
+    hole[field] = state[field] === undefined ? null : state[field];
+  });
+  return hole;
+}
+
+function getHoleLabel(hole) {
+  return hole.selectedWormholeType || holeLogic.getWormholeSizeText(hole.initialWhSize);
+}
+
+function getHoleFarSideCount(hole) {
+  return Object.values(hole.shipsOnFarSide || {}).reduce((sum, count) => sum + count, 0);
+}
+
+// For every pilot beyond one of the holes: which hole and in what ship. Pilots at home are left out.
+function getPilotHoles(holes) {
+  const pilotHoles = {};
+  holes.forEach(hole => {
+    const positions = holePilots.getPilotPositions(hole.pilots || [], hole.committedActions || [], hole.stagedActions || []);
+    Object.entries(positions).forEach(([pilotId, position]) => {
+      if (position.side === 'far') {
+        pilotHoles[pilotId] = { sessionId: hole.sessionId, label: getHoleLabel(hole), ship: position.ship };
+      }
+    });
+  });
+  return pilotHoles;
+}
+
+// Returns why the pilot cannot jump this hole while still beyond another one, or null
+function validatePilotHole(pilot, sessionId, holes) {
+  const beyond = getPilotHoles(holes.filter(hole => hole.sessionId !== sessionId))[pilot.id];
+  return beyond ? `${pilot.name} is on the far side of ${beyond.label}` : null;
+}
+
+// Ships beyond a hole that no roster pilot is flying, by type
+function getUnpilotedFarSide(hole) {
+  const farSide = { ...(hole.shipsOnFarSide || {}) };
+  const positions = holePilots.getPilotPositions(hole.pilots || [], hole.committedActions || []);
+  Object.values(positions).forEach(position => {
+    if (position.side === 'far' && farSide[position.ship] > 0) farSide[position.ship]--;
+  });
+  return farSide;
+}
+
+// Jumps without a pilot cannot be told apart between holes, so sending one out while a ship of
+// the same type is beyond another hole gets a warning instead of a block. Returns it, or null.
+function getShipHoleWarning(shipKey, sessionId, holes) {
+  const beyond = holes.filter(hole => hole.sessionId !== sessionId && getUnpilotedFarSide(hole)[shipKey] > 0);
+  if (!shipKey || beyond.length === 0) return null;
+  return `⚠️ ${holePilots.getRosterShipName(shipKey)} is also beyond ${beyond.map(getHoleLabel).join(', ')} without a pilot - `
+    + 'pick pilots to keep track of which ship is where';
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HOLE_SESSION_FIELDS,
+    captureHoleSession,
+    getHoleLabel,
+    getHoleFarSideCount,
+    getPilotHoles,
+    validatePilotHole,
+    getUnpilotedFarSide,
+    getShipHoleWarning
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.HOLE_SESSION_FIELDS = HOLE_SESSION_FIELDS;
+  window.captureHoleSession = captureHoleSession;
+  window.getHoleLabel = getHoleLabel;
+  window.getHoleFarSideCount = getHoleFarSideCount;
+  window.getPilotHoles = getPilotHoles;
+  window.validatePilotHole = validatePilotHole;
+  window.getUnpilotedFarSide = getUnpilotedFarSide;
+  window.getShipHoleWarning = getShipHoleWarning;
+}
@@ -0,0 +1,38 @@
+// EVE Online wormhole tracker browser storage
+// JSON values kept in localStorage (or any stand-in with getItem/setItem); a full or broken store is logged, never thrown
+
+// The stored value, or fallback when there is no storage, nothing saved yet or it does not parse.
+// what names the data in the console message, e.g. 'saved sessions'.
+function readStoredJson(storage, key, fallback, what) {
+  if (!storage) return fallback;
+  try {
+    const raw = storage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.error(`Unable to read ${what}: ${error.message}`);
+    return fallback;
+  }
+}
+
+function writeStoredJson(storage, key, value, what) {
+  if (!storage) return;
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Unable to save ${what}: ${error.message}`);
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    readStoredJson,
+    writeStoredJson
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.readStoredJson = readStoredJson;
+  window.writeStoredJson = writeStoredJson;
+}
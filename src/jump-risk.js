@@ -0,0 +1,195 @@
+// EVE Online wormhole jump risk assessment
+// Estimates the chance a staged jump crits or collapses the hole
+
+const riskLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+
+// Stranding chance at or above which a jump is flagged red
+const RISK_RED_THRESHOLD = 0.05;
+
+// Any stranding chance above this (or a likely crit) is flagged amber
+const RISK_AMBER_THRESHOLD = 0.001;
+const RISK_CRIT_AMBER_THRESHOLD = 0.5;
+
+// Points used to discretize uniform mass ranges
+const RISK_SAMPLE_POINTS = 40;
+const RISK_MAX_POINTS = 200;
+
+const RISK_VERDICTS = {
+  'green': 'Safe',
+  'amber': 'Caution',
+  'red': 'Danger'
+};
+
+// Discrete distribution for a value uniformly spread over [min, max]
+function uniformDistribution(min, max, points = RISK_SAMPLE_POINTS) {
+  if (min === max) return [{ value: min, p: 1 }];
+
+  const step = (max - min) / points;
+  const distribution = [];
+  for (let i = 0; i < points; i++) {
+    distribution.push({ value: min + step * (i + 0.5), p: 1 / points });
+  }
+  return distribution;
+}
+
+// Merge points into equal-width bins so repeated convolutions stay small
+function rebinDistribution(distribution, maxPoints = RISK_MAX_POINTS) {
+  if (distribution.length <= maxPoints) return distribution;
+
+  const values = distribution.map(point => point.value);
+  const min = Math.min(...values);
+  const width = (Math.max(...values) - min) / maxPoints;
+  const bins = [];
+
+  distribution.forEach(point => {
+    const index = Math.min(maxPoints - 1, Math.floor((point.value - min) / width));
+    if (!bins[index]) bins[index] = { weighted: 0, p: 0 };
+    bins[index].weighted += point.value * point.p;
+    bins[index].p += point.p;
+  });
+
+  return bins.filter(Boolean).map(bin => ({ value: bin.weighted / bin.p, p: bin.p }));
+}
+
+// Distribution of the sum of two independent values
+function convolveDistributions(a, b) {
+  const result = [];
+  a.forEach(left => {
+    b.forEach(right => {
+      result.push({ value: left.value + right.value, p: left.p * right.p });
+    });
+  });
+  return rebinDistribution(result);
+}
+
+class JumpRiskCalculator {
+  constructor(whSize, state) {
+    this.whSize = whSize;
+    this.state = state;
+  }
+
+  // P(remaining <= threshold) with the remaining mass uniform over the range
+  probabilityRemainingAtMost(range, threshold) {
+    if (threshold < range.min) return 0;
+    if (threshold >= range.max) return 1;
+    return (threshold - range.min) / (range.max - range.min);
+  }
+
+  // Expected P(remaining <= sample) over a distribution of thresholds
+  probabilityBelow(range, distribution) {
+    return distribution.reduce((total, point) => total + point.p * this.probabilityRemainingAtMost(range, point.value), 0);
+  }
+
+  getVerdict(strandChance, critChance) {
+    if (strandChance >= RISK_RED_THRESHOLD) return 'red';
+    if (strandChance > RISK_AMBER_THRESHOLD || critChance >= RISK_CRIT_AMBER_THRESHOLD) return 'amber';
+    return 'green';
+  }
+
+  // Assess each staged action in order against the current remaining range.
+  // Collapse means the cumulative staged mass reaches the remaining mass;
+  // crit means it gets within 10% of the (uniformly unknown) original mass.
+  // The round trip verdict runs over the whole sequence: every outbound ship without a staged
+  // return gets one at its own hot/cold mass, and a jump is judged by what can go wrong from it on.
+  assessSequence(currentMass, actions, farSideCount = 0) {
+    const wormhole = new riskLogic.Wormhole(this.whSize, this.state);
+    const critAllowance = uniformDistribution(wormhole.getMinMass() * 0.1, wormhole.getMaxMass() * 0.1, 20);
+    const alreadyCritical = this.state === 'critical' || this.state === 'gone';
+    const returns = getImpliedReturns(actions);
+    const legs = actions.concat(returns.map(index => new riskLogic.Action(actions[index].ship, 'A', actions[index].pilotId)));
+
+    let cumulative = [{ value: 0, p: 1 }];
+    let previousCollapse = 0;
+    let onFarSide = farSideCount;
+
+    const legRisks = legs.map(action => {
+      const shipMass = action.ship.getMass();
+      cumulative = convolveDistributions(cumulative, uniformDistribution(shipMass.min, shipMass.max));
+
+      if (action.direction === 'B') {
+        onFarSide++;
+      } else if (onFarSide > 0) {
+        onFarSide--;
+      }
+
+      // Collapse on exactly this jump: collapsed by now but not by the previous jump
+      const collapseByNow = this.probabilityBelow(currentMass, cumulative);
+      const collapseChance = Math.max(0, collapseByNow - previousCollapse);
+      previousCollapse = collapseByNow;
+
+      const critChance = alreadyCritical ? 1 : this.probabilityBelow(currentMass, convolveDistributions(cumulative, critAllowance));
+      const strandChance = onFarSide > 0 ? collapseChance : 0;
+
+      return {
+        collapseChance: collapseChance,
+        critChance: critChance,
+        strandChance: strandChance,
+        shipsOnFarSide: onFarSide
+      };
+    });
+
+    // Collapsing on different jumps are separate outcomes, so the chances from a jump on add up
+    const lastLeg = legRisks[legRisks.length - 1];
+    const roundTripCritChance = alreadyCritical || !lastLeg ? 0 : lastLeg.critChance;
+    return actions.map((action, index) => {
+      const roundTripStrandChance = Math.min(1, legRisks.slice(index).reduce((sum, risk) => sum + risk.strandChance, 0));
+      return {
+        ...legRisks[index],
+        roundTripStrandChance: roundTripStrandChance,
+        returnImplied: returns.includes(index),
+        verdict: this.getVerdict(roundTripStrandChance, roundTripCritChance)
+      };
+    });
+  }
+}
+
+// Indexes of the outbound jumps that no later staged jump brings back. A return matches
+// the same pilot when both jumps have one, otherwise the same ship type.
+function getImpliedReturns(actions) {
+  const returned = new Set();
+  const unmatched = [];
+  actions.forEach((action, index) => {
+    if (action.direction !== 'B') return;
+    const match = actions.findIndex((other, otherIndex) => otherIndex > index
+      && other.direction === 'A'
+      && !returned.has(otherIndex)
+      && isSameTraveller(action, other));
+    if (match === -1) {
+      unmatched.push(index);
+    } else {
+      returned.add(match);
+    }
+  });
+  return unmatched;
+}
+
+function isSameTraveller(outbound, back) {
+  if (outbound.pilotId && back.pilotId) return outbound.pilotId === back.pilotId;
+  return outbound.ship.type === back.ship.type;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RISK_RED_THRESHOLD,
+    RISK_AMBER_THRESHOLD,
+    RISK_CRIT_AMBER_THRESHOLD,
+    RISK_VERDICTS,
+    uniformDistribution,
+    convolveDistributions,
+    getImpliedReturns,
+    JumpRiskCalculator
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.RISK_RED_THRESHOLD = RISK_RED_THRESHOLD;
+  window.RISK_AMBER_THRESHOLD = RISK_AMBER_THRESHOLD;
+  window.RISK_CRIT_AMBER_THRESHOLD = RISK_CRIT_AMBER_THRESHOLD;
+  window.RISK_VERDICTS = RISK_VERDICTS;
+  window.uniformDistribution = uniformDistribution;
+  window.convolveDistributions = convolveDistributions;
+  window.getImpliedReturns = getImpliedReturns;
+  window.JumpRiskCalculator = JumpRiskCalculator;
+}
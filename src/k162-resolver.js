@@ -0,0 +1,80 @@
+// EVE Online K162 resolution
+// A K162 hides its type: the class it sits in and the class on its far side narrow down which hole it is the exit of
+
+const k162Data = typeof require === 'function' ? require('./wormhole-data') : window;
+const k162Logic = typeof require === 'function' ? require('./wormhole-logic') : window;
+
+// Origin types that could have opened a K162 in k162Class from a system of farSideClass
+function getK162Candidates(k162Class, farSideClass) {
+  const fromFarSide = k162Data.getWormholesBySource(farSideClass);
+  return k162Data.getWormholesByDestination(k162Class)
+    .filter(code => fromFarSide.includes(code))
+    .map(code => k162Data.getWormholeInfo(code));
+}
+
+// Candidates that roll the same way, smallest hole first: one entry per mass and size limit
+function groupK162Candidates(candidates) {
+  const combos = [];
+  candidates.forEach(candidate => {
+    let combo = combos.find(existing => existing.totalMass === candidate.totalMass && existing.restriction === candidate.restriction);
+    if (!combo) {
+      combo = { totalMass: candidate.totalMass, restriction: candidate.restriction, restrictionText: candidate.restrictionText, codes: [] };
+      combos.push(combo);
+    }
+    combo.codes.push(candidate.code);
+  });
+  return combos.sort((a, b) => a.totalMass - b.totalMass || a.restriction - b.restriction);
+}
+
+// Mass range covering every candidate and the largest ship any of them lets through.
+// totalMass is the hole size to roll the union as: one number when the candidates share a size,
+// otherwise every candidate size, smallest first.
+function getK162UnionRange(candidates) {
+  if (candidates.length === 0) return null;
+  const sizes = [...new Set(candidates.map(candidate => candidate.totalMass))].sort((a, b) => a - b);
+  const totalMass = sizes.length === 1 ? sizes[0] : sizes;
+  const wormhole = new k162Logic.Wormhole(totalMass, 'fresh');
+  return {
+    min: wormhole.getMinMass(),
+    max: wormhole.getMaxMass(),
+    restriction: Math.max(...candidates.map(candidate => candidate.restriction)),
+    totalMass: totalMass,
+    codes: candidates.map(candidate => candidate.code)
+  };
+}
+
+// The smallest hole, with the tighter size limit on a tie - rolling it as this never over-estimates what is left
+function getConservativeCandidate(candidates) {
+  if (candidates.length === 0) return null;
+  return [...candidates].sort((a, b) => a.totalMass - b.totalMass || a.restriction - b.restriction)[0];
+}
+
+function resolveK162(k162Class, farSideClass) {
+  const candidates = getK162Candidates(k162Class, farSideClass);
+  return {
+    candidates: candidates,
+    combos: groupK162Candidates(candidates),
+    union: getK162UnionRange(candidates),
+    conservative: getConservativeCandidate(candidates)
+  };
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getK162Candidates,
+    groupK162Candidates,
+    getK162UnionRange,
+    getConservativeCandidate,
+    resolveK162
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.getK162Candidates = getK162Candidates;
+  window.groupK162Candidates = groupK162Candidates;
+  window.getK162UnionRange = getK162UnionRange;
+  window.getConservativeCandidate = getConservativeCandidate;
+  window.resolveK162 = resolveK162;
+}
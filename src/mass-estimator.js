@@ -0,0 +1,270 @@
+// EVE Online wormhole mass estimator
+// Keeps a distribution over the original and used mass and narrows it with every observed state
+
+const estimatorLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+
+// Grid points across the ±10% original mass variance, per candidate size
+const ESTIMATE_ORIGINAL_POINTS = 41;
+
+// Used mass bins per base size (a 3000 Gg hole gets 15 Gg bins)
+const ESTIMATE_USED_BINS = 200;
+
+// Share of the probability inside the reported confidence band
+const ESTIMATE_CONFIDENCE = 0.9;
+
+// Weights below this count as impossible when reporting min/max
+const ESTIMATE_EPSILON = 1e-9;
+
+// Bins within this share of the peak weight count as equally likely
+const ESTIMATE_PEAK_TOLERANCE = 0.99;
+
+// State the hole shows with this much remaining (same thresholds as game mode)
+function getStateForRemaining(remaining, originalMass) {
+  if (remaining <= 0) return 'gone';
+  const percentRemaining = remaining / originalMass;
+  if (percentRemaining <= 0.1) return 'critical';
+  if (percentRemaining <= 0.5) return 'destab';
+  return 'stable';
+}
+
+// Mass of one jump spread over used-mass bin offsets. Unknown modes are uniform
+// between cold and hot; fractional offsets are split between the two nearest bins.
+function buildMassKernel(massRange, binSize) {
+  const kernel = {};
+  const addPoint = (mass, p) => {
+    const offset = mass / binSize;
+    const low = Math.floor(offset);
+    const fraction = offset - low;
+    kernel[low] = (kernel[low] || 0) + p * (1 - fraction);
+    if (fraction > 0) {
+      kernel[low + 1] = (kernel[low + 1] || 0) + p * fraction;
+    }
+  };
+
+  if (massRange.min === massRange.max) {
+    addPoint(massRange.min, 1);
+  } else {
+    const points = Math.max(2, Math.ceil((massRange.max - massRange.min) / binSize) + 1);
+    const step = (massRange.max - massRange.min) / (points - 1);
+    for (let i = 0; i < points; i++) {
+      addPoint(massRange.min + step * i, 1 / points);
+    }
+  }
+
+  return Object.entries(kernel).map(([offset, p]) => ({ offset: Number(offset), p: p }));
+}
+
+class MassEstimator {
+  constructor(whSize, initialState = 'fresh') {
+    // A K162 union is any one of its candidate sizes, each as likely as the others
+    const sizes = estimatorLogic.getWormholeSizes(whSize);
+    const largest = Math.max(...sizes);
+    this.whSize = whSize;
+    this.binSize = largest / ESTIMATE_USED_BINS;
+    // Last bin collects everything past the largest possible original mass
+    this.usedBins = Math.ceil(largest * 1.1 / this.binSize) + 2;
+    this.consistent = true;
+
+    this.originalMasses = [];
+    sizes.forEach(size => {
+      const minOriginal = size * 0.9;
+      const step = (size * 0.2) / (ESTIMATE_ORIGINAL_POINTS - 1);
+      for (let i = 0; i < ESTIMATE_ORIGINAL_POINTS; i++) {
+        this.originalMasses.push(minOriginal + step * i);
+      }
+    });
+
+    this.weights = this.originalMasses.map(originalMass => this.buildPrior(originalMass, initialState));
+    this.normalize();
+  }
+
+  // Used mass spread evenly over the band the starting state allows, for one original mass
+  buildPrior(originalMass, initialState) {
+    const row = new Array(this.usedBins).fill(0);
+    if (initialState === 'fresh' || !initialState) {
+      row[0] = 1;
+      return row;
+    }
+
+    const matching = [];
+    for (let bin = 0; bin < this.usedBins - 1; bin++) {
+      const used = bin * this.binSize;
+      if (getStateForRemaining(originalMass - used, originalMass) === initialState) {
+        matching.push(bin);
+      }
+    }
+    matching.forEach(bin => {
+      row[bin] = 1 / matching.length;
+    });
+    return row;
+  }
+
+  normalize() {
+    const total = this.weights.reduce((sum, row) => sum + row.reduce((rowSum, weight) => rowSum + weight, 0), 0);
+    if (total <= 0) return false;
+    this.weights = this.weights.map(row => row.map(weight => weight / total));
+    return true;
+  }
+
+  // Add one jump's mass to the used-mass dimension
+  addMass(massRange) {
+    const kernel = buildMassKernel(massRange, this.binSize);
+    const lastBin = this.usedBins - 1;
+
+    this.weights = this.weights.map(row => {
+      const shifted = new Array(this.usedBins).fill(0);
+      row.forEach((weight, bin) => {
+        if (weight === 0) return;
+        kernel.forEach(point => {
+          shifted[Math.min(lastBin, bin + point.offset)] += weight * point.p;
+        });
+      });
+      return shifted;
+    });
+  }
+
+  // Take regenerated mass off the used-mass dimension. It never goes below none used,
+  // which caps each original mass at its own full size, and a collapsed hole gets nothing back.
+  regenerate(amount) {
+    if (!(amount > 0)) return;
+    const offset = amount / this.binSize;
+    const whole = Math.floor(offset);
+    const fraction = offset - whole;
+
+    this.weights = this.weights.map((row, massIndex) => {
+      const originalMass = this.originalMasses[massIndex];
+      const shifted = new Array(this.usedBins).fill(0);
+      row.forEach((weight, bin) => {
+        if (weight === 0) return;
+        if (originalMass - bin * this.binSize <= 0) {
+          shifted[bin] += weight;
+          return;
+        }
+        shifted[Math.max(0, bin - whole)] += weight * (1 - fraction);
+        if (fraction > 0) {
+          shifted[Math.max(0, bin - whole - 1)] += weight * fraction;
+        }
+      });
+      return shifted;
+    });
+  }
+
+  // Keep only the combinations that would show the observed state
+  observeState(state) {
+    const previous = this.weights;
+    this.weights = this.weights.map((row, massIndex) => {
+      const originalMass = this.originalMasses[massIndex];
+      return row.map((weight, bin) => {
+        const remaining = originalMass - bin * this.binSize;
+        return getStateForRemaining(remaining, originalMass) === state ? weight : 0;
+      });
+    });
+
+    // Observations that contradict each other (e.g. a mis-logged jump) keep the unconditioned estimate
+    if (!this.normalize()) {
+      this.weights = previous;
+      this.consistent = false;
+    }
+  }
+
+  // Apply a log entry: mass regenerated since the previous entry, every jump in the batch,
+  // then the state seen afterwards
+  applyEntry(actions, observedState, regenerated = 0) {
+    this.regenerate(regenerated);
+    actions.forEach(action => {
+      this.addMass(action.ship.getMass());
+    });
+    if (observedState) {
+      this.observeState(observedState);
+    }
+  }
+
+  // Summary of a weighted list of values: support, mode and central confidence band
+  summarize(points) {
+    const possible = points.filter(point => point.p > ESTIMATE_EPSILON).sort((a, b) => a.value - b.value);
+    if (possible.length === 0) return null;
+
+    const tail = (1 - ESTIMATE_CONFIDENCE) / 2;
+    let cumulative = 0;
+    let low = null;
+    let median = null;
+    let high = possible[possible.length - 1].value;
+    for (const point of possible) {
+      cumulative += point.p;
+      if (low === null && cumulative >= tail) low = point.value;
+      if (median === null && cumulative >= 0.5) median = point.value;
+      if (cumulative >= 1 - tail) {
+        high = point.value;
+        break;
+      }
+    }
+
+    // Most likely bin; a flat distribution has no clear peak, so near-ties go to the bin closest to the median
+    const histogram = {};
+    possible.forEach(point => {
+      const bin = Math.round(point.value / this.binSize);
+      histogram[bin] = (histogram[bin] || 0) + point.p;
+    });
+    const peak = Math.max(...Object.values(histogram));
+    const modeBin = Object.keys(histogram)
+      .map(Number)
+      .filter(bin => histogram[bin] >= peak * ESTIMATE_PEAK_TOLERANCE)
+      .reduce((best, bin) => (Math.abs(bin * this.binSize - median) < Math.abs(best * this.binSize - median) ? bin : best));
+
+    return {
+      min: possible[0].value,
+      max: possible[possible.length - 1].value,
+      mostLikely: modeBin * this.binSize,
+      band: { low: low, high: high }
+    };
+  }
+
+  getEstimate() {
+    const remainingPoints = [];
+    const originalPoints = [];
+    this.weights.forEach((row, massIndex) => {
+      const originalMass = this.originalMasses[massIndex];
+      let rowTotal = 0;
+      row.forEach((weight, bin) => {
+        if (weight === 0) return;
+        remainingPoints.push({ value: originalMass - bin * this.binSize, p: weight });
+        rowTotal += weight;
+      });
+      originalPoints.push({ value: originalMass, p: rowTotal });
+    });
+
+    return {
+      remaining: this.summarize(remainingPoints),
+      original: this.summarize(originalPoints),
+      confidence: ESTIMATE_CONFIDENCE,
+      consistent: this.consistent
+    };
+  }
+}
+
+// Estimate after every log entry, starting from the initial setup
+function estimateMassLog(setup, entries) {
+  const estimator = new MassEstimator(setup.initialWhSize, setup.initialWhState);
+  return entries.map(entry => {
+    estimator.applyEntry(entry.actions || [], entry.currentState, entry.regenerated || 0);
+    return estimator.getEstimate();
+  });
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ESTIMATE_CONFIDENCE,
+    getStateForRemaining,
+    MassEstimator,
+    estimateMassLog
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.ESTIMATE_CONFIDENCE = ESTIMATE_CONFIDENCE;
+  window.getStateForRemaining = getStateForRemaining;
+  window.MassEstimator = MassEstimator;
+  window.estimateMassLog = estimateMassLog;
+}
@@ -0,0 +1,148 @@
+// EVE Online wormhole rolling pilot roster
+// Named pilots and their ships, so the tracker knows who is on which side of the hole
+
+const rosterLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const rosterJson = typeof require === 'function' ? require('./json-storage') : window;
+
+const PILOT_ROSTER_KEY = 'eve-rolling.pilots';
+const MAX_PILOT_NAME_LENGTH = 40;
+
+// Returns an error message for an invalid pilot, or null when it is usable
+function validatePilot(pilot, shipTypes = rosterLogic.SHIP_TYPES) {
+  const name = (pilot.name || '').trim();
+  if (!name) return 'Pilot name is required';
+  if (name.length > MAX_PILOT_NAME_LENGTH) return `Pilot name must be ${MAX_PILOT_NAME_LENGTH} characters or fewer`;
+  if (/[<>&"]/.test(name)) return 'Pilot name cannot contain < > & or "';
+  if (!Array.isArray(pilot.ships) || pilot.ships.length === 0) return 'Pick at least one ship';
+  if (pilot.ships.some(shipKey => !shipTypes[shipKey])) return 'Unknown ship type';
+  return null;
+}
+
+function getRosterShipName(shipKey) {
+  return rosterLogic.SHIP_TYPES[shipKey] ? rosterLogic.SHIP_TYPES[shipKey].name : shipKey;
+}
+
+// Where each pilot is after the logged and staged jumps. Everyone starts at home;
+// jumps without a pilot (and random event jumps) do not move anyone.
+function getPilotPositions(pilots, committedActions, stagedActions = []) {
+  const positions = {};
+  pilots.forEach(pilot => {
+    positions[pilot.id] = { side: 'home', ship: null };
+  });
+
+  const actions = [];
+  committedActions.forEach(entry => actions.push(...(entry.actions || [])));
+  actions.push(...stagedActions);
+
+  actions.forEach(action => {
+    if (!action.pilotId || !positions[action.pilotId]) return;
+    positions[action.pilotId] = action.direction === 'B'
+      ? { side: 'far', ship: action.ship.type || null }
+      : { side: 'home', ship: null };
+  });
+
+  return positions;
+}
+
+// Returns why the pilot cannot make this jump, or null when the move is possible
+function validatePilotMove(pilot, position, direction, ship) {
+  if (!pilot) return 'Unknown pilot';
+  if (direction === 'A' && position.side === 'home') return `${pilot.name} is already home`;
+  if (direction === 'B' && position.side === 'far') return `${pilot.name} is already on the far side`;
+  if (!ship.type) return `${pilot.name} needs a ship from their roster, not a custom mass`;
+  if (direction === 'A' && position.ship && position.ship !== ship.type) {
+    return `${pilot.name} is on the far side in a ${getRosterShipName(position.ship)}`;
+  }
+  if (!pilot.ships.includes(ship.type)) return `${pilot.name} does not fly the ${getRosterShipName(ship.type)}`;
+  return null;
+}
+
+function getStrandedPilots(pilots, positions) {
+  return pilots.filter(pilot => positions[pilot.id] && positions[pilot.id].side === 'far');
+}
+
+class PilotRoster {
+  constructor(storage, shipTypes = rosterLogic.SHIP_TYPES) {
+    this.storage = storage || null;
+    this.shipTypes = shipTypes;
+  }
+
+  readPilots() {
+    const pilots = rosterJson.readStoredJson(this.storage, PILOT_ROSTER_KEY, [], 'pilot roster');
+    return Array.isArray(pilots) ? pilots : [];
+  }
+
+  writePilots(pilots) {
+    rosterJson.writeStoredJson(this.storage, PILOT_ROSTER_KEY, pilots, 'pilot roster');
+  }
+
+  // Stored pilots, skipping corrupt entries and ships that have since been deleted
+  listPilots() {
+    return this.readPilots()
+      .filter(pilot => pilot && typeof pilot.id === 'string' && Array.isArray(pilot.ships))
+      .map(pilot => ({ ...pilot, ships: pilot.ships.filter(shipKey => this.shipTypes[shipKey]) }))
+      .filter(pilot => !validatePilot(pilot, this.shipTypes));
+  }
+
+  getPilot(pilotId) {
+    return this.listPilots().find(pilot => pilot.id === pilotId) || null;
+  }
+
+  // Create a pilot, or update the one with pilotId. Returns { id } or { error }.
+  savePilot(definition, pilotId = null) {
+    const pilot = {
+      name: (definition.name || '').trim(),
+      ships: [...new Set(definition.ships || [])]
+    };
+    const error = validatePilot(pilot, this.shipTypes);
+    if (error) return { error: error };
+
+    const pilots = this.readPilots();
+    const nameTaken = pilots.some(existing => existing.id !== pilotId && existing.name.toLowerCase() === pilot.name.toLowerCase());
+    if (nameTaken) return { error: `${pilot.name} is already on the roster` };
+
+    if (pilotId) {
+      const index = pilots.findIndex(existing => existing.id === pilotId);
+      if (index === -1) return { error: 'Pilot not found' };
+      pilots[index] = { id: pilotId, ...pilot };
+    } else {
+      pilotId = `pilot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      pilots.push({ id: pilotId, ...pilot });
+    }
+
+    this.writePilots(pilots);
+    return { id: pilotId };
+  }
+
+  deletePilot(pilotId) {
+    const pilots = this.readPilots();
+    const remaining = pilots.filter(pilot => pilot.id !== pilotId);
+    if (remaining.length === pilots.length) return false;
+    this.writePilots(remaining);
+    return true;
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PILOT_ROSTER_KEY,
+    validatePilot,
+    getRosterShipName,
+    getPilotPositions,
+    validatePilotMove,
+    getStrandedPilots,
+    PilotRoster
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.PILOT_ROSTER_KEY = PILOT_ROSTER_KEY;
+  window.validatePilot = validatePilot;
+  window.getRosterShipName = getRosterShipName;
+  window.getPilotPositions = getPilotPositions;
+  window.validatePilotMove = validatePilotMove;
+  window.getStrandedPilots = getStrandedPilots;
+  window.PilotRoster = PilotRoster;
+}
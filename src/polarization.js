@@ -0,0 +1,104 @@
+// EVE Online wormhole rolling polarization timers
+// Who can jump again: worked out from the log, per pilot or per ship type when no pilot was picked
+
+const POLARIZATION_MS = 5 * 60 * 1000;
+
+// A ship can make a round trip, then it is polarized until 5 minutes after its last jump -
+// unless its jumps were so light they add up to less than this (pods, covops, cold hictors)
+const POLARIZATION_JUMPS = 2;
+const POLARIZATION_MASS_THRESHOLD = 5;
+
+// Pilots are tracked by name; without one every hull of a type counts as the same ship
+function getPolarizationKey(action) {
+  if (action.pilotId) return `pilot:${action.pilotId}`;
+  if (action.ship && action.ship.type) return `ship:${action.ship.type}`;
+  return null;
+}
+
+// Heaviest the jump could have been, so an unknown fit never hides a timer
+function getPolarizingMass(action) {
+  return action.ship.getMass().max;
+}
+
+// Adds one jump at time `at` and returns the timer it started, or null
+function addPolarizingJump(jumps, timers, action, at) {
+  const key = getPolarizationKey(action);
+  if (!key) return null;
+
+  const recent = (jumps[key] || []).filter(jump => at - jump.at < POLARIZATION_MS);
+  recent.push({ at: at, mass: getPolarizingMass(action) });
+  jumps[key] = recent;
+
+  const mass = recent.reduce((sum, jump) => sum + jump.mass, 0);
+  if (recent.length < POLARIZATION_JUMPS || mass < POLARIZATION_MASS_THRESHOLD) return null;
+
+  timers[key] = { until: at + POLARIZATION_MS, direction: action.direction };
+  return timers[key];
+}
+
+// Timers from every player jump in the log; timeField picks the clock (game mode runs its own)
+function getPolarizationTimers(committedActions, timeField = 'timestamp') {
+  const jumps = {};
+  const timers = {};
+  committedActions
+    .filter(entry => entry.type !== 'event')
+    .forEach(entry => {
+      (entry.actions || []).forEach(action => addPolarizingJump(jumps, timers, action, entry[timeField]));
+    });
+  return { jumps: jumps, timers: timers };
+}
+
+function getPolarizationLeft(polarization, key, now = Date.now()) {
+  const timer = key ? polarization.timers[key] : null;
+  return timer ? Math.max(0, timer.until - now) : 0;
+}
+
+// Staged jumps made right now that would hit a polarized ship, including one polarized earlier in the same batch
+function getPolarizedActions(actions, polarization, now = Date.now()) {
+  const jumps = {};
+  Object.entries(polarization.jumps).forEach(([key, list]) => { jumps[key] = [...list]; });
+  const timers = { ...polarization.timers };
+
+  const polarized = [];
+  actions.forEach((action, index) => {
+    const key = getPolarizationKey(action);
+    const msLeft = getPolarizationLeft({ timers: timers }, key, now);
+    if (msLeft > 0) {
+      polarized.push({ index: index, key: key, msLeft: msLeft });
+    }
+    addPolarizingJump(jumps, timers, action, now);
+  });
+  return polarized;
+}
+
+// m:ss countdown for the ship buttons
+function formatCountdown(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    POLARIZATION_MS,
+    POLARIZATION_JUMPS,
+    POLARIZATION_MASS_THRESHOLD,
+    getPolarizationKey,
+    getPolarizationTimers,
+    getPolarizationLeft,
+    getPolarizedActions,
+    formatCountdown
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.POLARIZATION_MS = POLARIZATION_MS;
+  window.POLARIZATION_JUMPS = POLARIZATION_JUMPS;
+  window.POLARIZATION_MASS_THRESHOLD = POLARIZATION_MASS_THRESHOLD;
+  window.getPolarizationKey = getPolarizationKey;
+  window.getPolarizationTimers = getPolarizationTimers;
+  window.getPolarizationLeft = getPolarizationLeft;
+  window.getPolarizedActions = getPolarizedActions;
+  window.formatCountdown = formatCountdown;
+}
@@ -0,0 +1,324 @@
+// EVE Online wormhole rolling random events
+// Game mode events as plain data: who jumps, how much mass they use, when an event may fire
+// and what hostile interference it leaves behind on the far side
+
+const eventsLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const eventsLifetime = typeof require === 'function' ? require('./hole-lifetime') : window;
+
+// Chance that a player jump is followed by a random event, when at least one event is eligible
+const RANDOM_EVENT_CHANCE = 0.25;
+
+// Most events one game can see, whatever the caps of the individual events
+const MAX_RANDOM_EVENTS_PER_GAME = 2;
+
+// Effects an event can have beyond the mass of its jumps
+const EVENT_EFFECTS = {
+  'camp': 'Far side camped',        // Nobody can jump back for the next `turns` player jumps or `minutes` on the game clock, whichever ends first
+  'crit': 'Hole crit by a hostile', // Hidden mass drops to `percent` of the original, drawn from a range
+  'tackle': 'Ship tackled'          // One ship on the far side can never jump back
+};
+
+// Events are JSON so they can be tuned or added without touching the engine:
+//   weight      relative odds among the events that are eligible after a jump; 0 switches the event off
+//   conditions  states: hole states it can fire in; minRestriction: smallest hole size class;
+//               minJumps/maxJumps: player jumps so far; minMassPercent/maxMassPercent: hidden mass left
+//   cooldown    player jumps before the same event can fire again
+//   maxPerGame  times it can fire in one game
+//   actions     ship and direction of each jump, with the mass range (Gg) the jump is drawn from;
+//               without a range the ship's cold to hot mass is used
+//   effects     hostile interference applied after the jumps, see EVENT_EFFECTS
+const RANDOM_EVENTS = [
+  {
+    "name": "good_get",
+    "displayName": "⚡ Its \"Good Get\"!! Famous, elite level griefer!!",
+    "weight": 4,
+    "conditions": { "states": ["stable", "destab"] },
+    "cooldown": 0,
+    "maxPerGame": 1,
+    "actions": [
+      { "ship": "opcruiser", "direction": "outgoing", "mass": { "min": 50, "max": 65 } },
+      { "ship": "opcruiser", "direction": "incoming", "mass": { "min": 50, "max": 65 } }
+    ]
+  },
+  {
+    "name": "good_get_full_crew",
+    "displayName": "⚡ Its \"Good Get\"!! He brought friends!!",
+    "weight": 2,
+    "conditions": { "states": ["stable", "destab"], "minJumps": 2 },
+    "cooldown": 0,
+    "maxPerGame": 1,
+    "actions": [
+      { "ship": "opcruiser", "direction": "outgoing", "mass": { "min": 50, "max": 65 } },
+      { "ship": "opcruiser", "direction": "outgoing", "mass": { "min": 50, "max": 65 } },
+      { "ship": "opcruiser", "direction": "outgoing", "mass": { "min": 50, "max": 65 } },
+      { "ship": "opcruiser", "direction": "outgoing", "mass": { "min": 50, "max": 65 } },
+      { "ship": "opcruiser", "direction": "incoming", "mass": { "min": 50, "max": 65 } },
+      { "ship": "opcruiser", "direction": "incoming", "mass": { "min": 50, "max": 65 } },
+      { "ship": "opcruiser", "direction": "incoming", "mass": { "min": 50, "max": 65 } },
+      { "ship": "opcruiser", "direction": "incoming", "mass": { "min": 50, "max": 65 } }
+    ]
+  },
+  {
+    "name": "random_cruisers_jump",
+    "displayName": "⚡ two random stratios jump through the wormhole and flee",
+    "weight": 0,
+    "conditions": {},
+    "cooldown": 3,
+    "maxPerGame": 2,
+    "actions": [
+      { "ship": "cruiser", "direction": "outgoing" },
+      { "ship": "cruiser", "direction": "outgoing" }
+    ]
+  },
+  {
+    "name": "neutral_carrier_jump",
+    "displayName": "⚡ A neutral carrier jumps in and straight back out",
+    "weight": 1,
+    "conditions": { "states": ["stable"], "minRestriction": 5, "minMassPercent": 60 },
+    "cooldown": 0,
+    "maxPerGame": 1,
+    "actions": [
+      { "ship": "carrier", "direction": "incoming" },
+      { "ship": "carrier", "direction": "outgoing" }
+    ]
+  },
+  {
+    "name": "hostile_camp",
+    "displayName": "⚔️ A hostile gang is camping the far side!",
+    "weight": 2,
+    "conditions": { "minJumps": 1, "minShipsOnFarSide": 1 },
+    "cooldown": 0,
+    "maxPerGame": 1,
+    "actions": [],
+    "effects": [{ "type": "camp", "turns": 3, "minutes": 20 }]
+  },
+  {
+    "name": "hostile_hic_crit",
+    "displayName": "⚔️ A hostile HIC jumps in and crits the hole!",
+    "weight": 1,
+    "conditions": { "states": ["stable", "destab"], "minJumps": 2 },
+    "cooldown": 0,
+    "maxPerGame": 1,
+    "actions": [{ "ship": "rhic", "direction": "incoming" }],
+    "effects": [{ "type": "crit", "percent": { "min": 3, "max": 9 } }]
+  },
+  {
+    "name": "far_side_tackle",
+    "displayName": "⚔️ One of your ships gets tackled on the far side!",
+    "weight": 1,
+    "conditions": { "minShipsOnFarSide": 1 },
+    "cooldown": 0,
+    "maxPerGame": 1,
+    "actions": [],
+    "effects": [{ "type": "tackle" }]
+  }
+];
+
+// Returns an error message for a malformed event definition, or null when it is usable
+function validateRandomEvent(event, shipTypes = eventsLogic.SHIP_TYPES) {
+  if (!event || typeof event.name !== 'string' || !event.name) return 'Event name is required';
+  if (typeof event.displayName !== 'string' || !event.displayName) return `${event.name}: display name is required`;
+  if (!(event.weight >= 0)) return `${event.name}: weight cannot be negative`;
+  if (!(event.maxPerGame >= 1)) return `${event.name}: maxPerGame must be at least 1`;
+  if (!(event.cooldown >= 0)) return `${event.name}: cooldown cannot be negative`;
+  if (!Array.isArray(event.actions)) return `${event.name}: actions must be a list`;
+  if (event.effects !== undefined && !Array.isArray(event.effects)) return `${event.name}: effects must be a list`;
+  if (event.actions.length === 0 && !(event.effects || []).length) return `${event.name}: needs at least one action or effect`;
+
+  for (const action of event.actions) {
+    if (!shipTypes[action.ship]) return `${event.name}: unknown ship ${action.ship}`;
+    if (action.direction !== 'outgoing' && action.direction !== 'incoming') return `${event.name}: direction must be outgoing or incoming`;
+    if (action.mass && !(action.mass.min >= 0 && action.mass.max >= action.mass.min)) return `${event.name}: mass range must run from min to max`;
+  }
+
+  for (const effect of event.effects || []) {
+    if (!EVENT_EFFECTS[effect.type]) return `${event.name}: unknown effect ${effect.type}`;
+    if (effect.type === 'camp' && !(effect.turns >= 1 && effect.minutes >= 1)) return `${event.name}: a camp needs at least 1 turn and 1 minute`;
+    if (effect.type === 'crit' && !(effect.percent && effect.percent.min > 0 && effect.percent.max >= effect.percent.min && effect.percent.max < 10)) {
+      return `${event.name}: crit percent must be a range below 10`;
+    }
+  }
+  return null;
+}
+
+// Mass range a single event jump is drawn from
+function getEventMassRange(action, shipTypes = eventsLogic.SHIP_TYPES) {
+  if (action.mass) return { min: action.mass.min, max: action.mass.max };
+  const ship = shipTypes[action.ship];
+  return { min: ship.cold, max: ship.hot };
+}
+
+// Whole Gg from the action's range
+function rollEventMass(action, rng, shipTypes = eventsLogic.SHIP_TYPES) {
+  const range = getEventMassRange(action, shipTypes);
+  return range.min + Math.round(rng.random() * (range.max - range.min));
+}
+
+// Total mass range of the jumps an event actually made, for the log
+function getEventMassTotal(event, actionsProcessed = event.actions.length, shipTypes = eventsLogic.SHIP_TYPES) {
+  return event.actions.slice(0, actionsProcessed).reduce((total, action) => {
+    const range = getEventMassRange(action, shipTypes);
+    return { min: total.min + range.min, max: total.max + range.max };
+  }, { min: 0, max: 0 });
+}
+
+// What a game has seen so far: how often each event fired and at which player jump it last did
+function createEventHistory() {
+  return { total: 0, counts: {}, lastJump: {} };
+}
+
+function recordRandomEvent(history, eventName, jumps) {
+  return {
+    total: history.total + 1,
+    counts: { ...history.counts, [eventName]: (history.counts[eventName] || 0) + 1 },
+    lastJump: { ...history.lastJump, [eventName]: jumps }
+  };
+}
+
+// context: { state, restriction, jumps, massPercent, shipsOnFarSide } for the game right after a player jump
+function isEventEligible(event, context, history, shipTypes = eventsLogic.SHIP_TYPES) {
+  const conditions = event.conditions || {};
+  if (!(event.weight > 0)) return false;
+  if ((history.counts[event.name] || 0) >= event.maxPerGame) return false;
+  if (event.name in history.lastJump && context.jumps - history.lastJump[event.name] < event.cooldown) return false;
+  if (conditions.states && !conditions.states.includes(context.state)) return false;
+  if (conditions.minRestriction && context.restriction < conditions.minRestriction) return false;
+  if (conditions.minJumps && context.jumps < conditions.minJumps) return false;
+  if (conditions.maxJumps && context.jumps > conditions.maxJumps) return false;
+  if (conditions.minMassPercent && context.massPercent < conditions.minMassPercent) return false;
+  if (conditions.maxMassPercent && context.massPercent > conditions.maxMassPercent) return false;
+  if (conditions.minShipsOnFarSide && (context.shipsOnFarSide || 0) < conditions.minShipsOnFarSide) return false;
+  // Every ship in the event has to fit through the hole
+  return event.actions.every(action => shipTypes[action.ship] && shipTypes[action.ship].size <= context.restriction);
+}
+
+function getEligibleEvents(events, context, history, shipTypes = eventsLogic.SHIP_TYPES) {
+  if (history.total >= MAX_RANDOM_EVENTS_PER_GAME) return [];
+  return events.filter(event => isEventEligible(event, context, history, shipTypes));
+}
+
+// One roll for whether anything happens, then a weighted pick. Returns the event or null.
+function pickRandomEvent(events, context, history, rng, shipTypes = eventsLogic.SHIP_TYPES) {
+  const eligible = getEligibleEvents(events, context, history, shipTypes);
+  if (eligible.length === 0 || rng.random() >= RANDOM_EVENT_CHANCE) return null;
+
+  const totalWeight = eligible.reduce((sum, event) => sum + event.weight, 0);
+  let roll = rng.random() * totalWeight;
+  for (const event of eligible) {
+    roll -= event.weight;
+    if (roll < 0) return event;
+  }
+  return eligible[eligible.length - 1];
+}
+
+// Camps and tackles still in force: the player jump and game clock time (ms) a camp ends at,
+// and tackled ships by type
+function createInterferenceState() {
+  return { campedUntil: 0, campedUntilTime: 0, tackled: {} };
+}
+
+// game: { jumps, gameTime, remainingMass, initialActualMass, shipsOnFarSide, interference }.
+// Returns the new remainingMass and interference plus a result for the log, which never shows hidden mass.
+function applyEventEffect(effect, game, rng) {
+  const interference = { ...game.interference, tackled: { ...game.interference.tackled } };
+  let remainingMass = game.remainingMass;
+  let result;
+
+  if (effect.type === 'camp') {
+    interference.campedUntil = Math.max(interference.campedUntil, game.jumps + effect.turns);
+    interference.campedUntilTime = Math.max(interference.campedUntilTime, game.gameTime + effect.minutes * eventsLifetime.MINUTE_MS);
+    result = { type: 'camp', turns: effect.turns, minutes: effect.minutes };
+  } else if (effect.type === 'crit') {
+    const percent = effect.percent.min + rng.random() * (effect.percent.max - effect.percent.min);
+    remainingMass = Math.min(remainingMass, Math.floor(game.initialActualMass * percent / 100));
+    result = { type: 'crit' };
+  } else if (effect.type === 'tackle') {
+    // Any ship on the far side that is not already held down, one draw per ship
+    const targets = [];
+    Object.entries(game.shipsOnFarSide).forEach(([shipKey, count]) => {
+      for (let i = interference.tackled[shipKey] || 0; i < count; i++) targets.push(shipKey);
+    });
+    const ship = targets.length > 0 ? targets[Math.floor(rng.random() * targets.length)] : null;
+    if (ship) interference.tackled[ship] = (interference.tackled[ship] || 0) + 1;
+    result = { type: 'tackle', ship: ship };
+  }
+
+  return { remainingMass: remainingMass, interference: interference, result: result };
+}
+
+// Why a jump back cannot happen right now, or null when it can. game: { jumps, gameTime }.
+// A camp lifts after its jumps or once the player has waited it out on the game clock.
+function getBlockedReturnReason(interference, game, shipKey, shipsOnFarSide, shipTypes = eventsLogic.SHIP_TYPES) {
+  if (game.jumps < interference.campedUntil && game.gameTime < interference.campedUntilTime) {
+    const turns = interference.campedUntil - game.jumps;
+    const minutes = Math.ceil((interference.campedUntilTime - game.gameTime) / eventsLifetime.MINUTE_MS);
+    return `⚔️ Hostiles are camping the far side - nobody can jump back for ${turns} more jump${turns !== 1 ? 's' : ''}`
+      + ` or until they leave in ${minutes} game minute${minutes !== 1 ? 's' : ''}`;
+  }
+  const tackled = interference.tackled[shipKey] || 0;
+  if (shipKey && tackled > 0 && tackled >= (shipsOnFarSide[shipKey] || 0)) {
+    return `⚔️ Your ${shipTypes[shipKey] ? shipTypes[shipKey].name : shipKey} is tackled on the far side and cannot jump back`;
+  }
+  return null;
+}
+
+// One line per effect result for the log
+function describeEventEffect(result, shipTypes = eventsLogic.SHIP_TYPES) {
+  if (result.type === 'camp') {
+    return `Far side camped - jumping back is blocked for ${result.turns} jump${result.turns !== 1 ? 's' : ''}`
+      + (result.minutes ? ` or ${result.minutes} game minute${result.minutes !== 1 ? 's' : ''}` : '');
+  }
+  if (result.type === 'crit') {
+    return 'The hostile HIC put the hole into critical';
+  }
+  if (result.type === 'tackle') {
+    return result.ship
+      ? `${shipTypes[result.ship] ? shipTypes[result.ship].name : result.ship} tackled on the far side - it cannot jump back`
+      : 'Nobody on the far side to tackle';
+  }
+  return EVENT_EFFECTS[result.type] || result.type;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RANDOM_EVENT_CHANCE,
+    MAX_RANDOM_EVENTS_PER_GAME,
+    EVENT_EFFECTS,
+    RANDOM_EVENTS,
+    validateRandomEvent,
+    getEventMassRange,
+    rollEventMass,
+    getEventMassTotal,
+    createEventHistory,
+    recordRandomEvent,
+    isEventEligible,
+    getEligibleEvents,
+    pickRandomEvent,
+    createInterferenceState,
+    applyEventEffect,
+    getBlockedReturnReason,
+    describeEventEffect
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.RANDOM_EVENT_CHANCE = RANDOM_EVENT_CHANCE;
+  window.MAX_RANDOM_EVENTS_PER_GAME = MAX_RANDOM_EVENTS_PER_GAME;
+  window.EVENT_EFFECTS = EVENT_EFFECTS;
+  window.RANDOM_EVENTS = RANDOM_EVENTS;
+  window.validateRandomEvent = validateRandomEvent;
+  window.getEventMassRange = getEventMassRange;
+  window.rollEventMass = rollEventMass;
+  window.getEventMassTotal = getEventMassTotal;
+  window.createEventHistory = createEventHistory;
+  window.recordRandomEvent = recordRandomEvent;
+  window.isEventEligible = isEventEligible;
+  window.getEligibleEvents = getEligibleEvents;
+  window.pickRandomEvent = pickRandomEvent;
+  window.createInterferenceState = createInterferenceState;
+  window.applyEventEffect = applyEventEffect;
+  window.getBlockedReturnReason = getBlockedReturnReason;
+  window.describeEventEffect = describeEventEffect;
+}
@@ -0,0 +1,275 @@
+// EVE Online wormhole rolling from the command line
+// Turns an FC's typed jumps into a RollSession and reports the range and far side after every step (Node only)
+
+const cliLogic = require('./wormhole-logic');
+const cliData = require('./wormhole-data');
+const { RollSession } = require('./roll-session');
+
+// out = to the far side (B), back = home (A), as on the tracker buttons
+const CLI_DIRECTIONS = {
+  'out': 'B',
+  'back': 'A'
+};
+
+// What an FC types after "apply" for each state change
+const CLI_STATE_CHANGES = {
+  'none': 'no-change',
+  'nc': 'no-change',
+  'no-change': 'no-change',
+  'destab': 'destab',
+  'crit': 'critical',
+  'critical': 'critical',
+  'gone': 'gone'
+};
+
+const CLI_SHIP_MODES = ['cold', 'hot', 'unknown'];
+const CLI_START_STATES = ['fresh', 'stable', 'destab', 'critical'];
+
+// --state takes the same words as "apply" where they name a start state, so "--state crit" works too
+const CLI_START_STATE_NAMES = CLI_START_STATES.concat(
+  Object.keys(CLI_STATE_CHANGES).filter(word => !CLI_START_STATES.includes(word) && CLI_START_STATES.includes(CLI_STATE_CHANGES[word]))
+);
+
+const CLI_USAGE = [
+  'Usage: wormhole-roll --type <code> [--state <state>] [--json]',
+  '       wormhole-roll --size <Gg> [--restriction <1-5>] [--state <state>] [--json]',
+  '',
+  `  --type         Wormhole type, e.g. B274 (sets size and jump limit)`,
+  `  --size         Total mass in Gg when the type is not known: ${cliLogic.WORMHOLE_MASS_TYPES.join(', ')}`,
+  `  --restriction  Size limit when the type is not known: ${Object.entries(cliLogic.WORMHOLE_RESTRICTIONS).map(([level, text]) => `${level} = ${text}`).join(', ')}`,
+  `  --state        State when the roll starts: ${CLI_START_STATE_NAMES.join(', ')} (default fresh)`,
+  '  --json         One JSON object per line instead of text, for scripts',
+  '',
+  'Commands are read from standard input, one per line - type "help" for the list.'
+].join('\n');
+
+const CLI_COMMANDS_HELP = [
+  `  out <ship> [${CLI_SHIP_MODES.join('|')}] [higgs|nohiggs] [cargo]   Stage a jump to the far side (mode defaults to unknown)`,
+  '  back <ship> [...]                           Stage a jump home',
+  '  out <Gg> / back <Gg>                        Stage a custom mass',
+  `  apply <${Object.keys(CLI_STATE_CHANGES).join('|')}>   Apply the staged jumps with the state seen afterwards`,
+  '  unstage <n>                                 Drop staged jump n',
+  '  undo / redo                                 Step back or forward through applied entries',
+  '  status                                      Print the roll again',
+  '  quit                                        Stop',
+  '',
+  `  Ships: ${Object.keys(cliLogic.SHIP_TYPES).join(', ')}`
+].join('\n');
+
+// Returns { options } or { error }
+function parseCliArgs(argv) {
+  const options = { type: null, size: null, restriction: null, state: 'fresh', json: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--json':
+        options.json = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--type':
+      case '--size':
+      case '--restriction':
+      case '--state': {
+        const value = argv[i + 1];
+        if (value === undefined || value.startsWith('--')) return { error: `${arg} needs a value` };
+        options[arg.slice(2)] = value;
+        i++;
+        break;
+      }
+      default:
+        return { error: `Unknown option: ${arg}` };
+    }
+  }
+  return { options: options };
+}
+
+// Returns { session } or { error }
+function createCliSession(options) {
+  const word = (options.state || 'fresh').toLowerCase();
+  const state = CLI_STATE_CHANGES[word] || word;
+  if (!CLI_START_STATES.includes(state)) return { error: `--state must be one of ${CLI_START_STATE_NAMES.join(', ')}` };
+
+  if (options.type) {
+    const code = options.type.toUpperCase();
+    const info = cliData.getWormholeInfo(code);
+    if (!info) return { error: `Unknown wormhole type: ${options.type}` };
+    if (!info.totalMass) return { error: `${code} does not say how big it is - pass the type it is the exit of, or --size` };
+    return {
+      session: new RollSession({ selectedWormholeType: code, initialWhSize: info.totalMass, initialWhState: state, initialWhRestriction: info.restriction })
+    };
+  }
+
+  const size = parseInt(options.size);
+  if (!cliLogic.WORMHOLE_MASS_TYPES.includes(size)) {
+    return { error: `Pass --type, or --size as one of ${cliLogic.WORMHOLE_MASS_TYPES.join(', ')}` };
+  }
+  const restriction = options.restriction === null ? null : parseInt(options.restriction);
+  if (restriction !== null && !cliLogic.WORMHOLE_RESTRICTIONS[restriction]) {
+    return { error: `--restriction must be one of ${Object.keys(cliLogic.WORMHOLE_RESTRICTIONS).join(', ')}` };
+  }
+  return { session: new RollSession({ initialWhSize: size, initialWhState: state, initialWhRestriction: restriction }) };
+}
+
+// "out rbs hot higgs" -> { name: 'jump', direction, ship }. Returns null for a blank line, or { error }.
+function parseCliCommand(line) {
+  const words = line.trim().toLowerCase().split(/\s+/).filter(word => word);
+  if (words.length === 0) return null;
+  const [name, ...args] = words;
+
+  if (CLI_DIRECTIONS[name]) {
+    if (args.length === 0) return { error: `${name} needs a ship or a mass in Gg` };
+    const customMass = Number(args[0]);
+    if (!isNaN(customMass)) {
+      if (customMass <= 0 || args.length > 1) return { error: `${name} <Gg> takes one positive mass` };
+      return { name: 'jump', direction: CLI_DIRECTIONS[name], ship: new cliLogic.CustomMass(customMass) };
+    }
+
+    const [shipType, ...fit] = args;
+    if (!cliLogic.SHIP_TYPES[shipType]) return { error: `Unknown ship: ${shipType} (ships: ${Object.keys(cliLogic.SHIP_TYPES).join(', ')})` };
+    let mode = 'unknown';
+    const modifiers = {};
+    for (const word of fit) {
+      if (CLI_SHIP_MODES.includes(word)) {
+        mode = word;
+      } else if (word === 'higgs' || word === 'nohiggs') {
+        modifiers.higgs = word === 'higgs';
+      } else if (word === 'cargo') {
+        modifiers.cargo = true;
+      } else {
+        return { error: `Unknown jump option: ${word}` };
+      }
+    }
+    return { name: 'jump', direction: CLI_DIRECTIONS[name], ship: new cliLogic.Ship(shipType, mode, modifiers) };
+  }
+
+  switch (name) {
+    case 'apply': {
+      const stateChange = CLI_STATE_CHANGES[args[0]];
+      if (!stateChange) return { error: `apply needs one of ${Object.keys(CLI_STATE_CHANGES).join(', ')}` };
+      return { name: 'apply', stateChange: stateChange };
+    }
+    case 'unstage': {
+      const index = parseInt(args[0]);
+      if (isNaN(index)) return { error: 'unstage needs the number of a staged jump' };
+      return { name: 'unstage', index: index - 1 };
+    }
+    case 'undo':
+    case 'redo':
+    case 'status':
+    case 'help':
+      return { name: name };
+    case 'quit':
+    case 'exit':
+      return { name: 'quit' };
+    default:
+      return { error: `Unknown command: ${name} (type "help" for the list)` };
+  }
+}
+
+// Run a parsed command against the session. Returns { warnings } or { error }.
+function runCliCommand(session, command, now = Date.now()) {
+  if ((command.name === 'jump' || command.name === 'apply') && session.isComplete()) {
+    return { error: 'The hole is already gone' };
+  }
+  switch (command.name) {
+    case 'jump': {
+      const result = session.stage(command.direction, command.ship);
+      return result.error ? { error: result.error } : { warnings: result.warnings };
+    }
+    case 'apply': {
+      const result = session.apply(command.stateChange, now);
+      return result.error ? { error: result.error } : { warnings: [] };
+    }
+    case 'unstage':
+      return session.unstage(command.index) ? { warnings: [] } : { error: `No staged jump ${command.index + 1}` };
+    case 'undo':
+      return session.undo() ? { warnings: [] } : { error: 'Nothing to undo' };
+    case 'redo':
+      return session.redo() ? { warnings: [] } : { error: 'Nothing to redo' };
+    default:
+      return { warnings: [] };
+  }
+}
+
+// Range left if every staged jump goes through, before any state change is seen
+function getStagedMassRange(session, now = Date.now()) {
+  if (session.stagedActions.length === 0) return null;
+  let range = session.getMassRange(now);
+  session.stagedActions.forEach(action => {
+    range = action.applyToMass(range, null);
+  });
+  return range;
+}
+
+// Everything printed after a step, as plain data (this is the --json output)
+function getCliStep(session, input, result = {}, now = Date.now()) {
+  return {
+    input: input,
+    error: result.error || null,
+    warnings: result.warnings || [],
+    type: session.selectedWormholeType,
+    size: session.initialWhSize,
+    restriction: session.initialWhRestriction ? cliLogic.WORMHOLE_RESTRICTIONS[session.initialWhRestriction] : null,
+    maxJumpMass: session.getMaxJumpMass(),
+    regeneration: session.getMassRegeneration(),
+    state: session.currentWhState,
+    remaining: session.getMassRange(now),
+    farSide: session.getFarSide(),
+    staged: session.stagedActions.map(action => ({
+      direction: action.direction === 'B' ? 'out' : 'back',
+      ship: action.ship.getDisplayName(),
+      mass: action.ship.getMass()
+    })),
+    remainingAfterStaged: getStagedMassRange(session, now),
+    entries: session.committedActions.length,
+    complete: session.isComplete()
+  };
+}
+
+function formatFarSide(farSide) {
+  const ships = Object.entries(farSide)
+    .filter(([shipType, count]) => count > 0)
+    .map(([shipType, count]) => {
+      const name = cliLogic.SHIP_TYPES[shipType] ? cliLogic.SHIP_TYPES[shipType].name : shipType;
+      return count === 1 ? name : `${count}x ${name}`;
+    });
+  return ships.length > 0 ? ships.join(', ') : 'nobody';
+}
+
+function formatCliStep(step) {
+  const lines = [];
+  if (step.error) lines.push(`! ${step.error}`);
+  step.warnings.forEach(warning => lines.push(`! ${warning}`));
+
+  const holeName = step.type ? `${step.type} (${step.size} Gg)` : `${step.size} Gg`;
+  lines.push(`${holeName}${step.restriction ? `, ${step.restriction}` : ''} - ${cliLogic.WORMHOLE_STATES[step.state]}`);
+  if (!step.complete) {
+    lines.push(`Remaining: ${step.remaining.min} - ${step.remaining.max} Gg`);
+  }
+  step.staged.forEach((jump, index) => {
+    const massText = jump.mass.min === jump.mass.max ? `${jump.mass.min}` : `${jump.mass.min}-${jump.mass.max}`;
+    lines.push(`  ${index + 1}. ${jump.direction} ${jump.ship} ${massText} Gg`);
+  });
+  if (step.remainingAfterStaged) {
+    lines.push(`After staged jumps: ${step.remainingAfterStaged.min} - ${step.remainingAfterStaged.max} Gg`);
+  }
+  lines.push(`Far side: ${formatFarSide(step.farSide)}`);
+  return lines.join('\n');
+}
+
+// Export for the command line and Node.js testing
+module.exports = {
+  CLI_DIRECTIONS,
+  CLI_STATE_CHANGES,
+  CLI_USAGE,
+  CLI_COMMANDS_HELP,
+  parseCliArgs,
+  createCliSession,
+  parseCliCommand,
+  runCliCommand,
+  getCliStep,
+  formatCliStep
+};
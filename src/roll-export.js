@@ -0,0 +1,212 @@
+// EVE Online wormhole roll log exporters
+// Plain text for chat, CSV for spreadsheets and versioned JSON that can be imported again
+
+const exportLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const exportData = typeof require === 'function' ? require('./wormhole-data') : window;
+const exportSessions = typeof require === 'function' ? require('./session-store') : window;
+
+const EXPORT_FORMAT = 'eve-wormhole-roll';
+const EXPORT_FORMAT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  'entry',
+  'type',
+  'direction',
+  'ship',
+  'mode',
+  'mass_min',
+  'mass_max',
+  'state_after',
+  'remaining_min',
+  'remaining_max',
+  'ships_on_far_side'
+];
+
+// Game mode entry fields that would give away the hidden mass
+const HIDDEN_MASS_FIELDS = ['actualMassUsed', 'remainingMass'];
+
+function formatExportMass(range) {
+  const min = Math.round(range.min);
+  const max = Math.round(range.max);
+  return min === max ? `${min} Gg` : `${min}-${max} Gg`;
+}
+
+function describeExportFarSide(shipsOnFarSide) {
+  return Object.entries(shipsOnFarSide || {})
+    .filter(([, count]) => count > 0)
+    .map(([shipKey, count]) => `${exportLogic.SHIP_TYPES[shipKey] ? exportLogic.SHIP_TYPES[shipKey].name : shipKey} x${count}`)
+    .join(', ');
+}
+
+function getExportShipName(ship) {
+  if (ship instanceof exportLogic.CustomMass) return 'Custom';
+  return exportLogic.SHIP_TYPES[ship.type] ? exportLogic.SHIP_TYPES[ship.type].name : ship.type;
+}
+
+function getExportModeName(ship) {
+  if (ship instanceof exportLogic.CustomMass) return 'Custom';
+  const modeName = exportLogic.SHIP_MODES[ship.mode] || ship.mode;
+  return [modeName, ...ship.getModifierNames()].join(', ');
+}
+
+function getExportStateName(state) {
+  return exportLogic.WORMHOLE_STATES[state] || state;
+}
+
+// Chat-friendly summary: one line per entry, no markup
+function exportRollText(state) {
+  const lines = [];
+  const whName = state.selectedWormholeType ? `${state.selectedWormholeType} ` : '';
+  lines.push(`Wormhole roll: ${whName}${exportLogic.getWormholeSizeText(state.initialWhSize)}, started ${getExportStateName(state.initialWhState)}, ${exportLogic.WORMHOLE_RESTRICTIONS[state.initialWhRestriction]}`);
+
+  const initialFarSide = describeExportFarSide(state.initialFarSideFleet);
+  if (initialFarSide) {
+    lines.push(`Far side at start: ${initialFarSide}`);
+  }
+
+  state.committedActions.forEach((entry, index) => {
+    const jumps = entry.type === 'event'
+      ? `Random event: ${entry.eventData.displayName}`
+      : entry.actions.map(action => `${action.getDirectionText()} ${getExportShipName(action.ship)} ${formatExportMass(action.ship.getMass())}`).join(', ');
+    const stateText = entry.stateChange && entry.stateChange !== 'no-change'
+      ? `now ${getExportStateName(entry.currentState).toUpperCase()}`
+      : getExportStateName(entry.currentState);
+    const farSide = describeExportFarSide(entry.shipsOnFarSide) || 'none';
+    const regenerated = entry.regenerated > 0 ? ` (after +${entry.regenerated} Gg regenerated)` : '';
+
+    lines.push(`${index + 1}. ${jumps}${regenerated} | ${stateText} | ${formatExportMass(entry.finalMass)} left | Far side: ${farSide}`);
+  });
+
+  lines.push(`Current: ${getExportStateName(state.currentWhState)}, ${state.committedActions.length} entr${state.committedActions.length === 1 ? 'y' : 'ies'}`);
+  return lines.join('\n');
+}
+
+function escapeCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per jump; state and remaining range are what was observed after the jump's entry
+function exportRollCsv(state) {
+  const rows = [CSV_COLUMNS];
+
+  state.committedActions.forEach((entry, index) => {
+    (entry.actions || []).forEach(action => {
+      const mass = action.ship.getMass();
+      rows.push([
+        index + 1,
+        entry.type === 'event' ? 'event' : 'jump',
+        action.direction === 'B' ? 'out' : 'back',
+        getExportShipName(action.ship),
+        getExportModeName(action.ship),
+        Math.round(mass.min),
+        Math.round(mass.max),
+        entry.currentState,
+        Math.round(entry.finalMass.min),
+        Math.round(entry.finalMass.max),
+        describeExportFarSide(entry.shipsOnFarSide)
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(escapeCsvValue).join(',')).join('\n') + '\n';
+}
+
+// Versioned document built on the saved session format
+function exportRollJson(state) {
+  const session = exportSessions.serializeSession(state);
+  session.committedActions.forEach(entry => {
+    HIDDEN_MASS_FIELDS.forEach(field => delete entry[field]);
+  });
+
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: session
+  }, null, 2);
+}
+
+// State changes a log entry can record
+const IMPORT_STATE_CHANGES = ['no-change', 'destab', 'critical', 'gone'];
+
+// Names from the file end up in the page, so markup is never one of ours
+function isImportText(value) {
+  return typeof value === 'string' && !/[<>]/.test(value);
+}
+
+function isImportFleet(fleet) {
+  if (!fleet || typeof fleet !== 'object') return false;
+  return Object.entries(fleet).every(([shipType, count]) => exportLogic.SHIP_TYPES[shipType] && Number.isInteger(count) && count >= 0);
+}
+
+function isImportAction(action) {
+  if (!action || (action.direction !== 'A' && action.direction !== 'B') || !action.ship) return false;
+  if (action.ship.kind === 'custom') return Number.isFinite(action.ship.mass) && action.ship.mass >= 0;
+  return Boolean(exportLogic.SHIP_TYPES[action.ship.type]) && Boolean(exportLogic.SHIP_MODES[action.ship.mode]);
+}
+
+function isImportEntry(entry) {
+  if (!entry || !Array.isArray(entry.actions) || !entry.actions.every(isImportAction)) return false;
+  if (!IMPORT_STATE_CHANGES.includes(entry.stateChange)) return false;
+  if (entry.shipsOnFarSide !== undefined && !isImportFleet(entry.shipsOnFarSide)) return false;
+  return entry.type !== 'event' || Boolean(entry.eventData && isImportText(entry.eventData.displayName));
+}
+
+function isImportPilot(pilot) {
+  return Boolean(pilot) && isImportText(pilot.name) && Array.isArray(pilot.ships)
+    && pilot.ships.every(shipType => exportLogic.SHIP_TYPES[shipType]);
+}
+
+// Same checks as a share link: a known hole, a real size and state, and only ships the tracker knows
+function isImportSession(session) {
+  if (!session || typeof session !== 'object') return false;
+  if (session.wormholeCode && !exportData.getWormholeInfo(session.wormholeCode)) return false;
+  if (!exportLogic.isWormholeSize(session.initialWhSize)) return false;
+  if (!exportLogic.WORMHOLE_STATES[session.initialWhState] || session.initialWhState === 'gone') return false;
+  if (!exportLogic.WORMHOLE_STATES[session.currentWhState]) return false;
+  if (session.initialWhRestriction && !exportLogic.WORMHOLE_RESTRICTIONS[session.initialWhRestriction]) return false;
+  if (!isImportFleet(session.initialFarSideFleet) || !isImportFleet(session.shipsOnFarSide)) return false;
+  if (!Array.isArray(session.committedActions) || !session.committedActions.every(isImportEntry)) return false;
+  if (!Array.isArray(session.stagedActions) || !session.stagedActions.every(isImportAction)) return false;
+  return session.pilots === undefined || (Array.isArray(session.pilots) && session.pilots.every(isImportPilot));
+}
+
+// Parse an exported JSON document back into tracker state; null if it is not one of ours or fails validation
+function importRollJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    console.error(`Unable to read roll export: ${error.message}`);
+    return null;
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT || data.version !== EXPORT_FORMAT_VERSION) return null;
+  if (!isImportSession(data.session)) return null;
+  return exportSessions.deserializeSession(data.session);
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_FORMAT_VERSION,
+    CSV_COLUMNS,
+    exportRollText,
+    exportRollCsv,
+    exportRollJson,
+    importRollJson
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.EXPORT_FORMAT = EXPORT_FORMAT;
+  window.EXPORT_FORMAT_VERSION = EXPORT_FORMAT_VERSION;
+  window.CSV_COLUMNS = CSV_COLUMNS;
+  window.exportRollText = exportRollText;
+  window.exportRollCsv = exportRollCsv;
+  window.exportRollJson = exportRollJson;
+  window.importRollJson = importRollJson;
+}
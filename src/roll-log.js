@@ -0,0 +1,194 @@
+// EVE Online wormhole rolling log
+// Builds committed log entries and replays them after undo, edit or delete
+
+const logLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+
+// Undo steps kept per roll
+const MAX_UNDO_STEPS = 50;
+
+const REGENERATION_HOUR_MS = 60 * 60 * 1000;
+
+// Starting point of a roll before any entry has been applied
+function getInitialLogState(setup) {
+  return {
+    finalMass: new logLogic.Wormhole(setup.initialWhSize, setup.initialWhState).getCurrentMassRange(),
+    currentWhState: setup.initialWhState === 'fresh' ? 'stable' : setup.initialWhState,
+    shipsOnFarSide: { ...setup.initialFarSideFleet },
+    totalPassedMass: 0,
+    timestamp: null
+  };
+}
+
+// Whole Gg a hole regenerating `rate` Gg per hour gets back between two log times, rounded down
+function getRegeneratedMass(rate, from, to) {
+  if (!rate || !from || !to || to <= from) return 0;
+  return Math.floor(rate * (to - from) / REGENERATION_HOUR_MS);
+}
+
+// Regeneration can only add mass, and never past the hole's full size; the minimum stays
+// where it was so the range widens upward rather than promising mass that may not be there
+function regenerateMass(massRange, regenerated, whSize) {
+  if (regenerated <= 0) return { ...massRange };
+  const fullMax = new logLogic.Wormhole(whSize, 'fresh').getMaxMass();
+  return { min: massRange.min, max: Math.max(massRange.max, Math.min(fullMax, massRange.max + regenerated)) };
+}
+
+// Move ships between sides for a list of actions (B = out, A = back)
+function applyFarSideMovements(shipsOnFarSide, actions) {
+  const farSide = { ...shipsOnFarSide };
+  actions.forEach(action => {
+    const shipKey = action.ship.type;
+    if (!shipKey) return;
+
+    if (action.direction === 'B') {
+      farSide[shipKey] = (farSide[shipKey] || 0) + 1;
+    } else if (action.direction === 'A' && farSide[shipKey] > 0) {
+      farSide[shipKey]--;
+      if (farSide[shipKey] === 0) {
+        delete farSide[shipKey];
+      }
+    }
+  });
+  return farSide;
+}
+
+// Average mass for the "passed mass" totals (unknown modes use the midpoint)
+function getPassedMass(actions) {
+  return actions.reduce((total, action) => {
+    const shipMass = action.ship.getMass();
+    return total + (shipMass.min === shipMass.max ? shipMass.min : (shipMass.min + shipMass.max) / 2);
+  }, 0);
+}
+
+// Apply a batch of actions with the observed state change on top of the previous log state.
+// regenerationRate (Gg per hour) tops the hole up for the time since the previous entry first.
+function createLogEntry(previous, actions, stateChange, whSize, timestamp = Date.now(), regenerationRate = 0) {
+  const regenerated = previous.currentWhState === 'gone' ? 0 : getRegeneratedMass(regenerationRate, previous.timestamp, timestamp);
+
+  // Raw mass subtraction first, state boundaries only once the batch is done
+  let finalMass = regenerateMass(previous.finalMass, regenerated, whSize);
+  actions.forEach(action => {
+    finalMass = action.applyToMass(finalMass, null);
+  });
+
+  const currentWhState = stateChange !== 'no-change' ? stateChange : previous.currentWhState;
+  const stateBoundaries = new logLogic.Wormhole(whSize, currentWhState).getStateBoundaries();
+  finalMass.min = Math.max(finalMass.min, stateBoundaries.min);
+  finalMass.max = Math.min(finalMass.max, stateBoundaries.max);
+  finalMass.min = Math.min(finalMass.min, finalMass.max);
+
+  const passedMass = getPassedMass(actions);
+  const shipsOnFarSide = applyFarSideMovements(previous.shipsOnFarSide, actions);
+
+  return {
+    actions: actions,
+    stateChange: stateChange,
+    currentState: currentWhState,
+    finalMass: finalMass,
+    passedMass: passedMass,
+    totalPassedMass: previous.totalPassedMass + passedMass,
+    shipsOnFarSide: shipsOnFarSide,
+    regenerated: regenerated,
+    timestamp: timestamp
+  };
+}
+
+// Log state after an entry, used as the starting point for the next one
+function getLogStateAfter(entry, previous) {
+  return {
+    finalMass: entry.finalMass,
+    currentWhState: entry.currentState || previous.currentWhState,
+    shipsOnFarSide: entry.shipsOnFarSide || previous.shipsOnFarSide,
+    totalPassedMass: entry.totalPassedMass !== undefined ? entry.totalPassedMass : previous.totalPassedMass,
+    timestamp: entry.timestamp || previous.timestamp
+  };
+}
+
+// Recompute every entry from the initial setup so downstream ranges follow an edit.
+// Random event entries come from game mode and are carried over untouched.
+// setup.massRegeneration (Gg per hour) is replayed from each entry's timestamp.
+function replayLog(setup, entries) {
+  let state = getInitialLogState(setup);
+  const replayed = entries.map(entry => {
+    const result = entry.type === 'event'
+      ? entry
+      : createLogEntry(state, entry.actions, entry.stateChange, setup.initialWhSize, entry.timestamp, setup.massRegeneration || 0);
+    state = getLogStateAfter(result, state);
+    return result;
+  });
+
+  return {
+    committedActions: replayed,
+    currentWhState: state.currentWhState,
+    shipsOnFarSide: state.shipsOnFarSide
+  };
+}
+
+// Undo/redo stacks of committed log snapshots
+class LogHistory {
+  constructor(limit = MAX_UNDO_STEPS) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  // Call before changing the log; a new change drops anything that could be redone
+  record(entries) {
+    this.undoStack.push(entries.slice());
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  undo(currentEntries) {
+    if (!this.canUndo()) return null;
+    this.redoStack.push(currentEntries.slice());
+    return this.undoStack.pop();
+  }
+
+  redo(currentEntries) {
+    if (!this.canRedo()) return null;
+    this.undoStack.push(currentEntries.slice());
+    return this.redoStack.pop();
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_UNDO_STEPS,
+    getInitialLogState,
+    getRegeneratedMass,
+    regenerateMass,
+    applyFarSideMovements,
+    createLogEntry,
+    replayLog,
+    LogHistory
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.MAX_UNDO_STEPS = MAX_UNDO_STEPS;
+  window.getInitialLogState = getInitialLogState;
+  window.getRegeneratedMass = getRegeneratedMass;
+  window.regenerateMass = regenerateMass;
+  window.applyFarSideMovements = applyFarSideMovements;
+  window.createLogEntry = createLogEntry;
+  window.replayLog = replayLog;
+  window.LogHistory = LogHistory;
+}
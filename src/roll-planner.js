@@ -0,0 +1,246 @@
+// EVE Online wormhole roll planner
+// Builds ordered hot/cold jump plans from the tracker's mass range model
+
+const plannerLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+
+// Out/back mode combinations tried for every ship type
+const PLAN_MODE_PAIRS = [
+  { out: 'cold', back: 'hot' },
+  { out: 'cold', back: 'cold' },
+  { out: 'hot', back: 'hot' },
+  { out: 'hot', back: 'cold' }
+];
+
+// States a wormhole can move through once tracking has started
+const PLAN_STATE_ORDER = ['stable', 'destab', 'critical', 'gone'];
+
+// Safety net so a plan can never loop forever
+const MAX_PLAN_PASSES = 200;
+
+class RollPlanner {
+  constructor(whSize, state, restriction, maxJumpMass = null) {
+    this.whSize = whSize;
+    this.state = state === 'fresh' ? 'stable' : state;
+    this.restriction = restriction;
+    this.maxJumpMass = maxJumpMass; // kg, heaviest single jump the hole lets through
+  }
+
+  // Clamp the supplied range to what the current state allows
+  getStartingRange(massRange) {
+    const boundaries = new plannerLogic.Wormhole(this.whSize, this.state).getStateBoundaries();
+    const max = Math.min(massRange.max, boundaries.max);
+    return {
+      min: Math.min(Math.max(massRange.min, boundaries.min), max),
+      max: max
+    };
+  }
+
+  // Ship types from the fleet that fit through this wormhole
+  getUsableShipTypes(fleet) {
+    return Object.keys(fleet).filter(shipKey => {
+      const shipData = plannerLogic.SHIP_TYPES[shipKey];
+      return shipData && fleet[shipKey] > 0 && shipData.size <= this.restriction;
+    });
+  }
+
+  // Out/back modes the ship can fly without going over the hole's jump mass limit
+  getModePairs(shipType) {
+    const fits = mode => plannerLogic.checkJumpMass(new plannerLogic.Ship(shipType, mode), this.maxJumpMass).verdict === 'ok';
+    return PLAN_MODE_PAIRS.filter(modes => fits(modes.out) && fits(modes.back));
+  }
+
+  // States the wormhole could show for a given remaining mass range
+  getPossibleStates(range) {
+    const startIndex = PLAN_STATE_ORDER.indexOf(this.state);
+    return PLAN_STATE_ORDER.slice(Math.max(0, startIndex)).filter(state => {
+      const boundaries = new plannerLogic.Wormhole(this.whSize, state).getStateBoundaries();
+      return range.min <= boundaries.max && range.max >= boundaries.min;
+    });
+  }
+
+  // One round trip: `count` ships jump out, then all of them jump back
+  buildPass(shipType, outMode, backMode, count) {
+    const jumps = [];
+    for (let i = 0; i < count; i++) {
+      jumps.push({ shipType: shipType, mode: outMode, direction: 'B' });
+    }
+    for (let i = 0; i < count; i++) {
+      jumps.push({ shipType: shipType, mode: backMode, direction: 'A' });
+    }
+    return jumps;
+  }
+
+  // Walk a list of jumps through Action.applyToMass using the worst case.
+  // A jump is only safe if the hole is guaranteed to survive it whenever
+  // someone is still left on the far side afterwards.
+  simulateJumps(range, jumps, farSideCount = 0) {
+    let current = { ...range };
+    let onFarSide = farSideCount;
+
+    for (let i = 0; i < jumps.length; i++) {
+      const jump = jumps[i];
+      const action = new plannerLogic.Action(new plannerLogic.Ship(jump.shipType, jump.mode), jump.direction);
+      current = action.applyToMass(current);
+      onFarSide += jump.direction === 'B' ? 1 : -1;
+
+      if (onFarSide > 0 && current.min <= 0) {
+        return { safe: false, range: current, failedJump: i };
+      }
+    }
+
+    return { safe: true, range: current };
+  }
+
+  // Every far side ship returns cold before rolling starts
+  buildHomecoming(farSideFleet) {
+    const jumps = [];
+    Object.entries(farSideFleet).forEach(([shipType, count]) => {
+      for (let i = 0; i < count; i++) {
+        jumps.push({ shipType: shipType, mode: 'cold', direction: 'A' });
+      }
+    });
+    return jumps;
+  }
+
+  getPassMass(jumps) {
+    return jumps.reduce((total, jump) => total + plannerLogic.SHIP_TYPES[jump.shipType][jump.mode], 0);
+  }
+
+  // Largest safe pass for a fixed strategy, shrinking the wave until it fits
+  findFixedPass(range, strategy) {
+    for (let count = strategy.waveSize; count >= 1; count--) {
+      const jumps = this.buildPass(strategy.shipType, strategy.out, strategy.back, count);
+      const result = this.simulateJumps(range, jumps);
+      if (result.safe) {
+        return { jumps: jumps, range: result.range };
+      }
+    }
+    return null;
+  }
+
+  // Safe pass removing the most mass across every ship, mode and wave size
+  findMixedPass(range, fleet) {
+    let best = null;
+    this.getUsableShipTypes(fleet).forEach(shipType => {
+      this.getModePairs(shipType).forEach(modes => {
+        for (let count = 1; count <= fleet[shipType]; count++) {
+          const jumps = this.buildPass(shipType, modes.out, modes.back, count);
+          const result = this.simulateJumps(range, jumps);
+          if (!result.safe) break;
+
+          const mass = this.getPassMass(jumps);
+          const hotJumps = jumps.filter(jump => jump.mode === 'hot').length;
+          if (!best || mass > best.mass || (mass === best.mass && hotJumps < best.hotJumps)) {
+            best = { jumps: jumps, range: result.range, mass: mass, hotJumps: hotJumps };
+          }
+        }
+      });
+    });
+    return best;
+  }
+
+  buildCandidate(label, startRange, homecoming, nextPass) {
+    const steps = [];
+    let range = startRange;
+
+    if (homecoming.length > 0) {
+      const result = this.simulateJumps(range, homecoming, homecoming.length);
+      if (!result.safe) {
+        return this.finishCandidate(label, steps, range, 'Far side ships cannot all return safely');
+      }
+      range = result.range;
+      steps.push({ type: 'homecoming', jumps: homecoming, rangeAfter: range, possibleStates: this.getPossibleStates(range) });
+    }
+
+    while (range.max > 0 && steps.length < MAX_PLAN_PASSES) {
+      const pass = nextPass(range);
+      if (!pass) {
+        return this.finishCandidate(label, steps, range, 'No safe round trip left for this fleet');
+      }
+      range = pass.range;
+      steps.push({ type: 'pass', jumps: pass.jumps, rangeAfter: range, possibleStates: this.getPossibleStates(range) });
+    }
+
+    return this.finishCandidate(label, steps, range, range.max > 0 ? 'Plan is too long' : null);
+  }
+
+  finishCandidate(label, steps, range, reason) {
+    let jumps = 0;
+    let hotJumps = 0;
+    let bestCaseJumps = null;
+
+    steps.forEach(step => {
+      jumps += step.jumps.length;
+      hotJumps += step.jumps.filter(jump => jump.mode === 'hot').length;
+      if (bestCaseJumps === null && step.rangeAfter.min <= 0) {
+        bestCaseJumps = jumps;
+      }
+    });
+
+    return {
+      label: label,
+      steps: steps,
+      guaranteed: reason === null,
+      reason: reason,
+      jumps: jumps,
+      hotJumps: hotJumps,
+      bestCaseJumps: bestCaseJumps,
+      worstCase: { jumps: jumps, remaining: range }
+    };
+  }
+
+  // Guaranteed plans first, then fewest worst-case jumps, then fewest hot jumps
+  compareCandidates(a, b) {
+    if (a.guaranteed !== b.guaranteed) return a.guaranteed ? -1 : 1;
+    if (!a.guaranteed && a.worstCase.remaining.max !== b.worstCase.remaining.max) {
+      return a.worstCase.remaining.max - b.worstCase.remaining.max;
+    }
+    if (a.jumps !== b.jumps) return a.jumps - b.jumps;
+    return a.hotJumps - b.hotJumps;
+  }
+
+  plan(massRange, fleet, farSideFleet = {}) {
+    const startRange = this.getStartingRange(massRange);
+    const homecoming = this.buildHomecoming(farSideFleet);
+    const candidates = [];
+
+    this.getUsableShipTypes(fleet).forEach(shipType => {
+      const shipName = plannerLogic.SHIP_TYPES[shipType].name;
+      this.getModePairs(shipType).forEach(modes => {
+        for (let waveSize = 1; waveSize <= fleet[shipType]; waveSize++) {
+          const strategy = { shipType: shipType, out: modes.out, back: modes.back, waveSize: waveSize };
+          const label = `${waveSize}x ${shipName}: out ${modes.out}, back ${modes.back}`;
+          candidates.push(this.buildCandidate(label, startRange, homecoming, range => this.findFixedPass(range, strategy)));
+        }
+      });
+    });
+
+    if (this.getUsableShipTypes(fleet).length > 1) {
+      candidates.push(this.buildCandidate('Mixed fleet', startRange, homecoming, range => this.findMixedPass(range, fleet)));
+    }
+
+    candidates.sort((a, b) => this.compareCandidates(a, b));
+
+    return {
+      startRange: startRange,
+      plan: candidates.find(candidate => candidate.guaranteed) || null,
+      candidates: candidates
+    };
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PLAN_MODE_PAIRS,
+    MAX_PLAN_PASSES,
+    RollPlanner
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.PLAN_MODE_PAIRS = PLAN_MODE_PAIRS;
+  window.MAX_PLAN_PASSES = MAX_PLAN_PASSES;
+  window.RollPlanner = RollPlanner;
+}
@@ -0,0 +1,249 @@
+// EVE Online wormhole roll session
+// One tracker roll without any DOM: staging, applying, undo and the far side fleet, announced through events
+
+const engineLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const engineData = typeof require === 'function' ? require('./wormhole-data') : window;
+const engineLog = typeof require === 'function' ? require('./roll-log') : window;
+
+// State changes that can be recorded against a log entry (matches the tracker's apply buttons)
+const LOG_STATE_CHANGES = {
+  'no-change': 'No State Change',
+  'destab': 'Destabilized',
+  'critical': 'Critical',
+  'gone': 'Gone'
+};
+
+// The roll state a session owns; the tracker reads and writes these straight through to its session
+const ROLL_SESSION_FIELDS = [
+  'selectedWormholeType',
+  'initialWhSize',
+  'initialWhState',
+  'initialWhRestriction',
+  'initialFarSideFleet',
+  'currentWhState',
+  'shipsOnFarSide',
+  'committedActions',
+  'stagedActions',
+  'history'
+];
+
+// Events: 'staged' ({ action, warnings }), 'applied' (entry, from apply or addEntry), 'replayed', 'complete', 'reopened' and 'change' after any of them
+class RollSession {
+  constructor(setup = {}) {
+    this.listeners = {};
+    this.followRegeneration = true; // Real-time rolls regain mass; game mode's hidden hole does not
+    this.history = new engineLog.LogHistory();
+    this.start(setup);
+  }
+
+  on(event, handler) {
+    this.listeners[event] = (this.listeners[event] || []).concat(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.listeners[event] = (this.listeners[event] || []).filter(existing => existing !== handler);
+  }
+
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach(handler => handler(payload));
+  }
+
+  // New roll from the setup form; fresh is only a setup concept, the hole itself is stable
+  start(setup) {
+    this.selectedWormholeType = setup.selectedWormholeType || null;
+    this.initialWhSize = setup.initialWhSize || null;
+    this.initialWhState = setup.initialWhState || null;
+    this.initialWhRestriction = setup.initialWhRestriction || null;
+    this.initialFarSideFleet = { ...(setup.initialFarSideFleet || {}) };
+    this.currentWhState = this.initialWhState === 'fresh' ? 'stable' : this.initialWhState;
+    this.shipsOnFarSide = { ...this.initialFarSideFleet };
+    this.committedActions = [];
+    this.stagedActions = [];
+    this.history.clear();
+  }
+
+  // Heaviest single jump in kg: the hole type's own limit, or its size restriction's when the type is not known
+  getMaxJumpMass() {
+    const whInfo = engineData.getWormholeInfo(this.selectedWormholeType);
+    return (whInfo && whInfo.maxJumpMass) || engineData.RESTRICTION_JUMP_MASS[this.initialWhRestriction] || null;
+  }
+
+  // Gg per hour the hole regains, only for a known hole type
+  getMassRegeneration() {
+    if (!this.followRegeneration) return 0;
+    const whInfo = engineData.getWormholeInfo(this.selectedWormholeType);
+    return whInfo ? whInfo.massRegeneration / engineLogic.KG_PER_GG : 0;
+  }
+
+  // checkJumpMass with the line to show the pilot; message is null when the ship fits either way
+  checkJump(ship) {
+    const check = engineLogic.checkJumpMass(ship, this.getMaxJumpMass());
+    let message = null;
+    if (check.verdict === 'reject') {
+      message = `⛔ ${ship.getDisplayName()} jumps at ${check.mass.min} Gg - over this hole's ${check.limit} Gg jump limit`;
+    } else if (check.verdict === 'warn') {
+      message = `⚖️ ${ship.getDisplayName()} is over this hole's ${check.limit} Gg jump limit with the prop on - jump it cold`;
+    }
+    return { ...check, message: message };
+  }
+
+  // Returns { action, warnings } or { error } when the hole would refuse the ship
+  stage(direction, ship, pilotId = null) {
+    const jumpCheck = this.checkJump(ship);
+    if (jumpCheck.verdict === 'reject') return { error: jumpCheck.message };
+
+    const action = new engineLogic.Action(ship, direction, pilotId);
+    const warnings = jumpCheck.message ? [jumpCheck.message] : [];
+    this.stagedActions.push(action);
+    this.emit('staged', { action: action, warnings: warnings });
+    this.emit('change');
+    return { action: action, warnings: warnings };
+  }
+
+  unstage(index) {
+    if (index < 0 || index >= this.stagedActions.length) return false;
+    this.stagedActions = this.stagedActions.filter((action, actionIndex) => actionIndex !== index);
+    this.emit('change');
+    return true;
+  }
+
+  // Commit the staged jumps with the state change seen afterwards. Returns { entry } or { error }.
+  // details are kept on the entry as they are (game mode adds the hidden mass the jump really used).
+  apply(stateChange, now = Date.now(), details = {}) {
+    if (this.stagedActions.length === 0) return { error: 'No actions to apply' };
+    if (!LOG_STATE_CHANGES[stateChange]) {
+      return { error: `Unknown state change: ${stateChange}` };
+    }
+
+    const lastEntry = this.committedActions[this.committedActions.length - 1];
+    const previous = {
+      finalMass: this.getLoggedMass(),
+      currentWhState: this.currentWhState,
+      shipsOnFarSide: this.shipsOnFarSide,
+      totalPassedMass: this.committedActions.reduce((total, entry) => total + (entry.passedMass || 0), 0),
+      timestamp: lastEntry ? lastEntry.timestamp : null
+    };
+    const entry = {
+      ...engineLog.createLogEntry(previous, [...this.stagedActions], stateChange, this.initialWhSize, now, this.getMassRegeneration()),
+      ...details
+    };
+    this.stagedActions = [];
+    this.addEntry(entry);
+    return { entry: entry };
+  }
+
+  // Log an entry that was worked out elsewhere, like game mode's random events and a hole dying of age.
+  // Its state and far side fleet are taken as they are.
+  addEntry(entry) {
+    // Keep the old log around so a misclick can be undone
+    this.history.record(this.committedActions);
+    this.committedActions = [...this.committedActions, entry];
+    this.currentWhState = entry.currentState;
+    this.shipsOnFarSide = { ...entry.shipsOnFarSide };
+
+    this.emit('applied', entry);
+    this.emit('change');
+    if (this.isComplete()) {
+      this.emit('complete', entry);
+    }
+  }
+
+  updateEntry(entryIndex, changes) {
+    this.history.record(this.committedActions);
+    this.committedActions = this.committedActions.map((entry, index) => (index === entryIndex ? { ...entry, ...changes } : entry));
+    this.replay();
+  }
+
+  deleteEntry(entryIndex) {
+    this.history.record(this.committedActions);
+    this.committedActions = this.committedActions.filter((entry, index) => index !== entryIndex);
+    this.replay();
+  }
+
+  undo() {
+    if (!this.history.canUndo()) return false;
+    this.committedActions = this.history.undo(this.committedActions);
+    this.replay();
+    return true;
+  }
+
+  redo() {
+    if (!this.history.canRedo()) return false;
+    this.committedActions = this.history.redo(this.committedActions);
+    this.replay();
+    return true;
+  }
+
+  // Recompute every entry from the initial setup after the log changed underneath it
+  replay() {
+    const wasComplete = this.isComplete();
+    const result = engineLog.replayLog({
+      initialWhSize: this.initialWhSize,
+      initialWhState: this.initialWhState,
+      initialFarSideFleet: this.initialFarSideFleet,
+      massRegeneration: this.getMassRegeneration()
+    }, this.committedActions);
+
+    this.committedActions = result.committedActions;
+    this.currentWhState = result.currentWhState;
+    this.shipsOnFarSide = { ...result.shipsOnFarSide };
+
+    if (wasComplete && !this.isComplete()) {
+      this.emit('reopened');
+    }
+    this.emit('replayed');
+    this.emit('change');
+    if (!wasComplete && this.isComplete()) {
+      this.emit('complete', this.committedActions[this.committedActions.length - 1]);
+    }
+  }
+
+  // Range as of the last log entry, or the starting range before the first one
+  getLoggedMass() {
+    let currentMass = new engineLogic.Wormhole(this.initialWhSize, this.initialWhState).getCurrentMassRange();
+    this.committedActions.forEach(entry => {
+      if (entry.finalMass) {
+        currentMass = entry.finalMass;
+      }
+    });
+    return currentMass;
+  }
+
+  // Remaining range now: the logged range plus whatever the hole has regenerated since the last entry
+  getMassRange(now = Date.now()) {
+    const loggedMass = this.getLoggedMass();
+    if (this.isComplete() || this.committedActions.length === 0) return loggedMass;
+
+    const lastEntry = this.committedActions[this.committedActions.length - 1];
+    return engineLog.regenerateMass(loggedMass, engineLog.getRegeneratedMass(this.getMassRegeneration(), lastEntry.timestamp, now), this.initialWhSize);
+  }
+
+  getFarSide() {
+    return { ...this.shipsOnFarSide };
+  }
+
+  getFarSideCount() {
+    return Object.values(this.shipsOnFarSide).reduce((sum, count) => sum + count, 0);
+  }
+
+  isComplete() {
+    return this.currentWhState === 'gone';
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOG_STATE_CHANGES,
+    ROLL_SESSION_FIELDS,
+    RollSession
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.LOG_STATE_CHANGES = LOG_STATE_CHANGES;
+  window.ROLL_SESSION_FIELDS = ROLL_SESSION_FIELDS;
+  window.RollSession = RollSession;
+}
@@ -0,0 +1,125 @@
+// EVE Online wormhole rolling seeded random numbers
+// Reproducible game scenarios: the same seed gives the same setup, hidden mass and events
+
+const randomLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const randomData = typeof require === 'function' ? require('./wormhole-data') : window;
+
+const SEED_PATTERN = /^[a-z0-9-]{1,32}$/;
+const DAILY_SEED_PATTERN = /^daily:\d{4}-\d{2}-\d{2}$/;
+
+// Random scenarios never start with the hole already gone
+const SCENARIO_START_STATES = ['fresh', 'stable', 'destab', 'critical'];
+
+// Each part of a game draws from its own stream, so a different jump order
+// never changes the hidden mass or the far side fleet
+const SCENARIO_STREAMS = ['setup', 'mass', 'jumps', 'events', 'lifetime'];
+
+// 32-bit FNV-1a hash, turns any seed text into a starting state
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Fresh seed for a new scenario - this is the one place Math.random is still used
+function createSeed() {
+  return Math.floor(Math.random() * 0xffffffff).toString(36).padStart(7, '0');
+}
+
+// Seeds are case-insensitive letters, digits and dashes, or a daily challenge's daily:YYYY-MM-DD;
+// returns null for anything else
+function normalizeSeed(text) {
+  const seed = String(text || '').trim().toLowerCase();
+  return SEED_PATTERN.test(seed) || DAILY_SEED_PATTERN.test(seed) ? seed : null;
+}
+
+// Mulberry32 generator. random() matches Math.random so either can be passed where an rng is expected.
+class SeededRandom {
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = hashSeed(this.seed);
+  }
+
+  random() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+function createScenarioRandom(seed) {
+  const streams = { seed: seed };
+  SCENARIO_STREAMS.forEach(name => {
+    streams[name] = new SeededRandom(`${seed}/${name}`);
+  });
+  return streams;
+}
+
+// Only the built-in ships take part in a seeded scenario, otherwise a custom ship in one browser's
+// catalogue would give the same seed a different far side fleet there
+function getBuiltInShipTypes(shipTypes = randomLogic.SHIP_TYPES) {
+  const builtIn = {};
+  Object.entries(shipTypes).forEach(([shipKey, ship]) => {
+    if (!ship.custom) builtIn[shipKey] = ship;
+  });
+  return builtIn;
+}
+
+// Far side fleet for a random scenario: each ship that fits has a 25% chance of 1-5 on the far side
+function rollFarSideFleet(rng, restrictionLevel, shipTypes = randomLogic.SHIP_TYPES) {
+  const fleet = {};
+  Object.entries(shipTypes).forEach(([shipKey, ship]) => {
+    fleet[shipKey] = 0;
+    if (ship.size <= restrictionLevel && rng.random() > 0.75) {
+      fleet[shipKey] = Math.floor(rng.random() * 5) + 1;
+    }
+  });
+  return fleet;
+}
+
+// Wormhole type, starting state and far side fleet (built-in ships only), drawn in that order
+function rollScenarioSetup(rng, shipTypes = randomLogic.SHIP_TYPES) {
+  const allCodes = Object.keys(randomData.WORMHOLE_DATA);
+  const wormholeCode = allCodes[Math.floor(rng.random() * allCodes.length)];
+  const initialWhState = SCENARIO_START_STATES[Math.floor(rng.random() * SCENARIO_START_STATES.length)];
+  const whInfo = randomData.getWormholeInfo(wormholeCode);
+
+  return {
+    wormholeCode: wormholeCode,
+    initialWhState: initialWhState,
+    farSideFleet: rollFarSideFleet(rng, whInfo.restriction, getBuiltInShipTypes(shipTypes))
+  };
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCENARIO_STREAMS,
+    hashSeed,
+    createSeed,
+    normalizeSeed,
+    SeededRandom,
+    createScenarioRandom,
+    getBuiltInShipTypes,
+    rollFarSideFleet,
+    rollScenarioSetup
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.SCENARIO_STREAMS = SCENARIO_STREAMS;
+  window.hashSeed = hashSeed;
+  window.createSeed = createSeed;
+  window.normalizeSeed = normalizeSeed;
+  window.SeededRandom = SeededRandom;
+  window.createScenarioRandom = createScenarioRandom;
+  window.getBuiltInShipTypes = getBuiltInShipTypes;
+  window.rollFarSideFleet = rollFarSideFleet;
+  window.rollScenarioSetup = rollScenarioSetup;
+}
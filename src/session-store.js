@@ -0,0 +1,188 @@
+// EVE Online wormhole tracker session persistence
+// Saves tracker sessions to localStorage so a reload can resume the roll
+
+const sessionLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const sessionJson = typeof require === 'function' ? require('./json-storage') : window;
+
+const SESSION_STORAGE_KEY = 'eve-rolling.sessions';
+const ACTIVE_SESSION_KEY = 'eve-rolling.activeSession';
+const SESSION_FORMAT_VERSION = 1;
+
+// Oldest sessions are dropped once the history grows past this
+const MAX_SAVED_SESSIONS = 20;
+
+function createSessionId() {
+  return `roll-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function serializeShip(ship) {
+  if (ship instanceof sessionLogic.CustomMass) {
+    return { kind: 'custom', mass: ship.mass };
+  }
+  const data = { kind: 'ship', type: ship.type, mode: ship.mode };
+  if (ship.modifiers && Object.keys(ship.modifiers).length > 0) {
+    data.modifiers = { ...ship.modifiers };
+  }
+  if (ship.customMass) {
+    data.customMass = { ...ship.customMass };
+  }
+  return data;
+}
+
+function deserializeShip(data) {
+  if (data.kind === 'custom') {
+    return new sessionLogic.CustomMass(data.mass);
+  }
+  return new sessionLogic.Ship(data.type, data.mode, data.modifiers || {}, data.customMass || null);
+}
+
+function serializeAction(action) {
+  const data = { direction: action.direction, ship: serializeShip(action.ship) };
+  if (action.pilotId) {
+    data.pilotId = action.pilotId;
+  }
+  return data;
+}
+
+function isSavedAction(data) {
+  if (!data || (data.direction !== 'A' && data.direction !== 'B') || !data.ship) return false;
+  return data.ship.kind === 'custom' ? typeof data.ship.mass === 'number' : typeof data.ship.type === 'string';
+}
+
+function deserializeAction(data) {
+  return new sessionLogic.Action(deserializeShip(data.ship), data.direction, data.pilotId || null);
+}
+
+// Plain JSON snapshot of the tracker state (works off any object with the UI's fields)
+function serializeSession(state) {
+  return {
+    version: SESSION_FORMAT_VERSION,
+    id: state.sessionId,
+    wormholeCode: state.selectedWormholeType || null,
+    savedAt: Date.now(),
+    initialWhSize: state.initialWhSize,
+    initialWhState: state.initialWhState,
+    initialWhRestriction: state.initialWhRestriction,
+    initialFarSideFleet: { ...state.initialFarSideFleet },
+    currentWhState: state.currentWhState,
+    shipsOnFarSide: { ...state.shipsOnFarSide },
+    pilots: (state.pilots || []).map(pilot => ({ ...pilot, ships: [...pilot.ships] })),
+    committedActions: state.committedActions.map(entry => ({
+      ...entry,
+      actions: (entry.actions || []).map(serializeAction)
+    })),
+    stagedActions: state.stagedActions.map(serializeAction),
+    lifetime: state.lifetime ? { ...state.lifetime } : null
+  };
+}
+
+// Rebuild the Action/Ship/CustomMass instances from a saved snapshot; null if it is damaged
+function deserializeSession(data) {
+  if (!data || data.version !== SESSION_FORMAT_VERSION) return null;
+  if (!Array.isArray(data.committedActions) || !Array.isArray(data.stagedActions)) return null;
+  if (!data.committedActions.every(entry => entry && Array.isArray(entry.actions) && entry.actions.every(isSavedAction))) return null;
+  if (!data.stagedActions.every(isSavedAction)) return null;
+
+  return {
+    sessionId: data.id,
+    selectedWormholeType: data.wormholeCode,
+    initialWhSize: data.initialWhSize,
+    initialWhState: data.initialWhState,
+    initialWhRestriction: data.initialWhRestriction,
+    initialFarSideFleet: { ...data.initialFarSideFleet },
+    currentWhState: data.currentWhState,
+    shipsOnFarSide: { ...data.shipsOnFarSide },
+    pilots: Array.isArray(data.pilots) ? data.pilots : [],
+    committedActions: data.committedActions.map(entry => ({
+      ...entry,
+      actions: entry.actions.map(deserializeAction)
+    })),
+    stagedActions: data.stagedActions.map(deserializeAction),
+    lifetime: data.lifetime || null
+  };
+}
+
+class SessionStore {
+  constructor(storage) {
+    this.storage = storage || null;
+  }
+
+  readJson(key, fallback) {
+    return sessionJson.readStoredJson(this.storage, key, fallback, 'saved sessions');
+  }
+
+  writeJson(key, value) {
+    sessionJson.writeStoredJson(this.storage, key, value, 'session');
+  }
+
+  // Past sessions, most recently saved first. Damaged entries are left out so they cannot stop the page loading.
+  listSessions() {
+    const sessions = this.readJson(SESSION_STORAGE_KEY, []);
+    if (!Array.isArray(sessions)) return [];
+    return sessions
+      .filter(session => deserializeSession(session) !== null)
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  getSession(id) {
+    return this.listSessions().find(session => session.id === id) || null;
+  }
+
+  saveSession(session) {
+    const sessions = this.listSessions().filter(existing => existing.id !== session.id);
+    sessions.unshift(session);
+    this.writeJson(SESSION_STORAGE_KEY, sessions.slice(0, MAX_SAVED_SESSIONS));
+    this.setActiveSessionId(session.id);
+  }
+
+  deleteSession(id) {
+    this.writeJson(SESSION_STORAGE_KEY, this.listSessions().filter(session => session.id !== id));
+    if (this.getActiveSessionId() === id) {
+      this.setActiveSessionId(null);
+    }
+  }
+
+  // The session that was in progress when the page was closed
+  getActiveSessionId() {
+    return this.readJson(ACTIVE_SESSION_KEY, null);
+  }
+
+  setActiveSessionId(id) {
+    if (!this.storage) return;
+    if (id) {
+      this.writeJson(ACTIVE_SESSION_KEY, id);
+    } else {
+      this.storage.removeItem(ACTIVE_SESSION_KEY);
+    }
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SESSION_STORAGE_KEY,
+    ACTIVE_SESSION_KEY,
+    SESSION_FORMAT_VERSION,
+    MAX_SAVED_SESSIONS,
+    createSessionId,
+    serializeAction,
+    deserializeAction,
+    serializeSession,
+    deserializeSession,
+    SessionStore
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.SESSION_STORAGE_KEY = SESSION_STORAGE_KEY;
+  window.ACTIVE_SESSION_KEY = ACTIVE_SESSION_KEY;
+  window.SESSION_FORMAT_VERSION = SESSION_FORMAT_VERSION;
+  window.MAX_SAVED_SESSIONS = MAX_SAVED_SESSIONS;
+  window.createSessionId = createSessionId;
+  window.serializeAction = serializeAction;
+  window.deserializeAction = deserializeAction;
+  window.serializeSession = serializeSession;
+  window.deserializeSession = deserializeSession;
+  window.SessionStore = SessionStore;
+}
@@ -0,0 +1,218 @@
+// EVE Online wormhole roll share links
+// Packs the setup and committed log into a compact URL hash and back
+
+const shareLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const shareData = typeof require === 'function' ? require('./wormhole-data') : window;
+const shareLog = typeof require === 'function' ? require('./roll-log') : window;
+
+const SHARE_FORMAT_VERSION = '1';
+
+// Hash keys: #roll=<payload> opens editable, adding &readonly opens read-only
+const SHARE_HASH_KEY = 'roll';
+const SHARE_READONLY_FLAG = 'readonly';
+
+// One-letter codes keep the payload short enough to paste into fleet chat
+const SHARE_STATE_CODES = {
+  'fresh': 'f',
+  'stable': 's',
+  'destab': 'd',
+  'critical': 'c',
+  'gone': 'g',
+  'no-change': 'n'
+};
+
+const SHARE_MODE_CODES = {
+  'cold': 'c',
+  'unknown': 'u',
+  'hot': 'h'
+};
+
+// Custom masses use this in place of a mode code
+const SHARE_CUSTOM_CODE = 'x';
+
+// Fit changes follow the ship key after a "!", e.g. "Bhrbs!nc" for no Higgs with cargo
+const SHARE_MODIFIER_SEPARATOR = '!';
+const SHARE_MODIFIER_CODES = {
+  'h': { higgs: true },
+  'n': { higgs: false },
+  'c': { cargo: true }
+};
+
+function invertShareCodes(codes) {
+  const inverted = {};
+  Object.entries(codes).forEach(([key, code]) => {
+    inverted[code] = key;
+  });
+  return inverted;
+}
+
+const SHARE_STATES_BY_CODE = invertShareCodes(SHARE_STATE_CODES);
+const SHARE_MODES_BY_CODE = invertShareCodes(SHARE_MODE_CODES);
+
+// B = out, A = back; then mode code and ship key (or x and the custom mass), then any fit codes
+function encodeAction(action) {
+  if (action.ship instanceof shareLogic.CustomMass) {
+    return `${action.direction}${SHARE_CUSTOM_CODE}${action.ship.mass}`;
+  }
+  const modifiers = action.ship.modifiers || {};
+  let modifierCodes = '';
+  if (typeof modifiers.higgs === 'boolean') modifierCodes += modifiers.higgs ? 'h' : 'n';
+  if (modifiers.cargo) modifierCodes += 'c';
+
+  const ship = `${action.direction}${SHARE_MODE_CODES[action.ship.mode]}${action.ship.type}`;
+  return modifierCodes ? ship + SHARE_MODIFIER_SEPARATOR + modifierCodes : ship;
+}
+
+function decodeAction(token) {
+  const match = /^([AB])([a-z])(.+)$/.exec(token);
+  if (!match) return null;
+  const [, direction, modeCode, value] = match;
+
+  if (modeCode === SHARE_CUSTOM_CODE) {
+    const mass = Number(value);
+    return Number.isFinite(mass) && mass >= 0 ? new shareLogic.Action(new shareLogic.CustomMass(mass), direction) : null;
+  }
+
+  const parts = value.split(SHARE_MODIFIER_SEPARATOR);
+  const [shipKey, modifierCodes = ''] = parts;
+  const mode = SHARE_MODES_BY_CODE[modeCode];
+  if (!mode || parts.length > 2 || !shareLogic.SHIP_TYPES[shipKey]) return null;
+
+  const modifiers = {};
+  for (const code of modifierCodes) {
+    if (!SHARE_MODIFIER_CODES[code]) return null;
+    Object.assign(modifiers, SHARE_MODIFIER_CODES[code]);
+  }
+  return new shareLogic.Action(new shareLogic.Ship(shipKey, mode, modifiers), direction);
+}
+
+// Far side fleet as "rbs2-bs1", zero counts left out
+function encodeFleet(fleet) {
+  return Object.entries(fleet || {})
+    .filter(([, count]) => count > 0)
+    .map(([shipKey, count]) => `${shipKey}${count}`)
+    .join('-');
+}
+
+function decodeFleet(text) {
+  const fleet = {};
+  if (!text) return fleet;
+  for (const part of text.split('-')) {
+    const match = /^([a-z]+)(\d+)$/.exec(part);
+    if (!match || !shareLogic.SHIP_TYPES[match[1]]) return null;
+    fleet[match[1]] = Number(match[2]);
+  }
+  return fleet;
+}
+
+// Compact payload: version/code/size/state/restriction/fleet/entries
+// Entries are "~" separated, each a state code followed by "_" separated actions.
+// Only the wormhole code can need escaping, so the rest stays readable in chat.
+// Random event entries only exist in game mode and are not shared.
+function encodeShareState(state) {
+  const entries = state.committedActions
+    .filter(entry => entry.type !== 'event')
+    .map(entry => SHARE_STATE_CODES[entry.stateChange || 'no-change'] + entry.actions.map(encodeAction).join('_'));
+
+  return [
+    SHARE_FORMAT_VERSION,
+    encodeURIComponent(state.selectedWormholeType || ''),
+    shareLogic.formatWormholeSize(state.initialWhSize),
+    SHARE_STATE_CODES[state.initialWhState],
+    state.initialWhRestriction,
+    encodeFleet(state.initialFarSideFleet),
+    entries.join('~')
+  ].join('/');
+}
+
+// Rebuild the setup and log from a payload; the log is replayed so ranges match the sender's.
+// Returns null for anything that does not parse.
+function decodeShareState(payload) {
+  if (!payload) return null;
+  const parts = payload.split('/');
+  if (parts.length !== 7 || parts[0] !== SHARE_FORMAT_VERSION) return null;
+
+  const [, codeText, sizeText, stateCode, restrictionText, fleetText, entriesText] = parts;
+  let wormholeCode;
+  try {
+    wormholeCode = decodeURIComponent(codeText);
+  } catch (error) {
+    return null;
+  }
+  const initialWhSize = shareLogic.parseWormholeSize(sizeText);
+  const initialWhState = SHARE_STATES_BY_CODE[stateCode];
+  const initialWhRestriction = Number(restrictionText);
+  const initialFarSideFleet = decodeFleet(fleetText);
+
+  if (initialWhSize === null) return null;
+  if (!initialWhState || initialWhState === 'gone' || initialWhState === 'no-change') return null;
+  if (!shareLogic.WORMHOLE_RESTRICTIONS[initialWhRestriction]) return null;
+  if (!initialFarSideFleet) return null;
+  if (wormholeCode && !shareData.getWormholeInfo(wormholeCode)) return null;
+
+  const entries = [];
+  for (const entryText of entriesText ? entriesText.split('~') : []) {
+    const stateChange = SHARE_STATES_BY_CODE[entryText[0]];
+    if (!['no-change', 'destab', 'critical', 'gone'].includes(stateChange)) return null;
+
+    const actions = entryText.slice(1) ? entryText.slice(1).split('_').map(decodeAction) : [];
+    if (actions.length === 0 || actions.includes(null)) return null;
+    entries.push({ actions: actions, stateChange: stateChange });
+  }
+
+  const setup = {
+    initialWhSize: initialWhSize,
+    initialWhState: initialWhState,
+    initialFarSideFleet: initialFarSideFleet
+  };
+  const replayed = shareLog.replayLog(setup, entries);
+
+  return {
+    selectedWormholeType: wormholeCode || null,
+    initialWhSize: initialWhSize,
+    initialWhState: initialWhState,
+    initialWhRestriction: initialWhRestriction,
+    initialFarSideFleet: initialFarSideFleet,
+    committedActions: replayed.committedActions,
+    currentWhState: replayed.currentWhState,
+    shipsOnFarSide: replayed.shipsOnFarSide,
+    stagedActions: []
+  };
+}
+
+// URL hash for a roll, e.g. "#roll=1/B274/2000/f/3/bs1/nBhrbs_Ahrbs~dBcrbs"
+function buildShareHash(state, readOnly = false) {
+  return `#${SHARE_HASH_KEY}=${encodeShareState(state)}${readOnly ? `&${SHARE_READONLY_FLAG}` : ''}`;
+}
+
+// Pull the payload and read-only flag out of location.hash; null when there is no shared roll
+function parseShareHash(hash) {
+  const params = (hash || '').replace(/^#/, '').split('&');
+  const rollParam = params.find(param => param.startsWith(`${SHARE_HASH_KEY}=`));
+  if (!rollParam) return null;
+
+  return {
+    payload: rollParam.slice(SHARE_HASH_KEY.length + 1),
+    readOnly: params.includes(SHARE_READONLY_FLAG)
+  };
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SHARE_FORMAT_VERSION,
+    encodeShareState,
+    decodeShareState,
+    buildShareHash,
+    parseShareHash
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.SHARE_FORMAT_VERSION = SHARE_FORMAT_VERSION;
+  window.encodeShareState = encodeShareState;
+  window.decodeShareState = decodeShareState;
+  window.buildShareHash = buildShareHash;
+  window.parseShareHash = parseShareHash;
+}
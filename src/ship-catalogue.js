@@ -0,0 +1,117 @@
+// EVE Online wormhole rolling ship catalogue
+// User-defined ship types stored locally and merged into SHIP_TYPES
+
+const catalogueLogic = typeof require === 'function' ? require('./wormhole-logic') : window;
+const catalogueJson = typeof require === 'function' ? require('./json-storage') : window;
+
+const SHIP_CATALOGUE_KEY = 'eve-rolling.ships';
+
+// Custom ship keys get this prefix so they never replace a built-in
+const CUSTOM_SHIP_PREFIX = 'my';
+const MAX_SHIP_NAME_LENGTH = 40;
+
+// Returns an error message for an invalid ship definition, or null when it is usable
+function validateShipDefinition(definition) {
+  const name = (definition.name || '').trim();
+  if (!name) return 'Ship name is required';
+  if (name.length > MAX_SHIP_NAME_LENGTH) return `Ship name must be ${MAX_SHIP_NAME_LENGTH} characters or fewer`;
+  if (/[<>&"]/.test(name)) return 'Ship name cannot contain < > & or "';
+  if (!Number.isFinite(definition.cold) || definition.cold <= 0) return 'Cold mass must be above 0 Gg';
+  if (!Number.isFinite(definition.hot) || definition.hot < definition.cold) return 'Hot mass must be at least the cold mass';
+  if (!catalogueLogic.WORMHOLE_RESTRICTIONS[definition.size]) return 'Pick a size class';
+  return null;
+}
+
+class ShipCatalogue {
+  constructor(storage, shipTypes = catalogueLogic.SHIP_TYPES) {
+    this.storage = storage || null;
+    this.shipTypes = shipTypes;
+    this.builtInKeys = Object.keys(shipTypes).filter(key => !shipTypes[key].custom);
+  }
+
+  readShips() {
+    const ships = catalogueJson.readStoredJson(this.storage, SHIP_CATALOGUE_KEY, {}, 'ship catalogue');
+    return ships && typeof ships === 'object' ? ships : {};
+  }
+
+  writeShips(ships) {
+    catalogueJson.writeStoredJson(this.storage, SHIP_CATALOGUE_KEY, ships, 'ship catalogue');
+  }
+
+  listCustomShips() {
+    return Object.entries(this.readShips()).map(([key, ship]) => ({ key: key, ...ship }));
+  }
+
+  // Letters only, so the key is safe in share links and far side fleet codes
+  createKey(name, ships) {
+    const base = CUSTOM_SHIP_PREFIX + (name.toLowerCase().replace(/[^a-z]/g, '').slice(0, 12) || 'ship');
+    let key = base;
+    let suffix = 0;
+    while (ships[key] || this.builtInKeys.includes(key)) {
+      key = base + String.fromCharCode(97 + (suffix % 26)).repeat(Math.floor(suffix / 26) + 1);
+      suffix++;
+    }
+    return key;
+  }
+
+  // Create a ship, or update the one at shipKey. Returns { key } or { error }.
+  saveShip(definition, shipKey = null) {
+    const ship = {
+      name: (definition.name || '').trim(),
+      cold: Number(definition.cold),
+      hot: Number(definition.hot),
+      size: Number(definition.size)
+    };
+    const error = validateShipDefinition(ship);
+    if (error) return { error: error };
+
+    const ships = this.readShips();
+    if (shipKey && !ships[shipKey]) return { error: 'Only custom ships can be edited' };
+
+    const key = shipKey || this.createKey(ship.name, ships);
+    ships[key] = ship;
+    this.writeShips(ships);
+    this.apply();
+    return { key: key };
+  }
+
+  deleteShip(shipKey) {
+    const ships = this.readShips();
+    if (!ships[shipKey]) return false;
+    delete ships[shipKey];
+    this.writeShips(ships);
+    this.apply();
+    return true;
+  }
+
+  // Merge the stored ships into SHIP_TYPES, dropping any that were deleted
+  apply() {
+    const ships = this.readShips();
+    Object.keys(this.shipTypes).forEach(key => {
+      if (!this.builtInKeys.includes(key) && !ships[key]) {
+        delete this.shipTypes[key];
+      }
+    });
+    Object.entries(ships).forEach(([key, ship]) => {
+      if (this.builtInKeys.includes(key) || !/^[a-z]+$/.test(key) || validateShipDefinition(ship)) return;
+      this.shipTypes[key] = { ...ship, custom: true };
+    });
+    return this.shipTypes;
+  }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SHIP_CATALOGUE_KEY,
+    validateShipDefinition,
+    ShipCatalogue
+  };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+  window.SHIP_CATALOGUE_KEY = SHIP_CATALOGUE_KEY;
+  window.validateShipDefinition = validateShipDefinition;
+  window.ShipCatalogue = ShipCatalogue;
+}
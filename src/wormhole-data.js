@@ -10,119 +10,137 @@ const RESTRICTION_LEVELS = {
   5: 'up to Capital'          // 2B kg jump mass
 };
 
+// Heaviest single jump each restriction level lets through, in kg. A hole's own
+// maxJumpMass can be lower than its level's, never higher.
+const RESTRICTION_JUMP_MASS = {
+  1: 5000000,
+  2: 62000000,
+  3: 375000000,
+  4: 1000000000,
+  5: 2000000000
+};
+
 // Convert mass strings to gigagrams (Gg)
 const convertMassToGg = (massStr) => {
   const massValue = parseInt(massStr.replace(/[^0-9]/g, ''));
   return massValue / 1000; // Convert kg to Gg
 };
 
+// Source classes for holes that wander through every system of a kind
+const WSPACE_CLASSES = ['C1', 'C2', 'C3', 'C4', 'C5', 'C6'];
+const KSPACE_CLASSES = ['HS', 'LS', 'NS'];
+
 // Wormhole database - extracted from EVE Online data
+// lifetime is in hours from spawn; every hole shows End of Life for its last 4 hours
+// sources are the system classes the hole spawns in - its K162 opens in the destination
+// static holes respawn in their one source class whenever they die; wanderers spawn at random
+// maxJumpMass is the heaviest single jump in kg, massRegeneration the kg the hole regains per hour
 const WORMHOLE_DATA = {
   // Frigate Holes (Small - up to Destroyer)
-  'A009': { totalMass: 3000, restriction: 1, destination: 'C13' },
-  'C008': { totalMass: 3000, restriction: 1, destination: 'C5' },
-  'E004': { totalMass: 3000, restriction: 1, destination: 'C1' },
-  'G008': { totalMass: 3000, restriction: 1, destination: 'C6' },
-  'L005': { totalMass: 3000, restriction: 1, destination: 'C2' },
-  'M001': { totalMass: 3000, restriction: 1, destination: 'C4' },
-  'Q003': { totalMass: 3000, restriction: 1, destination: 'NS' },
-  'Z006': { totalMass: 3000, restriction: 1, destination: 'C3' },
+  'A009': { totalMass: 3000, restriction: 1, destination: 'C13', lifetime: 16, sources: [...WSPACE_CLASSES, 'C13'], static: false, maxJumpMass: 5000000, massRegeneration: 500000000 },
+  'C008': { totalMass: 3000, restriction: 1, destination: 'C5', lifetime: 16, sources: [...WSPACE_CLASSES, 'C13'], static: false, maxJumpMass: 5000000, massRegeneration: 500000000 },
+  'E004': { totalMass: 3000, restriction: 1, destination: 'C1', lifetime: 16, sources: [...WSPACE_CLASSES, 'C13'], static: false, maxJumpMass: 5000000, massRegeneration: 500000000 },
+  'G008': { totalMass: 3000, restriction: 1, destination: 'C6', lifetime: 16, sources: [...WSPACE_CLASSES, 'C13'], static: false, maxJumpMass: 5000000, massRegeneration: 500000000 },
+  'L005': { totalMass: 3000, restriction: 1, destination: 'C2', lifetime: 16, sources: [...WSPACE_CLASSES, 'C13'], static: false, maxJumpMass: 5000000, massRegeneration: 500000000 },
+  'M001': { totalMass: 3000, restriction: 1, destination: 'C4', lifetime: 16, sources: [...WSPACE_CLASSES, 'C13'], static: false, maxJumpMass: 5000000, massRegeneration: 500000000 },
+  'Q003': { totalMass: 3000, restriction: 1, destination: 'NS', lifetime: 24, sources: [...WSPACE_CLASSES, 'C13'], static: false, maxJumpMass: 5000000, massRegeneration: 500000000 },
+  'Z006': { totalMass: 3000, restriction: 1, destination: 'C3', lifetime: 16, sources: [...WSPACE_CLASSES, 'C13'], static: false, maxJumpMass: 5000000, massRegeneration: 500000000 },
   
   // Medium Holes (up to Battlecruiser)
-  'C125': { totalMass: 1000, restriction: 2, destination: 'C2' },
-  'H121': { totalMass: 500, restriction: 2, destination: 'C1' },
-  'J244': { totalMass: 1000, restriction: 2, destination: 'LS' },
-  'J377': { totalMass: 1000, restriction: 2, destination: 'LS' },
-  'J492': { totalMass: 1000, restriction: 2, destination: 'LS' },
-  'L614': { totalMass: 1000, restriction: 2, destination: 'C5' },
-  'M609': { totalMass: 1000, restriction: 2, destination: 'C4' },
-  'N110': { totalMass: 1000, restriction: 2, destination: 'HS' },
-  'O883': { totalMass: 1000, restriction: 2, destination: 'C3' },
-  'P060': { totalMass: 500, restriction: 2, destination: 'C1' },
-  'Q063': { totalMass: 500, restriction: 2, destination: 'HS' },
-  'Q317': { totalMass: 500, restriction: 2, destination: 'C1' },
-  'S804': { totalMass: 1000, restriction: 2, destination: 'C6' },
-  'T458': { totalMass: 500, restriction: 2, destination: 'Thera' },
-  'V301': { totalMass: 500, restriction: 2, destination: 'C1' },
-  'Y790': { totalMass: 500, restriction: 2, destination: 'C1' },
-  'Z060': { totalMass: 1000, restriction: 2, destination: 'NS' },
-  'Z647': { totalMass: 500, restriction: 2, destination: 'C1' },
-  'Z971': { totalMass: 100, restriction: 2, destination: 'C1' },
-  'F353': { totalMass: 100, restriction: 2, destination: 'Thera' },
+  'C125': { totalMass: 1000, restriction: 2, destination: 'C2', lifetime: 16, sources: ['C1'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'H121': { totalMass: 500, restriction: 2, destination: 'C1', lifetime: 16, sources: ['C1'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'J244': { totalMass: 1000, restriction: 2, destination: 'LS', lifetime: 24, sources: ['C1'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'J377': { totalMass: 1000, restriction: 2, destination: 'LS', lifetime: 24, sources: ['LS'], static: false, maxJumpMass: 62000000, massRegeneration: 0 },
+  'J492': { totalMass: 1000, restriction: 2, destination: 'LS', lifetime: 24, sources: ['NS'], static: false, maxJumpMass: 62000000, massRegeneration: 0 },
+  'L614': { totalMass: 1000, restriction: 2, destination: 'C5', lifetime: 16, sources: ['C1'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'M609': { totalMass: 1000, restriction: 2, destination: 'C4', lifetime: 16, sources: ['C1'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'N110': { totalMass: 1000, restriction: 2, destination: 'HS', lifetime: 24, sources: ['C1'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'O883': { totalMass: 1000, restriction: 2, destination: 'C3', lifetime: 16, sources: ['C1'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'P060': { totalMass: 500, restriction: 2, destination: 'C1', lifetime: 16, sources: ['C4'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'Q063': { totalMass: 500, restriction: 2, destination: 'HS', lifetime: 24, sources: ['Thera'], static: false, maxJumpMass: 62000000, massRegeneration: 0 },
+  'Q317': { totalMass: 500, restriction: 2, destination: 'C1', lifetime: 16, sources: ['C6'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'S804': { totalMass: 1000, restriction: 2, destination: 'C6', lifetime: 16, sources: ['C1'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'T458': { totalMass: 500, restriction: 2, destination: 'Thera', lifetime: 16, sources: ['C1', 'C2', 'C3'], static: false, maxJumpMass: 62000000, massRegeneration: 50000000 },
+  'V301': { totalMass: 500, restriction: 2, destination: 'C1', lifetime: 16, sources: ['C3'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'Y790': { totalMass: 500, restriction: 2, destination: 'C1', lifetime: 16, sources: ['C5'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'Z060': { totalMass: 1000, restriction: 2, destination: 'NS', lifetime: 24, sources: ['C1'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'Z647': { totalMass: 500, restriction: 2, destination: 'C1', lifetime: 16, sources: ['C2'], static: true, maxJumpMass: 62000000, massRegeneration: 0 },
+  'Z971': { totalMass: 100, restriction: 2, destination: 'C1', lifetime: 16, sources: KSPACE_CLASSES, static: false, maxJumpMass: 20000000, massRegeneration: 0 },
+  'F353': { totalMass: 100, restriction: 2, destination: 'Thera', lifetime: 16, sources: ['C1', 'C2', 'C3'], static: false, maxJumpMass: 20000000, massRegeneration: 10000000 },
   
   // Large Holes (up to Battleship)
-  'A239': { totalMass: 2000, restriction: 3, destination: 'LS' },
-  'A982': { totalMass: 3000, restriction: 3, destination: 'C6' },
-  'B274': { totalMass: 2000, restriction: 3, destination: 'HS' },
-  'C247': { totalMass: 2000, restriction: 3, destination: 'C3' },
-  'D364': { totalMass: 1000, restriction: 3, destination: 'C2' },
-  'D382': { totalMass: 2000, restriction: 3, destination: 'C2' },
-  'D845': { totalMass: 5000, restriction: 3, destination: 'HS' },
-  'E175': { totalMass: 2000, restriction: 3, destination: 'C4' },
-  'E545': { totalMass: 2000, restriction: 3, destination: 'NS' },
-  'F135': { totalMass: 750, restriction: 3, destination: 'Thera' },
-  'F216': { totalMass: 1000, restriction: 3, destination: 'Pochven' },
-  'G024': { totalMass: 2000, restriction: 3, destination: 'C2' },
-  'I182': { totalMass: 2000, restriction: 3, destination: 'C2' },
-  'K329': { totalMass: 3000, restriction: 3, destination: 'NS' },
-  'K346': { totalMass: 3000, restriction: 3, destination: 'NS' },
-  'L477': { totalMass: 2000, restriction: 3, destination: 'C3' },
-  'M267': { totalMass: 1000, restriction: 3, destination: 'C3' },
-  'N062': { totalMass: 3000, restriction: 3, destination: 'C5' },
-  'N290': { totalMass: 3000, restriction: 3, destination: 'LS' },
-  'N766': { totalMass: 2000, restriction: 3, destination: 'C2' },
-  'N770': { totalMass: 3000, restriction: 3, destination: 'C5' },
-  'N968': { totalMass: 2000, restriction: 3, destination: 'C3' },
-  'O128': { totalMass: 1000, restriction: 3, destination: 'C4' },
-  'O477': { totalMass: 2000, restriction: 3, destination: 'C3' },
-  'R943': { totalMass: 750, restriction: 3, destination: 'C2' },
-  'S047': { totalMass: 3000, restriction: 3, destination: 'HS' },
-  'T405': { totalMass: 2000, restriction: 3, destination: 'C4' },
-  'U210': { totalMass: 3000, restriction: 3, destination: 'LS' },
-  'U574': { totalMass: 3000, restriction: 3, destination: 'C6' },
-  'X702': { totalMass: 1000, restriction: 3, destination: 'C3' },
-  'X877': { totalMass: 2000, restriction: 3, destination: 'C4' },
-  'Y683': { totalMass: 2000, restriction: 3, destination: 'C4' },
-  'Z457': { totalMass: 2000, restriction: 3, destination: 'C4' },
-  'H900': { totalMass: 3000, restriction: 3, destination: 'C5' },
-  'R474': { totalMass: 3000, restriction: 3, destination: 'C6' },
-  'B735': { totalMass: 750, restriction: 3, destination: 'Drifter' },
-  'C414': { totalMass: 750, restriction: 3, destination: 'Drifter' },
-  'R259': { totalMass: 750, restriction: 3, destination: 'Drifter' },
-  'S877': { totalMass: 750, restriction: 3, destination: 'Drifter' },
-  'V928': { totalMass: 750, restriction: 3, destination: 'Drifter' },
-  'R081': { totalMass: 1000, restriction: 3, destination: 'C4' },
-  'X450': { totalMass: 1000, restriction: 3, destination: 'NS' },
-  'U372': { totalMass: 1000, restriction: 3, destination: 'Pochven' },
+  'A239': { totalMass: 2000, restriction: 3, destination: 'LS', lifetime: 24, sources: ['C2'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'A982': { totalMass: 3000, restriction: 3, destination: 'C6', lifetime: 16, sources: ['C3'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'B274': { totalMass: 2000, restriction: 3, destination: 'HS', lifetime: 24, sources: ['C2'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'C247': { totalMass: 2000, restriction: 3, destination: 'C3', lifetime: 16, sources: ['C4'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'D364': { totalMass: 1000, restriction: 3, destination: 'C2', lifetime: 16, sources: ['C5'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'D382': { totalMass: 2000, restriction: 3, destination: 'C2', lifetime: 16, sources: ['C2'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'D845': { totalMass: 5000, restriction: 3, destination: 'HS', lifetime: 24, sources: ['C3'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'E175': { totalMass: 2000, restriction: 3, destination: 'C4', lifetime: 16, sources: ['C5'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'E545': { totalMass: 2000, restriction: 3, destination: 'NS', lifetime: 24, sources: ['C2'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'F135': { totalMass: 750, restriction: 3, destination: 'Thera', lifetime: 16, sources: ['C4', 'C5', 'C6'], static: false, maxJumpMass: 375000000, massRegeneration: 75000000 },
+  'F216': { totalMass: 1000, restriction: 3, destination: 'Pochven', lifetime: 16, sources: WSPACE_CLASSES, static: false, maxJumpMass: 375000000, massRegeneration: 100000000 },
+  'G024': { totalMass: 2000, restriction: 3, destination: 'C2', lifetime: 16, sources: ['C6'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'I182': { totalMass: 2000, restriction: 3, destination: 'C2', lifetime: 16, sources: ['C3'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'K329': { totalMass: 3000, restriction: 3, destination: 'NS', lifetime: 24, sources: ['C4'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'K346': { totalMass: 3000, restriction: 3, destination: 'NS', lifetime: 24, sources: ['C3'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'L477': { totalMass: 2000, restriction: 3, destination: 'C3', lifetime: 16, sources: ['C6'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'M267': { totalMass: 1000, restriction: 3, destination: 'C3', lifetime: 16, sources: ['C5'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'N062': { totalMass: 3000, restriction: 3, destination: 'C5', lifetime: 16, sources: ['C2'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'N290': { totalMass: 3000, restriction: 3, destination: 'LS', lifetime: 24, sources: ['C4'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'N766': { totalMass: 2000, restriction: 3, destination: 'C2', lifetime: 16, sources: ['C4'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'N770': { totalMass: 3000, restriction: 3, destination: 'C5', lifetime: 16, sources: ['C3'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'N968': { totalMass: 2000, restriction: 3, destination: 'C3', lifetime: 16, sources: ['C3'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'O128': { totalMass: 1000, restriction: 3, destination: 'C4', lifetime: 16, sources: KSPACE_CLASSES, static: false, maxJumpMass: 375000000, massRegeneration: 0 },
+  'O477': { totalMass: 2000, restriction: 3, destination: 'C3', lifetime: 16, sources: ['C2'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'R943': { totalMass: 750, restriction: 3, destination: 'C2', lifetime: 16, sources: KSPACE_CLASSES, static: false, maxJumpMass: 375000000, massRegeneration: 0 },
+  'S047': { totalMass: 3000, restriction: 3, destination: 'HS', lifetime: 24, sources: ['C4'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'T405': { totalMass: 2000, restriction: 3, destination: 'C4', lifetime: 16, sources: ['C3'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'U210': { totalMass: 3000, restriction: 3, destination: 'LS', lifetime: 24, sources: ['C3'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'U574': { totalMass: 3000, restriction: 3, destination: 'C6', lifetime: 16, sources: ['C4'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'X702': { totalMass: 1000, restriction: 3, destination: 'C3', lifetime: 16, sources: KSPACE_CLASSES, static: false, maxJumpMass: 375000000, massRegeneration: 0 },
+  'X877': { totalMass: 2000, restriction: 3, destination: 'C4', lifetime: 16, sources: ['C4'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'Y683': { totalMass: 2000, restriction: 3, destination: 'C4', lifetime: 16, sources: ['C2'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'Z457': { totalMass: 2000, restriction: 3, destination: 'C4', lifetime: 16, sources: ['C6'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'H900': { totalMass: 3000, restriction: 3, destination: 'C5', lifetime: 16, sources: ['C4'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'R474': { totalMass: 3000, restriction: 3, destination: 'C6', lifetime: 16, sources: ['C2'], static: true, maxJumpMass: 375000000, massRegeneration: 0 },
+  'B735': { totalMass: 750, restriction: 3, destination: 'Drifter', lifetime: 16, sources: WSPACE_CLASSES, static: false, maxJumpMass: 375000000, massRegeneration: 75000000 },
+  'C414': { totalMass: 750, restriction: 3, destination: 'Drifter', lifetime: 16, sources: WSPACE_CLASSES, static: false, maxJumpMass: 375000000, massRegeneration: 75000000 },
+  'R259': { totalMass: 750, restriction: 3, destination: 'Drifter', lifetime: 16, sources: WSPACE_CLASSES, static: false, maxJumpMass: 375000000, massRegeneration: 75000000 },
+  'S877': { totalMass: 750, restriction: 3, destination: 'Drifter', lifetime: 16, sources: WSPACE_CLASSES, static: false, maxJumpMass: 375000000, massRegeneration: 75000000 },
+  'V928': { totalMass: 750, restriction: 3, destination: 'Drifter', lifetime: 16, sources: WSPACE_CLASSES, static: false, maxJumpMass: 375000000, massRegeneration: 75000000 },
+  'R081': { totalMass: 1000, restriction: 3, destination: 'C4', lifetime: 16, sources: ['Pochven'], static: false, maxJumpMass: 375000000, massRegeneration: 0 },
+  'X450': { totalMass: 1000, restriction: 3, destination: 'NS', lifetime: 24, sources: ['Pochven'], static: false, maxJumpMass: 375000000, massRegeneration: 0 },
+  'U372': { totalMass: 1000, restriction: 3, destination: 'Pochven', lifetime: 16, sources: ['NS'], static: false, maxJumpMass: 375000000, massRegeneration: 100000000 },
   
   // Extra Large Holes (up to Freighter) 
-  'A641': { totalMass: 2000, restriction: 4, destination: 'HS' },
-  'B041': { totalMass: 3000, restriction: 4, destination: 'C6' },
-  'B449': { totalMass: 2000, restriction: 4, destination: 'HS' },
-  'B520': { totalMass: 3000, restriction: 4, destination: 'HS' },
-  'D792': { totalMass: 3000, restriction: 4, destination: 'HS' },
-  'E587': { totalMass: 3000, restriction: 4, destination: 'NS' },
-  'L031': { totalMass: 3000, restriction: 4, destination: 'Thera' },
-  'M164': { totalMass: 2000, restriction: 4, destination: 'Thera' },
-  'M555': { totalMass: 3000, restriction: 4, destination: 'C5' },
-  'R051': { totalMass: 3000, restriction: 4, destination: 'LS' },
-  'V283': { totalMass: 3000, restriction: 4, destination: 'NS' },
-  'V898': { totalMass: 2000, restriction: 4, destination: 'LS' },
-  'C729': { totalMass: 1000, restriction: 4, destination: 'Pochven' },
+  'A641': { totalMass: 2000, restriction: 4, destination: 'HS', lifetime: 24, sources: ['HS'], static: false, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'B041': { totalMass: 3000, restriction: 4, destination: 'C6', lifetime: 48, sources: ['HS'], static: false, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'B449': { totalMass: 2000, restriction: 4, destination: 'HS', lifetime: 24, sources: ['LS', 'NS'], static: false, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'B520': { totalMass: 3000, restriction: 4, destination: 'HS', lifetime: 48, sources: ['C6'], static: true, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'D792': { totalMass: 3000, restriction: 4, destination: 'HS', lifetime: 24, sources: ['C5'], static: true, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'E587': { totalMass: 3000, restriction: 4, destination: 'NS', lifetime: 24, sources: ['Thera'], static: false, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'L031': { totalMass: 3000, restriction: 4, destination: 'Thera', lifetime: 16, sources: KSPACE_CLASSES, static: false, maxJumpMass: 1000000000, massRegeneration: 300000000 },
+  'M164': { totalMass: 2000, restriction: 4, destination: 'Thera', lifetime: 16, sources: ['C4', 'C5', 'C6'], static: false, maxJumpMass: 1000000000, massRegeneration: 200000000 },
+  'M555': { totalMass: 3000, restriction: 4, destination: 'C5', lifetime: 24, sources: ['HS'], static: false, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'R051': { totalMass: 3000, restriction: 4, destination: 'LS', lifetime: 24, sources: ['HS'], static: false, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'V283': { totalMass: 3000, restriction: 4, destination: 'NS', lifetime: 24, sources: ['HS'], static: false, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'V898': { totalMass: 2000, restriction: 4, destination: 'LS', lifetime: 24, sources: ['Thera'], static: false, maxJumpMass: 1000000000, massRegeneration: 0 },
+  'C729': { totalMass: 1000, restriction: 4, destination: 'Pochven', lifetime: 16, sources: ['HS', 'LS'], static: false, maxJumpMass: 1000000000, massRegeneration: 100000000 },
   
   // Capital Holes (up to Capital)
-  'C140': { totalMass: 3300, restriction: 5, destination: 'LS' },
-  'C248': { totalMass: 3300, restriction: 5, destination: 'NS' },
-  'C391': { totalMass: 3300, restriction: 5, destination: 'LS' },
-  'H296': { totalMass: 3300, restriction: 5, destination: 'C5' },
-  'N432': { totalMass: 3300, restriction: 5, destination: 'C5' },
-  'N944': { totalMass: 3300, restriction: 5, destination: 'LS' },
-  'S199': { totalMass: 3300, restriction: 5, destination: 'NS' },
-  'U319': { totalMass: 3300, restriction: 5, destination: 'C6' },
-  'V753': { totalMass: 3300, restriction: 5, destination: 'C6' },
-  'V911': { totalMass: 3300, restriction: 5, destination: 'C5' },
-  'W237': { totalMass: 3300, restriction: 5, destination: 'C6' },
-  'Z142': { totalMass: 3300, restriction: 5, destination: 'NS' },
+  'C140': { totalMass: 3300, restriction: 5, destination: 'LS', lifetime: 24, sources: ['C5'], static: true, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'C248': { totalMass: 3300, restriction: 5, destination: 'NS', lifetime: 24, sources: ['C6'], static: true, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'C391': { totalMass: 3300, restriction: 5, destination: 'LS', lifetime: 24, sources: ['C6'], static: true, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'H296': { totalMass: 3300, restriction: 5, destination: 'C5', lifetime: 24, sources: ['C5'], static: true, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'N432': { totalMass: 3300, restriction: 5, destination: 'C5', lifetime: 24, sources: ['LS', 'NS'], static: false, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'N944': { totalMass: 3300, restriction: 5, destination: 'LS', lifetime: 24, sources: ['LS', 'NS'], static: false, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'S199': { totalMass: 3300, restriction: 5, destination: 'NS', lifetime: 24, sources: ['LS', 'NS'], static: false, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'U319': { totalMass: 3300, restriction: 5, destination: 'C6', lifetime: 48, sources: ['LS', 'NS'], static: false, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'V753': { totalMass: 3300, restriction: 5, destination: 'C6', lifetime: 24, sources: ['C5'], static: true, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'V911': { totalMass: 3300, restriction: 5, destination: 'C5', lifetime: 24, sources: ['C6'], static: true, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'W237': { totalMass: 3300, restriction: 5, destination: 'C6', lifetime: 24, sources: ['C6'], static: true, maxJumpMass: 2000000000, massRegeneration: 0 },
+  'Z142': { totalMass: 3300, restriction: 5, destination: 'NS', lifetime: 24, sources: ['C5'], static: true, maxJumpMass: 2000000000, massRegeneration: 0 },
 };
 
 // Special wormholes that don't follow standard naming conventions
@@ -142,6 +160,11 @@ function getWormholeInfo(whCode) {
     restriction: wh.restriction,
     restrictionText: RESTRICTION_LEVELS[wh.restriction] || 'Variable',
     destination: wh.destination,
+    lifetime: wh.lifetime || null,
+    sources: wh.sources ? [...wh.sources] : [],
+    static: !!wh.static,
+    maxJumpMass: wh.maxJumpMass || null,
+    massRegeneration: wh.massRegeneration || 0,
     special: wh.special || null
   };
 }
@@ -165,6 +188,27 @@ function getWormholesByDestination(destination) {
     .map(([code]) => code);
 }
 
+// Get wormholes by the system class they spawn in
+function getWormholesBySource(source) {
+  return Object.entries(WORMHOLE_DATA)
+    .filter(([code, data]) => data.sources.includes(source))
+    .map(([code]) => code);
+}
+
+// Get the static types that spawn in systems of this class
+function getStaticsForClass(systemClass) {
+  return Object.entries(WORMHOLE_DATA)
+    .filter(([code, data]) => data.static && data.sources.includes(systemClass))
+    .map(([code]) => code);
+}
+
+// Get wormholes by lifetime in hours
+function getWormholesByLifetime(lifetime) {
+  return Object.entries(WORMHOLE_DATA)
+    .filter(([code, data]) => data.lifetime === lifetime)
+    .map(([code]) => code);
+}
+
 // Get wormholes by mass range
 function getWormholesByMassRange(minMass, maxMass) {
   return Object.entries(WORMHOLE_DATA)
@@ -178,10 +222,14 @@ if (typeof module !== 'undefined' && module.exports) {
     WORMHOLE_DATA,
     SPECIAL_WORMHOLES,
     RESTRICTION_LEVELS,
+    RESTRICTION_JUMP_MASS,
     getWormholeInfo,
     getAllWormholeCodes,
     getWormholesByRestriction,
     getWormholesByDestination,  
+    getWormholesBySource,
+    getStaticsForClass,
+    getWormholesByLifetime,
     getWormholesByMassRange
   };
 }
@@ -191,9 +239,13 @@ if (typeof window !== 'undefined') {
   window.WORMHOLE_DATA = WORMHOLE_DATA;
   window.SPECIAL_WORMHOLES = SPECIAL_WORMHOLES;
   window.RESTRICTION_LEVELS = RESTRICTION_LEVELS;
+  window.RESTRICTION_JUMP_MASS = RESTRICTION_JUMP_MASS;
   window.getWormholeInfo = getWormholeInfo;
   window.getAllWormholeCodes = getAllWormholeCodes;
   window.getWormholesByRestriction = getWormholesByRestriction;
   window.getWormholesByDestination = getWormholesByDestination;
+  window.getWormholesBySource = getWormholesBySource;
+  window.getStaticsForClass = getStaticsForClass;
+  window.getWormholesByLifetime = getWormholesByLifetime;
   window.getWormholesByMassRange = getWormholesByMassRange;
 }
\ No newline at end of file
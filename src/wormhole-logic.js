@@ -1,16 +1,19 @@
 // EVE Online wormhole rolling business logic
 // Extracted for unit testing
 
+// cold/hot are the jump masses with the usual fit (prop off/on). base and prop are the hull
+// and prop module mass behind them, higgs marks a Higgs rig in the usual fit and cargo is
+// a typical full hold - these let Ship work out the mass for other fits.
 const SHIP_TYPES = {
-  'rbs': { name: 'Rolling Battleship', cold: 200, hot: 300, size: 3 },
-  'rhic': { name: 'Rolling Hictor', cold: 1, hot: 65, size: 2 },
-  'carrier': { name: 'Carrier', cold: 1250, hot: 1750, size: 5 },
-  'bs': { name: 'Battleship', cold: 100, hot: 150, size: 3 },
-  'marauder': { name: 'Marauder', cold: 160, hot: 210, size: 3 },
-  'opcruiser': { name: 'Over-Prop Cruiser', cold: 13, hot: 65, size: 2 },
-  'cruiser': { name: 'Cruiser', cold: 13, hot: 18, size: 2 },
-  'dictor': { name: 'Dictor', cold: 1, hot: 2, size: 1 },
-  'covops': { name: 'CovOps', cold: 1, hot: 2, size: 1 },
+  'rbs': { name: 'Rolling Battleship', cold: 200, hot: 300, size: 3, base: 100, prop: 50, higgs: true, cargo: 5 },
+  'rhic': { name: 'Rolling Hictor', cold: 1, hot: 65, size: 2, base: 1, prop: 64, higgs: false, cargo: 1 },
+  'carrier': { name: 'Carrier', cold: 1250, hot: 1750, size: 5, base: 1250, prop: 500, higgs: false, cargo: 50 },
+  'bs': { name: 'Battleship', cold: 100, hot: 150, size: 3, base: 100, prop: 50, higgs: false, cargo: 5 },
+  'marauder': { name: 'Marauder', cold: 160, hot: 210, size: 3, base: 160, prop: 50, higgs: false, cargo: 5 },
+  'opcruiser': { name: 'Over-Prop Cruiser', cold: 13, hot: 65, size: 2, base: 13, prop: 52, higgs: false, cargo: 1 },
+  'cruiser': { name: 'Cruiser', cold: 13, hot: 18, size: 2, base: 13, prop: 5, higgs: false, cargo: 1 },
+  'dictor': { name: 'Dictor', cold: 1, hot: 2, size: 1, base: 1, prop: 1, higgs: false, cargo: 0 },
+  'covops': { name: 'CovOps', cold: 1, hot: 2, size: 1, base: 1, prop: 1, higgs: false, cargo: 0 },
 };
 
 const WORMHOLE_MASS_TYPES = [100, 500, 750, 1000, 2000, 3000, 3300, 5000];
@@ -22,6 +25,18 @@ const SHIP_MODES = {
   'custom': 'Custom'
 };
 
+// Fit changes that can be toggled per jump on top of the prop mode
+const SHIP_MODIFIERS = {
+  'higgs': 'Higgs Rig',
+  'cargo': 'Cargo Loaded'
+};
+
+// A Higgs anchor rig doubles the ship's mass (prop mass included)
+const HIGGS_MASS_MULTIPLIER = 2;
+
+// Jump mass limits are in kg, ship and hole masses in Gg
+const KG_PER_GG = 1000000;
+
 const WORMHOLE_STATES = {
   'fresh': 'Fresh',
   'stable': 'Stable',
@@ -30,6 +45,11 @@ const WORMHOLE_STATES = {
   'gone': 'Gone'
 };
 
+// Holes live 16, 24 or 48 hours and show End of Life for the last 4
+const WORMHOLE_LIFETIMES = [16, 24, 48];
+const DEFAULT_WORMHOLE_LIFETIME = 16; // Hours, when the wormhole type is not known
+const WORMHOLE_EOL_HOURS = 4;
+
 const WORMHOLE_RESTRICTIONS = {
   1: 'up to Destroyer',
   2: 'up to Battlecruiser',
@@ -38,24 +58,57 @@ const WORMHOLE_RESTRICTIONS = {
   5: 'up to Capital'
 };
 
+// A K162 rolled as the union of the holes that could have opened it keeps every candidate
+// size (e.g. [500, 3000]) instead of one; everywhere else a hole size is a single number.
+function getWormholeSizes(massType) {
+  return [].concat(massType);
+}
+
+function isWormholeSize(massType) {
+  const sizes = getWormholeSizes(massType);
+  return sizes.length > 0 && sizes.every(size => WORMHOLE_MASS_TYPES.includes(size));
+}
+
+// Compact form for keys and links ("3000" or "500+3000"), read back by parseWormholeSize
+function formatWormholeSize(massType) {
+  return getWormholeSizes(massType).join('+');
+}
+
+// null unless every part is a known hole size
+function parseWormholeSize(text) {
+  const sizes = String(text).split('+').map(Number);
+  if (!isWormholeSize(sizes)) return null;
+  return sizes.length === 1 ? sizes[0] : sizes;
+}
+
+function getWormholeSizeText(massType) {
+  return `${getWormholeSizes(massType).join(' / ')} Gg`;
+}
+
 class Wormhole {
-  constructor(massType, state, passedMass = 'fresh') {
-    this.baseMass = massType; // Keep as simple integer (e.g. 3000)
+  constructor(massType, state, passedMass = 'fresh', endOfLife = false) {
+    this.baseMass = massType; // Keep as simple integer (e.g. 3000), or the candidate sizes of a K162 union
     this.variance = 0.1;
     this.state = state;
     this.passedMass = passedMass;
+    this.endOfLife = endOfLife; // Under WORMHOLE_EOL_HOURS left - it dies of age whatever mass is left
+  }
+  
+  isEndOfLife() {
+    return this.endOfLife;
   }
   
   getMinMass() {
-    return Math.round(this.baseMass * (1 - this.variance));
+    return Math.round(Math.min(...getWormholeSizes(this.baseMass)) * (1 - this.variance));
   }
   
   getMaxMass() {
-    return Math.round(this.baseMass * (1 + this.variance));
+    return Math.round(Math.max(...getWormholeSizes(this.baseMass)) * (1 + this.variance));
   }
   
   getStateText() {
-    return WORMHOLE_STATES[this.state];
+    const stateText = WORMHOLE_STATES[this.state];
+    return this.endOfLife ? `${stateText} (End of Life)` : stateText;
   }
   
   getCurrentMassRange() {
@@ -102,24 +155,61 @@ class Wormhole {
 }
 
 class Ship {
-  constructor(type, mode) {
+  constructor(type, mode, modifiers = {}, customMass = null) {
     this.type = type;
     this.mode = mode;
+    this.modifiers = { ...modifiers }; // { higgs, cargo } - higgs left out means the ship's usual fit
+    
+    // Custom catalogue ships can be deleted mid-roll, so remember what this one weighed
+    const shipData = SHIP_TYPES[type];
+    if (customMass || (shipData && shipData.custom)) {
+      this.customMass = customMass ? { cold: customMass.cold, hot: customMass.hot } : { cold: shipData.cold, hot: shipData.hot };
+    }
+  }
+  
+  // Catalogue data for the ship, or the remembered mass of a custom ship that has been deleted
+  getShipData() {
+    if (SHIP_TYPES[this.type]) return SHIP_TYPES[this.type];
+    return this.customMass ? { name: this.type, ...this.customMass, custom: true } : null;
+  }
+  
+  hasHiggs() {
+    const shipData = this.getShipData();
+    if (typeof this.modifiers.higgs === 'boolean') return this.modifiers.higgs;
+    return !!(shipData && shipData.higgs);
+  }
+  
+  // Effective jump mass with the prop on or off. Ships without base/prop data (custom
+  // catalogue ships) use their cold mass as an un-rigged base and hot - cold as the prop.
+  getJumpMass(propOn) {
+    const shipData = this.getShipData() || { cold: 0, hot: 0 };
+    const hasProfile = typeof shipData.base === 'number';
+    const base = hasProfile ? shipData.base : shipData.cold || 0;
+    const prop = hasProfile ? shipData.prop || 0 : (shipData.hot || 0) - (shipData.cold || 0);
+    
+    let mass = base + (propOn ? prop : 0);
+    if (this.hasHiggs()) {
+      mass *= HIGGS_MASS_MULTIPLIER;
+    }
+    if (this.modifiers.cargo) {
+      mass += shipData.cargo || 0;
+    }
+    return mass;
   }
   
   getMass() {
-    const shipData = SHIP_TYPES[this.type];
-    if (!shipData) return { min: 0, max: 0 };
+    if (!this.getShipData()) return { min: 0, max: 0 };
     
     if (this.mode === 'unknown') {
       return {
-        min: shipData.cold || 0,  // Cold is minimum mass
-        max: shipData.hot || 0    // Hot is maximum mass
+        min: this.getJumpMass(false),  // Cold is minimum mass
+        max: this.getJumpMass(true)    // Hot is maximum mass
       };
     }
     
-    const mass = shipData[this.mode];
-    return typeof mass === 'number' ? { min: mass, max: mass } : { min: 0, max: 0 };
+    if (this.mode !== 'cold' && this.mode !== 'hot') return { min: 0, max: 0 };
+    const mass = this.getJumpMass(this.mode === 'hot');
+    return { min: mass, max: mass };
   }
   
   getMassText() {
@@ -130,8 +220,24 @@ class Ship {
     return mass.min > 0 ? `-${mass.min} Gg` : '-';
   }
   
+  // Fit changes that differ from the ship's usual fit, e.g. ['no Higgs', 'cargo']
+  getModifierNames() {
+    const shipData = this.getShipData();
+    const names = [];
+    if (shipData && this.hasHiggs() !== !!shipData.higgs) {
+      names.push(this.hasHiggs() ? 'Higgs' : 'no Higgs');
+    }
+    if (this.modifiers.cargo) {
+      names.push('cargo');
+    }
+    return names;
+  }
+  
   getDisplayName() {
-    return `${SHIP_TYPES[this.type].name} (${SHIP_MODES[this.mode]})`;
+    const modifierNames = this.getModifierNames();
+    const modifierText = modifierNames.length > 0 ? `, ${modifierNames.join(', ')}` : '';
+    const shipData = this.getShipData();
+    return `${shipData ? shipData.name : this.type} (${SHIP_MODES[this.mode]}${modifierText})`;
   }
 }
 
@@ -153,10 +259,25 @@ class CustomMass {
   }
 }
 
+// Whether a hole with this jump limit (kg) lets the ship through: 'reject' when even its lightest
+// jump is too heavy, 'warn' when only the heaviest is (prop state unknown), otherwise 'ok'
+function checkJumpMass(ship, maxJumpMass) {
+  const mass = ship.getMass();
+  const limit = maxJumpMass ? maxJumpMass / KG_PER_GG : Infinity;
+  let verdict = 'ok';
+  if (mass.min > limit) {
+    verdict = 'reject';
+  } else if (mass.max > limit) {
+    verdict = 'warn';
+  }
+  return { verdict: verdict, limit: limit, mass: mass };
+}
+
 class Action {
-  constructor(ship, direction) {
+  constructor(ship, direction, pilotId = null) {
     this.ship = ship;
     this.direction = direction;
+    this.pilotId = pilotId; // Roster pilot flying this jump, if one was picked
   }
   
   getDirectionText() {
@@ -198,103 +319,28 @@ class Action {
 }
 
 // Export for Node.js testing
-// Random Events for Game Mode
-const RANDOM_EVENTS = [
-    {
-        name: 'good_get',
-        displayName: '⚡ Its "Good Get"!! Famous, elite level griefer!!',
-        probability: 0.2, // 8% chance
-        visible: true, // Player sees the ship go through
-        actions: [
-            {
-                shipType: 'opcruiser',
-                direction: 'outgoing',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            },
-            {
-                shipType: 'opcruiser',
-                direction: 'incoming',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            }
-        ]
-    },
-    {
-        name: 'good_get_full_crew',
-        displayName: '⚡ Its "Good Get"!! He brought friends!!',
-        probability: 0.2, // 8% chance
-        visible: true, // Player sees the ship go through
-        actions: [
-            {
-                shipType: 'opcruiser',
-                direction: 'outgoing',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            },
-            {
-                shipType: 'opcruiser',
-                direction: 'outgoing',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            },
-            {
-                shipType: 'opcruiser',
-                direction: 'outgoing',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            },
-            {
-                shipType: 'opcruiser',
-                direction: 'outgoing',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            },
-            {
-                shipType: 'opcruiser',
-                direction: 'incoming',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            },
-            {
-                shipType: 'opcruiser',
-                direction: 'incoming',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            },
-            {
-                shipType: 'opcruiser',
-                direction: 'incoming',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            },
-            {
-                shipType: 'opcruiser',
-                direction: 'incoming',
-                getMassImpact: () => { return SHIP_TYPES.opcruiser.hot; },
-            }
-        ]
-    },    
-    {
-        name: 'random_cruisers_jump',
-        displayName: '⚡ two random stratios jump through the wormhole and flee',
-        probability: 0.000, // 0.5% chance
-        visible: true, // Player sees the ship go through
-        actions: [
-            {
-                shipType: 'cruiser',
-                direction: 'outgoing',
-                getMassImpact: () => { return SHIP_TYPES.cruiser.cold; },
-            },
-            {
-                shipType: 'cruiser',
-                direction: 'outgoing',
-                getMassImpact: () => { return SHIP_TYPES.cruiser.cold; },
-            }
-        ]
-    }
-];if (typeof module !== 'undefined' && module.exports) {
+if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     SHIP_TYPES,
     WORMHOLE_MASS_TYPES,
     SHIP_MODES,
+    SHIP_MODIFIERS,
+    HIGGS_MASS_MULTIPLIER,
+    KG_PER_GG,
     WORMHOLE_STATES,
+    WORMHOLE_LIFETIMES,
+    DEFAULT_WORMHOLE_LIFETIME,
+    WORMHOLE_EOL_HOURS,
     WORMHOLE_RESTRICTIONS,
-    RANDOM_EVENTS,
+    getWormholeSizes,
+    isWormholeSize,
+    formatWormholeSize,
+    parseWormholeSize,
+    getWormholeSizeText,
     Wormhole,
     Ship,
     CustomMass,
+    checkJumpMass,
     Action
   };
 }
@@ -304,11 +350,22 @@ if (typeof window !== 'undefined') {
   window.SHIP_TYPES = SHIP_TYPES;
   window.WORMHOLE_MASS_TYPES = WORMHOLE_MASS_TYPES;
   window.SHIP_MODES = SHIP_MODES;
+  window.SHIP_MODIFIERS = SHIP_MODIFIERS;
+  window.HIGGS_MASS_MULTIPLIER = HIGGS_MASS_MULTIPLIER;
+  window.KG_PER_GG = KG_PER_GG;
   window.WORMHOLE_STATES = WORMHOLE_STATES;
+  window.WORMHOLE_LIFETIMES = WORMHOLE_LIFETIMES;
+  window.DEFAULT_WORMHOLE_LIFETIME = DEFAULT_WORMHOLE_LIFETIME;
+  window.WORMHOLE_EOL_HOURS = WORMHOLE_EOL_HOURS;
   window.WORMHOLE_RESTRICTIONS = WORMHOLE_RESTRICTIONS;
-  window.RANDOM_EVENTS = RANDOM_EVENTS;
+  window.getWormholeSizes = getWormholeSizes;
+  window.isWormholeSize = isWormholeSize;
+  window.formatWormholeSize = formatWormholeSize;
+  window.parseWormholeSize = parseWormholeSize;
+  window.getWormholeSizeText = getWormholeSizeText;
   window.Wormhole = Wormhole;
   window.Ship = Ship;
   window.CustomMass = CustomMass;
+  window.checkJumpMass = checkJumpMass;
   window.Action = Action;
 }
\ No newline at end of file
@@ -0,0 +1,128 @@
+const {
+  CHAIN_MAP_KEY,
+  CHAIN_SYSTEM_CLASSES,
+  K162_CODE,
+  validateChainSystem,
+  validateChainConnection,
+  getConnectionInfo,
+  layoutChainMap,
+  renderChainSvg,
+  ChainMap
+} = require('../src/chain-map');
+const { WORMHOLE_DATA } = require('../src/wormhole-data');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+const SYSTEMS = [
+  { id: 'home', name: 'Home', systemClass: 'C3' },
+  { id: 'hs', name: 'Jita', systemClass: 'HS' },
+  { id: 'c5', name: 'J123456', systemClass: 'C5' }
+];
+
+describe('Chain Map', () => {
+  describe('Validation', () => {
+    test('should offer every destination class used by the wormhole list', () => {
+      const destinations = new Set(Object.values(WORMHOLE_DATA).map(info => info.destination));
+      destinations.forEach(destination => expect(CHAIN_SYSTEM_CLASSES).toContain(destination));
+    });
+
+    test('should reject unnamed, unsafe, unknown-class and duplicate systems', () => {
+      expect(validateChainSystem({ name: ' ', systemClass: 'C3' }, [])).toBe('System name is required');
+      expect(validateChainSystem({ name: '<b>', systemClass: 'C3' }, [])).toContain('cannot contain');
+      expect(validateChainSystem({ name: 'Home', systemClass: 'C9' }, [])).toBe('Pick a system class');
+      expect(validateChainSystem({ name: 'home', systemClass: 'C3' }, SYSTEMS)).toBe('home is already on the map');
+      expect(validateChainSystem({ name: 'Amamake', systemClass: 'LS' }, SYSTEMS)).toBeNull();
+    });
+
+    test('should only accept a typed hole that leads to the class of its far system', () => {
+      expect(validateChainConnection({ from: 'home', to: 'hs', code: 'B274' }, SYSTEMS)).toBeNull();
+      expect(validateChainConnection({ from: 'home', to: 'c5', code: 'B274' }, SYSTEMS)).toBe('B274 leads to HS, not C5');
+      expect(validateChainConnection({ from: 'home', to: 'home', code: 'B274' }, SYSTEMS)).toBe('A hole needs two different systems');
+      expect(validateChainConnection({ from: 'home', to: 'nowhere', code: 'B274' }, SYSTEMS)).toBe('Pick both systems');
+      expect(validateChainConnection({ from: 'home', to: 'hs', code: 'ZZZZ' }, SYSTEMS)).toBe('Pick a wormhole type');
+      expect(validateChainConnection({ from: 'home', to: 'c5', code: K162_CODE }, SYSTEMS)).toBeNull();
+    });
+  });
+
+  describe('Connections', () => {
+    test('should inherit mass and restriction from the wormhole type, with K162 on the far side', () => {
+      expect(getConnectionInfo({ code: 'B274' })).toEqual({
+        code: 'B274', fromCode: 'B274', toCode: 'K162', totalMass: 2000, restriction: 3, restrictionText: 'up to Battleship', lifetime: 24
+      });
+    });
+
+    test('should know nothing about the far side of a K162 yet', () => {
+      const info = getConnectionInfo({ code: K162_CODE });
+      expect(info.fromCode).toBe('K162');
+      expect(info.toCode).toBeNull();
+      expect(info.totalMass).toBeNull();
+    });
+  });
+
+  describe('Layout and SVG', () => {
+    const map = {
+      systems: [...SYSTEMS, { id: 'ls', name: 'Amamake', systemClass: 'LS' }],
+      connections: [
+        { id: 'hole-1', from: 'home', to: 'hs', code: 'B274', sessionId: 'roll-1' },
+        { id: 'hole-2', from: 'c5', to: 'home', code: K162_CODE, sessionId: null }
+      ]
+    };
+
+    test('should place systems in columns by jumps from the first system', () => {
+      const positions = layoutChainMap(map);
+      expect(positions.home).toMatchObject({ depth: 0, row: 0 });
+      expect(positions.hs).toMatchObject({ depth: 1, row: 0 });
+      expect(positions.c5).toMatchObject({ depth: 1, row: 1 });
+      expect(positions.ls).toMatchObject({ depth: 0, row: 1 });
+      expect(positions.c5.y).toBeGreaterThan(positions.hs.y);
+    });
+
+    test('should draw every system and hole, coloured by the linked roll', () => {
+      const svg = renderChainSvg(map, { 'roll-1': 'critical' }, 'roll-1');
+      expect(svg.startsWith('<svg')).toBe(true);
+      expect(svg).toContain('data-system="ls"');
+      expect(svg).toContain('class="chain-link state-critical active" data-connection="hole-1"');
+      expect(svg).toContain('class="chain-link state-untracked" data-connection="hole-2"');
+      expect(svg).toContain('>B274</text>');
+      expect(svg).toContain('>K162</text>');
+    });
+  });
+
+  describe('Storage', () => {
+    test('should add systems and holes and keep them in storage', () => {
+      const storage = createMemoryStorage();
+      const chain = new ChainMap(storage);
+      const home = chain.addSystem({ name: ' Home ', systemClass: 'C3' });
+      const jita = chain.addSystem({ name: 'Jita', systemClass: 'HS' });
+      const hole = chain.addConnection({ from: home.id, to: jita.id, code: 'B274' });
+
+      expect(chain.addSystem({ name: 'Home', systemClass: 'C3' })).toEqual({ error: 'Home is already on the map' });
+      expect(chain.addConnection({ from: home.id, to: jita.id, code: 'N766' }).error).toBe('N766 leads to C2, not HS');
+
+      const saved = new ChainMap(storage).readMap();
+      expect(saved.systems.map(system => system.name)).toEqual(['Home', 'Jita']);
+      expect(saved.connections).toEqual([{ id: hole.id, from: home.id, to: jita.id, code: 'B274', sessionId: null }]);
+    });
+
+    test('should link a hole to its roll and drop holes with their system', () => {
+      const chain = new ChainMap(createMemoryStorage());
+      const home = chain.addSystem({ name: 'Home', systemClass: 'C3' });
+      const jita = chain.addSystem({ name: 'Jita', systemClass: 'HS' });
+      const hole = chain.addConnection({ from: home.id, to: jita.id, code: 'B274' });
+
+      expect(chain.linkSession(hole.id, 'roll-1')).toBe(true);
+      expect(chain.getConnection(hole.id).sessionId).toBe('roll-1');
+      expect(chain.linkSession('missing', 'roll-1')).toBe(false);
+
+      expect(chain.deleteSystem(jita.id)).toBe(true);
+      expect(chain.readMap().connections).toEqual([]);
+    });
+
+    test('should fall back to an empty map when storage is corrupt', () => {
+      const storage = createMemoryStorage();
+      storage.setItem(CHAIN_MAP_KEY, '{broken');
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(new ChainMap(storage).readMap()).toEqual({ systems: [], connections: [] });
+      spy.mockRestore();
+    });
+  });
+});
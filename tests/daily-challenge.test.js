@@ -0,0 +1,120 @@
+const {
+  DAILY_CHALLENGE_KEY,
+  DAILY_GRID_CELLS,
+  DAILY_EVENT_CELL,
+  getDailyDate,
+  getDailySeed,
+  isSeedOpen,
+  getDailyScenario,
+  buildDailyGrid,
+  buildDailyShareText,
+  DailyChallenge
+} = require('../src/daily-challenge');
+const { SHIP_TYPES } = require('../src/wormhole-logic');
+const { normalizeSeed } = require('../src/seeded-random');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+describe('Daily Challenge', () => {
+  describe('Scenario of the day', () => {
+    test('should use the UTC date whatever the local time', () => {
+      expect(getDailyDate(Date.UTC(2026, 9, 19, 23, 59))).toBe('2026-10-19');
+      expect(getDailyDate(Date.UTC(2026, 9, 20, 0, 0))).toBe('2026-10-20');
+      expect(getDailySeed('2026-10-19')).toBe('daily:2026-10-19');
+    });
+
+    test('should let the seed box replay a daily once its day is over', () => {
+      const now = Date.UTC(2026, 9, 19, 12, 0);
+
+      expect(normalizeSeed(' DAILY:2026-10-18 ')).toBe('daily:2026-10-18');
+      expect(normalizeSeed('daily:yesterday')).toBeNull();
+      expect(isSeedOpen(getDailySeed('2026-10-18'), now)).toBe(true);
+      expect(isSeedOpen(getDailySeed('2026-10-19'), now)).toBe(false);
+      expect(isSeedOpen(getDailySeed('2026-10-20'), now)).toBe(false);
+      expect(isSeedOpen('2026-10-20', now)).toBe(true);
+    });
+
+    test('should give everyone the same scenario on a date and a new one the next day', () => {
+      const today = getDailyScenario('2026-10-19');
+
+      expect(getDailyScenario('2026-10-19')).toEqual(today);
+      expect(today.seed).toBe('daily:2026-10-19');
+      const week = ['2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23'].map(date => getDailyScenario(date));
+      expect(week.some(scenario => scenario.wormholeCode !== today.wormholeCode)).toBe(true);
+    });
+
+    test('should ignore custom ships so local catalogues do not change the fleet', () => {
+      const withCustom = { ...SHIP_TYPES, myorca: { name: 'Orca', cold: 250, hot: 300, size: 3, custom: true } };
+      const scenario = getDailyScenario('2026-10-19', withCustom);
+
+      expect(scenario).toEqual(getDailyScenario('2026-10-19'));
+      expect(scenario.farSideFleet.myorca).toBeUndefined();
+    });
+  });
+
+  describe('Share grid', () => {
+    const log = [
+      { stateChange: 'no-change' },
+      { stateChange: 'destab' },
+      { type: 'event', stateChange: 'no-change' },
+      { stateChange: 'critical' },
+      { stateChange: 'gone' }
+    ];
+
+    test('should colour one cell per log entry by state change', () => {
+      expect(buildDailyGrid(log)).toBe([
+        DAILY_GRID_CELLS['no-change'],
+        DAILY_GRID_CELLS.destab,
+        DAILY_EVENT_CELL,
+        DAILY_GRID_CELLS.critical,
+        DAILY_GRID_CELLS.gone
+      ].join(''));
+    });
+
+    test('should wrap long games into rows of ten', () => {
+      const rows = buildDailyGrid(Array.from({ length: 23 }, () => ({ stateChange: 'no-change' }))).split('\n');
+      expect(rows.map(row => [...row].length)).toEqual([10, 10, 3]);
+    });
+
+    test('should share the scenario, grid and score but not the hidden mass', () => {
+      const text = buildDailyShareText('2026-10-19', 'B274/fresh', buildDailyGrid(log), { score: 1050, jumps: 4, hotJumps: 2, stranded: 0 });
+
+      expect(text.split('\n')).toEqual([
+        'EVE Wormhole Daily 2026-10-19',
+        'B274 Fresh',
+        buildDailyGrid(log),
+        '4 jumps (2 hot) • nobody stranded • 1050 pts'
+      ]);
+    });
+  });
+
+  describe('Attempts', () => {
+    test('should allow one attempt per date', () => {
+      const storage = createMemoryStorage();
+      const daily = new DailyChallenge(storage);
+
+      expect(daily.startAttempt('2026-10-19')).toBe(true);
+      expect(new DailyChallenge(storage).startAttempt('2026-10-19')).toBe(false);
+      expect(daily.startAttempt('2026-10-20')).toBe(true);
+    });
+
+    test('should keep the result of a finished attempt only once', () => {
+      const daily = new DailyChallenge(createMemoryStorage());
+      const result = { score: 900, jumps: 4, hotJumps: 0, stranded: 0 };
+
+      expect(daily.finishAttempt('2026-10-19', result, 'grid')).toBe(false);
+      daily.startAttempt('2026-10-19');
+      expect(daily.finishAttempt('2026-10-19', result, 'grid')).toBe(true);
+      expect(daily.finishAttempt('2026-10-19', { ...result, score: 1200 }, 'better')).toBe(false);
+      expect(daily.getAttempt('2026-10-19')).toMatchObject({ result: result, shareText: 'grid' });
+    });
+
+    test('should survive corrupt storage', () => {
+      const storage = createMemoryStorage();
+      storage.setItem(DAILY_CHALLENGE_KEY, '{not json');
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(new DailyChallenge(storage).getAttempt('2026-10-19')).toBeNull();
+      spy.mockRestore();
+    });
+  });
+});
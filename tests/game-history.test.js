@@ -0,0 +1,136 @@
+const {
+  GAME_HISTORY_KEY,
+  MAX_SAVED_GAMES,
+  LEADERBOARD_SIZE,
+  getScenarioKey,
+  getScenarioLabel,
+  scoreGame,
+  buildGameRecord,
+  getReplaySteps,
+  GameHistory
+} = require('../src/game-history');
+const { Ship, Action } = require('../src/wormhole-logic');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+function createFinishedGame(shipsOnFarSide = {}) {
+  return {
+    sessionId: null,
+    selectedWormholeType: 'B274',
+    initialWhSize: 2000,
+    initialWhState: 'fresh',
+    initialWhRestriction: 3,
+    initialFarSideFleet: {},
+    currentWhState: 'gone',
+    shipsOnFarSide: shipsOnFarSide,
+    committedActions: [
+      {
+        actions: [new Action(new Ship('rbs', 'hot'), 'B')],
+        actualMassUsed: 300,
+        remainingMass: 1800,
+        stateChange: 'no-change',
+        currentState: 'stable',
+        finalMass: { min: 1500, max: 1900 },
+        shipsOnFarSide: { rbs: 1 }
+      },
+      {
+        type: 'event',
+        actions: [new Action(new Ship('opcruiser', 'unknown'), 'A')],
+        eventData: { name: 'good_get', displayName: 'Good Get, famous griefer' },
+        actualMassUsed: 65,
+        remainingMass: 1735,
+        stateChange: 'no-change',
+        currentState: 'stable',
+        finalMass: { min: 1435, max: 1887 },
+        shipsOnFarSide: { rbs: 1 }
+      },
+      {
+        actions: [new Action(new Ship('rbs', 'cold'), 'A')],
+        actualMassUsed: 200,
+        remainingMass: 1535,
+        stateChange: 'no-change',
+        currentState: 'stable',
+        finalMass: { min: 1235, max: 1687 },
+        shipsOnFarSide: {}
+      }
+    ],
+    stagedActions: []
+  };
+}
+
+describe('Game History', () => {
+  describe('Scoring', () => {
+    test('should reward fewer jumps, fewer hot jumps and nobody stranded', () => {
+      const game = createFinishedGame();
+
+      expect(scoreGame(game.committedActions, {})).toEqual({ score: 1185, jumps: 2, hotJumps: 1, stranded: 0 });
+      expect(scoreGame(game.committedActions, { rbs: 1 }).score).toBe(635);
+      expect(scoreGame(game.committedActions.slice(0, 1), {}).score).toBeGreaterThan(1185);
+    });
+
+    test('should give no collapse bonus when the hole died of age', () => {
+      const game = createFinishedGame();
+      const expiry = { type: 'event', expired: true, actions: [], stateChange: 'gone', currentState: 'gone' };
+
+      expect(scoreGame([...game.committedActions, expiry], {})).toEqual({ score: 185, jumps: 2, hotJumps: 1, stranded: 0 });
+    });
+
+    test('should never go below zero', () => {
+      expect(scoreGame(createFinishedGame().committedActions, { rbs: 5 }).score).toBe(0);
+    });
+  });
+
+  describe('Scenarios', () => {
+    test('should key scenarios by wormhole code and starting state', () => {
+      expect(getScenarioKey({ selectedWormholeType: 'B274', initialWhSize: 2000, initialWhState: 'destab' })).toBe('B274/destab');
+      expect(getScenarioKey({ selectedWormholeType: null, initialWhSize: 3300, initialWhState: 'fresh' })).toBe('3300Gg/fresh');
+      expect(getScenarioLabel('3300Gg/fresh')).toBe('3300 Gg Fresh');
+    });
+  });
+
+  describe('Saved games', () => {
+    test('should rank games per scenario and keep the hidden mass', () => {
+      const storage = createMemoryStorage();
+      const history = new GameHistory(storage);
+      const hidden = { originalWormholeMass: 2100, startingRemainingMass: 2100 };
+
+      const stranded = buildGameRecord(createFinishedGame({ rbs: 1 }), hidden, 1000);
+      const clean = buildGameRecord(createFinishedGame(), hidden, 2000);
+
+      expect(history.saveGame(stranded)).toBe(1);
+      expect(history.saveGame(clean)).toBe(1);
+      expect(history.getLeaderboard('B274/fresh').map(score => score.score)).toEqual([1185, 635]);
+      expect(history.getLeaderboard('B274/destab')).toEqual([]);
+      expect(history.listScenarios()).toEqual([{ scenarioKey: 'B274/fresh', best: history.getLeaderboard('B274/fresh')[0] }]);
+
+      const saved = JSON.parse(storage.data[GAME_HISTORY_KEY])[0];
+      expect(saved.originalWormholeMass).toBe(2100);
+      expect(saved.session.committedActions.map(entry => entry.remainingMass)).toEqual([1800, 1735, 1535]);
+    });
+
+    test('should cap the leaderboard and the replay history', () => {
+      const history = new GameHistory(createMemoryStorage());
+      const hidden = { originalWormholeMass: 2100, startingRemainingMass: 2100 };
+
+      for (let i = 0; i < MAX_SAVED_GAMES + 5; i++) {
+        history.saveGame(buildGameRecord(createFinishedGame({ rbs: 1 }), hidden, i));
+      }
+
+      expect(history.listGames()).toHaveLength(MAX_SAVED_GAMES);
+      expect(history.getLeaderboard('B274/fresh')).toHaveLength(LEADERBOARD_SIZE);
+      expect(history.saveGame(buildGameRecord(createFinishedGame({ rbs: 1 }), hidden, 999))).toBeNull();
+    });
+  });
+
+  describe('Replay', () => {
+    test('should step from the start through every entry with the hidden mass', () => {
+      const record = buildGameRecord(createFinishedGame(), { originalWormholeMass: 2100, startingRemainingMass: 2100 }, 1000);
+      const steps = getReplaySteps(JSON.parse(JSON.stringify(record)));
+
+      expect(steps).toHaveLength(4);
+      expect(steps[0]).toMatchObject({ label: 'Start', state: 'fresh', remainingMass: 2100, percentRemaining: 100 });
+      expect(steps[1]).toMatchObject({ label: 'Jump out - Rolling Battleship (Hot)', remainingMass: 1800, massUsed: 300 });
+      expect(steps[2].label).toBe('Random event: Good Get, famous griefer');
+      expect(steps[3].visibleMass).toEqual({ min: 1235, max: 1687 });
+    });
+  });
+});
@@ -0,0 +1,12 @@
+// Minimal in-memory stand-in for window.localStorage, shared by the suites that save to the browser
+function createMemoryStorage() {
+  const data = {};
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    removeItem: (key) => { delete data[key]; },
+    data: data
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,86 @@
+const {
+  HOUR_MS,
+  MINUTE_MS,
+  GAME_MINUTES_PER_JUMP,
+  createLifetimeTimer,
+  markEndOfLife,
+  getDeathWindow,
+  getTimeLeft,
+  formatDuration,
+  rollGameLifetime,
+  getGameMinutesElapsed
+} = require('../src/hole-lifetime');
+const { WORMHOLE_EOL_HOURS } = require('../src/wormhole-logic');
+const { SeededRandom } = require('../src/seeded-random');
+
+const SCANNED_AT = Date.UTC(2026, 9, 19, 12, 0);
+
+describe('Hole Lifetime', () => {
+  describe('Tracker timer', () => {
+    test('should give a hole scanned before End of Life between 4 hours and its full lifetime', () => {
+      const timer = createLifetimeTimer(16, SCANNED_AT);
+      expect(getDeathWindow(timer)).toEqual({ earliest: SCANNED_AT + 4 * HOUR_MS, latest: SCANNED_AT + 16 * HOUR_MS });
+
+      const timeLeft = getTimeLeft(timer, SCANNED_AT + HOUR_MS);
+      expect(timeLeft.min).toBe(3 * HOUR_MS);
+      expect(timeLeft.max).toBe(15 * HOUR_MS);
+      expect(timeLeft.endOfLife).toBe(false);
+      expect(timeLeft.expired).toBe(false);
+    });
+
+    test('should give a hole already End of Life when scanned at most 4 hours', () => {
+      const timer = createLifetimeTimer(24, SCANNED_AT, true);
+      expect(getDeathWindow(timer)).toEqual({ earliest: SCANNED_AT, latest: SCANNED_AT + WORMHOLE_EOL_HOURS * HOUR_MS });
+      expect(getTimeLeft(timer, SCANNED_AT).endOfLife).toBe(true);
+    });
+
+    test('should narrow the window once someone sees the hole go End of Life', () => {
+      const timer = markEndOfLife(createLifetimeTimer(16, SCANNED_AT), SCANNED_AT + 6 * HOUR_MS);
+      expect(getDeathWindow(timer)).toEqual({ earliest: SCANNED_AT + 6 * HOUR_MS, latest: SCANNED_AT + 10 * HOUR_MS });
+      expect(getTimeLeft(timer, SCANNED_AT + 7 * HOUR_MS)).toEqual({ min: 0, max: 3 * HOUR_MS, endOfLife: true, expired: false });
+    });
+
+    test('should keep the first End of Life sighting', () => {
+      const timer = markEndOfLife(createLifetimeTimer(16, SCANNED_AT), SCANNED_AT + HOUR_MS);
+      expect(markEndOfLife(timer, SCANNED_AT + 2 * HOUR_MS)).toBe(timer);
+    });
+
+    test('should count as End of Life and then expired as time runs out without a sighting', () => {
+      const timer = createLifetimeTimer(16, SCANNED_AT);
+      expect(getTimeLeft(timer, SCANNED_AT + 13 * HOUR_MS).endOfLife).toBe(true);
+
+      const expired = getTimeLeft(timer, SCANNED_AT + 17 * HOUR_MS);
+      expect(expired).toEqual({ min: 0, max: 0, endOfLife: true, expired: true });
+    });
+
+    test('should format durations as hours and minutes', () => {
+      expect(formatDuration(15 * HOUR_MS + 30 * MINUTE_MS)).toBe('15h 30m');
+      expect(formatDuration(45 * MINUTE_MS + 59 * 1000)).toBe('45m');
+      expect(formatDuration(0)).toBe('0m');
+    });
+  });
+
+  describe('Game clock', () => {
+    test('should roll the same hidden lifetime for the same seed', () => {
+      expect(rollGameLifetime(new SeededRandom('abc123'), 16)).toBe(rollGameLifetime(new SeededRandom('abc123'), 16));
+    });
+
+    test('should keep rolled lifetimes between a short EOL start and the full lifetime', () => {
+      const rng = new SeededRandom('lifetimes');
+      const rolls = Array.from({ length: 200 }, () => rollGameLifetime(rng, 24));
+
+      rolls.forEach(minutes => {
+        expect(minutes).toBeGreaterThanOrEqual(30);
+        expect(minutes).toBeLessThanOrEqual(24 * 60);
+      });
+      expect(rolls.some(minutes => minutes < WORMHOLE_EOL_HOURS * 60)).toBe(true);
+      expect(rolls.some(minutes => minutes > WORMHOLE_EOL_HOURS * 60)).toBe(true);
+    });
+
+    test('should use up game minutes for every jump and every second of thinking', () => {
+      expect(getGameMinutesElapsed(0, 0)).toBe(0);
+      expect(getGameMinutesElapsed(3, 0)).toBe(3 * GAME_MINUTES_PER_JUMP);
+      expect(getGameMinutesElapsed(2, 30 * 1000)).toBeGreaterThan(getGameMinutesElapsed(2, 0));
+    });
+  });
+});
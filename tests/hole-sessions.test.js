@@ -0,0 +1,116 @@
+const {
+  HOLE_SESSION_FIELDS,
+  captureHoleSession,
+  getHoleLabel,
+  getHoleFarSideCount,
+  getPilotHoles,
+  validatePilotHole,
+  getUnpilotedFarSide,
+  getShipHoleWarning
+} = require('../src/hole-sessions');
+const { Ship, Action } = require('../src/wormhole-logic');
+const { LogHistory } = require('../src/roll-log');
+const { RollSession } = require('../src/roll-session');
+
+const PILOTS = [
+  { id: 'pilot-1', name: 'Ava', ships: ['rbs', 'rhic'] },
+  { id: 'pilot-2', name: 'Bo', ships: ['rbs'] }
+];
+
+function createHole(sessionId, code, committedActions, stagedActions = []) {
+  return {
+    sessionId: sessionId,
+    selectedWormholeType: code,
+    initialWhSize: 2000,
+    initialWhState: 'fresh',
+    initialWhRestriction: 3,
+    initialFarSideFleet: {},
+    currentWhState: 'stable',
+    shipsOnFarSide: { rbs: 1 },
+    pilots: PILOTS,
+    committedActions: committedActions,
+    stagedActions: stagedActions,
+    lifetime: null
+  };
+}
+
+describe('Hole Sessions', () => {
+  test('should capture only the fields that belong to one hole', () => {
+    const state = { ...createHole('roll-1', 'B274', []), isTracking: true, history: {}, lifetime: undefined };
+    const hole = captureHoleSession(state);
+
+    expect(Object.keys(hole)).toEqual(HOLE_SESSION_FIELDS);
+    expect(hole.lifetime).toBeNull();
+    expect(hole.committedActions).toBe(state.committedActions);
+  });
+
+  test('should label holes by type or size and count ships beyond them', () => {
+    expect(getHoleLabel(createHole('roll-1', 'B274', []))).toBe('B274');
+    expect(getHoleLabel(createHole('roll-1', null, []))).toBe('2000 Gg');
+    expect(getHoleFarSideCount(createHole('roll-1', 'B274', []))).toBe(1);
+  });
+
+  test('should place each pilot beyond the hole they jumped out of', () => {
+    const holes = [
+      createHole('roll-1', 'B274', [{ actions: [new Action(new Ship('rbs', 'hot'), 'B', 'pilot-1')] }]),
+      createHole('roll-2', 'N766', [], [new Action(new Ship('rbs', 'hot'), 'B', 'pilot-2')])
+    ];
+
+    expect(getPilotHoles(holes)).toEqual({
+      'pilot-1': { sessionId: 'roll-1', label: 'B274', ship: 'rbs' },
+      'pilot-2': { sessionId: 'roll-2', label: 'N766', ship: 'rbs' }
+    });
+  });
+
+  test('should only block a pilot who is still beyond another hole', () => {
+    const holes = [
+      createHole('roll-1', 'B274', [
+        { actions: [new Action(new Ship('rbs', 'hot'), 'B', 'pilot-1'), new Action(new Ship('rbs', 'hot'), 'B', 'pilot-2')] },
+        { actions: [new Action(new Ship('rbs', 'cold'), 'A', 'pilot-2')] }
+      ]),
+      createHole('roll-2', 'N766', [])
+    ];
+
+    expect(validatePilotHole(PILOTS[0], 'roll-2', holes)).toBe('Ava is on the far side of B274');
+    expect(validatePilotHole(PILOTS[1], 'roll-2', holes)).toBeNull();
+    expect(validatePilotHole(PILOTS[0], 'roll-1', holes)).toBeNull();
+  });
+
+  test('should warn when a ship without a pilot goes out while one like it is beyond another hole', () => {
+    const holes = [
+      createHole('roll-1', 'B274', [{ actions: [new Action(new Ship('rbs', 'hot'), 'B', 'pilot-1')] }]),
+      { ...createHole('roll-2', 'N766', [{ actions: [new Action(new Ship('rbs', 'hot'), 'B'), new Action(new Ship('rhic', 'hot'), 'B')] }]), shipsOnFarSide: { rbs: 1, rhic: 1 } },
+      { ...createHole('roll-3', 'D382', []), shipsOnFarSide: {} }
+    ];
+
+    expect(getUnpilotedFarSide(holes[0])).toEqual({ rbs: 0 });
+    expect(getUnpilotedFarSide(holes[1])).toEqual({ rbs: 1, rhic: 1 });
+    expect(getShipHoleWarning('rbs', 'roll-3', holes)).toMatch(/^⚠️ Rolling Battleship is also beyond N766 without a pilot/);
+    expect(getShipHoleWarning('rbs', 'roll-2', holes)).toBeNull();
+    expect(getShipHoleWarning('bs', 'roll-3', holes)).toBeNull();
+    expect(getShipHoleWarning(undefined, 'roll-3', holes)).toBeNull();
+  });
+
+  test('should carry each hole\'s undo history with it when switching holes', () => {
+    // What the tracker does on a tab switch: capture the hole on screen, start a fresh history, open the other one
+    const session = new RollSession({ initialWhSize: 2000, initialWhState: 'fresh', initialWhRestriction: 3 });
+    const switchTo = hole => {
+      const left = captureHoleSession(session);
+      session.history = new LogHistory();
+      Object.assign(session, hole);
+      session.history = hole.history || new LogHistory();
+      return left;
+    };
+    const roll1 = { ...captureHoleSession(session), sessionId: 'roll-1', history: null };
+
+    session.stage('B', new Ship('rbs', 'hot'));
+    session.apply('no-change');
+    const roll2 = switchTo(roll1);
+    expect(session.undo()).toBe(false);
+
+    switchTo(roll2);
+    expect(session.committedActions).toHaveLength(1);
+    expect(session.undo()).toBe(true);
+    expect(session.committedActions).toHaveLength(0);
+  });
+});
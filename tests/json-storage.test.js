@@ -0,0 +1,32 @@
+const { readStoredJson, writeStoredJson } = require('../src/json-storage');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+describe('JSON Storage', () => {
+  test('should write a value and read it back', () => {
+    const storage = createMemoryStorage();
+    writeStoredJson(storage, 'key', { ships: ['bs'] }, 'test data');
+
+    expect(storage.data.key).toBe('{"ships":["bs"]}');
+    expect(readStoredJson(storage, 'key', null, 'test data')).toEqual({ ships: ['bs'] });
+  });
+
+  test('should fall back when there is no storage or nothing saved', () => {
+    expect(readStoredJson(null, 'key', [], 'test data')).toEqual([]);
+    expect(readStoredJson(createMemoryStorage(), 'key', {}, 'test data')).toEqual({});
+    expect(() => writeStoredJson(null, 'key', 1, 'test data')).not.toThrow();
+  });
+
+  test('should log instead of throwing when the store is broken or full', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const storage = createMemoryStorage();
+    storage.data.key = '{not json';
+    storage.setItem = () => { throw new Error('QuotaExceededError'); };
+
+    expect(readStoredJson(storage, 'key', 'fallback', 'test data')).toBe('fallback');
+    writeStoredJson(storage, 'key', 1, 'test data');
+
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/^Unable to read test data: /));
+    expect(errorSpy).toHaveBeenCalledWith('Unable to save test data: QuotaExceededError');
+    errorSpy.mockRestore();
+  });
+});
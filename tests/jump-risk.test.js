@@ -0,0 +1,152 @@
+const {
+  RISK_VERDICTS,
+  uniformDistribution,
+  convolveDistributions,
+  getImpliedReturns,
+  JumpRiskCalculator
+} = require('../src/jump-risk');
+const { Ship, CustomMass, Action } = require('../src/wormhole-logic');
+
+describe('Jump Risk', () => {
+  describe('Distributions', () => {
+    test('should collapse an exact mass to a single point', () => {
+      expect(uniformDistribution(300, 300)).toEqual([{ value: 300, p: 1 }]);
+    });
+
+    test('should spread a range evenly with total probability 1', () => {
+      const distribution = uniformDistribution(100, 150, 10);
+      const total = distribution.reduce((sum, point) => sum + point.p, 0);
+
+      expect(distribution).toHaveLength(10);
+      expect(total).toBeCloseTo(1, 10);
+      expect(distribution[0].value).toBeGreaterThan(100);
+      expect(distribution[9].value).toBeLessThan(150);
+    });
+
+    test('should keep the mean when convolving distributions', () => {
+      const sum = convolveDistributions(uniformDistribution(100, 150), uniformDistribution(200, 300));
+      const mean = sum.reduce((total, point) => total + point.value * point.p, 0);
+
+      expect(mean).toBeCloseTo(375, 5);
+    });
+  });
+
+  describe('Collapse chance', () => {
+    test('should be zero when the jump cannot reach the remaining mass', () => {
+      const calculator = new JumpRiskCalculator(3000, 'destab');
+      const [risk] = calculator.assessSequence({ min: 1000, max: 1500 }, [new Action(new Ship('rbs', 'hot'), 'B')]);
+
+      expect(risk.collapseChance).toBe(0);
+      expect(risk.strandChance).toBe(0);
+      expect(risk.verdict).toBe('green');
+    });
+
+    test('should match the overlap of an exact jump with a uniform range', () => {
+      const calculator = new JumpRiskCalculator(3000, 'critical');
+      const [risk] = calculator.assessSequence({ min: 100, max: 300 }, [new Action(new CustomMass(150), 'B')]);
+
+      // 100 - 150 of the 100 - 300 range collapses: 25%
+      expect(risk.collapseChance).toBeCloseTo(0.25, 5);
+      expect(risk.strandChance).toBeCloseTo(0.25, 5);
+      expect(risk.verdict).toBe('red');
+    });
+
+    test('should split the chance between consecutive staged jumps', () => {
+      const calculator = new JumpRiskCalculator(3000, 'critical');
+      const risks = calculator.assessSequence({ min: 0, max: 330 }, [
+        new Action(new Ship('rbs', 'cold'), 'B'),
+        new Action(new Ship('rbs', 'hot'), 'A')
+      ]);
+
+      expect(risks[0].collapseChance).toBeCloseTo(200 / 330, 5);
+      expect(risks[1].collapseChance).toBeCloseTo(130 / 330, 5);
+      expect(risks[0].collapseChance + risks[1].collapseChance).toBeCloseTo(1, 5);
+    });
+
+    test('should widen the chance for unknown ship modes', () => {
+      const calculator = new JumpRiskCalculator(3000, 'critical');
+      const [cold] = calculator.assessSequence({ min: 100, max: 300 }, [new Action(new Ship('bs', 'cold'), 'B')]);
+      const [unknown] = calculator.assessSequence({ min: 100, max: 300 }, [new Action(new Ship('bs', 'unknown'), 'B')]);
+
+      expect(cold.collapseChance).toBe(0);
+      expect(unknown.collapseChance).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Round trip verdict', () => {
+    test('should not count a collapse as stranding once everyone is home', () => {
+      const calculator = new JumpRiskCalculator(3000, 'critical');
+      const risks = calculator.assessSequence({ min: 250, max: 330 }, [
+        new Action(new Ship('rbs', 'cold'), 'B'),
+        new Action(new Ship('rbs', 'hot'), 'A')
+      ]);
+
+      expect(risks[1].collapseChance).toBeGreaterThan(0);
+      expect(risks[1].shipsOnFarSide).toBe(0);
+      expect(risks[1].strandChance).toBe(0);
+      expect(risks[0].verdict).toBe('green');
+    });
+
+    test('should count ships already on the far side', () => {
+      const calculator = new JumpRiskCalculator(3000, 'critical');
+      const [risk] = calculator.assessSequence({ min: 0, max: 330 }, [new Action(new Ship('rbs', 'hot'), 'A')], 2);
+
+      expect(risk.shipsOnFarSide).toBe(1);
+      expect(risk.strandChance).toBeGreaterThan(0.5);
+      expect(risk.verdict).toBe('red');
+    });
+
+    test('should warn amber when the jump will probably crit the hole', () => {
+      const calculator = new JumpRiskCalculator(3000, 'destab');
+      const [risk] = calculator.assessSequence({ min: 600, max: 700 }, [new Action(new CustomMass(400), 'B')]);
+
+      expect(risk.collapseChance).toBe(0);
+      expect(risk.critChance).toBeGreaterThan(0.5);
+      expect(risk.verdict).toBe('amber');
+    });
+
+    test('should judge outbound jumps by the returns that are not staged yet', () => {
+      const calculator = new JumpRiskCalculator(3000, 'critical');
+      const risks = calculator.assessSequence({ min: 450, max: 650 }, [
+        new Action(new Ship('rbs', 'cold'), 'B'),
+        new Action(new Ship('rbs', 'cold'), 'B')
+      ]);
+
+      // Both ships make it out (400 Gg), but the first cold return (600 Gg) collapses 450 - 600 of the range
+      // while the other battleship is still on the far side
+      expect(risks.map(risk => risk.strandChance)).toEqual([0, 0]);
+      expect(risks.map(risk => risk.returnImplied)).toEqual([true, true]);
+      expect(risks[0].roundTripStrandChance).toBeCloseTo(0.75, 5);
+      expect(risks[1].roundTripStrandChance).toBeCloseTo(0.75, 5);
+      expect(risks.map(risk => risk.verdict)).toEqual(['red', 'red']);
+    });
+
+    test('should not add a return for a ship that already has one staged', () => {
+      const calculator = new JumpRiskCalculator(3000, 'critical');
+      const risks = calculator.assessSequence({ min: 450, max: 650 }, [
+        new Action(new Ship('rbs', 'cold'), 'B'),
+        new Action(new Ship('rbs', 'cold'), 'A')
+      ]);
+
+      expect(risks.map(risk => risk.returnImplied)).toEqual([false, false]);
+      expect(risks[0].roundTripStrandChance).toBe(0);
+      expect(risks[0].verdict).toBe('green');
+    });
+
+    test('should match returns by pilot, then by ship type', () => {
+      expect(getImpliedReturns([
+        new Action(new Ship('rbs', 'hot'), 'B', 'ann'),
+        new Action(new Ship('rbs', 'hot'), 'B', 'bob'),
+        new Action(new Ship('rbs', 'cold'), 'A', 'bob'),
+        new Action(new Ship('rhic', 'cold'), 'B'),
+        new Action(new Ship('rhic', 'hot'), 'A'),
+        new Action(new Ship('bs', 'cold'), 'A'),
+        new Action(new Ship('bs', 'hot'), 'B')
+      ])).toEqual([0, 6]);
+    });
+
+    test('should have a label for every verdict', () => {
+      expect(Object.keys(RISK_VERDICTS)).toEqual(['green', 'amber', 'red']);
+    });
+  });
+});
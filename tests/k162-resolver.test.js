@@ -0,0 +1,56 @@
+const {
+  getK162Candidates,
+  groupK162Candidates,
+  getK162UnionRange,
+  getConservativeCandidate,
+  resolveK162
+} = require('../src/k162-resolver');
+const { getWormholeInfo } = require('../src/wormhole-data');
+
+describe('K162 Resolver', () => {
+  describe('Candidates', () => {
+    test('should find the origin from the class the K162 is in and the far side class', () => {
+      const candidates = getK162Candidates('HS', 'C2');
+      expect(candidates.map(candidate => candidate.code)).toEqual(['B274']);
+      expect(candidates[0].totalMass).toBe(2000);
+    });
+
+    test('should only keep holes that lead into the K162 class and spawn in the far side class', () => {
+      getK162Candidates('C1', 'C1').forEach(candidate => {
+        expect(candidate.destination).toBe('C1');
+        expect(candidate.sources).toContain('C1');
+      });
+      expect(getK162Candidates('C1', 'C1').map(candidate => candidate.code)).toEqual(expect.arrayContaining(['H121', 'E004']));
+    });
+
+    test('should find nothing for classes no hole connects', () => {
+      expect(getK162Candidates('C13', 'HS')).toEqual([]);
+      expect(resolveK162('C13', 'HS')).toEqual({ candidates: [], combos: [], union: null, conservative: null });
+    });
+  });
+
+  describe('Combos and ranges', () => {
+    const candidates = ['H121', 'E004', 'P060'].map(code => getWormholeInfo(code));
+
+    test('should group candidates that roll the same way, smallest first', () => {
+      expect(groupK162Candidates(candidates)).toEqual([
+        { totalMass: 500, restriction: 2, restrictionText: 'up to Battlecruiser', codes: ['H121', 'P060'] },
+        { totalMass: 3000, restriction: 1, restrictionText: 'up to Destroyer', codes: ['E004'] }
+      ]);
+    });
+
+    test('should cover every candidate in the union', () => {
+      expect(getK162UnionRange(candidates)).toEqual({
+        min: 450, max: 3300, restriction: 2, totalMass: [500, 3000], codes: ['H121', 'E004', 'P060']
+      });
+      expect(getK162UnionRange(candidates.slice(0, 1))).toEqual({ min: 450, max: 550, restriction: 2, totalMass: 500, codes: ['H121'] });
+      expect(getK162UnionRange([])).toBeNull();
+    });
+
+    test('should pick the smallest hole as the most conservative, then the tighter size limit', () => {
+      expect(getConservativeCandidate(candidates).code).toBe('H121');
+      const sameMass = ['N110', 'Q063'].map(code => getWormholeInfo(code)).concat(getWormholeInfo('A641'));
+      expect(getConservativeCandidate(sameMass).code).toBe('Q063');
+    });
+  });
+});
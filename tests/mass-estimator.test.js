@@ -0,0 +1,131 @@
+const {
+  ESTIMATE_CONFIDENCE,
+  getStateForRemaining,
+  MassEstimator,
+  estimateMassLog
+} = require('../src/mass-estimator');
+const { Ship, CustomMass, Action } = require('../src/wormhole-logic');
+
+function jump(mass, direction = 'B') {
+  return new Action(new CustomMass(mass), direction);
+}
+
+describe('Mass Estimator', () => {
+  describe('State thresholds', () => {
+    test('should use the same percentages as game mode', () => {
+      expect(getStateForRemaining(1100, 2000)).toBe('stable');
+      expect(getStateForRemaining(1000, 2000)).toBe('destab');
+      expect(getStateForRemaining(200, 2000)).toBe('critical');
+      expect(getStateForRemaining(0, 2000)).toBe('gone');
+    });
+  });
+
+  describe('Prior', () => {
+    test('should start a fresh hole at the full ±10% range', () => {
+      const estimate = new MassEstimator(2000, 'fresh').getEstimate();
+
+      expect(estimate.remaining.min).toBeCloseTo(1800);
+      expect(estimate.remaining.max).toBeCloseTo(2200);
+      expect(estimate.remaining.mostLikely).toBeCloseTo(2000, -1);
+      expect(estimate.confidence).toBe(ESTIMATE_CONFIDENCE);
+    });
+
+    test('should spread unknown prior usage over the starting state band', () => {
+      const estimate = new MassEstimator(2000, 'destab').getEstimate();
+
+      expect(estimate.remaining.min).toBeGreaterThan(180);
+      expect(estimate.remaining.max).toBeLessThanOrEqual(1100);
+    });
+  });
+
+  describe('Updates', () => {
+    test('should raise the original mass floor when a hole does not destab', () => {
+      const [estimate] = estimateMassLog({ initialWhSize: 2000, initialWhState: 'fresh' }, [
+        { actions: [jump(1000)], currentState: 'stable' }
+      ]);
+
+      // Still stable after 1000 Gg means the hole started above 2000 Gg
+      expect(estimate.original.min).toBeGreaterThan(2000);
+      expect(estimate.remaining.min).toBeGreaterThan(1000);
+      expect(estimate.remaining.max).toBeCloseTo(1200);
+    });
+
+    test('should tell the candidates of a K162 union apart by how the hole reacts', () => {
+      const [estimate] = estimateMassLog({ initialWhSize: [500, 3000], initialWhState: 'fresh' }, [
+        { actions: [jump(400)], currentState: 'stable' }
+      ]);
+
+      // A 500 Gg hole would have gone critical, so only the 3000 Gg candidate is left
+      expect(estimate.original.min).toBeGreaterThan(2600);
+      expect(estimate.remaining.min).toBeGreaterThan(2200);
+    });
+
+    test('should cap the original mass when a hole destabs early', () => {
+      const [estimate] = estimateMassLog({ initialWhSize: 2000, initialWhState: 'fresh' }, [
+        { actions: [jump(950)], currentState: 'destab' }
+      ]);
+
+      expect(estimate.original.max).toBeLessThanOrEqual(1900);
+      expect(estimate.remaining.max).toBeLessThanOrEqual(950);
+    });
+
+    test('should keep the band inside the min/max and narrow it over several entries', () => {
+      const estimates = estimateMassLog({ initialWhSize: 3000, initialWhState: 'fresh' }, [
+        { actions: [new Action(new Ship('rbs', 'unknown'), 'B'), new Action(new Ship('rbs', 'unknown'), 'A')], currentState: 'stable' },
+        { actions: [jump(600), jump(600)], currentState: 'destab' }
+      ]);
+
+      estimates.forEach(({ remaining }) => {
+        expect(remaining.band.low).toBeGreaterThanOrEqual(remaining.min);
+        expect(remaining.band.high).toBeLessThanOrEqual(remaining.max);
+        expect(remaining.mostLikely).toBeGreaterThanOrEqual(remaining.min - 15);
+        expect(remaining.mostLikely).toBeLessThanOrEqual(remaining.max + 15);
+      });
+
+      const [first, second] = estimates;
+      expect(second.remaining.max - second.remaining.min).toBeLessThan(first.remaining.max - first.remaining.min);
+    });
+
+    test('should give regenerated mass back before the next jumps', () => {
+      const log = [
+        { actions: [jump(1000)], currentState: 'stable' },
+        { actions: [jump(100)], currentState: 'stable', regenerated: 300 }
+      ];
+      const [, withoutRegeneration] = estimateMassLog({ initialWhSize: 2000, initialWhState: 'fresh' }, log.map(({ regenerated, ...entry }) => entry));
+      const [, withRegeneration] = estimateMassLog({ initialWhSize: 2000, initialWhState: 'fresh' }, log);
+
+      expect(withRegeneration.consistent).toBe(true);
+      expect(withRegeneration.remaining.max).toBeCloseTo(withoutRegeneration.remaining.max + 300);
+      expect(withRegeneration.remaining.min).toBeGreaterThan(withoutRegeneration.remaining.min + 250);
+    });
+
+    test('should never regenerate past the original mass', () => {
+      const estimator = new MassEstimator(2000, 'fresh');
+      estimator.applyEntry([jump(100)], 'stable');
+      estimator.applyEntry([], 'stable', 500);
+      const { remaining, original } = estimator.getEstimate();
+
+      expect(remaining.max).toBeCloseTo(original.max);
+      expect(remaining.min).toBeCloseTo(original.min);
+    });
+
+    test('should keep a destab hole believable once regeneration lifts it back to stable', () => {
+      const [, estimate] = estimateMassLog({ initialWhSize: 2000, initialWhState: 'fresh' }, [
+        { actions: [jump(1000)], currentState: 'destab' },
+        { actions: [], currentState: 'stable', regenerated: 200 }
+      ]);
+
+      expect(estimate.consistent).toBe(true);
+      expect(estimate.remaining.min).toBeGreaterThan(900);
+    });
+
+    test('should flag logs whose states contradict the jump masses', () => {
+      const [estimate] = estimateMassLog({ initialWhSize: 2000, initialWhState: 'fresh' }, [
+        { actions: [jump(100)], currentState: 'critical' }
+      ]);
+
+      expect(estimate.consistent).toBe(false);
+      expect(estimate.remaining.min).toBeGreaterThan(1600);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const {
+  PILOT_ROSTER_KEY,
+  validatePilot,
+  getPilotPositions,
+  validatePilotMove,
+  getStrandedPilots,
+  PilotRoster
+} = require('../src/pilot-roster');
+const { serializeSession, deserializeSession } = require('../src/session-store');
+const { Ship, CustomMass, Action } = require('../src/wormhole-logic');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+const alice = { id: 'alice', name: 'Alice', ships: ['rbs'] };
+const bob = { id: 'bob', name: 'Bob', ships: ['rbs', 'bs'] };
+
+describe('Pilot Roster', () => {
+  describe('Validation', () => {
+    test('should accept a named pilot with known ships', () => {
+      expect(validatePilot(bob)).toBeNull();
+    });
+
+    test('should reject missing names, unsafe names and empty or unknown ships', () => {
+      expect(validatePilot({ ...bob, name: ' ' })).toMatch(/name/);
+      expect(validatePilot({ ...bob, name: '<i>Bob</i>' })).toMatch(/cannot contain/);
+      expect(validatePilot({ ...bob, ships: [] })).toMatch(/at least one/);
+      expect(validatePilot({ ...bob, ships: ['titan'] })).toMatch(/Unknown/);
+    });
+  });
+
+  describe('Storage', () => {
+    test('should save, edit and delete pilots', () => {
+      const storage = createMemoryStorage();
+      const roster = new PilotRoster(storage);
+
+      const { id } = roster.savePilot({ name: ' Alice ', ships: ['rbs', 'rbs'] });
+      expect(roster.getPilot(id)).toEqual({ id: id, name: 'Alice', ships: ['rbs'] });
+
+      roster.savePilot({ name: 'Alice', ships: ['rbs', 'bs'] }, id);
+      expect(roster.getPilot(id).ships).toEqual(['rbs', 'bs']);
+      expect(JSON.parse(storage.data[PILOT_ROSTER_KEY])).toHaveLength(1);
+
+      expect(roster.deletePilot(id)).toBe(true);
+      expect(roster.deletePilot(id)).toBe(false);
+      expect(roster.listPilots()).toEqual([]);
+    });
+
+    test('should not allow two pilots with the same name', () => {
+      const roster = new PilotRoster(createMemoryStorage());
+      roster.savePilot({ name: 'Alice', ships: ['rbs'] });
+
+      expect(roster.savePilot({ name: 'alice', ships: ['bs'] }).error).toMatch(/already on the roster/);
+    });
+
+    test('should drop ships that no longer exist and skip corrupt entries', () => {
+      const storage = createMemoryStorage();
+      storage.setItem(PILOT_ROSTER_KEY, JSON.stringify([
+        { id: 'bob', name: 'Bob', ships: ['bs', 'myorca'] },
+        { id: 'ghost', name: 'Ghost', ships: ['myorca'] },
+        { name: 'No id', ships: ['rbs'] }
+      ]));
+
+      expect(new PilotRoster(storage).listPilots()).toEqual([{ id: 'bob', name: 'Bob', ships: ['bs'] }]);
+    });
+  });
+
+  describe('Positions', () => {
+    const committed = [
+      { actions: [new Action(new Ship('rbs', 'hot'), 'B', 'alice'), new Action(new Ship('bs', 'cold'), 'B', 'bob')] },
+      { type: 'event', actions: [new Action(new Ship('opcruiser', 'unknown'), 'A')] },
+      { actions: [new Action(new Ship('bs', 'cold'), 'A', 'bob'), new Action(new Ship('rbs', 'hot'), 'A')] }
+    ];
+
+    test('should follow each pilot through logged and staged jumps', () => {
+      expect(getPilotPositions([alice, bob], committed)).toEqual({
+        alice: { side: 'far', ship: 'rbs' },
+        bob: { side: 'home', ship: null }
+      });
+
+      const staged = [new Action(new Ship('rbs', 'cold'), 'A', 'alice')];
+      expect(getPilotPositions([alice, bob], committed, staged).alice.side).toBe('home');
+    });
+
+    test('should name the pilots stranded on the far side', () => {
+      const positions = getPilotPositions([alice, bob], committed);
+      expect(getStrandedPilots([alice, bob], positions).map(pilot => pilot.name)).toEqual(['Alice']);
+    });
+  });
+
+  describe('Move validation', () => {
+    const home = { side: 'home', ship: null };
+    const farInRbs = { side: 'far', ship: 'rbs' };
+
+    test('should allow moves the pilot can make', () => {
+      expect(validatePilotMove(bob, home, 'B', new Ship('bs', 'hot'))).toBeNull();
+      expect(validatePilotMove(bob, farInRbs, 'A', new Ship('rbs', 'cold'))).toBeNull();
+    });
+
+    test('should block jumping back a pilot who is already home and jumping out twice', () => {
+      expect(validatePilotMove(alice, home, 'A', new Ship('rbs', 'cold'))).toBe('Alice is already home');
+      expect(validatePilotMove(alice, farInRbs, 'B', new Ship('rbs', 'cold'))).toBe('Alice is already on the far side');
+    });
+
+    test('should block ships the pilot does not fly or is not sitting in', () => {
+      expect(validatePilotMove(alice, home, 'B', new Ship('bs', 'cold'))).toBe('Alice does not fly the Battleship');
+      expect(validatePilotMove(bob, farInRbs, 'A', new Ship('bs', 'cold'))).toBe('Bob is on the far side in a Rolling Battleship');
+      expect(validatePilotMove(bob, home, 'B', new CustomMass(200))).toMatch(/custom mass/);
+      expect(validatePilotMove(null, home, 'B', new Ship('bs', 'cold'))).toBe('Unknown pilot');
+    });
+  });
+
+  describe('Saved sessions', () => {
+    test('should keep the pilots and who flew each jump', () => {
+      const restored = deserializeSession(serializeSession({
+        sessionId: 'roll-test',
+        initialWhSize: 2000,
+        initialWhState: 'fresh',
+        initialWhRestriction: 3,
+        initialFarSideFleet: {},
+        currentWhState: 'stable',
+        shipsOnFarSide: {},
+        pilots: [alice],
+        committedActions: [],
+        stagedActions: [new Action(new Ship('rbs', 'hot'), 'B', 'alice'), new Action(new Ship('bs', 'hot'), 'B')]
+      }));
+
+      expect(restored.pilots).toEqual([alice]);
+      expect(restored.stagedActions.map(action => action.pilotId)).toEqual(['alice', null]);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const {
+  POLARIZATION_MS,
+  getPolarizationKey,
+  getPolarizationTimers,
+  getPolarizationLeft,
+  getPolarizedActions,
+  formatCountdown
+} = require('../src/polarization');
+const { Ship, CustomMass, Action } = require('../src/wormhole-logic');
+
+const START = Date.UTC(2026, 9, 19, 12, 0);
+const MINUTE = 60 * 1000;
+
+function entry(at, ...actions) {
+  return { actions: actions, timestamp: at };
+}
+
+describe('Polarization', () => {
+  describe('Keys', () => {
+    test('should track pilots by id and other jumps by ship type', () => {
+      expect(getPolarizationKey(new Action(new Ship('rbs', 'hot'), 'B', 'pilot-1'))).toBe('pilot:pilot-1');
+      expect(getPolarizationKey(new Action(new Ship('rbs', 'hot'), 'B'))).toBe('ship:rbs');
+      expect(getPolarizationKey(new Action(new CustomMass(120), 'B'))).toBeNull();
+    });
+  });
+
+  describe('Timers from the log', () => {
+    test('should let a ship make a round trip and then polarize it for 5 minutes', () => {
+      const outOnly = getPolarizationTimers([entry(START, new Action(new Ship('rbs', 'hot'), 'B'))]);
+      expect(getPolarizationLeft(outOnly, 'ship:rbs', START + MINUTE)).toBe(0);
+
+      const roundTrip = getPolarizationTimers([
+        entry(START, new Action(new Ship('rbs', 'hot'), 'B')),
+        entry(START + MINUTE, new Action(new Ship('rbs', 'cold'), 'A'))
+      ]);
+      expect(roundTrip.timers['ship:rbs']).toEqual({ until: START + MINUTE + POLARIZATION_MS, direction: 'A' });
+      expect(getPolarizationLeft(roundTrip, 'ship:rbs', START + 2 * MINUTE)).toBe(4 * MINUTE);
+      expect(getPolarizationLeft(roundTrip, 'ship:rbs', START + 7 * MINUTE)).toBe(0);
+    });
+
+    test('should not polarize a ship whose jumps are more than 5 minutes apart', () => {
+      const polarization = getPolarizationTimers([
+        entry(START, new Action(new Ship('rbs', 'hot'), 'B')),
+        entry(START + 6 * MINUTE, new Action(new Ship('rbs', 'cold'), 'A'))
+      ]);
+      expect(polarization.timers).toEqual({});
+    });
+
+    test('should only polarize light hulls once their jumps add up to enough mass', () => {
+      const covops = action => entry(START + action * MINUTE / 10, new Action(new Ship('covops', 'hot'), action % 2 ? 'A' : 'B'));
+      expect(getPolarizationTimers([covops(0), covops(1)]).timers).toEqual({});
+      expect(getPolarizationTimers([covops(0), covops(1), covops(2)]).timers).toHaveProperty('ship:covops');
+    });
+
+    test('should keep pilots apart and skip random event jumps', () => {
+      const polarization = getPolarizationTimers([
+        entry(START, new Action(new Ship('rbs', 'hot'), 'B', 'pilot-1'), new Action(new Ship('rbs', 'hot'), 'B', 'pilot-2')),
+        entry(START + MINUTE, new Action(new Ship('rbs', 'hot'), 'A', 'pilot-1')),
+        { type: 'event', actions: [new Action(new Ship('bs', 'hot'), 'B'), new Action(new Ship('bs', 'hot'), 'A')], timestamp: START }
+      ]);
+      expect(Object.keys(polarization.timers)).toEqual(['pilot:pilot-1']);
+    });
+
+    test('should run off another clock when asked', () => {
+      const polarization = getPolarizationTimers([
+        { actions: [new Action(new Ship('rbs', 'hot'), 'B')], gameTime: 0 },
+        { actions: [new Action(new Ship('rbs', 'hot'), 'A')], gameTime: MINUTE }
+      ], 'gameTime');
+      expect(getPolarizationLeft(polarization, 'ship:rbs', 2 * MINUTE)).toBe(4 * MINUTE);
+    });
+  });
+
+  describe('Staged jumps', () => {
+    test('should flag staged jumps by ships that are still polarized', () => {
+      const polarization = getPolarizationTimers([
+        entry(START, new Action(new Ship('rbs', 'hot'), 'B')),
+        entry(START + MINUTE, new Action(new Ship('rbs', 'hot'), 'A'))
+      ]);
+      const staged = [new Action(new Ship('bs', 'hot'), 'B'), new Action(new Ship('rbs', 'cold'), 'B')];
+
+      expect(getPolarizedActions(staged, polarization, START + 2 * MINUTE)).toEqual([{ index: 1, key: 'ship:rbs', msLeft: 4 * MINUTE }]);
+    });
+
+    test('should flag a third jump in the same batch', () => {
+      const staged = [
+        new Action(new Ship('rbs', 'hot'), 'B'),
+        new Action(new Ship('rbs', 'cold'), 'A'),
+        new Action(new Ship('rbs', 'cold'), 'B')
+      ];
+      const polarized = getPolarizedActions(staged, getPolarizationTimers([]), START);
+      expect(polarized.map(item => item.index)).toEqual([2]);
+    });
+  });
+
+  test('should format countdowns as minutes and seconds', () => {
+    expect(formatCountdown(POLARIZATION_MS)).toBe('5:00');
+    expect(formatCountdown(61 * 1000)).toBe('1:01');
+    expect(formatCountdown(400)).toBe('0:01');
+  });
+});
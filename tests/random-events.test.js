@@ -0,0 +1,222 @@
+const {
+  RANDOM_EVENT_CHANCE,
+  MAX_RANDOM_EVENTS_PER_GAME,
+  RANDOM_EVENTS,
+  validateRandomEvent,
+  getEventMassRange,
+  rollEventMass,
+  getEventMassTotal,
+  createEventHistory,
+  recordRandomEvent,
+  isEventEligible,
+  getEligibleEvents,
+  pickRandomEvent,
+  createInterferenceState,
+  applyEventEffect,
+  getBlockedReturnReason,
+  describeEventEffect
+} = require('../src/random-events');
+const { SeededRandom } = require('../src/seeded-random');
+
+// rng stand-in that returns the given values in order
+function fixedRandom(...values) {
+  return { random: () => values.shift() };
+}
+
+const context = { state: 'stable', restriction: 5, jumps: 3, massPercent: 80 };
+
+const scout = {
+  name: 'scout',
+  displayName: 'A scout pokes through',
+  weight: 1,
+  conditions: {},
+  cooldown: 2,
+  maxPerGame: 2,
+  actions: [{ ship: 'covops', direction: 'outgoing' }]
+};
+
+describe('Random Events', () => {
+  describe('Definitions', () => {
+    test('should all be valid plain JSON', () => {
+      RANDOM_EVENTS.forEach(event => expect(validateRandomEvent(event)).toBeNull());
+      expect(JSON.parse(JSON.stringify(RANDOM_EVENTS))).toEqual(RANDOM_EVENTS);
+      expect(new Set(RANDOM_EVENTS.map(event => event.name)).size).toBe(RANDOM_EVENTS.length);
+    });
+
+    test('should reject malformed events', () => {
+      expect(validateRandomEvent({ ...scout, weight: -1 })).toMatch(/weight/);
+      expect(validateRandomEvent({ ...scout, actions: [] })).toMatch(/at least one action or effect/);
+      expect(validateRandomEvent({ ...scout, actions: [], effects: [{ type: 'camp', turns: 2, minutes: 10 }] })).toBeNull();
+      expect(validateRandomEvent({ ...scout, effects: [{ type: 'bubble' }] })).toMatch(/unknown effect/);
+      expect(validateRandomEvent({ ...scout, effects: [{ type: 'camp', turns: 0, minutes: 10 }] })).toMatch(/at least 1 turn/);
+      expect(validateRandomEvent({ ...scout, effects: [{ type: 'camp', turns: 2 }] })).toMatch(/1 minute/);
+      expect(validateRandomEvent({ ...scout, effects: [{ type: 'crit', percent: { min: 5, max: 15 } }] })).toMatch(/below 10/);
+      expect(validateRandomEvent({ ...scout, actions: [{ ship: 'titan', direction: 'outgoing' }] })).toMatch(/unknown ship/);
+      expect(validateRandomEvent({ ...scout, actions: [{ ship: 'covops', direction: 'sideways' }] })).toMatch(/direction/);
+      expect(validateRandomEvent({ ...scout, actions: [{ ship: 'covops', direction: 'outgoing', mass: { min: 5, max: 1 } }] })).toMatch(/mass range/);
+    });
+  });
+
+  describe('Mass', () => {
+    const overProp = { ship: 'opcruiser', direction: 'outgoing', mass: { min: 50, max: 65 } };
+
+    test('should use the ship cold to hot mass when no range is given', () => {
+      expect(getEventMassRange({ ship: 'carrier', direction: 'incoming' })).toEqual({ min: 1250, max: 1750 });
+      expect(getEventMassRange(overProp)).toEqual({ min: 50, max: 65 });
+    });
+
+    test('should draw whole Gg from the range', () => {
+      expect(rollEventMass(overProp, fixedRandom(0))).toBe(50);
+      expect(rollEventMass(overProp, fixedRandom(0.999))).toBe(65);
+
+      const rng = new SeededRandom('event-mass');
+      for (let i = 0; i < 100; i++) {
+        const mass = rollEventMass(overProp, rng);
+        expect(Number.isInteger(mass)).toBe(true);
+        expect(mass).toBeGreaterThanOrEqual(50);
+        expect(mass).toBeLessThanOrEqual(65);
+      }
+    });
+
+    test('should total only the jumps an event made', () => {
+      const event = { ...scout, actions: [overProp, { ship: 'cruiser', direction: 'incoming' }] };
+      expect(getEventMassTotal(event)).toEqual({ min: 63, max: 83 });
+      expect(getEventMassTotal(event, 1)).toEqual({ min: 50, max: 65 });
+    });
+  });
+
+  describe('Eligibility', () => {
+    test('should check state, restriction, jump count and mass left', () => {
+      const picky = { ...scout, conditions: { states: ['destab'], minRestriction: 3, minJumps: 2, maxJumps: 5, minMassPercent: 20, maxMassPercent: 50 } };
+      const fits = { state: 'destab', restriction: 3, jumps: 4, massPercent: 30 };
+      const history = createEventHistory();
+
+      expect(isEventEligible(picky, fits, history)).toBe(true);
+      expect(isEventEligible(picky, { ...fits, state: 'stable' }, history)).toBe(false);
+      expect(isEventEligible(picky, { ...fits, restriction: 2 }, history)).toBe(false);
+      expect(isEventEligible(picky, { ...fits, jumps: 1 }, history)).toBe(false);
+      expect(isEventEligible(picky, { ...fits, jumps: 6 }, history)).toBe(false);
+      expect(isEventEligible(picky, { ...fits, massPercent: 10 }, history)).toBe(false);
+      expect(isEventEligible(picky, { ...fits, massPercent: 60 }, history)).toBe(false);
+    });
+
+    test('should keep ships out of holes they do not fit through', () => {
+      const carrier = RANDOM_EVENTS.find(event => event.name === 'neutral_carrier_jump');
+      expect(isEventEligible(carrier, context, createEventHistory())).toBe(true);
+      expect(isEventEligible({ ...carrier, conditions: {} }, { ...context, restriction: 3 }, createEventHistory())).toBe(false);
+    });
+
+    test('should respect cooldowns and the per-event cap', () => {
+      let history = recordRandomEvent(createEventHistory(), 'scout', 3);
+
+      expect(isEventEligible(scout, { ...context, jumps: 4 }, history)).toBe(false);
+      expect(isEventEligible(scout, { ...context, jumps: 5 }, history)).toBe(true);
+
+      history = recordRandomEvent(history, 'scout', 5);
+      expect(isEventEligible(scout, { ...context, jumps: 20 }, history)).toBe(false);
+    });
+
+    test('should never fire an event switched off with weight 0', () => {
+      const cruisers = RANDOM_EVENTS.find(event => event.name === 'random_cruisers_jump');
+      expect(validateRandomEvent({ ...scout, weight: 0 })).toBeNull();
+      expect(isEventEligible({ ...scout, weight: 0 }, context, createEventHistory())).toBe(false);
+      expect(getEligibleEvents(RANDOM_EVENTS, context, createEventHistory())).not.toContain(cruisers);
+      expect(pickRandomEvent([cruisers], context, createEventHistory(), fixedRandom(0, 0))).toBeNull();
+    });
+
+    test('should stop all events once the game cap is reached', () => {
+      let history = createEventHistory();
+      for (let i = 0; i < MAX_RANDOM_EVENTS_PER_GAME; i++) {
+        history = recordRandomEvent(history, `other-${i}`, i);
+      }
+      expect(getEligibleEvents([scout], context, history)).toEqual([]);
+    });
+  });
+
+  describe('Picking', () => {
+    const heavy = { ...scout, name: 'heavy', weight: 3 };
+
+    test('should only fire on the trigger roll', () => {
+      expect(pickRandomEvent([scout], context, createEventHistory(), fixedRandom(RANDOM_EVENT_CHANCE, 0))).toBeNull();
+      expect(pickRandomEvent([scout], context, createEventHistory(), fixedRandom(0, 0))).toBe(scout);
+    });
+
+    test('should pick by weight', () => {
+      expect(pickRandomEvent([scout, heavy], context, createEventHistory(), fixedRandom(0, 0.2)).name).toBe('scout');
+      expect(pickRandomEvent([scout, heavy], context, createEventHistory(), fixedRandom(0, 0.3)).name).toBe('heavy');
+    });
+
+    test('should not roll at all when nothing is eligible', () => {
+      const rng = fixedRandom();
+      expect(pickRandomEvent([{ ...scout, conditions: { states: ['critical'] } }], context, createEventHistory(), rng)).toBeNull();
+    });
+  });
+
+  describe('Hostile interference', () => {
+    const game = {
+      jumps: 4,
+      gameTime: 10 * 60000,
+      remainingMass: 1500,
+      initialActualMass: 3000,
+      shipsOnFarSide: { rbs: 2, bs: 0 },
+      interference: createInterferenceState()
+    };
+
+    test('should block every jump back until the camp has lasted its turns', () => {
+      const { interference, result } = applyEventEffect({ type: 'camp', turns: 3, minutes: 20 }, game, fixedRandom());
+      const at = (jumps, minutes) => ({ jumps: jumps, gameTime: minutes * 60000 });
+
+      expect(result).toEqual({ type: 'camp', turns: 3, minutes: 20 });
+      expect(getBlockedReturnReason(interference, at(4, 10), 'rbs', game.shipsOnFarSide)).toMatch(/for 3 more jumps or until they leave in 20 game minutes/);
+      expect(getBlockedReturnReason(interference, at(6, 12), 'rbs', game.shipsOnFarSide)).toMatch(/for 1 more jump or until they leave in 18 game minutes$/);
+      expect(getBlockedReturnReason(interference, at(7, 12), 'rbs', game.shipsOnFarSide)).toBeNull();
+    });
+
+    test('should lift a camp the player waits out without jumping', () => {
+      const { interference } = applyEventEffect({ type: 'camp', turns: 3, minutes: 20 }, game, fixedRandom());
+
+      expect(getBlockedReturnReason(interference, { jumps: 4, gameTime: 29.5 * 60000 }, 'rbs', game.shipsOnFarSide)).toMatch(/in 1 game minute$/);
+      expect(getBlockedReturnReason(interference, { jumps: 4, gameTime: 30 * 60000 }, 'rbs', game.shipsOnFarSide)).toBeNull();
+    });
+
+    test('should crit the hole by dropping the hidden mass, never raising it', () => {
+      const crit = { type: 'crit', percent: { min: 3, max: 9 } };
+
+      expect(applyEventEffect(crit, game, fixedRandom(0)).remainingMass).toBe(90);
+      expect(applyEventEffect(crit, game, fixedRandom(1)).remainingMass).toBe(270);
+      expect(applyEventEffect(crit, { ...game, remainingMass: 40 }, fixedRandom(1)).remainingMass).toBe(40);
+    });
+
+    test('should tackle a ship on the far side so it cannot come back', () => {
+      const { interference, result } = applyEventEffect({ type: 'tackle' }, game, fixedRandom(0));
+
+      expect(result).toEqual({ type: 'tackle', ship: 'rbs' });
+      expect(game.interference.tackled).toEqual({});
+      // The other battleship can still come home, the tackled one cannot
+      expect(getBlockedReturnReason(interference, { jumps: 4, gameTime: 0 }, 'rbs', { rbs: 2 })).toBeNull();
+      expect(getBlockedReturnReason(interference, { jumps: 4, gameTime: 0 }, 'rbs', { rbs: 1 })).toMatch(/Rolling Battleship is tackled/);
+      expect(getBlockedReturnReason(interference, { jumps: 4, gameTime: 0 }, 'bs', { rbs: 1, bs: 1 })).toBeNull();
+    });
+
+    test('should not tackle a ship twice or tackle anything on an empty far side', () => {
+      const once = applyEventEffect({ type: 'tackle' }, { ...game, shipsOnFarSide: { rbs: 1 } }, fixedRandom(0));
+      const twice = applyEventEffect({ type: 'tackle' }, { ...game, shipsOnFarSide: { rbs: 1 }, interference: once.interference }, fixedRandom(0));
+
+      expect(twice.result.ship).toBeNull();
+      expect(twice.interference.tackled).toEqual({ rbs: 1 });
+    });
+
+    test('should describe each effect for the log', () => {
+      expect(describeEventEffect({ type: 'camp', turns: 3, minutes: 20 })).toBe('Far side camped - jumping back is blocked for 3 jumps or 20 game minutes');
+      expect(describeEventEffect({ type: 'crit' })).toMatch(/critical/);
+      expect(describeEventEffect({ type: 'tackle', ship: 'bs' })).toBe('Battleship tackled on the far side - it cannot jump back');
+      expect(describeEventEffect({ type: 'tackle', ship: null })).toBe('Nobody on the far side to tackle');
+    });
+
+    test('should only fire a tackle when someone is on the far side', () => {
+      const tackle = RANDOM_EVENTS.find(event => event.name === 'far_side_tackle');
+      expect(isEventEligible(tackle, { ...context, shipsOnFarSide: 0 }, createEventHistory())).toBe(false);
+      expect(isEventEligible(tackle, { ...context, shipsOnFarSide: 1 }, createEventHistory())).toBe(true);
+    });
+  });
+});
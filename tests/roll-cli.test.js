@@ -0,0 +1,184 @@
+const {
+  parseCliArgs,
+  createCliSession,
+  parseCliCommand,
+  runCliCommand,
+  getCliStep,
+  formatCliStep
+} = require('../src/roll-cli');
+
+function run(session, line) {
+  return runCliCommand(session, parseCliCommand(line));
+}
+
+describe('Roll CLI', () => {
+  describe('Options', () => {
+    test('should read the type, starting state and json flag', () => {
+      expect(parseCliArgs(['--type', 'B274', '--state', 'destab', '--json']).options)
+        .toEqual({ type: 'B274', size: null, restriction: null, state: 'destab', json: true, help: false });
+    });
+
+    test('should reject unknown options and missing values', () => {
+      expect(parseCliArgs(['--colour', 'red']).error).toBe('Unknown option: --colour');
+      expect(parseCliArgs(['--type', '--json']).error).toBe('--type needs a value');
+    });
+
+    test('should start a typed roll with its size and jump limit', () => {
+      const { session } = createCliSession({ type: 'b274', state: 'destab' });
+
+      expect(session.selectedWormholeType).toBe('B274');
+      expect(session.initialWhSize).toBe(2000);
+      expect(session.currentWhState).toBe('destab');
+      expect(session.getMaxJumpMass()).toBe(375000000);
+    });
+
+    test('should start an untyped roll from size and restriction', () => {
+      const { session } = createCliSession({ type: null, size: '3000', restriction: '2', state: 'fresh' });
+
+      expect(session.initialWhSize).toBe(3000);
+      expect(session.getMaxJumpMass()).toBe(62000000);
+    });
+
+    test('should take the apply words for the starting state', () => {
+      expect(createCliSession({ type: 'B274', state: 'crit' }).session.currentWhState).toBe('critical');
+      expect(createCliSession({ type: 'B274', state: 'DESTAB' }).session.currentWhState).toBe('destab');
+      expect(createCliSession({ type: 'B274', state: 'none' }).error).toBe('--state must be one of fresh, stable, destab, critical, crit');
+    });
+
+    test('should refuse types without a mass, unknown types, sizes and states', () => {
+      expect(createCliSession({ type: 'K162', state: 'fresh' }).error).toMatch(/K162 does not say how big it is/);
+      expect(createCliSession({ type: 'X999', state: 'fresh' }).error).toBe('Unknown wormhole type: X999');
+      expect(createCliSession({ type: null, size: '1234', restriction: null, state: 'fresh' }).error).toMatch(/--size as one of/);
+      expect(createCliSession({ type: 'B274', state: 'gone' }).error).toMatch(/--state must be one of/);
+    });
+  });
+
+  describe('Commands', () => {
+    test('should parse jumps with mode and fit', () => {
+      const command = parseCliCommand('  OUT rbs hot nohiggs cargo ');
+
+      expect(command.name).toBe('jump');
+      expect(command.direction).toBe('B');
+      expect(command.ship.mode).toBe('hot');
+      expect(command.ship.modifiers).toEqual({ higgs: false, cargo: true });
+      expect(parseCliCommand('back bs').ship.mode).toBe('unknown');
+      expect(parseCliCommand('back bs').direction).toBe('A');
+    });
+
+    test('should parse a custom mass', () => {
+      const command = parseCliCommand('out 150');
+
+      expect(command.ship.getMass()).toEqual({ min: 150, max: 150 });
+      expect(parseCliCommand('out -5').error).toMatch(/one positive mass/);
+    });
+
+    test('should parse apply shorthands and the other commands', () => {
+      expect(parseCliCommand('apply crit')).toEqual({ name: 'apply', stateChange: 'critical' });
+      expect(parseCliCommand('apply none')).toEqual({ name: 'apply', stateChange: 'no-change' });
+      expect(parseCliCommand('unstage 2')).toEqual({ name: 'unstage', index: 1 });
+      expect(parseCliCommand('exit')).toEqual({ name: 'quit' });
+      expect(parseCliCommand('   ')).toBeNull();
+    });
+
+    test('should explain bad commands', () => {
+      expect(parseCliCommand('out titan hot').error).toMatch(/Unknown ship: titan/);
+      expect(parseCliCommand('out rbs warm').error).toBe('Unknown jump option: warm');
+      expect(parseCliCommand('apply maybe').error).toMatch(/apply needs one of/);
+      expect(parseCliCommand('jump').error).toMatch(/Unknown command: jump/);
+    });
+  });
+
+  describe('Rolling', () => {
+    test('should roll the example from the request', () => {
+      const { session } = createCliSession({ type: 'B274', state: 'destab' });
+
+      expect(run(session, 'out rbs hot')).toEqual({ warnings: [] });
+      expect(run(session, 'back rbs cold')).toEqual({ warnings: [] });
+      expect(run(session, 'apply crit')).toEqual({ warnings: [] });
+
+      const step = getCliStep(session, 'apply crit');
+      expect(step.state).toBe('critical');
+      expect(step.remaining).toEqual({ min: 0, max: 220 });
+      expect(step.farSide).toEqual({});
+      expect(step.entries).toBe(1);
+    });
+
+    test('should show staged jumps and the range they would leave', () => {
+      const { session } = createCliSession({ type: 'B274', state: 'fresh' });
+      run(session, 'out rbs hot');
+
+      const step = getCliStep(session, 'out rbs hot');
+      expect(step.staged).toEqual([{ direction: 'out', ship: 'Rolling Battleship (Hot)', mass: { min: 300, max: 300 } }]);
+      expect(step.remaining).toEqual({ min: 1800, max: 2200 });
+      expect(step.remainingAfterStaged).toEqual({ min: 1500, max: 1900 });
+    });
+
+    test('should report refused jumps and commands with nothing to do', () => {
+      const { session } = createCliSession({ type: 'B274', state: 'fresh' });
+
+      expect(run(session, 'out 400').error).toMatch(/over this hole's 375 Gg jump limit/);
+      expect(run(session, 'apply destab').error).toBe('No actions to apply');
+      expect(run(session, 'undo').error).toBe('Nothing to undo');
+      expect(run(session, 'unstage 1').error).toBe('No staged jump 1');
+    });
+
+    test('should stop taking jumps once the hole is gone', () => {
+      const { session } = createCliSession({ type: 'B274', state: 'critical' });
+      run(session, 'out rbs hot');
+      run(session, 'apply gone');
+
+      expect(run(session, 'out rbs hot').error).toBe('The hole is already gone');
+      expect(getCliStep(session, null).complete).toBe(true);
+      expect(getCliStep(session, null).farSide).toEqual({ rbs: 1 });
+    });
+  });
+
+  describe('Output', () => {
+    test('should print the range, staged jumps and far side as text', () => {
+      const { session } = createCliSession({ type: 'B274', state: 'destab' });
+      run(session, 'out rbs hot');
+      run(session, 'apply none');
+      run(session, 'out bs cold');
+
+      expect(formatCliStep(getCliStep(session, 'out bs cold'))).toBe([
+        'B274 (2000 Gg), up to Battleship - Destab',
+        'Remaining: 180 - 800 Gg',
+        '  1. out Battleship (Cold) 100 Gg',
+        'After staged jumps: 80 - 700 Gg',
+        'Far side: Rolling Battleship'
+      ].join('\n'));
+    });
+
+    test('should lead with errors and warnings', () => {
+      const { session } = createCliSession({ type: null, size: '1000', restriction: '2', state: 'fresh' });
+      const result = run(session, 'out rhic unknown');
+
+      const text = formatCliStep(getCliStep(session, 'out rhic unknown', result));
+      expect(text.split('\n')[0]).toMatch(/^! ⚖️ Rolling Hictor \(Unknown\) is over this hole's 62 Gg jump limit/);
+      expect(text).toContain('1000 Gg, up to Battlecruiser - Stable');
+    });
+
+    test('should give scripts plain data', () => {
+      const { session } = createCliSession({ type: 'B274', state: 'fresh' });
+      const step = JSON.parse(JSON.stringify(getCliStep(session, null)));
+
+      expect(step).toEqual({
+        input: null,
+        error: null,
+        warnings: [],
+        type: 'B274',
+        size: 2000,
+        restriction: 'up to Battleship',
+        maxJumpMass: 375000000,
+        regeneration: 0,
+        state: 'stable',
+        remaining: { min: 1800, max: 2200 },
+        farSide: {},
+        staged: [],
+        remainingAfterStaged: null,
+        entries: 0,
+        complete: false
+      });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const {
+  EXPORT_FORMAT,
+  CSV_COLUMNS,
+  exportRollText,
+  exportRollCsv,
+  exportRollJson,
+  importRollJson
+} = require('../src/roll-export');
+const { Ship, CustomMass, Action } = require('../src/wormhole-logic');
+
+function createRollState() {
+  return {
+    sessionId: 'roll-test',
+    selectedWormholeType: 'B274',
+    initialWhSize: 2000,
+    initialWhState: 'fresh',
+    initialWhRestriction: 3,
+    initialFarSideFleet: { bs: 1 },
+    currentWhState: 'destab',
+    shipsOnFarSide: { bs: 1 },
+    committedActions: [
+      {
+        actions: [new Action(new Ship('rbs', 'hot'), 'B'), new Action(new CustomMass(120), 'A')],
+        stateChange: 'destab',
+        currentState: 'destab',
+        finalMass: { min: 900, max: 1100 },
+        passedMass: 420,
+        totalPassedMass: 420,
+        shipsOnFarSide: { bs: 1, rbs: 1 },
+        actualMassUsed: 420,
+        remainingMass: 1570,
+        timestamp: 1700000000000
+      },
+      {
+        type: 'event',
+        actions: [new Action(new Ship('opcruiser', 'unknown'), 'A')],
+        eventData: { name: 'good_get', displayName: 'Good Get, famous griefer' },
+        stateChange: 'no-change',
+        currentState: 'destab',
+        finalMass: { min: 835, max: 1087 },
+        shipsOnFarSide: { bs: 1 },
+        remainingMass: 1505,
+        actualMassUsed: 65,
+        timestamp: 1700000001000
+      }
+    ],
+    stagedActions: []
+  };
+}
+
+describe('Roll Export', () => {
+  describe('Plain text', () => {
+    test('should summarize setup, every entry and the current state', () => {
+      const lines = exportRollText(createRollState()).split('\n');
+
+      expect(lines[0]).toBe('Wormhole roll: B274 2000 Gg, started Fresh, up to Battleship');
+      expect(lines[1]).toBe('Far side at start: Battleship x1');
+      expect(lines[2]).toBe('1. Jump out Rolling Battleship 300 Gg, Jump back Custom 120 Gg | now DESTAB | 900-1100 Gg left | Far side: Battleship x1, Rolling Battleship x1');
+      expect(lines[3]).toBe('2. Random event: Good Get, famous griefer | Destab | 835-1087 Gg left | Far side: Battleship x1');
+      expect(lines[4]).toBe('Current: Destab, 2 entries');
+    });
+
+    test('should note mass regenerated before an entry', () => {
+      const state = createRollState();
+      state.committedActions[0].regenerated = 150;
+      expect(exportRollText(state).split('\n')[2]).toContain('Jump back Custom 120 Gg (after +150 Gg regenerated) | now DESTAB');
+    });
+  });
+
+  describe('CSV', () => {
+    test('should write one row per jump including event jumps', () => {
+      const rows = exportRollCsv(createRollState()).trim().split('\n');
+
+      expect(rows[0]).toBe(CSV_COLUMNS.join(','));
+      expect(rows).toHaveLength(4);
+      expect(rows[1]).toBe('1,jump,out,Rolling Battleship,Hot,300,300,destab,900,1100,"Battleship x1, Rolling Battleship x1"');
+      expect(rows[2]).toBe('1,jump,back,Custom,Custom,120,120,destab,900,1100,"Battleship x1, Rolling Battleship x1"');
+      expect(rows[3]).toBe('2,event,back,Over-Prop Cruiser,Unknown,13,65,destab,835,1087,Battleship x1');
+    });
+  });
+
+  describe('JSON', () => {
+    // An export of the sample roll with its session tampered with
+    function exportWith(change) {
+      const data = JSON.parse(exportRollJson(createRollState()));
+      change(data.session);
+      return JSON.stringify(data);
+    }
+
+    test('should produce a versioned document without the hidden game mass', () => {
+      const data = JSON.parse(exportRollJson(createRollState()));
+
+      expect(data.format).toBe(EXPORT_FORMAT);
+      expect(data.version).toBe(1);
+      expect(data.session.committedActions).toHaveLength(2);
+      data.session.committedActions.forEach(entry => {
+        expect(entry.remainingMass).toBeUndefined();
+        expect(entry.actualMassUsed).toBeUndefined();
+      });
+    });
+
+    test('should import its own export', () => {
+      const state = createRollState();
+      const restored = importRollJson(exportRollJson(state));
+
+      expect(restored.selectedWormholeType).toBe('B274');
+      expect(restored.currentWhState).toBe('destab');
+      expect(restored.committedActions[0].actions[0].ship.getMass()).toEqual({ min: 300, max: 300 });
+      expect(restored.committedActions[1].type).toBe('event');
+      expect(restored.committedActions[1].eventData.displayName).toBe('Good Get, famous griefer');
+      expect(state.committedActions[0].remainingMass).toBe(1570);
+    });
+
+    test('should reject documents that are not roll exports', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(importRollJson('not json')).toBeNull();
+      expect(importRollJson(JSON.stringify({ format: 'something-else', version: 1 }))).toBeNull();
+      expect(importRollJson(JSON.stringify({ format: EXPORT_FORMAT, version: 99 }))).toBeNull();
+      errorSpy.mockRestore();
+    });
+
+    test('should reject hostile documents', () => {
+      expect(importRollJson(exportWith(session => { session.wormholeCode = '<img src=x id=pwned>'; }))).toBeNull();
+      expect(importRollJson(exportWith(session => { session.committedActions[0].actions[0].ship.type = 'zzz'; }))).toBeNull();
+      expect(importRollJson(exportWith(session => { session.initialFarSideFleet = { zzz: 1 }; }))).toBeNull();
+      expect(importRollJson(exportWith(session => { session.stagedActions = [{ direction: 'B', ship: { kind: 'custom', mass: 'lots' } }]; }))).toBeNull();
+      expect(importRollJson(exportWith(session => { session.committedActions[1].eventData.displayName = '<script>alert(1)</script>'; }))).toBeNull();
+      expect(importRollJson(exportWith(session => { session.pilots = [{ id: 'p1', name: '<b>Bob</b>', ships: ['bs'] }]; }))).toBeNull();
+      expect(importRollJson(exportWith(session => { session.committedActions[0].stateChange = 'wobbly'; }))).toBeNull();
+    });
+
+    test('should reject damaged documents', () => {
+      expect(importRollJson(JSON.stringify({ format: EXPORT_FORMAT, version: 1, session: { version: 1 } }))).toBeNull();
+      expect(importRollJson(JSON.stringify({ format: EXPORT_FORMAT, version: 1 }))).toBeNull();
+      expect(importRollJson(exportWith(session => { delete session.initialWhSize; }))).toBeNull();
+      expect(importRollJson(exportWith(session => { session.initialWhState = 'gone'; }))).toBeNull();
+      expect(importRollJson(exportWith(session => { session.initialWhRestriction = 9; }))).toBeNull();
+      expect(importRollJson(exportWith(session => { delete session.committedActions[0].actions; }))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const {
+  getInitialLogState,
+  getRegeneratedMass,
+  regenerateMass,
+  applyFarSideMovements,
+  createLogEntry,
+  replayLog,
+  LogHistory
+} = require('../src/roll-log');
+const { Ship, CustomMass, Action } = require('../src/wormhole-logic');
+
+const setup = { initialWhSize: 3000, initialWhState: 'fresh', initialFarSideFleet: { bs: 1 } };
+
+function rbs(mode, direction) {
+  return new Action(new Ship('rbs', mode), direction);
+}
+
+describe('Roll Log', () => {
+  describe('Initial state', () => {
+    test('should start from the initial range with fresh treated as stable', () => {
+      const state = getInitialLogState(setup);
+
+      expect(state.finalMass).toEqual({ min: 2700, max: 3300 });
+      expect(state.currentWhState).toBe('stable');
+      expect(state.shipsOnFarSide).toEqual({ bs: 1 });
+      expect(state.totalPassedMass).toBe(0);
+    });
+  });
+
+  describe('Far side movements', () => {
+    test('should move typed ships between sides and ignore custom masses', () => {
+      const farSide = applyFarSideMovements({ bs: 1 }, [
+        rbs('hot', 'B'),
+        new Action(new Ship('bs', 'cold'), 'A'),
+        new Action(new CustomMass(50), 'B')
+      ]);
+
+      expect(farSide).toEqual({ rbs: 1 });
+    });
+
+    test('should not go negative when a ship returns that never left', () => {
+      expect(applyFarSideMovements({}, [rbs('cold', 'A')])).toEqual({});
+    });
+  });
+
+  describe('Creating entries', () => {
+    test('should subtract raw mass and then clamp to the new state boundaries', () => {
+      const previous = getInitialLogState(setup);
+      const entry = createLogEntry(previous, [rbs('hot', 'B'), rbs('hot', 'A')], 'destab', 3000, 123);
+
+      // 2700 - 600 = 2100, clamped to the destab max of 1650
+      expect(entry.finalMass).toEqual({ min: 1650, max: 1650 });
+      expect(entry.currentState).toBe('destab');
+      expect(entry.passedMass).toBe(600);
+      expect(entry.totalPassedMass).toBe(600);
+      expect(entry.timestamp).toBe(123);
+    });
+
+    test('should keep the previous state on no change', () => {
+      const previous = getInitialLogState(setup);
+      const entry = createLogEntry(previous, [rbs('unknown', 'B')], 'no-change', 3000);
+
+      expect(entry.currentState).toBe('stable');
+      expect(entry.finalMass).toEqual({ min: 2400, max: 3100 });
+      expect(entry.passedMass).toBe(250);
+      expect(entry.shipsOnFarSide).toEqual({ bs: 1, rbs: 1 });
+    });
+  });
+
+  describe('Replay', () => {
+    function buildLog() {
+      let state = getInitialLogState(setup);
+      const entries = [];
+      [
+        [[rbs('hot', 'B'), rbs('hot', 'A')], 'no-change'],
+        [[rbs('hot', 'B'), rbs('hot', 'A')], 'critical'],
+        [[rbs('cold', 'B')], 'no-change']
+      ].forEach(([actions, stateChange]) => {
+        const entry = createLogEntry(state, actions, stateChange, 3000);
+        entries.push(entry);
+        state = { finalMass: entry.finalMass, currentWhState: entry.currentState, shipsOnFarSide: entry.shipsOnFarSide, totalPassedMass: entry.totalPassedMass };
+      });
+      return entries;
+    }
+
+    test('should reproduce the same log when nothing changed', () => {
+      const entries = buildLog();
+      const result = replayLog(setup, entries);
+
+      expect(result.committedActions.map(entry => entry.finalMass)).toEqual(entries.map(entry => entry.finalMass));
+      expect(result.currentWhState).toBe('critical');
+      expect(result.shipsOnFarSide).toEqual({ bs: 1, rbs: 1 });
+    });
+
+    test('should recompute downstream ranges after a misclicked state is corrected', () => {
+      const entries = buildLog();
+      entries[1] = { ...entries[1], stateChange: 'no-change' };
+
+      const result = replayLog(setup, entries);
+
+      expect(result.currentWhState).toBe('stable');
+      expect(result.committedActions[1].finalMass).toEqual({ min: 1500, max: 2100 });
+      expect(result.committedActions[2].finalMass).toEqual({ min: 1350, max: 1900 });
+      expect(result.committedActions[2].currentState).toBe('stable');
+    });
+
+    test('should recompute far side and passed mass after an entry is deleted', () => {
+      const entries = buildLog().filter((entry, index) => index !== 0);
+      const result = replayLog(setup, entries);
+
+      expect(result.committedActions).toHaveLength(2);
+      expect(result.committedActions[0].totalPassedMass).toBe(600);
+      expect(result.committedActions[1].totalPassedMass).toBe(800);
+      expect(result.shipsOnFarSide).toEqual({ bs: 1, rbs: 1 });
+    });
+
+    test('should carry random event entries through unchanged', () => {
+      const event = { type: 'event', currentState: 'destab', finalMass: { min: 500, max: 900 }, shipsOnFarSide: {} };
+      const result = replayLog(setup, [event, { actions: [rbs('cold', 'B')], stateChange: 'no-change' }]);
+
+      expect(result.committedActions[0]).toBe(event);
+      expect(result.committedActions[1].finalMass).toEqual({ min: 300, max: 700 });
+      expect(result.shipsOnFarSide).toEqual({ rbs: 1 });
+    });
+  });
+
+  describe('Mass regeneration', () => {
+    const HOUR = 60 * 60 * 1000;
+    const START = Date.UTC(2026, 9, 19, 20, 0);
+
+    test('should regenerate whole Gg for the time between two log entries', () => {
+      expect(getRegeneratedMass(100, START, START + 90 * 60 * 1000)).toBe(150);
+      expect(getRegeneratedMass(100, START, START + 1000)).toBe(0);
+      expect(getRegeneratedMass(0, START, START + HOUR)).toBe(0);
+      expect(getRegeneratedMass(100, null, START)).toBe(0);
+    });
+
+    test('should only widen the range upward and never past the full hole', () => {
+      expect(regenerateMass({ min: 300, max: 700 }, 200, 3000)).toEqual({ min: 300, max: 900 });
+      expect(regenerateMass({ min: 2000, max: 3200 }, 500, 3000)).toEqual({ min: 2000, max: 3300 });
+      expect(regenerateMass({ min: 300, max: 700 }, 0, 3000)).toEqual({ min: 300, max: 700 });
+    });
+
+    test('should top the hole up before the next batch and note how much', () => {
+      const first = createLogEntry(getInitialLogState(setup), [rbs('hot', 'B'), rbs('hot', 'A')], 'no-change', 3000, START, 100);
+      expect(first.regenerated).toBe(0);
+
+      const previous = { finalMass: first.finalMass, currentWhState: first.currentState, shipsOnFarSide: first.shipsOnFarSide, totalPassedMass: first.totalPassedMass, timestamp: START };
+      const second = createLogEntry(previous, [rbs('cold', 'B')], 'no-change', 3000, START + 2 * HOUR, 100);
+      expect(second.regenerated).toBe(200);
+      expect(second.finalMass).toEqual({ min: first.finalMass.min - 200, max: first.finalMass.max });
+    });
+
+    test('should replay regeneration from the entry timestamps', () => {
+      const entries = [
+        { actions: [rbs('hot', 'B'), rbs('hot', 'A')], stateChange: 'no-change', timestamp: START },
+        { actions: [rbs('hot', 'B'), rbs('hot', 'A')], stateChange: 'no-change', timestamp: START + 3 * HOUR }
+      ];
+      const still = replayLog(setup, entries);
+      const regenerating = replayLog({ ...setup, massRegeneration: 100 }, entries);
+
+      expect(still.committedActions[1].regenerated).toBe(0);
+      expect(regenerating.committedActions[1].regenerated).toBe(300);
+      expect(regenerating.committedActions[1].finalMass.max).toBe(still.committedActions[1].finalMass.max + 300);
+      expect(regenerating.committedActions[1].finalMass.min).toBe(still.committedActions[1].finalMass.min);
+    });
+  });
+
+  describe('Undo history', () => {
+    test('should undo and redo log snapshots', () => {
+      const history = new LogHistory();
+      const first = ['a'];
+      const second = ['a', 'b'];
+
+      history.record(first);
+      expect(history.canUndo()).toBe(true);
+      expect(history.undo(second)).toEqual(first);
+      expect(history.canRedo()).toBe(true);
+      expect(history.redo(first)).toEqual(second);
+    });
+
+    test('should drop the redo stack when a new change is recorded', () => {
+      const history = new LogHistory();
+      history.record([]);
+      history.undo(['a']);
+      history.record([]);
+
+      expect(history.canRedo()).toBe(false);
+      expect(history.redo([])).toBeNull();
+    });
+
+    test('should cap the number of undo steps', () => {
+      const history = new LogHistory(3);
+      for (let i = 0; i < 5; i++) history.record([i]);
+
+      expect(history.undoStack).toHaveLength(3);
+      expect(history.undoStack[0]).toEqual([2]);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { PLAN_MODE_PAIRS, RollPlanner } = require('../src/roll-planner');
+const { SHIP_TYPES } = require('../src/wormhole-logic');
+
+describe('Roll Planner', () => {
+  describe('Starting range', () => {
+    test('should clamp the supplied range to the current state boundaries', () => {
+      const planner = new RollPlanner(3000, 'destab', 3);
+      const range = planner.getStartingRange({ min: 0, max: 3300 });
+
+      // Destab boundaries for 3000 Gg: 10% of 2700 to 50% of 3300
+      expect(range.min).toBe(270);
+      expect(range.max).toBe(1650);
+    });
+
+    test('should treat fresh as stable', () => {
+      const planner = new RollPlanner(3000, 'fresh', 3);
+      expect(planner.state).toBe('stable');
+    });
+  });
+
+  describe('Ship filtering', () => {
+    test('should only use ships that fit and are present', () => {
+      const planner = new RollPlanner(2000, 'stable', 3);
+      const usable = planner.getUsableShipTypes({ rbs: 2, carrier: 1, rhic: 0 });
+
+      expect(usable).toEqual(['rbs']);
+    });
+
+    test('should only fly modes that stay under the hole\'s jump mass limit', () => {
+      expect(new RollPlanner(1000, 'stable', 2).getModePairs('rhic')).toEqual(PLAN_MODE_PAIRS);
+
+      // A hot rolling hictor is 65 Gg, over a medium hole's 62 Gg limit
+      expect(new RollPlanner(1000, 'stable', 2, 62000000).getModePairs('rhic')).toEqual([{ out: 'cold', back: 'cold' }]);
+      const result = new RollPlanner(1000, 'stable', 2, 62000000).plan({ min: 10, max: 20 }, { rhic: 2 });
+      result.candidates.forEach(candidate => {
+        candidate.steps.forEach(step => step.jumps.forEach(jump => expect(jump.mode).toBe('cold')));
+      });
+    });
+  });
+
+  describe('Jump simulation', () => {
+    test('should flag an outbound jump that could collapse the hole', () => {
+      const planner = new RollPlanner(3000, 'critical', 3);
+      const jumps = planner.buildPass('rbs', 'cold', 'hot', 1);
+      const result = planner.simulateJumps({ min: 150, max: 300 }, jumps);
+
+      // Cold RBS is 200 Gg - the hole might only have 150 left
+      expect(result.safe).toBe(false);
+      expect(result.failedJump).toBe(0);
+    });
+
+    test('should allow the final return jump to collapse the hole', () => {
+      const planner = new RollPlanner(3000, 'critical', 3);
+      const jumps = planner.buildPass('rbs', 'cold', 'hot', 1);
+      const result = planner.simulateJumps({ min: 250, max: 300 }, jumps);
+
+      expect(result.safe).toBe(true);
+      expect(result.range.max).toBe(0);
+    });
+
+    test('should not allow an earlier return jump to collapse the hole', () => {
+      const planner = new RollPlanner(3000, 'critical', 3);
+      const jumps = planner.buildPass('rbs', 'cold', 'hot', 2);
+      const result = planner.simulateJumps({ min: 450, max: 500 }, jumps);
+
+      // 2x cold out leaves 50 - 100, the first hot return could kill it with one ship still out
+      expect(result.safe).toBe(false);
+      expect(result.failedJump).toBe(2);
+    });
+  });
+
+  describe('Planning', () => {
+    test('should find a guaranteed plan when the range is narrow enough', () => {
+      const planner = new RollPlanner(3000, 'destab', 3);
+      const result = planner.plan({ min: 400, max: 450 }, { rbs: 1 });
+
+      expect(result.plan).not.toBeNull();
+      expect(result.plan.guaranteed).toBe(true);
+      expect(result.plan.label).toBe('1x Rolling Battleship: out cold, back hot');
+      expect(result.plan.jumps).toBe(2);
+      expect(result.plan.hotJumps).toBe(1);
+      expect(result.plan.worstCase.remaining).toEqual({ min: 0, max: 0 });
+    });
+
+    test('should keep every ship home side until the final jump', () => {
+      const planner = new RollPlanner(3000, 'destab', 3);
+      const result = planner.plan({ min: 500, max: 550 }, { rbs: 2, rhic: 1 });
+
+      expect(result.plan).not.toBeNull();
+      result.plan.steps.forEach(step => {
+        const out = step.jumps.filter(jump => jump.direction === 'B').length;
+        const back = step.jumps.filter(jump => jump.direction === 'A').length;
+        expect(out).toBe(back);
+      });
+    });
+
+    test('should report the worst case and jump count for every candidate', () => {
+      const planner = new RollPlanner(3000, 'destab', 3);
+      const result = planner.plan({ min: 400, max: 450 }, { rbs: 1, rhic: 1 });
+
+      // 4 mode pairs per ship type plus the mixed fleet candidate
+      expect(result.candidates).toHaveLength(9);
+      result.candidates.forEach(candidate => {
+        expect(typeof candidate.jumps).toBe('number');
+        expect(candidate.worstCase).toHaveProperty('jumps');
+        expect(candidate.worstCase).toHaveProperty('remaining');
+      });
+
+      // Guaranteed plans are ranked first
+      const firstFailure = result.candidates.findIndex(candidate => !candidate.guaranteed);
+      expect(result.candidates.slice(firstFailure).every(candidate => !candidate.guaranteed)).toBe(true);
+    });
+
+    test('should not guarantee a fresh hole wider than any return jump', () => {
+      const planner = new RollPlanner(3000, 'fresh', 3);
+      const result = planner.plan({ min: 2700, max: 3300 }, { rbs: 2 });
+
+      expect(result.plan).toBeNull();
+      result.candidates.forEach(candidate => {
+        expect(candidate.guaranteed).toBe(false);
+        expect(candidate.reason).toBeTruthy();
+      });
+    });
+
+    test('should bring far side ships home before rolling', () => {
+      const planner = new RollPlanner(3000, 'destab', 3);
+      const result = planner.plan({ min: 900, max: 950 }, { rbs: 1 }, { bs: 1 });
+
+      expect(result.plan.steps[0].type).toBe('homecoming');
+      expect(result.plan.steps[0].jumps).toEqual([{ shipType: 'bs', mode: 'cold', direction: 'A' }]);
+      expect(result.plan.steps[0].rangeAfter).toEqual({ min: 900 - SHIP_TYPES.bs.cold, max: 950 - SHIP_TYPES.bs.cold });
+    });
+
+    test('should annotate the states each step could leave the hole in', () => {
+      const planner = new RollPlanner(3000, 'destab', 3);
+      const result = planner.plan({ min: 400, max: 450 }, { rbs: 1 });
+
+      expect(result.plan.steps[0].possibleStates).toContain('gone');
+      expect(result.plan.steps[0].possibleStates).not.toContain('stable');
+    });
+  });
+});
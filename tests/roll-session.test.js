@@ -0,0 +1,254 @@
+const { LOG_STATE_CHANGES, RollSession } = require('../src/roll-session');
+const { Ship, CustomMass } = require('../src/wormhole-logic');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2026, 9, 19, 20, 0);
+
+function b274() {
+  return new RollSession({ selectedWormholeType: 'B274', initialWhSize: 2000, initialWhState: 'fresh', initialWhRestriction: 3 });
+}
+
+describe('Roll Session', () => {
+  describe('Starting a roll', () => {
+    test('should start stable from a fresh hole with the far side fleet copied', () => {
+      const fleet = { bs: 1 };
+      const session = new RollSession({ initialWhSize: 3000, initialWhState: 'fresh', initialFarSideFleet: fleet });
+      session.getFarSide().bs = 5;
+
+      expect(session.currentWhState).toBe('stable');
+      expect(session.getFarSide()).toEqual({ bs: 1 });
+      expect(session.getMassRange()).toEqual({ min: 2700, max: 3300 });
+      expect(session.isComplete()).toBe(false);
+      expect(fleet).toEqual({ bs: 1 });
+    });
+
+    test('should clear the log and undo history when a new roll starts', () => {
+      const session = b274();
+      session.stage('B', new Ship('rbs', 'hot'));
+      session.apply('no-change');
+
+      session.start({ initialWhSize: 3000, initialWhState: 'destab' });
+
+      expect(session.committedActions).toEqual([]);
+      expect(session.stagedActions).toEqual([]);
+      expect(session.history.canUndo()).toBe(false);
+      expect(session.currentWhState).toBe('destab');
+    });
+
+    test('should offer the same state changes as the apply buttons', () => {
+      expect(Object.keys(LOG_STATE_CHANGES)).toEqual(['no-change', 'destab', 'critical', 'gone']);
+    });
+  });
+
+  describe('Staging', () => {
+    test('should stage jumps and announce them', () => {
+      const session = b274();
+      const staged = jest.fn();
+      const changed = jest.fn();
+      session.on('staged', staged);
+      session.on('change', changed);
+
+      const result = session.stage('B', new Ship('rbs', 'hot'), 'p1');
+
+      expect(result.warnings).toEqual([]);
+      expect(result.action.pilotId).toBe('p1');
+      expect(session.stagedActions).toEqual([result.action]);
+      expect(staged).toHaveBeenCalledWith({ action: result.action, warnings: [] });
+      expect(changed).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse a ship over the jump limit and warn when only the prop puts it over', () => {
+      const session = new RollSession({ selectedWormholeType: 'T458', initialWhSize: 500, initialWhState: 'fresh', initialWhRestriction: 2 });
+
+      const hot = session.stage('B', new Ship('rhic', 'hot'));
+      const unknown = session.stage('B', new Ship('rhic', 'unknown'));
+
+      expect(hot.error).toMatch(/over this hole's 62 Gg jump limit/);
+      expect(unknown.warnings).toHaveLength(1);
+      expect(unknown.warnings[0]).toMatch(/jump it cold/);
+      expect(session.stagedActions).toHaveLength(1);
+    });
+
+    test('should fall back to the size restriction when the type is not known', () => {
+      const session = new RollSession({ initialWhSize: 1000, initialWhState: 'fresh', initialWhRestriction: 2 });
+
+      expect(session.getMaxJumpMass()).toBe(62000000);
+      expect(session.stage('B', new CustomMass(100)).error).toMatch(/100 Gg/);
+    });
+
+    test('should remove a staged jump', () => {
+      const session = b274();
+      session.stage('B', new Ship('rbs', 'hot'));
+      session.stage('A', new Ship('rbs', 'cold'));
+
+      expect(session.unstage(0)).toBe(true);
+      expect(session.unstage(5)).toBe(false);
+      expect(session.stagedActions.map(action => action.direction)).toEqual(['A']);
+    });
+  });
+
+  describe('Applying', () => {
+    test('should commit the staged jumps with the observed state change', () => {
+      const session = b274();
+      const applied = jest.fn();
+      session.on('applied', applied);
+      session.stage('B', new Ship('rbs', 'hot'));
+
+      const { entry } = session.apply('destab', START);
+
+      expect(entry.timestamp).toBe(START);
+      expect(session.committedActions).toEqual([entry]);
+      expect(session.stagedActions).toEqual([]);
+      expect(session.currentWhState).toBe('destab');
+      expect(session.getFarSide()).toEqual({ rbs: 1 });
+      expect(session.getMassRange(START)).toEqual(entry.finalMass);
+      expect(applied).toHaveBeenCalledWith(entry);
+    });
+
+    test('should refuse to apply with nothing staged or an unknown state', () => {
+      const session = b274();
+
+      expect(session.apply('destab')).toEqual({ error: 'No actions to apply' });
+      session.stage('B', new Ship('rbs', 'hot'));
+      expect(session.apply('wobbly').error).toMatch(/Unknown state change/);
+      expect(session.committedActions).toEqual([]);
+    });
+
+    test('should announce completion once the hole is gone', () => {
+      const session = b274();
+      const complete = jest.fn();
+      session.on('complete', complete);
+      session.stage('B', new Ship('rbs', 'hot'));
+
+      const { entry } = session.apply('gone');
+
+      expect(session.isComplete()).toBe(true);
+      expect(complete).toHaveBeenCalledWith(entry);
+    });
+
+    test('should keep details worked out by the caller on the entry', () => {
+      const session = b274();
+      session.stage('B', new Ship('rbs', 'hot'));
+
+      const { entry } = session.apply('no-change', START, { actualMassUsed: 300, remainingMass: 1750 });
+
+      expect(entry.actualMassUsed).toBe(300);
+      expect(entry.remainingMass).toBe(1750);
+      expect(entry.finalMass).toEqual({ min: 1500, max: 1900 });
+    });
+
+    test('should log an entry worked out elsewhere as it is', () => {
+      const session = b274();
+      const complete = jest.fn();
+      session.on('complete', complete);
+      session.stage('B', new Ship('rbs', 'hot'));
+      session.apply('no-change', START);
+      const event = { type: 'event', actions: [], stateChange: 'gone', currentState: 'gone', finalMass: { min: 0, max: 0 }, shipsOnFarSide: { rbs: 1 } };
+
+      session.addEntry(event);
+
+      expect(session.committedActions[1]).toBe(event);
+      expect(session.currentWhState).toBe('gone');
+      expect(session.getFarSide()).toEqual({ rbs: 1 });
+      expect(complete).toHaveBeenCalledWith(event);
+      expect(session.undo()).toBe(true);
+      expect(session.currentWhState).toBe('stable');
+    });
+
+    test('should stop calling a handler once it is removed', () => {
+      const session = b274();
+      const handler = jest.fn();
+      const unsubscribe = session.on('change', handler);
+      session.stage('B', new Ship('rbs', 'hot'));
+
+      unsubscribe();
+      session.apply('no-change');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Undo and editing', () => {
+    test('should undo and redo an applied entry', () => {
+      const session = b274();
+      session.stage('B', new Ship('rbs', 'hot'));
+      session.apply('no-change');
+      session.stage('A', new Ship('rbs', 'hot'));
+      session.apply('destab');
+
+      expect(session.undo()).toBe(true);
+      expect(session.committedActions).toHaveLength(1);
+      expect(session.currentWhState).toBe('stable');
+      expect(session.getFarSide()).toEqual({ rbs: 1 });
+
+      expect(session.redo()).toBe(true);
+      expect(session.currentWhState).toBe('destab');
+      expect(session.getFarSide()).toEqual({});
+      expect(session.redo()).toBe(false);
+    });
+
+    test('should reopen a finished roll when the closing entry is undone', () => {
+      const session = b274();
+      const reopened = jest.fn();
+      const complete = jest.fn();
+      session.on('reopened', reopened);
+      session.on('complete', complete);
+      session.stage('B', new Ship('rbs', 'hot'));
+      session.apply('gone');
+
+      session.undo();
+      expect(session.isComplete()).toBe(false);
+      expect(reopened).toHaveBeenCalledTimes(1);
+
+      session.redo();
+      expect(session.isComplete()).toBe(true);
+      expect(complete).toHaveBeenCalledTimes(2);
+    });
+
+    test('should recompute later entries after an edit or delete', () => {
+      const session = new RollSession({ initialWhSize: 3000, initialWhState: 'fresh' });
+      session.stage('B', new Ship('rbs', 'hot'));
+      session.stage('A', new Ship('rbs', 'hot'));
+      session.apply('critical');
+      session.stage('B', new Ship('rbs', 'cold'));
+      session.apply('no-change');
+
+      session.updateEntry(0, { stateChange: 'no-change' });
+      expect(session.currentWhState).toBe('stable');
+      expect(session.committedActions[1].finalMass).toEqual({ min: 1900, max: 2500 });
+
+      session.deleteEntry(0);
+      expect(session.committedActions).toHaveLength(1);
+      expect(session.getFarSide()).toEqual({ rbs: 1 });
+      expect(session.history.canUndo()).toBe(true);
+    });
+  });
+
+  describe('Mass regeneration', () => {
+    function t458() {
+      return new RollSession({ selectedWormholeType: 'T458', initialWhSize: 500, initialWhState: 'fresh', initialWhRestriction: 2 });
+    }
+
+    test('should widen the range for the time since the last entry, up to the full hole', () => {
+      const session = t458();
+      session.stage('B', new CustomMass(60));
+      session.stage('A', new CustomMass(60));
+      const { entry } = session.apply('no-change', START);
+
+      expect(session.getMassRegeneration()).toBe(50);
+      expect(entry.finalMass).toEqual({ min: 330, max: 430 });
+      expect(session.getMassRange(START + HOUR)).toEqual({ min: 330, max: 480 });
+      expect(session.getMassRange(START + 4 * HOUR)).toEqual({ min: 330, max: 550 });
+    });
+
+    test('should not regenerate when the roll does not follow real time', () => {
+      const session = t458();
+      session.followRegeneration = false;
+      session.stage('B', new Ship('cruiser', 'cold'));
+      const { entry } = session.apply('no-change', START);
+
+      expect(session.getMassRegeneration()).toBe(0);
+      expect(session.getMassRange(START + 2 * HOUR)).toEqual(entry.finalMass);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  SCENARIO_STREAMS,
+  hashSeed,
+  createSeed,
+  normalizeSeed,
+  SeededRandom,
+  createScenarioRandom,
+  getBuiltInShipTypes,
+  rollFarSideFleet,
+  rollScenarioSetup
+} = require('../src/seeded-random');
+const { WORMHOLE_DATA, getWormholeInfo } = require('../src/wormhole-data');
+const { SHIP_TYPES } = require('../src/wormhole-logic');
+
+function draw(rng, count) {
+  return Array.from({ length: count }, () => rng.random());
+}
+
+describe('Seeded Random', () => {
+  describe('Generator', () => {
+    test('should repeat the same sequence for the same seed', () => {
+      expect(draw(new SeededRandom('b274-fresh'), 20)).toEqual(draw(new SeededRandom('b274-fresh'), 20));
+      expect(draw(new SeededRandom('b274-fresh'), 20)).not.toEqual(draw(new SeededRandom('b274-destab'), 20));
+    });
+
+    test('should stay in [0, 1) and spread evenly', () => {
+      const values = draw(new SeededRandom('spread'), 10000);
+      const buckets = [0, 0, 0, 0];
+
+      values.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+        buckets[Math.floor(value * 4)]++;
+      });
+      buckets.forEach(count => expect(count).toBeGreaterThan(2300));
+    });
+
+    test('should hash seeds to unsigned 32-bit numbers', () => {
+      expect(hashSeed('')).toBe(0x811c9dc5);
+      expect(hashSeed('abc')).toBe(hashSeed('abc'));
+      expect(hashSeed('abc')).toBeLessThan(2 ** 32);
+    });
+  });
+
+  describe('Seeds', () => {
+    test('should accept letters, digits and dashes regardless of case and whitespace', () => {
+      expect(normalizeSeed('  Daily-2026-10-19 ')).toBe('daily-2026-10-19');
+      expect(normalizeSeed('')).toBeNull();
+      expect(normalizeSeed('has space')).toBeNull();
+      expect(normalizeSeed('<b>')).toBeNull();
+      expect(normalizeSeed('x'.repeat(33))).toBeNull();
+    });
+
+    test('should create seeds that pass validation', () => {
+      const seed = createSeed();
+      expect(normalizeSeed(seed)).toBe(seed);
+    });
+  });
+
+  describe('Scenario streams', () => {
+    test('should give each part of the game its own reproducible stream', () => {
+      const first = createScenarioRandom('abc123');
+      const second = createScenarioRandom('abc123');
+
+      expect(first.seed).toBe('abc123');
+      SCENARIO_STREAMS.forEach(name => {
+        expect(draw(first[name], 5)).toEqual(draw(second[name], 5));
+      });
+    });
+
+    test('should not let extra jump rolls shift the hidden mass', () => {
+      const quiet = createScenarioRandom('abc123');
+      const busy = createScenarioRandom('abc123');
+      draw(busy.jumps, 50);
+      draw(busy.events, 50);
+
+      expect(quiet.mass.random()).toBe(busy.mass.random());
+    });
+  });
+
+  describe('Scenario setup', () => {
+    test('should roll the same hole, state and fleet for the same seed', () => {
+      const first = rollScenarioSetup(createScenarioRandom('setup-test').setup);
+      const second = rollScenarioSetup(createScenarioRandom('setup-test').setup);
+
+      expect(first).toEqual(second);
+      expect(WORMHOLE_DATA[first.wormholeCode]).toBeDefined();
+      expect(['fresh', 'stable', 'destab', 'critical']).toContain(first.initialWhState);
+    });
+
+    test('should only put ships on the far side that fit through the hole', () => {
+      for (let i = 0; i < 20; i++) {
+        const scenario = rollScenarioSetup(new SeededRandom(`fleet-${i}`));
+        const restriction = getWormholeInfo(scenario.wormholeCode).restriction;
+
+        Object.entries(scenario.farSideFleet).forEach(([shipKey, count]) => {
+          expect(count).toBeGreaterThanOrEqual(0);
+          expect(count).toBeLessThanOrEqual(5);
+          if (SHIP_TYPES[shipKey].size > restriction) expect(count).toBe(0);
+        });
+      }
+    });
+
+    test('should list every ship type in the fleet', () => {
+      expect(Object.keys(rollFarSideFleet(new SeededRandom('x'), 4))).toEqual(Object.keys(SHIP_TYPES));
+    });
+
+    test('should give the same scenario whatever custom ships the catalogue holds', () => {
+      const withCustom = { ...SHIP_TYPES, myorca: { name: 'Orca', cold: 250, hot: 300, size: 3, custom: true } };
+      const scenario = rollScenarioSetup(createScenarioRandom('setup-test').setup, withCustom);
+
+      expect(getBuiltInShipTypes(withCustom)).toEqual(SHIP_TYPES);
+      expect(scenario).toEqual(rollScenarioSetup(createScenarioRandom('setup-test').setup));
+      expect(scenario.farSideFleet.myorca).toBeUndefined();
+    });
+  });
+});
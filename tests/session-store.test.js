@@ -0,0 +1,170 @@
+const {
+  SESSION_STORAGE_KEY,
+  MAX_SAVED_SESSIONS,
+  createSessionId,
+  serializeSession,
+  deserializeSession,
+  SessionStore
+} = require('../src/session-store');
+const { Ship, CustomMass, Action } = require('../src/wormhole-logic');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+function createTrackerState() {
+  return {
+    sessionId: createSessionId(),
+    selectedWormholeType: 'B274',
+    initialWhSize: 2000,
+    initialWhState: 'fresh',
+    initialWhRestriction: 3,
+    initialFarSideFleet: { bs: 1 },
+    currentWhState: 'destab',
+    shipsOnFarSide: { bs: 1, rbs: 1 },
+    committedActions: [{
+      actions: [new Action(new Ship('rbs', 'hot'), 'B'), new Action(new CustomMass(120), 'A')],
+      stateChange: 'destab',
+      currentState: 'destab',
+      finalMass: { min: 540, max: 1100 },
+      passedMass: 420,
+      totalPassedMass: 420,
+      shipsOnFarSide: { bs: 1, rbs: 1 },
+      timestamp: 1700000000000
+    }],
+    stagedActions: [new Action(new Ship('rbs', 'cold'), 'A')]
+  };
+}
+
+describe('Session Store', () => {
+  describe('Serialization', () => {
+    test('should produce plain JSON that survives a round trip', () => {
+      const state = createTrackerState();
+      const json = JSON.parse(JSON.stringify(serializeSession(state)));
+
+      expect(json.wormholeCode).toBe('B274');
+      expect(json.committedActions[0].actions[0]).toEqual({ direction: 'B', ship: { kind: 'ship', type: 'rbs', mode: 'hot' } });
+      expect(json.committedActions[0].actions[1]).toEqual({ direction: 'A', ship: { kind: 'custom', mass: 120 } });
+    });
+
+    test('should rehydrate Action, Ship and CustomMass instances', () => {
+      const state = createTrackerState();
+      const restored = deserializeSession(JSON.parse(JSON.stringify(serializeSession(state))));
+
+      const [shipAction, customAction] = restored.committedActions[0].actions;
+      expect(shipAction).toBeInstanceOf(Action);
+      expect(shipAction.ship).toBeInstanceOf(Ship);
+      expect(shipAction.ship.getMass()).toEqual({ min: 300, max: 300 });
+      expect(customAction.ship).toBeInstanceOf(CustomMass);
+      expect(customAction.ship.getMassText()).toBe('-120 Gg');
+      expect(restored.stagedActions[0].getDirectionText()).toBe('Jump back');
+    });
+
+    test('should restore the setup and far side tracking', () => {
+      const state = createTrackerState();
+      const restored = deserializeSession(serializeSession(state));
+
+      expect(restored.sessionId).toBe(state.sessionId);
+      expect(restored.initialWhSize).toBe(2000);
+      expect(restored.initialWhState).toBe('fresh');
+      expect(restored.initialWhRestriction).toBe(3);
+      expect(restored.currentWhState).toBe('destab');
+      expect(restored.initialFarSideFleet).toEqual({ bs: 1 });
+      expect(restored.shipsOnFarSide).toEqual({ bs: 1, rbs: 1 });
+      expect(restored.committedActions[0].finalMass).toEqual({ min: 540, max: 1100 });
+    });
+
+    test('should keep the hole lifetime timer', () => {
+      const state = { ...createTrackerState(), lifetime: { lifetime: 16, scannedAt: 1000, eolAt: null } };
+
+      expect(deserializeSession(serializeSession(state)).lifetime).toEqual({ lifetime: 16, scannedAt: 1000, eolAt: null });
+      expect(deserializeSession(serializeSession(createTrackerState())).lifetime).toBeNull();
+    });
+
+    test('should reject snapshots from another format version', () => {
+      const snapshot = serializeSession(createTrackerState());
+      snapshot.version = 999;
+
+      expect(deserializeSession(snapshot)).toBeNull();
+      expect(deserializeSession(null)).toBeNull();
+    });
+
+    test('should return null for damaged snapshots instead of throwing', () => {
+      const snapshot = serializeSession(createTrackerState());
+
+      expect(deserializeSession({ version: 1 })).toBeNull();
+      expect(deserializeSession({ ...snapshot, stagedActions: undefined })).toBeNull();
+      expect(deserializeSession({ ...snapshot, committedActions: [{ stateChange: 'destab' }] })).toBeNull();
+      expect(deserializeSession({ ...snapshot, committedActions: [{ actions: [{ direction: 'B' }] }] })).toBeNull();
+      expect(deserializeSession({ ...snapshot, stagedActions: [{ direction: 'X', ship: { kind: 'ship', type: 'rbs' } }] })).toBeNull();
+    });
+  });
+
+  describe('Storage', () => {
+    test('should save, list and mark the active session', () => {
+      const store = new SessionStore(createMemoryStorage());
+      const snapshot = serializeSession(createTrackerState());
+
+      store.saveSession(snapshot);
+
+      expect(store.listSessions()).toHaveLength(1);
+      expect(store.getSession(snapshot.id).wormholeCode).toBe('B274');
+      expect(store.getActiveSessionId()).toBe(snapshot.id);
+    });
+
+    test('should replace an existing session instead of duplicating it', () => {
+      const store = new SessionStore(createMemoryStorage());
+      const state = createTrackerState();
+
+      store.saveSession(serializeSession(state));
+      state.currentWhState = 'critical';
+      store.saveSession(serializeSession(state));
+
+      expect(store.listSessions()).toHaveLength(1);
+      expect(store.getSession(state.sessionId).currentWhState).toBe('critical');
+    });
+
+    test('should list the most recent sessions first and cap the history', () => {
+      const store = new SessionStore(createMemoryStorage());
+      for (let i = 0; i < MAX_SAVED_SESSIONS + 5; i++) {
+        const snapshot = serializeSession(createTrackerState());
+        snapshot.id = `roll-${i}`;
+        snapshot.savedAt = 1000 + i;
+        store.saveSession(snapshot);
+      }
+
+      const sessions = store.listSessions();
+      expect(sessions).toHaveLength(MAX_SAVED_SESSIONS);
+      expect(sessions[0].id).toBe(`roll-${MAX_SAVED_SESSIONS + 4}`);
+    });
+
+    test('should delete sessions and clear the active marker', () => {
+      const store = new SessionStore(createMemoryStorage());
+      const snapshot = serializeSession(createTrackerState());
+
+      store.saveSession(snapshot);
+      store.deleteSession(snapshot.id);
+
+      expect(store.listSessions()).toHaveLength(0);
+      expect(store.getActiveSessionId()).toBeNull();
+    });
+
+    test('should cope with missing or corrupt storage', () => {
+      expect(new SessionStore(null).listSessions()).toEqual([]);
+
+      const storage = createMemoryStorage();
+      storage.setItem(SESSION_STORAGE_KEY, '{not json');
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(new SessionStore(storage).listSessions()).toEqual([]);
+      errorSpy.mockRestore();
+    });
+
+    test('should leave damaged sessions out of the list', () => {
+      const storage = createMemoryStorage();
+      const snapshot = serializeSession(createTrackerState());
+      storage.setItem(SESSION_STORAGE_KEY, JSON.stringify([{ version: 1, id: 'broken' }, snapshot, null]));
+      const store = new SessionStore(storage);
+
+      expect(store.listSessions().map(session => session.id)).toEqual([snapshot.id]);
+      expect(store.getSession('broken')).toBeNull();
+    });
+  });
+});
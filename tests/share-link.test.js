@@ -0,0 +1,118 @@
+const {
+  encodeShareState,
+  decodeShareState,
+  buildShareHash,
+  parseShareHash
+} = require('../src/share-link');
+const { createLogEntry, getInitialLogState } = require('../src/roll-log');
+const { Ship, CustomMass, Action } = require('../src/wormhole-logic');
+
+function createTrackerState() {
+  const setup = { initialWhSize: 2000, initialWhState: 'fresh', initialFarSideFleet: { bs: 1, rbs: 0 } };
+  const first = createLogEntry(getInitialLogState(setup), [
+    new Action(new Ship('rbs', 'hot'), 'B'),
+    new Action(new CustomMass(120.5), 'A')
+  ], 'no-change', 2000);
+  const second = createLogEntry({
+    finalMass: first.finalMass,
+    currentWhState: first.currentState,
+    shipsOnFarSide: first.shipsOnFarSide,
+    totalPassedMass: first.totalPassedMass
+  }, [new Action(new Ship('rbs', 'cold'), 'B')], 'destab', 2000);
+
+  return {
+    ...setup,
+    selectedWormholeType: 'B274',
+    initialWhRestriction: 3,
+    committedActions: [first, second]
+  };
+}
+
+describe('Share Links', () => {
+  describe('Encoding', () => {
+    test('should produce a compact payload that needs no escaping', () => {
+      const payload = encodeShareState(createTrackerState());
+
+      expect(payload).toBe('1/B274/2000/f/3/bs1/nBhrbs_Ax120.5~dBcrbs');
+      expect(encodeURI(payload)).toBe(payload);
+    });
+
+    test('should carry Higgs and cargo changes after the ship key', () => {
+      const state = createTrackerState();
+      state.committedActions[1].actions = [new Action(new Ship('rbs', 'cold', { higgs: false, cargo: true }), 'B')];
+      const payload = encodeShareState(state);
+
+      expect(payload.endsWith('~dBcrbs!nc')).toBe(true);
+      expect(decodeShareState(payload).committedActions[1].actions[0].ship.getMass()).toEqual({ min: 105, max: 105 });
+      expect(decodeShareState(payload.replace('!nc', '!z'))).toBeNull();
+    });
+
+    test('should leave game mode event entries out', () => {
+      const state = createTrackerState();
+      state.committedActions.push({ type: 'event', actions: [], stateChange: 'gone' });
+
+      expect(encodeShareState(state).endsWith('~dBcrbs')).toBe(true);
+    });
+  });
+
+  describe('Decoding', () => {
+    test('should restore the setup and replay the log to the same ranges', () => {
+      const state = createTrackerState();
+      const restored = decodeShareState(encodeShareState(state));
+
+      expect(restored.selectedWormholeType).toBe('B274');
+      expect(restored.initialWhSize).toBe(2000);
+      expect(restored.initialWhRestriction).toBe(3);
+      expect(restored.initialFarSideFleet).toEqual({ bs: 1 });
+      expect(restored.currentWhState).toBe('destab');
+      expect(restored.shipsOnFarSide).toEqual({ bs: 1, rbs: 2 });
+      expect(restored.committedActions.map(entry => entry.finalMass)).toEqual(state.committedActions.map(entry => entry.finalMass));
+      expect(restored.committedActions[0].actions[1].ship).toBeInstanceOf(CustomMass);
+      expect(restored.stagedActions).toEqual([]);
+    });
+
+    test('should reject damaged or unknown payloads', () => {
+      expect(decodeShareState('')).toBeNull();
+      expect(decodeShareState('2/B274/2000/f/3//')).toBeNull();
+      expect(decodeShareState('1/B274/1234/f/3//')).toBeNull();
+      expect(decodeShareState('1/<b>/2000/f/3//')).toBeNull();
+      expect(decodeShareState('1/B274/2000/f/3/titan1/')).toBeNull();
+      expect(decodeShareState('1/B274/2000/f/3//nBhtitan')).toBeNull();
+      expect(decodeShareState('1/B274/2000/f/3//q')).toBeNull();
+      expect(decodeShareState('1/%E0%A4%A/2000/f/3//')).toBeNull();
+    });
+
+    test('should accept a setup with no wormhole type and an empty log', () => {
+      const restored = decodeShareState('1//3300/s/3//');
+
+      expect(restored.selectedWormholeType).toBeNull();
+      expect(restored.initialWhState).toBe('stable');
+      expect(restored.currentWhState).toBe('stable');
+      expect(restored.committedActions).toEqual([]);
+    });
+
+    test('should round trip a K162 rolled as the union of its candidates', () => {
+      const payload = encodeShareState({
+        initialWhSize: [500, 3000], initialWhState: 'fresh', initialWhRestriction: 2, initialFarSideFleet: {}, committedActions: []
+      });
+
+      expect(payload).toBe('1//500+3000/f/2//');
+      expect(decodeShareState(payload).initialWhSize).toEqual([500, 3000]);
+      expect(decodeShareState('1//500+42/f/2//')).toBeNull();
+    });
+  });
+
+  describe('URL hash', () => {
+    test('should round trip the read-only flag', () => {
+      const state = createTrackerState();
+
+      expect(parseShareHash(buildShareHash(state))).toEqual({ payload: encodeShareState(state), readOnly: false });
+      expect(parseShareHash(buildShareHash(state, true)).readOnly).toBe(true);
+    });
+
+    test('should ignore hashes without a shared roll', () => {
+      expect(parseShareHash('')).toBeNull();
+      expect(parseShareHash('#section-2')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const { SHIP_CATALOGUE_KEY, validateShipDefinition, ShipCatalogue } = require('../src/ship-catalogue');
+const { SHIP_TYPES, Ship, Action } = require('../src/wormhole-logic');
+const { RollPlanner } = require('../src/roll-planner');
+const { serializeAction, deserializeAction } = require('../src/session-store');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+const orca = { name: 'Orca', cold: 250, hot: 300, size: 4 };
+
+describe('Ship Catalogue', () => {
+  describe('Validation', () => {
+    test('should accept a complete definition', () => {
+      expect(validateShipDefinition(orca)).toBeNull();
+    });
+
+    test('should reject missing names, bad masses and unknown sizes', () => {
+      expect(validateShipDefinition({ ...orca, name: '  ' })).toMatch(/name/);
+      expect(validateShipDefinition({ ...orca, name: '<b>Orca</b>' })).toMatch(/cannot contain/);
+      expect(validateShipDefinition({ ...orca, cold: 0 })).toMatch(/Cold/);
+      expect(validateShipDefinition({ ...orca, hot: 200 })).toMatch(/Hot/);
+      expect(validateShipDefinition({ ...orca, size: 9 })).toMatch(/size/);
+    });
+  });
+
+  describe('Storage', () => {
+    test('should save ships locally and merge them with the built-ins', () => {
+      const storage = createMemoryStorage();
+      const shipTypes = { ...SHIP_TYPES };
+      const catalogue = new ShipCatalogue(storage, shipTypes);
+
+      const { key } = catalogue.saveShip(orca);
+
+      expect(key).toBe('myorca');
+      expect(shipTypes.myorca).toEqual({ ...orca, custom: true });
+      expect(shipTypes.rbs).toEqual(SHIP_TYPES.rbs);
+      expect(JSON.parse(storage.data[SHIP_CATALOGUE_KEY])).toEqual({ myorca: orca });
+    });
+
+    test('should give ships with the same name their own letters-only key', () => {
+      const catalogue = new ShipCatalogue(createMemoryStorage(), { ...SHIP_TYPES });
+
+      catalogue.saveShip(orca);
+      const { key } = catalogue.saveShip({ ...orca, name: 'Orca 2' });
+
+      expect(key).toBe('myorcaa');
+      expect(key).toMatch(/^[a-z]+$/);
+    });
+
+    test('should edit and delete custom ships but never built-ins', () => {
+      const shipTypes = { ...SHIP_TYPES };
+      const catalogue = new ShipCatalogue(createMemoryStorage(), shipTypes);
+      const { key } = catalogue.saveShip(orca);
+
+      catalogue.saveShip({ ...orca, hot: 320 }, key);
+      expect(shipTypes[key].hot).toBe(320);
+
+      expect(catalogue.saveShip(orca, 'rbs').error).toBeDefined();
+      expect(catalogue.deleteShip('rbs')).toBe(false);
+      expect(catalogue.deleteShip(key)).toBe(true);
+      expect(shipTypes[key]).toBeUndefined();
+      expect(shipTypes.rbs).toBeDefined();
+    });
+
+    test('should load ships saved by an earlier page load', () => {
+      const storage = createMemoryStorage();
+      new ShipCatalogue(storage, { ...SHIP_TYPES }).saveShip(orca);
+
+      const shipTypes = new ShipCatalogue(storage, { ...SHIP_TYPES }).apply();
+      expect(shipTypes.myorca.name).toBe('Orca');
+    });
+
+    test('should skip corrupt entries', () => {
+      const storage = createMemoryStorage();
+      storage.setItem(SHIP_CATALOGUE_KEY, JSON.stringify({ myorca: orca, 'bad key': orca, mybroken: { name: 'Broken' } }));
+
+      const shipTypes = new ShipCatalogue(storage, { ...SHIP_TYPES }).apply();
+      expect(Object.keys(shipTypes).filter(key => shipTypes[key].custom)).toEqual(['myorca']);
+    });
+  });
+
+  describe('Merged into SHIP_TYPES', () => {
+    const catalogue = new ShipCatalogue(createMemoryStorage());
+
+    afterEach(() => {
+      catalogue.listCustomShips().forEach(ship => catalogue.deleteShip(ship.key));
+    });
+
+    test('should give custom ships a mass like any built-in', () => {
+      const { key } = catalogue.saveShip(orca);
+
+      expect(new Ship(key, 'cold').getMass()).toEqual({ min: 250, max: 250 });
+      expect(new Ship(key, 'unknown').getMass()).toEqual({ min: 250, max: 300 });
+    });
+
+    test('should keep the mass of a logged custom ship after it is deleted', () => {
+      const { key } = catalogue.saveShip(orca);
+      const ship = new Ship(key, 'hot');
+      const saved = JSON.parse(JSON.stringify(serializeAction(new Action(new Ship(key, 'unknown'), 'B'))));
+      catalogue.deleteShip(key);
+
+      expect(ship.getJumpMass(true)).toBe(300);
+      expect(ship.getDisplayName()).toBe(`${key} (Hot)`);
+      expect(deserializeAction(saved).ship.getMass()).toEqual({ min: 250, max: 300 });
+    });
+
+    test('should not throw for a ship type nobody knows', () => {
+      const ship = new Ship('myghost', 'cold');
+
+      expect(ship.getJumpMass(false)).toBe(0);
+      expect(ship.getMass()).toEqual({ min: 0, max: 0 });
+      expect(ship.getDisplayName()).toBe('myghost (Cold)');
+    });
+
+    test('should let the planner roll with custom ships', () => {
+      const { key } = catalogue.saveShip({ name: 'Bowhead', cold: 180, hot: 280, size: 4 });
+      const planner = new RollPlanner(1000, 'destab', 4);
+      const result = planner.plan({ min: 300, max: 350 }, { [key]: 1 });
+
+      // 180 cold out and back uses 360 Gg, enough to close the hole on the return jump
+      expect(planner.getUsableShipTypes({ [key]: 1 })).toEqual([key]);
+      expect(result.plan.guaranteed).toBe(true);
+      expect(result.plan.steps[0].jumps[0]).toEqual({ shipType: key, mode: 'cold', direction: 'B' });
+    });
+  });
+});
@@ -6,12 +6,17 @@ const {
   WORMHOLE_DATA,
   SPECIAL_WORMHOLES,
   RESTRICTION_LEVELS,
+  RESTRICTION_JUMP_MASS,
   getWormholeInfo,
   getAllWormholeCodes,
   getWormholesByRestriction,
   getWormholesByDestination,
+  getWormholesBySource,
+  getStaticsForClass,
+  getWormholesByLifetime,
   getWormholesByMassRange
 } = require('../src/wormhole-data.js');
+const { WORMHOLE_LIFETIMES } = require('../src/wormhole-logic.js');
 
 describe('Wormhole Data Integration', () => {
   
@@ -32,6 +37,7 @@ describe('Wormhole Data Integration', () => {
         expect(data.restriction).toBeGreaterThanOrEqual(1);
         expect(data.restriction).toBeLessThanOrEqual(5);
         expect(typeof data.destination).toBe('string');
+        expect(WORMHOLE_LIFETIMES).toContain(data.lifetime);
       });
     });
 
@@ -53,6 +59,7 @@ describe('Wormhole Data Integration', () => {
       expect(info.restriction).toBe(3);
       expect(info.restrictionText).toBe('up to Battleship');
       expect(info.destination).toBe('HS');
+      expect(info.lifetime).toBe(24);
     });
 
     test('should return null for unknown wormhole', () => {
@@ -103,6 +110,20 @@ describe('Wormhole Data Integration', () => {
       expect(c1Holes.length).toBeGreaterThan(0);
     });
 
+    test('getWormholesBySource should filter correctly', () => {
+      expect(getWormholesBySource('C2')).toEqual(expect.arrayContaining(['B274', 'D382', 'E004']));
+      expect(getWormholesBySource('C2')).not.toContain('H121');
+      expect(getWormholesBySource('HS')).toContain('Z971');
+      expect(getWormholesBySource('Variable')).toEqual([]);
+    });
+
+    test('getWormholesByLifetime should filter correctly', () => {
+      expect(getWormholesByLifetime(48)).toEqual(expect.arrayContaining(['U319', 'B041', 'B520']));
+      expect(getWormholesByLifetime(24)).toContain('B274');
+      expect(getWormholesByLifetime(24)).not.toContain('U319');
+      expect(getWormholesByLifetime(12)).toEqual([]);
+    });
+
     test('getWormholesByMassRange should filter correctly', () => {
       const smallHoles = getWormholesByMassRange(100, 500);
       expect(smallHoles.length).toBeGreaterThan(0);
@@ -139,6 +160,63 @@ describe('Wormhole Data Integration', () => {
     });
   });
 
+  describe('Source classes and spawning', () => {
+    const WSPACE = ['C1', 'C2', 'C3', 'C4', 'C5', 'C6'];
+    const classes = new Set(Object.values(WORMHOLE_DATA).map(wh => wh.destination));
+
+    test('should spawn every hole in classes that holes also lead to', () => {
+      Object.entries(WORMHOLE_DATA).forEach(([code, data]) => {
+        expect(data.sources.length).toBeGreaterThan(0);
+        expect(new Set(data.sources).size).toBe(data.sources.length);
+        data.sources.forEach(source => expect(classes).toContain(source));
+      });
+    });
+
+    test('should spawn statics in exactly one wormhole class', () => {
+      Object.values(WORMHOLE_DATA).filter(data => data.static).forEach(data => {
+        expect(data.sources).toHaveLength(1);
+        expect(WSPACE).toContain(data.sources[0]);
+      });
+    });
+
+    test('should give every wormhole class one static into each class and each kind of known space', () => {
+      const expected = [...WSPACE, 'HS', 'LS', 'NS'];
+      WSPACE.forEach(systemClass => {
+        const destinations = getStaticsForClass(systemClass).map(code => WORMHOLE_DATA[code].destination);
+        expect(destinations.sort()).toEqual([...expected].sort());
+      });
+      expect(getStaticsForClass('C3')).toContain('D845');
+      expect(getStaticsForClass('HS')).toEqual([]);
+    });
+
+    test('should keep every jump mass limit within its restriction level and the hole mass', () => {
+      Object.values(WORMHOLE_DATA).forEach(data => {
+        expect(data.maxJumpMass).toBeLessThanOrEqual(RESTRICTION_JUMP_MASS[data.restriction]);
+        if (data.restriction > 1) {
+          expect(data.maxJumpMass).toBeGreaterThan(RESTRICTION_JUMP_MASS[data.restriction - 1]);
+        }
+        expect(data.maxJumpMass).toBeLessThanOrEqual(data.totalMass * 1000000);
+      });
+    });
+
+    test('should regenerate less than a full hole per hour', () => {
+      Object.values(WORMHOLE_DATA).forEach(data => {
+        expect(data.massRegeneration).toBeGreaterThanOrEqual(0);
+        expect(data.massRegeneration).toBeLessThan(data.totalMass * 1000000);
+      });
+      expect(getWormholeInfo('B274').massRegeneration).toBe(0);
+    });
+
+    test('should return spawn and jump data with the wormhole info', () => {
+      const info = getWormholeInfo('B274');
+      expect(info.sources).toEqual(['C2']);
+      expect(info.static).toBe(true);
+      expect(info.maxJumpMass).toBe(375000000);
+      expect(getWormholeInfo('E004').static).toBe(false);
+      expect(getWormholeInfo('K162').maxJumpMass).toBeNull();
+    });
+  });
+
   describe('Recent additions', () => {
     test('should include Z971 wormhole that was recently added', () => {
       const z971 = getWormholeInfo('Z971');
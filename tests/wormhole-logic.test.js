@@ -2,16 +2,31 @@ const {
   SHIP_TYPES,
   WORMHOLE_MASS_TYPES,
   SHIP_MODES,
+  HIGGS_MASS_MULTIPLIER,
   WORMHOLE_STATES,
   WORMHOLE_RESTRICTIONS,
+  isWormholeSize,
+  formatWormholeSize,
+  parseWormholeSize,
+  getWormholeSizeText,
   Wormhole,
   Ship,
   CustomMass,
+  checkJumpMass,
   Action
 } = require('../src/wormhole-logic');
+const { RESTRICTION_JUMP_MASS, getWormholeInfo } = require('../src/wormhole-data');
 
 describe('Wormhole Logic', () => {
   describe('Wormhole Mass Calculations', () => {
+    test('should mark End of Life holes in the state text', () => {
+      expect(new Wormhole(3000, 'destab').isEndOfLife()).toBe(false);
+      const eol = new Wormhole(3000, 'destab', 'fresh', true);
+      expect(eol.isEndOfLife()).toBe(true);
+      expect(eol.getStateText()).toBe(`${WORMHOLE_STATES.destab} (End of Life)`);
+      expect(eol.getCurrentMassRange()).toEqual(new Wormhole(3000, 'destab').getCurrentMassRange());
+    });
+
     test('should calculate correct base mass with variance', () => {
       const wh = new Wormhole(3000, 'fresh'); // 3000 Gg
       expect(wh.baseMass).toBe(3000); // Simple integer
@@ -40,6 +55,23 @@ describe('Wormhole Logic', () => {
       expect(boundaries.min).toBe(1350); // 50% of 2700 Gg
       expect(boundaries.max).toBe(3300); // 110% of 3000 Gg
     });
+
+    test('should span every candidate size of a union hole', () => {
+      const union = new Wormhole([500, 3000], 'destab');
+      expect(union.getMinMass()).toBe(450);
+      expect(union.getMaxMass()).toBe(3300);
+      expect(union.getStateBoundaries()).toEqual({ min: 45, max: 1650 });
+    });
+
+    test('should read and write hole sizes', () => {
+      expect(formatWormholeSize(3000)).toBe('3000');
+      expect(formatWormholeSize([500, 3000])).toBe('500+3000');
+      expect(parseWormholeSize('3000')).toBe(3000);
+      expect(parseWormholeSize('500+3000')).toEqual([500, 3000]);
+      expect(parseWormholeSize('500+42')).toBeNull();
+      expect(isWormholeSize([])).toBe(false);
+      expect(getWormholeSizeText([500, 3000])).toBe('500 / 3000 Gg');
+    });
   });
 
   describe('Ship Mass Calculations', () => {
@@ -66,6 +98,34 @@ describe('Wormhole Logic', () => {
     });
   });
 
+  describe('Ship Fit Modifiers', () => {
+    test('should derive every built-in cold/hot mass from its base, prop and usual fit', () => {
+      Object.entries(SHIP_TYPES).forEach(([shipKey, ship]) => {
+        const multiplier = ship.higgs ? HIGGS_MASS_MULTIPLIER : 1;
+        expect([shipKey, ship.base * multiplier]).toEqual([shipKey, ship.cold]);
+        expect([shipKey, (ship.base + ship.prop) * multiplier]).toEqual([shipKey, ship.hot]);
+      });
+    });
+
+    test('should double hull and prop mass with a Higgs rig', () => {
+      expect(new Ship('bs', 'cold', { higgs: true }).getMass()).toEqual({ min: 200, max: 200 });
+      expect(new Ship('bs', 'hot', { higgs: true }).getMass()).toEqual({ min: 300, max: 300 });
+      expect(new Ship('rbs', 'hot', { higgs: false }).getMass()).toEqual({ min: 150, max: 150 });
+      expect(new Ship('rbs', 'unknown', { higgs: false }).getMass()).toEqual({ min: 100, max: 150 });
+    });
+
+    test('should add the cargo mass on top', () => {
+      expect(new Ship('carrier', 'cold', { cargo: true }).getMass()).toEqual({ min: 1300, max: 1300 });
+      expect(new Ship('rbs', 'unknown', { cargo: true }).getMassText()).toBe('-205 (min) / -305 (max) Gg');
+    });
+
+    test('should only name fit changes that differ from the usual fit', () => {
+      expect(new Ship('rbs', 'hot', { higgs: true }).getDisplayName()).toBe('Rolling Battleship (Hot)');
+      expect(new Ship('rbs', 'hot', { higgs: false, cargo: true }).getDisplayName()).toBe('Rolling Battleship (Hot, no Higgs, cargo)');
+      expect(new Ship('bs', 'cold', { higgs: true }).getModifierNames()).toEqual(['Higgs']);
+    });
+  });
+
   describe('Action Mass Application - The Critical Test Cases', () => {
     let wormhole, freshMass;
     
@@ -522,6 +582,39 @@ describe('Wormhole Logic', () => {
     });
   });
 
+  describe('Jump Mass Limits', () => {
+    const largeLimit = RESTRICTION_JUMP_MASS[3]; // 375 Gg
+
+    test('should let a Higgs rolling battleship through a large hole hot or cold', () => {
+      expect(checkJumpMass(new Ship('rbs', 'hot'), largeLimit).verdict).toBe('ok');
+      expect(checkJumpMass(new Ship('rbs', 'cold'), largeLimit).verdict).toBe('ok');
+    });
+
+    test('should count the Higgs rig and prop against the limit', () => {
+      const higgs = { higgs: true };
+      expect(checkJumpMass(new Ship('marauder', 'cold', higgs), largeLimit).verdict).toBe('ok');
+      expect(checkJumpMass(new Ship('marauder', 'unknown', higgs), largeLimit).verdict).toBe('warn');
+
+      const hot = checkJumpMass(new Ship('marauder', 'hot', higgs), largeLimit);
+      expect(hot.verdict).toBe('reject');
+      expect(hot.mass.min).toBe(420);
+      expect(hot.limit).toBe(375);
+    });
+
+    test('should use the hole type\'s own limit when it is below its restriction level', () => {
+      const z971 = getWormholeInfo('Z971').maxJumpMass;
+      expect(checkJumpMass(new Ship('opcruiser', 'cold'), z971).verdict).toBe('ok');
+      expect(checkJumpMass(new Ship('opcruiser', 'unknown'), z971).verdict).toBe('warn');
+      expect(checkJumpMass(new Ship('opcruiser', 'hot'), RESTRICTION_JUMP_MASS[2]).verdict).toBe('reject');
+    });
+
+    test('should check custom masses and allow anything without a known limit', () => {
+      expect(checkJumpMass(new CustomMass(375), largeLimit).verdict).toBe('ok');
+      expect(checkJumpMass(new CustomMass(376), largeLimit).verdict).toBe('reject');
+      expect(checkJumpMass(new Ship('carrier', 'hot'), null).verdict).toBe('ok');
+    });
+  });
+
   describe('Game Mode State Transition Logic', () => {
     test('should handle original vs remaining mass correctly', () => {
       // Test the concept behind the dual-mass system fix